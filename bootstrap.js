@@ -2,7 +2,41 @@
  * LitGap - Bootstrap with Dynamic Module Loading
  * Plugin lifecycle management for Zotero 7/8
  *
- * @version 2.0.1
+ * @version 2.11.0
+ *
+ * CHANGELOG v2.11.0:
+ *   - Added: learnedRanker.js (learned ranking, loaded after feedback.js)
+ *
+ * CHANGELOG v2.10.0:
+ *   - Added: feedback.js (dismissed recommendations, loaded before analyzer.js)
+ *
+ * CHANGELOG v2.9.0:
+ *   - Added: diversifier.js (MMR re-ranking, loaded after clusterer.js)
+ *
+ * CHANGELOG v2.8.0:
+ *   - Added: clusterer.js (themes in the Find Hidden Papers report)
+ *
+ * CHANGELOG v2.7.0:
+ *   - Added: citationGraph.js (loaded before analyzer.js)
+ *
+ * CHANGELOG v2.6.0:
+ *   - Added: scoringProfiles.js (loaded before analyzer.js)
+ *
+ * CHANGELOG v2.5.0:
+ *   - Added: libraryIndex.js (whole-library "already owned" check)
+ *
+ * CHANGELOG v2.4.0:
+ *   - Added: checkpoint.js (resumable Find Hidden Papers runs)
+ *
+ * CHANGELOG v2.3.0:
+ *   - Added: rateLimiter.js (loaded before the providers)
+ *
+ * CHANGELOG v2.2.0:
+ *   - Added: merger.js (loaded after api.js)
+ *
+ * CHANGELOG v2.1.0:
+ *   - Added: citationCache.js, s2Provider.js, openAlexProvider.js (loaded
+ *     before api.js, which registers the providers)
  *
  * CHANGELOG v2.0.1:
  *   - Fixed: progressUI.js now loads BEFORE main.js so that ProgressUI is
@@ -24,7 +58,20 @@ var LitGap = {
 
   // Modules (will be loaded dynamically)
   Parser: null,
+  CitationCache: null,
+  Checkpoint: null,
+  RateLimiter: null,
+  S2Provider: null,
+  OpenAlexProvider: null,
   API: null,
+  Merger: null,
+  LibraryIndex: null,
+  ScoringProfiles: null,
+  CitationGraph: null,
+  Clusterer: null,
+  Diversifier: null,
+  Feedback: null,
+  LearnedRanker: null,
   Analyzer: null,
   Reporter: null,
   AIClient: null,
@@ -52,7 +99,7 @@ var LitGap = {
       Zotero.debug('\n' + '='.repeat(60));
       Zotero.debug(`LitGap v${version} is ready!`);
       Zotero.debug(`Zotero: ${Zotero.version}`);
-      Zotero.debug(`Modules loaded: Parser, API, Analyzer, Reporter, AIClient, PromptBuilder, KGMAnalyzer, KGMReporter`);
+      Zotero.debug(`Modules loaded: Parser, CitationCache, Checkpoint, RateLimiter, S2Provider, OpenAlexProvider, API, Merger, LibraryIndex, ScoringProfiles, CitationGraph, Clusterer, Diversifier, Feedback, LearnedRanker, Analyzer, Reporter, AIClient, PromptBuilder, KGMAnalyzer, KGMReporter`);
       Zotero.debug('='.repeat(60) + '\n');
 
     } catch (e) {
@@ -72,10 +119,24 @@ var LitGap = {
     Zotero.debug('LitGap: Loading modules...');
 
     const moduleFiles = [
-      // Feature 1 — original modules (order matters: api depends on nothing,
-      // analyzer depends on nothing, reporter depends on nothing)
+      // Feature 1 — original modules (order matters: api depends on
+      // citationCache, rateLimiter and the providers, merger on api, analyzer depends on nothing,
+      // reporter depends on nothing)
       'parser.js',
+      'citationCache.js',
+      'checkpoint.js',
+      'rateLimiter.js',
+      's2Provider.js',
+      'openAlexProvider.js',
       'api.js',
+      'merger.js',
+      'libraryIndex.js',
+      'scoringProfiles.js',
+      'citationGraph.js',
+      'clusterer.js',
+      'diversifier.js',
+      'feedback.js',
+      'learnedRanker.js',
       'analyzer.js',
       'reporter.js',
       // Feature 2 — new modules (kgmAnalyzer depends on promptBuilder)
@@ -108,7 +169,20 @@ var LitGap = {
 
     // Assign loaded modules to LitGap namespace
     this.Parser      = moduleScope.Parser;
+    this.CitationCache = moduleScope.CitationCache;
+    this.Checkpoint  = moduleScope.Checkpoint;
+    this.RateLimiter = moduleScope.RateLimiter;
+    this.S2Provider  = moduleScope.S2Provider;
+    this.OpenAlexProvider = moduleScope.OpenAlexProvider;
     this.API         = moduleScope.API;
+    this.Merger      = moduleScope.Merger;
+    this.LibraryIndex = moduleScope.LibraryIndex;
+    this.ScoringProfiles = moduleScope.ScoringProfiles;
+    this.CitationGraph = moduleScope.CitationGraph;
+    this.Clusterer   = moduleScope.Clusterer;
+    this.Diversifier = moduleScope.Diversifier;
+    this.Feedback    = moduleScope.Feedback;
+    this.LearnedRanker = moduleScope.LearnedRanker;
     this.Analyzer    = moduleScope.Analyzer;
     this.Reporter    = moduleScope.Reporter;
     this.AIClient    = moduleScope.AIClient;
@@ -117,9 +191,9 @@ var LitGap = {
     this.KGMReporter = moduleScope.KGMReporter;
 
     // Verify all required modules loaded
-    const required = ['Parser', 'API', 'Analyzer', 'Reporter',
+    const required = ['Parser', 'CitationCache', 'Checkpoint', 'RateLimiter', 'S2Provider', 'OpenAlexProvider', 'API', 'Merger', 'LibraryIndex', 'ScoringProfiles', 'CitationGraph', 'Clusterer', 'Diversifier', 'Feedback', 'LearnedRanker', 'Analyzer', 'Reporter',
                       'AIClient', 'PromptBuilder', 'KGMAnalyzer', 'KGMReporter'];
-    const v1Modules = ['Parser', 'API', 'Analyzer', 'Reporter'];
+    const v1Modules = ['Parser', 'CitationCache', 'Checkpoint', 'RateLimiter', 'S2Provider', 'OpenAlexProvider', 'API', 'Merger', 'LibraryIndex', 'ScoringProfiles', 'CitationGraph', 'Clusterer', 'Diversifier', 'Feedback', 'LearnedRanker', 'Analyzer', 'Reporter'];
     const v2Modules = ['AIClient', 'PromptBuilder', 'KGMAnalyzer', 'KGMReporter'];
 
     const missingV1 = v1Modules.filter(m => !this[m]);
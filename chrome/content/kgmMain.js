@@ -3,7 +3,7 @@
  * Feature 2: Conceptual Map + Field Map analysis
  *
  * @module kgmMain
- * @version 3.0.0
+ * @version 3.1.0
  *
  * Injected globals (from bootstrap.js kgmScope):
  *   LitGap       → LitGap.KGMAnalyzer, LitGap.KGMReporter, LitGap.AIClient,
@@ -31,6 +31,11 @@
  *   [Step 6]     _saveReports       — File Picker → save chosen report files
  *   [finally]    LitGap.ProgressUI.hide()  — always runs
  *
+ * CHANGELOG v3.1.0:
+ *   - Added: Cancel button on the progress panel during Step 5. When the
+ *     framework step already finished, the user can keep the partial
+ *     Conceptual Map or discard it.
+ *
  * CHANGELOG v3.0.0:
  *   - Renamed menu label from "Analyze Knowledge Gaps (KGM)" to "Map Your Research Field"
  *   - Added Step 4: output selection dialog (Conceptual Map / Field Map / Both)
@@ -99,8 +104,10 @@ var KGMMain = {
       if (!results) return; // handled error
 
       // ── Step 6: Save reports ──────────────────────────────────────────────
+      // A kept partial run has no Field Map — save the Conceptual Map only
       await this._saveReports(
-        collection, libraryData, missingPapers, results, aiClient, outputChoice
+        collection, libraryData, missingPapers, results, aiClient,
+        results.partial ? 'conceptual' : outputChoice
       );
 
       Zotero.debug('[KGMMain] Workflow completed successfully');
@@ -698,15 +705,19 @@ var KGMMain = {
    * @param {string} confirmedDomain
    * @param {Object} aiClient
    * @param {boolean} includeFieldMap
-   * @returns {Promise<{ framework, gapAnalysis, fieldMap? }|null>}
+   * @returns {Promise<{ framework, gapAnalysis, fieldMap?, partial? }|null>}
+   *          partial: true when the user kept the results of a cancelled run
    */
   _runAnalysis: async function(libraryData, missingPapers, confirmedDomain, aiClient, includeFieldMap) {
     Zotero.debug(`[KGMMain] Starting analysis (includeFieldMap=${includeFieldMap})...`);
 
     const totalSteps = includeFieldMap ? 4 : 2;
+    const controller = LitGap.API.createAbortController();
 
     if (LitGap.ProgressUI) {
-      LitGap.ProgressUI.show('LitGap: Analyzing your research field...');
+      LitGap.ProgressUI.show('LitGap: Analyzing your research field...', {
+        onCancel: controller ? () => controller.abort() : null
+      });
       LitGap.ProgressUI.update(`Step 1/${totalSteps}: Generating domain framework...`, 10);
     }
 
@@ -722,13 +733,23 @@ var KGMMain = {
             LitGap.ProgressUI.update(`Step ${step}/${total}: ${message}`, pct);
           }
         },
-        { includeFieldMap }
+        { includeFieldMap, signal: controller ? controller.signal : null }
       );
 
+      if (LitGap.ProgressUI) LitGap.ProgressUI.setCancelHandler(null);
       Zotero.debug('[KGMMain] Analysis complete');
       return result;
 
     } catch (e) {
+      if (LitGap.ProgressUI) LitGap.ProgressUI.setCancelHandler(null);
+
+      if (e.message === 'CANCELLED') {
+        const kept = this._keepPartialAnalysis(e.partial);
+        if (kept) return kept;
+        Zotero.debug('[KGMMain] Analysis cancelled, results discarded');
+        throw new _KGMHandledError(e.message);
+      }
+
       if (e.message === 'INVALID_KEY') {
         LitGap.AIClient.clearApiKey();
         Services.prompt.alert(null, 'LitGap',
@@ -755,6 +776,50 @@ var KGMMain = {
     }
   },
 
+  /**
+   * Ask whether to keep what a cancelled analysis produced. Only offered
+   * once the framework (Step A) is done — without it there is no map.
+   * The Field Map steps never finish partially, so only the Conceptual
+   * Map can be kept.
+   *
+   * @param {{ framework, gapAnalysis }|undefined} partial
+   * @returns {{ framework, gapAnalysis, partial: true }|null}
+   */
+  _keepPartialAnalysis: function(partial) {
+    if (!partial || !partial.framework) {
+      Services.prompt.alert(null, 'LitGap',
+        'Analysis cancelled.\n\nNo results were produced before cancelling.');
+      return null;
+    }
+
+    const stepsDone = partial.gapAnalysis
+      ? 'The domain framework and gap analysis are done'
+      : 'The domain framework is done; the gap analysis is not';
+
+    const choice = Services.prompt.confirmEx(
+      null,
+      'LitGap \u2014 Analysis Cancelled',
+      `${stepsDone}.\n\n` +
+      'Keep the partial results and save them as a Conceptual Map,\n' +
+      'or discard them?',
+      (Services.prompt.BUTTON_TITLE_IS_STRING * Services.prompt.BUTTON_POS_0) +
+      (Services.prompt.BUTTON_TITLE_IS_STRING * Services.prompt.BUTTON_POS_1),
+      '\uD83D\uDCBE Keep Partial Results',  // 0
+      '\uD83D\uDDD1\uFE0F Discard',          // 1
+      null,
+      null, {}
+    );
+
+    if (choice !== 0) return null;
+
+    Zotero.debug('[KGMMain] Keeping partial analysis results');
+    return {
+      framework:   partial.framework,
+      gapAnalysis: partial.gapAnalysis || '',
+      partial:     true
+    };
+  },
+
   // ─── Step 6: Save reports ────────────────────────────────────────────────────
 
   /**
@@ -3,7 +3,97 @@
  * Coordinates Parser -> API -> Analyzer
  *
  * @module main
- * @version 3.0.0
+ * @version 3.17.0
+ *
+ * CHANGELOG v3.17.0:
+ *   - Added: the library overview compares the collection's publication
+ *     years and venues with those of the papers it cites
+ *     (Analyzer.compareDistributions()).
+ *
+ * CHANGELOG v3.16.0:
+ *   - Added: author gaps (Analyzer.findAuthorGaps()) — the report lists
+ *     authors the collection keeps citing but barely holds; their missing
+ *     papers are enriched and recorded for dismissal like the others.
+ *
+ * CHANGELOG v3.15.0:
+ *   - Added: "What's New" mode (run() with options.mode 'watch') — the same
+ *     pipeline fetches the papers citing the collection, keeps those
+ *     published in the last watchMonths months and ranks them by how many
+ *     items they cite (ScoringProfiles.getWatchProfile()). Second hop,
+ *     diversity, themes and learned ranking are skipped; the report is
+ *     saved as litgap_new_<collection>_<date>. Cached citation lists older
+ *     than API.WATCH_CACHE_DAYS are fetched again, so recently published
+ *     citing papers appear.
+ *
+ * CHANGELOG v3.14.0:
+ *   - Added: papers of the last report that are in the library now count
+ *     as accepted; with learned ranking on, a model trained on accepted
+ *     and dismissed papers re-weights the scores (LearnedRanker). The
+ *     reports show its weights and its effect on each paper.
+ *
+ * CHANGELOG v3.13.0:
+ *   - Added: papers dismissed for the collection or globally (Feedback)
+ *     are left out of the analysis; the papers of each report are recorded
+ *     so they can be dismissed afterwards.
+ *
+ * CHANGELOG v3.12.0:
+ *   - Added: preprints are folded into their published versions
+ *     (Merger.collapseVersions) before the analysis, so the two no longer
+ *     split the mentions. Crossref's DOI relations
+ *     (API.fetchVersionRelations()) pair a retitled journal version too.
+ *
+ * CHANGELOG v3.11.0:
+ *   - Added: with a diversity weight above 0, a larger pool of candidates
+ *     is scored and enriched (authors are needed to spot papers of one
+ *     group) and Diversifier re-ranks it by maximal marginal relevance.
+ *     The reports show how far each paper moved.
+ *
+ * CHANGELOG v3.10.0:
+ *   - Added: the best Clusterer.POOL_SIZE candidates are grouped into
+ *     themes (clustering setting) and the reports list a top list per
+ *     theme. Papers listed only under a theme are enriched as well.
+ *
+ * CHANGELOG v3.9.0:
+ *   - Added: optional second hop — the references of the top first-pass
+ *     recommendations are fetched (within the request budget, cancellable)
+ *     and the papers they cite are scored together with the first pass.
+ *
+ * CHANGELOG v3.8.0:
+ *   - Changed: recommendations are ranked by the selected strategy (classic
+ *     score or personalized PageRank); the reports name it.
+ *
+ * CHANGELOG v3.7.0:
+ *   - Changed: the year window, mention threshold and number of
+ *     recommendations come from the selected scoring profile
+ *     (ScoringProfiles) instead of fixed values; the reports name it.
+ *
+ * CHANGELOG v3.6.0:
+ *   - Added: candidates are checked against the whole Zotero library
+ *     (LibraryIndex) before scoring. Papers owned in another collection or
+ *     group library are hidden or labelled, per the ownedPapers setting.
+ *
+ * CHANGELOG v3.5.0:
+ *   - Added: after the analysis, authors, venue, abstract, TLDR, fields of
+ *     study and open-access links of the recommended papers are fetched
+ *     (API.enrichRecommendations) for the reports.
+ *
+ * CHANGELOG v3.4.0:
+ *   - Added: fetched citation data is checkpointed per paper (Checkpoint).
+ *     If the previous run of a collection was interrupted, the next run
+ *     offers to resume it and only fetches the papers that are left.
+ *
+ * CHANGELOG v3.3.0:
+ *   - Added: the progress panel has a Cancel button while citations are
+ *     fetched. A cancelled run asks whether to keep the partial results
+ *     (report on the papers fetched so far) or discard them.
+ *
+ * CHANGELOG v3.2.0:
+ *   - Added: with the "All sources" setting, citations are fetched from
+ *     every provider in turn and combined by Merger.merge().
+ *
+ * CHANGELOG v3.1.0:
+ *   - Changed: papers without a DOI are no longer dropped. API resolves them
+ *     by other identifiers or by title match (Parser.isResolvable()).
  *
  * CHANGELOG v2.0.2:
  *   - Added: After Find Hidden Papers saves successfully, prompt user to
@@ -31,6 +121,10 @@ var LitGapMain = {
    *
    * @param {Zotero.Collection} collection - Zotero collection object
    * @param {Object} papers - Pre-parsed papers from Parser (optional)
+   * @param {Object} [options]
+   * @param {boolean} [options.skipSave] - Return the reports instead of saving
+   * @param {string} [options.mode] - 'watch' for the "What's New" report:
+   *        recent papers citing the collection
    * @returns {Promise<boolean>} Success status
    */
   run: async function(collection, papers = null, options = {}) {
@@ -38,9 +132,15 @@ var LitGapMain = {
     Zotero.debug("LitGap Main: Starting full analysis workflow");
     Zotero.debug("=".repeat(60) + "\n");
 
+    // "What's New": papers citing the collection, published recently
+    const watchMonths = options.mode === 'watch' ? LitGap.Analyzer.getWatchMonths() : 0;
+    const watch = watchMonths > 0
+      ? { months: watchMonths, since: LitGap.Analyzer.getWatchSince(watchMonths) }
+      : null;
+
     // Change A: Show floating progress panel
     if (LitGap.ProgressUI) {
-      LitGap.ProgressUI.show('LitGap: Finding Hidden Papers...');
+      LitGap.ProgressUI.show(watch ? 'LitGap: Finding New Work...' : 'LitGap: Finding Hidden Papers...');
     }
 
     try {
@@ -49,6 +149,16 @@ var LitGapMain = {
         throw new Error("Required modules not loaded");
       }
 
+      // Cancel button stays until fetching is done — later steps are quick
+      const controller = LitGap.API.createAbortController();
+      if (LitGap.ProgressUI && controller) {
+        LitGap.ProgressUI.setCancelHandler(() => {
+          Zotero.debug("LitGap Main: Cancel requested");
+          controller.abort();
+        });
+      }
+      const signal = controller ? controller.signal : null;
+
       // Step 1: Parse papers (if not already provided)
       if (!papers) {
         Zotero.debug("LitGap Main: Step 1 - Parsing collection");
@@ -64,58 +174,158 @@ var LitGapMain = {
         return false;
       }
 
-      // Check DOI coverage
-      const papersWithDOI = papers.filter(p => p.doi && p.doi.trim());
-      if (papersWithDOI.length === 0) {
+      // Check identifier coverage (DOI, other IDs, or at least a title)
+      const resolvablePapers = papers.filter(p => LitGap.Parser.isResolvable(p));
+      if (resolvablePapers.length === 0) {
         // Change C: hide before early return
         if (LitGap.ProgressUI) LitGap.ProgressUI.hide();
         this._showError(
-          "No papers with DOI found.\n\n" +
-          "Gap analysis requires DOIs to fetch citation data.\n" +
-          "Please add DOIs to your papers or use a different collection."
+          "No papers with a DOI, other identifier or title found.\n\n" +
+          "Gap analysis needs at least a title to look up citation data.\n" +
+          "Please check your items or use a different collection."
         );
         return false;
       }
 
-      Zotero.debug(`LitGap Main: Found ${papers.length} papers (${papersWithDOI.length} with DOI)`);
+      const withDOI = resolvablePapers.filter(p => p.doi).length;
+      Zotero.debug(`LitGap Main: Found ${papers.length} papers (${withDOI} with DOI, ${resolvablePapers.length} resolvable)`);
 
-      // Step 2: Fetch citations from Semantic Scholar (background)
+      // Step 2: Fetch citations from each selected source (background)
       // Note: No notification here - user already confirmed in overlay.js
-      Zotero.debug("\nLitGap Main: Step 2 - Fetching citations from Semantic Scholar");
-
-      // Change B: progressCallback now updates floating progress UI
-      const citationData = await LitGap.API.fetchCitations(
-        papersWithDOI,
-        (current, total, title) => {
-          // Update floating progress UI
-          if (LitGap.ProgressUI) {
-            const percent = Math.round((current / total) * 100);
-            LitGap.ProgressUI.update(
-              `Fetching citations: ${current}/${total}\n${title.substring(0, 45)}...`,
-              percent
-            );
-          }
-          // Keep existing log
-          if (current % 5 === 0 || current === total) {
-            Zotero.debug(`LitGap: Progress [${current}/${total}] ${title.substring(0, 30)}...`);
+      Zotero.debug(`\nLitGap Main: Step 2 - Fetching citations from ${LitGap.API.getProviderLabel()}`);
+
+      const providerIds = LitGap.API.getProviderIds();
+      const sourceResults = [];
+
+      // Resume an interrupted run of this collection, if there is one
+      const runInfo = {
+        direction: watch ? 'citations' : LitGap.API.getDirection(),
+        providers: providerIds,
+        paperCount: resolvablePapers.length
+      };
+      const resumed = await this._findCheckpoint(collection, runInfo);
+      LitGap.Checkpoint.start(collection, runInfo, resumed);
+
+      for (let s = 0; s < providerIds.length; s++) {
+        const providerName = LitGap.API.PROVIDERS[providerIds[s]].name;
+        const sourceLabel = providerIds.length > 1
+          ? ` from ${providerName} (${s + 1}/${providerIds.length})`
+          : '';
+
+        // Change B: progressCallback now updates floating progress UI
+        const sourceResult = await LitGap.API.fetchCitations(
+          resolvablePapers,
+          (current, total, title) => {
+            // Update floating progress UI
+            if (LitGap.ProgressUI) {
+              const percent = Math.round((current / total) * 100);
+              LitGap.ProgressUI.update(
+                `Fetching citations${sourceLabel}: ${current}/${total}\n${title.substring(0, 45)}...`,
+                percent
+              );
+            }
+            // Keep existing log
+            if (current % 5 === 0 || current === total) {
+              Zotero.debug(`LitGap: Progress [${current}/${total}] ${title.substring(0, 30)}...`);
+            }
+          },
+          {
+            provider: providerIds[s],
+            direction: runInfo.direction,
+            maxCacheAgeDays: watch ? LitGap.API.WATCH_CACHE_DAYS : undefined,
+            signal: signal,
+            resume: LitGap.Checkpoint.getEntries(),
+            onPaperData: (key, data) => LitGap.Checkpoint.record(key, data)
           }
-        }
-      );
+        );
+        sourceResults.push(sourceResult);
+        await LitGap.Checkpoint.flush();
+        if (sourceResult && sourceResult.cancelled) break;
+      }
+
+      // Keep the checkpoint while there is something left to fetch
+      await LitGap.Checkpoint.finish(sourceResults.some(r =>
+        r.cancelled || r.stats.failed_requests > 0
+      ));
+
+      if (LitGap.ProgressUI) LitGap.ProgressUI.setCancelHandler(null);
+
+      // Single source: returned unchanged
+      const citationData = LitGap.Merger.merge(sourceResults);
 
       if (!citationData || !citationData.all_citations) {
         throw new Error("Failed to fetch citation data");
       }
 
+      if (citationData.cancelled && !this._keepPartialResults(citationData.stats)) {
+        if (LitGap.ProgressUI) LitGap.ProgressUI.hide();
+        Zotero.debug("LitGap Main: Run cancelled, partial results discarded");
+        return false;
+      }
+
+      // A preprint and its published version count as one paper (non-fatal:
+      // without Crossref's relations only IDs and titles pair them)
+      let versionRelations = {};
+      try {
+        versionRelations = await LitGap.API.fetchVersionRelations(
+          LitGap.Merger.versionRelationDOIs(citationData));
+      } catch (e) {
+        Zotero.debug(`LitGap Main: Could not fetch version relations - ${e.message}`);
+      }
+      LitGap.Merger.collapseVersions(citationData, versionRelations);
+
       Zotero.debug(`LitGap Main: Collected ${citationData.stats.unique_citations} unique citations`);
 
+      // Papers already owned anywhere in Zotero (non-fatal: without the
+      // index only the papers of this run are filtered out)
+      let libraryIndex = null;
+      try {
+        if (LitGap.ProgressUI) {
+          LitGap.ProgressUI.update("Checking which papers are already in your library...", 100);
+        }
+        libraryIndex = await LitGap.LibraryIndex.build(collection);
+      } catch (e) {
+        Zotero.debug(`LitGap Main: Could not index the library - ${e.message}`);
+      }
+
       // Step 4: Analyze knowledge gaps
       Zotero.debug("\nLitGap Main: Step 3 - Analyzing knowledge gaps");
 
-      const recommendations = LitGap.Analyzer.findGaps(citationData, {
-        minYear: 2010,
-        topN: 10,
-        minMentions: 2
-      });
+      await LitGap.Feedback.load();
+      const dismissals = LitGap.Feedback.buildIndex(collection);
+      citationData.stats.dismissed = citationData.all_citations
+        .filter(c => LitGap.Feedback.findDismissal(dismissals, c)).length;
+
+      // Papers of the last report added to Zotero since count as accepted
+      if (libraryIndex) {
+        LitGap.Feedback.collectAccepted(collection, libraryIndex);
+      }
+      const learning = watch ? null : this._trainRanker();
+
+      const scoringProfile = watch
+        ? LitGap.ScoringProfiles.getWatchProfile()
+        : LitGap.ScoringProfiles.getActive();
+      const rankingStrategy = watch ? 'classic' : LitGap.Analyzer.getStrategy();
+      const analysisOptions = {
+        profile: scoringProfile,
+        libraryIndex: libraryIndex,
+        ownedMode: LitGap.LibraryIndex.getOwnedMode(),
+        strategy: rankingStrategy,
+        dismissals: dismissals,
+        publishedSince: watch ? watch.since : null,
+        learnedModel: learning ? learning.model : null
+      };
+
+      // Optional second hop through the best first-pass candidates
+      const secondHop = LitGap.API.getSecondHopSettings();
+      if (secondHop.enabled && !watch && !citationData.cancelled) {
+        await this._expandSecondHop(citationData, analysisOptions, secondHop);
+      }
+
+      const diversityWeight = watch ? 0 : LitGap.Diversifier.getWeight();
+      const recommendations = diversityWeight > 0
+        ? await this._diversify(citationData, analysisOptions, diversityWeight)
+        : LitGap.Analyzer.findGaps(citationData, analysisOptions);
 
       // Check if we have recommendations
       if (!recommendations || recommendations.length === 0) {
@@ -123,7 +333,9 @@ var LitGapMain = {
         if (LitGap.ProgressUI) LitGap.ProgressUI.hide();
         this._showNotification(
           "Analysis Complete",
-          "No knowledge gaps found.\n\nYour library is well-covered!",
+          watch
+            ? `No papers citing this collection were published in the last ${watch.months} months.`
+            : "No knowledge gaps found.\n\nYour library is well-covered!",
           "info"
         );
         return false;
@@ -131,19 +343,69 @@ var LitGapMain = {
 
       Zotero.debug(`LitGap Main: Found ${recommendations.length} recommendations`);
 
+      const clusters = watch ? null : this._clusterRecommendations(citationData, analysisOptions, recommendations);
+      const themePapers = clusters
+        ? [].concat(...clusters.clusters.map(c => c.papers), clusters.other.papers)
+            .filter(paper => !recommendations.includes(paper))
+        : [];
+
+      // Authors the collection keeps citing but whose papers it lacks
+      const authorGaps = watch ? [] : LitGap.Analyzer.findAuthorGaps(citationData, analysisOptions);
+      const listedIds = new Set(recommendations.concat(themePapers).map(paper => paper.paperId));
+      const authorPapers = [];
+      authorGaps.forEach(author => author.missing.forEach(({ paper }) => {
+        if (!listedIds.has(paper.paperId)) {
+          listedIds.add(paper.paperId);
+          authorPapers.push(paper);
+        }
+      }));
+
+      // Years and venues of the collection against what it cites
+      const distributions = watch ? null : LitGap.Analyzer.compareDistributions(citationData);
+
+      // Second pass: details of the recommended papers only (non-fatal)
+      if (LitGap.ProgressUI) {
+        LitGap.ProgressUI.update("Fetching details of recommended papers...", 100);
+      }
+      try {
+        await LitGap.API.enrichRecommendations(recommendations.concat(themePapers, authorPapers));
+      } catch (e) {
+        Zotero.debug(`LitGap Main: Could not fetch recommendation details - ${e.message}`);
+      }
+
+      // Remember what the report lists, for "Dismissed Recommendations..."
+      // (the gap report's list, which a "What's New" run leaves alone)
+      if (!watch) {
+        LitGap.Feedback.recordRun(collection, recommendations.concat(themePapers, authorPapers));
+      }
+      await LitGap.Feedback.save();
+
       // Step 5: Generate reports (Markdown + HTML)
       Zotero.debug("\nLitGap Main: Step 4 - Generating reports");
 
+      const reportOptions = {
+        scoringProfile: scoringProfile,
+        strategy: rankingStrategy,
+        clusters: clusters,
+        diversityWeight: diversityWeight,
+        learning: learning,
+        authorGaps: authorGaps,
+        distributions: distributions,
+        watch: watch
+      };
+
       const reportMarkdown = LitGap.Reporter.generateReport(
         papers,
         recommendations,
-        citationData.stats
+        citationData.stats,
+        reportOptions
       );
 
       const reportHTML = LitGap.Reporter.generateHTMLReport(
         papers,
         recommendations,
-        citationData.stats
+        citationData.stats,
+        reportOptions
       );
 
       if (!reportMarkdown || reportMarkdown.length === 0) {
@@ -170,11 +432,14 @@ var LitGapMain = {
       // Change C: hide before showing the save dialog
       if (LitGap.ProgressUI) LitGap.ProgressUI.hide();
 
+      const found = watch
+        ? `Found ${recommendations.length} new papers citing your collection.`
+        : `Found ${recommendations.length} recommended papers.`;
       const ps = Services.prompt;
       const confirmed = ps.confirm(
         null,
         "LitGap - Analysis Complete! \uD83C\uDF89",
-        `Found ${recommendations.length} recommended papers.\n\n` +
+        `${found}\n\n` +
         `Ready to save reports:\n` +
         `\u2022 Markdown (.md) - for editing\n` +
         `\u2022 HTML (.html) - for viewing with clickable links\n\n` +
@@ -185,14 +450,15 @@ var LitGapMain = {
         Zotero.debug("LitGap Main: User cancelled save");
         this._showInfo(
           `Analysis complete!\n\n` +
-          `Found ${recommendations.length} recommended papers.\n\n` +
+          `${found}\n\n` +
           `Reports not saved (user cancelled).`
         );
         return false;
       }
 
       // Step 7: Save reports (user confirmed)
-      const saved = await this._saveReports(reportMarkdown, reportHTML, collection.name);
+      const saved = await this._saveReports(reportMarkdown, reportHTML, collection.name,
+        watch ? 'litgap_new' : 'litgap');
 
       if (saved) {
         // Increment usage count
@@ -204,7 +470,7 @@ var LitGapMain = {
         // ── KGM continuation prompt (v2.0.2) ─────────────────────────────
         // Ask user if they want to continue to KGM analysis right now.
         // Guarded: only shows if KGMMain is loaded; silently skips if not.
-        if (typeof KGMMain !== 'undefined') {
+        if (!watch && typeof KGMMain !== 'undefined') {
           const ps = Services.prompt;
           const continueToKGM = ps.confirm(
             null,
@@ -242,6 +508,9 @@ var LitGapMain = {
       // Change C: hide on catch
       if (LitGap.ProgressUI) LitGap.ProgressUI.hide();
 
+      // Whatever was fetched before the error can be resumed next time
+      if (LitGap.Checkpoint) await LitGap.Checkpoint.finish(true);
+
       Zotero.debug(`LitGap Main: Error - ${error.message}`);
       Zotero.debug(error.stack);
       Zotero.logError(error);
@@ -256,6 +525,225 @@ var LitGapMain = {
     }
   },
 
+  /**
+   * Second hop: fetch the references of the top-K first-pass candidates and
+   * add the papers they cite to citationData (hop: 2). Cancelling stops the
+   * hop only; what was fetched is kept. Failures leave the first pass as is.
+   *
+   * @private
+   * @param {Object} citationData - Merged citation data (modified in place)
+   * @param {Object} analysisOptions - Analyzer.findGaps() options of the run
+   * @param {Object} settings - API.getSecondHopSettings()
+   * @returns {Promise<void>}
+   */
+  _expandSecondHop: async function(citationData, analysisOptions, settings) {
+    const intermediates = LitGap.Analyzer.findGaps(citationData,
+      Object.assign({}, analysisOptions, { topN: settings.topK }));
+    if (intermediates.length === 0) return;
+
+    const controller = LitGap.API.createAbortController();
+    if (LitGap.ProgressUI && controller) {
+      LitGap.ProgressUI.setCancelHandler(() => {
+        Zotero.debug("LitGap Main: Second hop cancelled");
+        controller.abort();
+      });
+    }
+
+    try {
+      const expansion = await LitGap.API.fetchSecondHop(intermediates, citationData, {
+        budget: settings.budget,
+        signal: controller ? controller.signal : null,
+        progressCallback: (current, total, title) => {
+          if (LitGap.ProgressUI) {
+            LitGap.ProgressUI.update(
+              `Following references of top papers: ${current}/${total}\n${title.substring(0, 45)}...`,
+              Math.round((current / total) * 100)
+            );
+          }
+        }
+      });
+      citationData.all_citations = citationData.all_citations.concat(expansion.candidates);
+      citationData.stats.secondHop = expansion.stats;
+    } catch (e) {
+      Zotero.debug(`LitGap Main: Second hop failed - ${e.message}`);
+    } finally {
+      if (LitGap.ProgressUI) LitGap.ProgressUI.setCancelHandler(null);
+    }
+  },
+
+  /**
+   * Score Diversifier.getPoolSize() candidates, fetch their details (the
+   * authors feed the similarity) and pick the top N by maximal marginal
+   * relevance. Enrichment failures only leave authors out.
+   *
+   * @private
+   * @param {Object} citationData
+   * @param {Object} analysisOptions - Analyzer.findGaps() options of the run
+   * @param {number} weight - Diversity weight (0-1)
+   * @returns {Promise<Array<Object>>} Re-ranked recommendations
+   */
+  _diversify: async function(citationData, analysisOptions, weight) {
+    const topN = analysisOptions.profile.topN;
+    const pool = LitGap.Analyzer.findGaps(citationData, Object.assign({}, analysisOptions, {
+      topN: LitGap.Diversifier.getPoolSize(topN)
+    }));
+    if (pool.length === 0) return pool;
+
+    if (LitGap.ProgressUI) {
+      LitGap.ProgressUI.update("Fetching details of top candidates...", 100);
+    }
+    try {
+      await LitGap.API.enrichRecommendations(pool);
+    } catch (e) {
+      Zotero.debug(`LitGap Main: Could not fetch candidate details - ${e.message}`);
+    }
+
+    return LitGap.Diversifier.rerank(pool, {
+      topN: topN,
+      weight: weight,
+      strategy: analysisOptions.strategy
+    });
+  },
+
+  /**
+   * Train the learned ranker on the accept / dismiss history of all
+   * collections and store the model
+   *
+   * @private
+   * @returns {Object|null} { model, accepted, dismissed } for the reports
+   *          (model is null while the history is too short), or null when
+   *          learned ranking is off
+   */
+  _trainRanker: function() {
+    if (!LitGap.LearnedRanker.isEnabled()) return null;
+
+    const examples = LitGap.Feedback.getExamples();
+    const model = LitGap.LearnedRanker.train(examples);
+    if (model) {
+      LitGap.LearnedRanker.saveModel(model);
+    }
+
+    const accepted = examples.filter(e => e.label === 1).length;
+    return { model: model, accepted: accepted, dismissed: examples.length - accepted };
+  },
+
+  /**
+   * Group the best Clusterer.POOL_SIZE candidates into themes. The
+   * recommendations come first, in their own order (they may have been
+   * re-ranked for diversity), then the rest of the pool by score; each
+   * recommendation stays listed under its theme.
+   *
+   * @private
+   * @param {Object} citationData
+   * @param {Object} analysisOptions - Analyzer.findGaps() options of the run
+   * @param {Array<Object>} recommendations - Final recommendations
+   * @returns {Object|null} Clusterer.cluster() result; null when clustering
+   *          is off or fails
+   */
+  _clusterRecommendations: function(citationData, analysisOptions, recommendations) {
+    const mode = LitGap.Clusterer.getMode();
+    if (mode === 'off') return null;
+
+    try {
+      const pool = LitGap.Analyzer.findGaps(citationData, Object.assign({}, analysisOptions, {
+        topN: Math.max(LitGap.Clusterer.POOL_SIZE, recommendations.length)
+      }));
+      const recommended = new Set(recommendations.map(rec => rec.paperId));
+      const ordered = recommendations.concat(pool.filter(candidate => !recommended.has(candidate.paperId)));
+
+      return LitGap.Clusterer.cluster(ordered, {
+        mode: mode,
+        keepTop: recommendations.length
+      });
+    } catch (e) {
+      Zotero.debug(`LitGap Main: Could not group recommendations into themes - ${e.message}`);
+      return null;
+    }
+  },
+
+  /**
+   * Look for an interrupted run of the collection and ask whether to
+   * resume it. Starting over removes the checkpoint.
+   *
+   * @private
+   * @param {Zotero.Collection} collection
+   * @param {Object} runInfo - { direction, providers, paperCount }
+   * @returns {Promise<Object|null>} Checkpoint to resume (Checkpoint.find())
+   */
+  _findCheckpoint: async function(collection, runInfo) {
+    await LitGap.Checkpoint.pruneExpired();
+
+    const checkpoint = await LitGap.Checkpoint.find(collection, runInfo);
+    if (!checkpoint) return null;
+
+    const lookups = checkpoint.paperCount * runInfo.providers.length;
+    const minutesAgo = Math.max(1, Math.round((Date.now() - checkpoint.updatedAt) / 60000));
+    const age = minutesAgo < 120
+      ? `${minutesAgo} minute${minutesAgo !== 1 ? 's' : ''} ago`
+      : `${Math.round(minutesAgo / 60)} hours ago`;
+
+    const ps = Services.prompt;
+    const result = ps.confirmEx(
+      null,
+      "LitGap - Resume Previous Run?",
+      `The last run on "${collection.name}" stopped before it finished ` +
+      `(${age}).\n\n` +
+      `Citation data for ${Math.min(checkpoint.fetched, lookups)} of ${lookups} paper lookups was saved.\n\n` +
+      "Resume to fetch only the papers that are left,\n" +
+      "or start over and fetch everything again?",
+      ps.BUTTON_POS_0 * ps.BUTTON_TITLE_IS_STRING +
+      ps.BUTTON_POS_1 * ps.BUTTON_TITLE_IS_STRING,
+      "Resume",
+      "Start Over",
+      null,
+      null,
+      {}
+    );
+
+    if (result === 0) {
+      Zotero.debug(`LitGap Main: Resuming run with ${checkpoint.fetched} saved papers`);
+      return checkpoint;
+    }
+
+    Zotero.debug("LitGap Main: Starting over, checkpoint discarded");
+    await LitGap.Checkpoint.discard(collection);
+    return null;
+  },
+
+  /**
+   * Ask whether to keep the results of a cancelled run
+   *
+   * @private
+   * @param {Object} stats - citationData.stats
+   * @returns {boolean} true to continue with the partial results
+   */
+  _keepPartialResults: function(stats) {
+    const fetched = stats.papers_fetched || 0;
+
+    if (fetched === 0) {
+      this._showInfo("Find Hidden Papers was cancelled before any paper was fetched.");
+      return false;
+    }
+
+    const ps = Services.prompt;
+    const result = ps.confirmEx(
+      null,
+      "LitGap - Run Cancelled",
+      `Stopped after ${fetched} of ${stats.user_papers_count} papers.\n\n` +
+      "Keep the partial results and build a report from those papers,\n" +
+      "or discard them?",
+      ps.BUTTON_POS_0 * ps.BUTTON_TITLE_IS_STRING +
+      ps.BUTTON_POS_1 * ps.BUTTON_TITLE_IS_STRING,
+      "Keep Partial Results",
+      "Discard",
+      null,
+      null,
+      {}
+    );
+
+    return result === 0;
+  },
+
   /**
    * Verify all required modules are loaded
    *
@@ -437,9 +925,10 @@ var LitGapMain = {
    * @param {string} reportMarkdown - Markdown report content
    * @param {string} reportHTML - HTML report content
    * @param {string} collectionName - Collection name for default filename
+   * @param {string} [filePrefix='litgap'] - Start of the default filename
    * @returns {Promise<boolean>} True if saved successfully
    */
-  _saveReports: async function(reportMarkdown, reportHTML, collectionName) {
+  _saveReports: async function(reportMarkdown, reportHTML, collectionName, filePrefix = 'litgap') {
     try {
       // Get the correct window object for Zotero 8
       const win = Services.ww.activeWindow || Zotero.getMainWindow();
@@ -459,7 +948,7 @@ var LitGapMain = {
       // Generate default filename
       const safeName = collectionName.replace(/[^a-z0-9]/gi, '_').toLowerCase();
       const dateStr = new Date().toISOString().split('T')[0];
-      fp.defaultString = `litgap_${safeName}_${dateStr}.md`;
+      fp.defaultString = `${filePrefix}_${safeName}_${dateStr}.md`;
       fp.defaultExtension = "md";
 
       // Show dialog
@@ -2,7 +2,79 @@
  * LitGap - UI Overlay (Zotero 7/8)
  * Pure JavaScript UI integration with smart sampling
  *
- * @version 3.0.0
+ * @version 3.15.0
+ *
+ * CHANGELOG v3.15.0:
+ *   - Added: "What's New Around Your Library" menu item — recent papers
+ *     citing the collection (LitGapMain.run() in 'watch' mode), and the
+ *     "What's New window" setting (months).
+ *
+ * CHANGELOG v3.14.0:
+ *   - Added: "Learned ranking" setting (re-weight scores by a model trained
+ *     on the papers you accepted or dismissed).
+ *
+ * CHANGELOG v3.13.0:
+ *   - Added: "Dismissed Recommendations..." menu item — dismiss papers of
+ *     the last report with a reason, for the collection or everywhere;
+ *     review and restore dismissals; export / import them as JSON.
+ *
+ * CHANGELOG v3.12.0:
+ *   - Added: "Diversity" setting (weight of the MMR re-ranking, 0 = off).
+ *
+ * CHANGELOG v3.11.0:
+ *   - Added: "Group by theme" setting (shared citing items with or without
+ *     title words, or off).
+ *
+ * CHANGELOG v3.10.0:
+ *   - Added: "Second hop" setting (on/off, number of top papers followed,
+ *     budget of extra requests).
+ *   - Changed: Custom profile help describes secondHopDecay.
+ *
+ * CHANGELOG v3.9.0:
+ *   - Added: "Ranking" setting (classic score or personalized PageRank).
+ *
+ * CHANGELOG v3.8.1:
+ *   - Changed: Custom profile help describes impact.method (velocity or
+ *     total citations)
+ *
+ * CHANGELOG v3.8.0:
+ *   - Added: "Scoring profile" setting — choose Classic, Recent-first,
+ *     Foundational or Custom; edit the custom profile, export the current
+ *     profile to JSON or import one. openSettings() waits for async editors.
+ *
+ * CHANGELOG v3.7.0:
+ *   - Added: "Papers already in your library" setting (hide or label).
+ *
+ * CHANGELOG v3.6.0:
+ *   - Added: "Resume interrupted runs" setting (checkpoint age in hours).
+ *   - Changed: "Rebuild for This Collection" also drops the collection's
+ *     checkpoint, so the rebuild does not resume from old data.
+ *
+ * CHANGELOG v3.5.0:
+ *   - Added: "Semantic Scholar API key" setting.
+ *
+ * CHANGELOG v3.4.0:
+ *   - Added: "All sources (merged)" citation source option.
+ *   - Changed: "Rebuild for This Collection" invalidates the keys of every
+ *     provider.
+ *
+ * CHANGELOG v3.3.0:
+ *   - Added: "Citation source" setting (Semantic Scholar or OpenAlex).
+ *
+ * CHANGELOG v3.2.0:
+ *   - Changed: collections without DOIs are accepted — papers are resolved by
+ *     arXiv ID, PMID, PMCID or CorpusId, or by title match. The confirmation
+ *     dialog shows the identifier coverage.
+ *   - Changed: "Rebuild for This Collection" invalidates every cache key, not
+ *     just DOIs.
+ *
+ * CHANGELOG v3.1.0:
+ *   - Added: "Citation Cache..." menu item — clear the on-disk citation cache
+ *     or rebuild it for the selected collection (manageCitationCache()).
+ *   - Changed: sampling strategy is batch-aware — with batch lookup enabled,
+ *     every paper in the collection is processed.
+ *   - Added: "Find Hidden Papers Settings..." menu item (openSettings()) with
+ *     the search direction: references, citations or both.
  *
  * CHANGELOG v3.0.0:
  *   - Changed: "Analyze Knowledge Gaps (KGM)" menu label renamed to
@@ -111,7 +183,11 @@ var LitGapOverlay = {
    * Menu layout (top → bottom):
    *   menuseparator          #litgap-separator
    *   Find Hidden Papers     #litgap-analyze
+   *   What's New Around Your Library #litgap-watch
    *   Map Your Research Field #litgap-kgm-menuitem
+   *   Find Hidden Papers Settings... #litgap-settings
+   *   Citation Cache...      #litgap-cache
+   *   Dismissed Recommendations... #litgap-feedback
    *   Reset LitGap Prefs     #litgap-reset-prefs   ← always last
    *
    * @param {Document} doc
@@ -127,7 +203,8 @@ var LitGapOverlay = {
 
     // ── Clean up any leftover v1.x items (wrong order or missing KGM) ───────
     ['litgap-separator', 'litgap-analyze', 'litgap-reset-prefs',
-     'litgap-kgm-menuitem', 'litgap-reset-separator'].forEach(id => {
+     'litgap-kgm-menuitem', 'litgap-reset-separator', 'litgap-cache',
+     'litgap-settings', 'litgap-feedback', 'litgap-watch'].forEach(id => {
       const el = doc.getElementById(id);
       if (el) el.remove();
     });
@@ -144,7 +221,14 @@ var LitGapOverlay = {
     this.menuItem.addEventListener('command', () => this.onAnalyzeClick());
     collectionMenu.appendChild(this.menuItem);
 
-    // ── 3. Map Your Research Field) ─────────────────────────────────────
+    // ── 3. What's New Around Your Library ───────────────────────────────────
+    const watchItem = doc.createXULElement('menuitem');
+    watchItem.id = 'litgap-watch';
+    watchItem.setAttribute('label', "What's New Around Your Library");
+    watchItem.addEventListener('command', () => this.onAnalyzeClick({ mode: 'watch' }));
+    collectionMenu.appendChild(watchItem);
+
+    // ── 4. Map Your Research Field) ─────────────────────────────────────
     const kgmMenuItem = doc.createXULElement('menuitem');
     kgmMenuItem.id = 'litgap-kgm-menuitem';
     kgmMenuItem.setAttribute('label', 'Map Your Research Field');
@@ -169,7 +253,28 @@ var LitGapOverlay = {
     });
     collectionMenu.appendChild(kgmMenuItem);
 
-    // ── 4. Reset LitGap Preferences (always last) ────────────────────────────
+    // ── 5. Find Hidden Papers Settings ──────────────────────────────────────
+    const settingsItem = doc.createXULElement('menuitem');
+    settingsItem.id = 'litgap-settings';
+    settingsItem.setAttribute('label', 'Find Hidden Papers Settings...');
+    settingsItem.addEventListener('command', () => this.openSettings());
+    collectionMenu.appendChild(settingsItem);
+
+    // ── 6. Citation Cache ────────────────────────────────────────────────────
+    const cacheItem = doc.createXULElement('menuitem');
+    cacheItem.id = 'litgap-cache';
+    cacheItem.setAttribute('label', 'Citation Cache...');
+    cacheItem.addEventListener('command', () => this.manageCitationCache());
+    collectionMenu.appendChild(cacheItem);
+
+    // ── 7. Dismissed Recommendations ─────────────────────────────────────────
+    const feedbackItem = doc.createXULElement('menuitem');
+    feedbackItem.id = 'litgap-feedback';
+    feedbackItem.setAttribute('label', 'Dismissed Recommendations...');
+    feedbackItem.addEventListener('command', () => this.manageDismissals());
+    collectionMenu.appendChild(feedbackItem);
+
+    // ── 8. Reset LitGap Preferences (always last) ────────────────────────────
     const resetItem = doc.createXULElement('menuitem');
     resetItem.id = 'litgap-reset-prefs';
     resetItem.setAttribute('label', 'Reset LitGap Preferences...');
@@ -180,9 +285,11 @@ var LitGapOverlay = {
   },
 
   /**
-   * Handle "Find Hidden Papers" button click
+   * Handle "Find Hidden Papers" (and "What's New Around Your Library") click
+   *
+   * @param {Object} [options] - { mode: 'watch' } for What's New
    */
-  onAnalyzeClick: async function() {
+  onAnalyzeClick: async function(options = {}) {
     Zotero.debug("[LitGap Overlay] Button clicked!");
 
     try {
@@ -202,7 +309,7 @@ var LitGapOverlay = {
 
       Zotero.debug(`[LitGap Overlay] Selected collection: ${collection.name}`);
 
-      await this.analyzeCollection(collection);
+      await this.analyzeCollection(collection, options);
 
     } catch (e) {
       Zotero.debug(`[LitGap Overlay] Error: ${e.message}`);
@@ -219,8 +326,11 @@ var LitGapOverlay = {
 
   /**
    * Analyze collection with smart sampling strategy
+   *
+   * @param {Zotero.Collection} collection
+   * @param {Object} [options] - Passed on to LitGapMain.run() ({ mode: 'watch' })
    */
-  analyzeCollection: async function(collection) {
+  analyzeCollection: async function(collection, options = {}) {
     Zotero.debug("\n" + "=".repeat(60));
     Zotero.debug("[LitGap Overlay] Analyzing Collection");
     Zotero.debug("=".repeat(60) + "\n");
@@ -244,13 +354,19 @@ var LitGapOverlay = {
         validTypes.has(item.itemType)
       );
 
-      const withDOI = academicItems.filter(item =>
-        item.getField('DOI')
+      // Identifier coverage — papers without any ID still get a title match
+      const parsed = academicItems.length > 0
+        ? LitGap.Parser.parseZoteroLibrary(collection)
+        : [];
+      const withDOI = parsed.filter(p => p.doi).length;
+      const withOtherId = parsed.filter(p =>
+        !p.doi && LitGap.API.getIdentifiers(p).length > 0
       ).length;
+      const resolvable = parsed.filter(p => LitGap.Parser.isResolvable(p)).length;
 
       Zotero.debug(`Total items: ${allItems.length}`);
       Zotero.debug(`Academic papers: ${academicItems.length}`);
-      Zotero.debug(`Papers with DOI: ${withDOI}`);
+      Zotero.debug(`Papers with DOI: ${withDOI}, other ID: ${withOtherId}, resolvable: ${resolvable}`);
 
       // Check if we have papers to analyze
       if (academicItems.length === 0) {
@@ -264,21 +380,24 @@ var LitGapOverlay = {
         return;
       }
 
-      if (withDOI === 0) {
+      if (resolvable === 0) {
         const ps = Services.prompt;
         ps.alert(
           null,
           "LitGap",
-          "No papers with DOI found.\n\n" +
-          "Gap analysis requires DOIs to fetch citation data.\n" +
-          "Please add DOIs to your papers or use a different collection."
+          "No papers with a DOI, other identifier or title found.\n\n" +
+          "Gap analysis needs at least a title to look up citation data.\n" +
+          "Please check your items or use a different collection."
         );
         return;
       }
 
       // Determine strategy
-      const strategy = LitGap.Parser.determineSamplingStrategy(withDOI);
-      const toProcess = strategy.sampleSize || withDOI;
+      const strategy = LitGap.Parser.determineSamplingStrategy(resolvable, {
+        batch: LitGap.API.isBatchEnabled(),
+        batchSize: LitGap.API.getBatchSize()
+      });
+      const toProcess = strategy.sampleSize || resolvable;
 
       Zotero.debug(`Strategy: ${strategy.message}`);
       Zotero.debug(`Will process: ${toProcess} papers`);
@@ -287,6 +406,18 @@ var LitGapOverlay = {
       let dialogMessage = `Collection: ${collection.name}\n\n`;
       dialogMessage += `Total papers: ${academicItems.length}\n`;
       dialogMessage += `Papers with DOI: ${withDOI}\n`;
+      if (withOtherId > 0) {
+        dialogMessage += `With arXiv ID / PMID / PMCID only: ${withOtherId}\n`;
+      }
+      if (resolvable - withDOI - withOtherId > 0) {
+        dialogMessage += `Title match only: ${resolvable - withDOI - withOtherId}\n`;
+      }
+      if (options.mode === 'watch') {
+        dialogMessage += `Looking for: papers citing these, published in the last ${LitGap.Analyzer.getWatchMonths()} months\n`;
+      } else {
+        dialogMessage += `Search direction: ${LitGap.Reporter.DIRECTION_LABELS[LitGap.API.getDirection()]}\n`;
+      }
+      dialogMessage += `Citation source: ${LitGap.API.getProviderLabel()}\n`;
       dialogMessage += `\n`;
 
       // Add status indicator based on warning level
@@ -324,7 +455,7 @@ var LitGapOverlay = {
 
         confirmed = ps.confirmCheck(
           null,
-          "LitGap - Find Hidden Papers",
+          options.mode === 'watch' ? "LitGap - What's New" : "LitGap - Find Hidden Papers",
           dialogMessage,
           "Don't ask me again for this collection",
           check
@@ -355,7 +486,7 @@ var LitGapOverlay = {
 
       // Call main orchestrator to handle the rest
       Zotero.debug("[LitGap Overlay] Calling main orchestrator...");
-      await LitGapMain.run(collection, papers);
+      await LitGapMain.run(collection, papers, options);
 
     } catch (e) {
       Zotero.debug(`[LitGap Overlay] Error: ${e.message}`);
@@ -455,6 +586,759 @@ var LitGapOverlay = {
     }
   },
 
+  /**
+   * Find Hidden Papers settings — a list of settings; picking one opens its
+   * editor, then the list is shown again until the user cancels.
+   */
+  openSettings: async function() {
+    try {
+      const ps = Services.prompt;
+
+      while (true) {
+        const settings = this._getSettingsEntries();
+        const selected = { value: 0 };
+        const ok = ps.select(
+          null,
+          "LitGap - Find Hidden Papers Settings",
+          "Choose a setting to change:",
+          settings.map(s => `${s.label}: ${s.value()}`),
+          selected
+        );
+
+        if (!ok) {
+          Zotero.debug("[LitGap Overlay] Settings closed");
+          return;
+        }
+
+        await settings[selected.value].edit();
+      }
+    } catch (e) {
+      Zotero.debug(`[LitGap Overlay] Error in settings: ${e.message}`);
+      Zotero.logError(e);
+    }
+  },
+
+  /**
+   * Entries shown in openSettings(): { label, value(), edit() }; edit() may
+   * return a Promise
+   *
+   * @private
+   * @returns {Array<Object>}
+   */
+  _getSettingsEntries: function() {
+    const ps = Services.prompt;
+
+    return [
+      {
+        label: "Search direction",
+        value: () => LitGap.Reporter.DIRECTION_LABELS[LitGap.API.getDirection()],
+        edit: () => {
+          const directions = LitGap.API.DIRECTIONS;
+          const selected = { value: directions.indexOf(LitGap.API.getDirection()) };
+          const ok = ps.select(
+            null,
+            "LitGap - Search Direction",
+            "Which papers should Find Hidden Papers look at?\n\n" +
+            "References: foundational work your papers cite\n" +
+            "Citations: newer work that cites your papers",
+            directions.map(d => LitGap.Reporter.DIRECTION_LABELS[d]),
+            selected
+          );
+          if (ok) {
+            LitGap.API.setDirection(directions[selected.value]);
+            Zotero.debug(`[LitGap Overlay] Direction set to ${directions[selected.value]}`);
+          }
+        }
+      },
+      {
+        label: "Citation source",
+        value: () => LitGap.API.getProviderLabel(),
+        edit: () => {
+          const ids = Object.keys(LitGap.API.PROVIDERS).concat(LitGap.API.ALL_PROVIDERS);
+          const current = LitGap.API.getProviderIds();
+          const selected = {
+            value: current.length > 1 ? ids.length - 1 : ids.indexOf(current[0])
+          };
+          const ok = ps.select(
+            null,
+            "LitGap - Citation Source",
+            "Where should Find Hidden Papers get citation data from?\n\n" +
+            "Each source has its own cache, so switching does not\n" +
+            "discard data fetched from the other one. \"All sources\"\n" +
+            "queries each in turn and merges the candidates.",
+            ids.map(id => id === LitGap.API.ALL_PROVIDERS
+              ? "All sources (merged)"
+              : LitGap.API.PROVIDERS[id].name),
+            selected
+          );
+          if (ok) {
+            LitGap.API.setProvider(ids[selected.value]);
+            Zotero.debug(`[LitGap Overlay] Provider set to ${ids[selected.value]}`);
+          }
+        }
+      },
+      {
+        label: "Semantic Scholar API key",
+        value: () => {
+          const key = LitGap.S2Provider.getApiKey();
+          return key ? `set (\u2026${key.slice(-4)})` : "not set";
+        },
+        edit: () => {
+          const input = { value: LitGap.S2Provider.getApiKey() };
+          const ok = ps.prompt(
+            null,
+            "LitGap - Semantic Scholar API Key",
+            "Optional. With a key, LitGap is allowed more requests per second\n" +
+            "and fetches several papers at once. Request one at\n" +
+            "https://www.semanticscholar.org/product/api\n\n" +
+            "Leave empty to use the shared public rate limit.",
+            input,
+            null,
+            {}
+          );
+          if (ok) {
+            LitGap.S2Provider.setApiKey(input.value);
+            Zotero.debug(`[LitGap Overlay] Semantic Scholar API key ${input.value.trim() ? 'set' : 'removed'}`);
+          }
+        }
+      },
+      {
+        label: "Resume interrupted runs",
+        value: () => {
+          const hours = LitGap.Checkpoint.getMaxAgeHours();
+          return hours > 0 ? `within ${hours} hour${hours !== 1 ? 's' : ''}` : "off";
+        },
+        edit: () => {
+          const input = { value: String(LitGap.Checkpoint.getMaxAgeHours()) };
+          const ok = ps.prompt(
+            null,
+            "LitGap - Resume Interrupted Runs",
+            "Find Hidden Papers saves its progress while it fetches citations.\n" +
+            "If a run is interrupted, the next run on the same collection can\n" +
+            "resume it instead of starting over.\n\n" +
+            "For how many hours should an interrupted run be resumable?\n" +
+            "(0 turns this off)",
+            input,
+            null,
+            {}
+          );
+          if (!ok) return;
+
+          const hours = parseInt(input.value, 10);
+          if (isNaN(hours) || hours < 0) {
+            ps.alert(null, "LitGap", "Please enter a whole number of hours (0 or more).");
+            return;
+          }
+          LitGap.Checkpoint.setMaxAgeHours(hours);
+          Zotero.debug(`[LitGap Overlay] Checkpoint max age set to ${hours}h`);
+        }
+      },
+      {
+        label: "Papers already in your library",
+        value: () => LitGap.LibraryIndex.OWNED_MODE_LABELS[LitGap.LibraryIndex.getOwnedMode()],
+        edit: () => {
+          const modes = LitGap.LibraryIndex.OWNED_MODES;
+          const selected = { value: modes.indexOf(LitGap.LibraryIndex.getOwnedMode()) };
+          const ok = ps.select(
+            null,
+            "LitGap - Papers Already in Your Library",
+            "Some recommended papers may already be in Zotero — in another\n" +
+            "collection or a group library. The papers being analyzed are\n" +
+            "always left out.\n\n" +
+            "What should the report do with the others?",
+            modes.map(m => LitGap.LibraryIndex.OWNED_MODE_LABELS[m]),
+            selected
+          );
+          if (ok) {
+            LitGap.LibraryIndex.setOwnedMode(modes[selected.value]);
+            Zotero.debug(`[LitGap Overlay] Owned papers mode set to ${modes[selected.value]}`);
+          }
+        }
+      },
+      {
+        label: "Scoring profile",
+        value: () => LitGap.ScoringProfiles.getActive().name,
+        edit: () => this._editScoringProfile()
+      },
+      {
+        label: "Ranking",
+        value: () => LitGap.Analyzer.STRATEGY_LABELS[LitGap.Analyzer.getStrategy()],
+        edit: () => {
+          const strategies = LitGap.Analyzer.STRATEGIES;
+          const selected = { value: strategies.indexOf(LitGap.Analyzer.getStrategy()) };
+          const ok = ps.select(
+            null,
+            "LitGap - Ranking",
+            "How should recommendations be ordered?\n\n" +
+            "PageRank follows the links between your papers and the candidates,\n" +
+            "favouring papers tied to the well-connected part of your collection.\n" +
+            "Reports show both scores, whichever you choose.",
+            strategies.map(s => LitGap.Analyzer.STRATEGY_LABELS[s]),
+            selected
+          );
+          if (ok) {
+            LitGap.Analyzer.setStrategy(strategies[selected.value]);
+            Zotero.debug(`[LitGap Overlay] Ranking strategy set to ${strategies[selected.value]}`);
+          }
+        }
+      },
+      {
+        label: "Second hop",
+        value: () => {
+          const hop = LitGap.API.getSecondHopSettings();
+          return hop.enabled
+            ? `On (top ${hop.topK} papers, up to ${hop.budget} extra requests)`
+            : "Off";
+        },
+        edit: () => this._editSecondHop()
+      },
+      {
+        label: "Diversity",
+        value: () => {
+          const weight = LitGap.Diversifier.getWeight();
+          return weight > 0 ? `${weight} (fewer near-duplicates)` : "off";
+        },
+        edit: () => {
+          const input = { value: String(LitGap.Diversifier.getWeight()) };
+          const ok = ps.prompt(
+            null,
+            "LitGap - Diversity",
+            "The top of the list is often crowded with near-duplicates (a preprint\n" +
+            "and its journal version, several papers of one lab on one method).\n" +
+            "Diversity trades a little score for papers unlike those already listed,\n" +
+            "judged by shared citing items, shared authors and title words.\n\n" +
+            "Diversity weight from 0 (plain ranking) to 1 (as varied as possible):",
+            input,
+            null,
+            {}
+          );
+          if (!ok) return;
+
+          try {
+            LitGap.Diversifier.setWeight(input.value.trim());
+            Zotero.debug(`[LitGap Overlay] Diversity weight set to ${input.value.trim()}`);
+          } catch (e) {
+            ps.alert(null, "LitGap", "Please enter a number from 0 to 1, such as 0.3.");
+          }
+        }
+      },
+      {
+        label: "Group by theme",
+        value: () => LitGap.Clusterer.MODE_LABELS[LitGap.Clusterer.getMode()],
+        edit: () => {
+          const modes = LitGap.Clusterer.MODES;
+          const selected = { value: modes.indexOf(LitGap.Clusterer.getMode()) };
+          const ok = ps.select(
+            null,
+            "LitGap - Group by theme",
+            "Group recommendations into themes?\n\n" +
+            "Papers cited by the same items of your collection end up together;\n" +
+            "each theme gets its own top list, labelled with its typical title words.",
+            modes.map(m => LitGap.Clusterer.MODE_LABELS[m]),
+            selected
+          );
+          if (ok) {
+            LitGap.Clusterer.setMode(modes[selected.value]);
+            Zotero.debug(`[LitGap Overlay] Clustering set to ${modes[selected.value]}`);
+          }
+        }
+      },
+      {
+        label: "What's New window",
+        value: () => `${LitGap.Analyzer.getWatchMonths()} months`,
+        edit: () => {
+          const input = { value: String(LitGap.Analyzer.getWatchMonths()) };
+          const ok = ps.prompt(
+            null,
+            "LitGap - What's New",
+            "\"What's New Around Your Library\" lists papers citing the collection\n" +
+            "that were published recently, ranked by how many of its items they cite.\n\n" +
+            `How many months back should it look? (1-${LitGap.Analyzer.MAX_WATCH_MONTHS})`,
+            input,
+            null,
+            {}
+          );
+          if (!ok) return;
+
+          try {
+            LitGap.Analyzer.setWatchMonths(input.value.trim());
+            Zotero.debug(`[LitGap Overlay] What's New window set to ${input.value.trim()} months`);
+          } catch (e) {
+            ps.alert(null, "LitGap", `Please enter a whole number from 1 to ${LitGap.Analyzer.MAX_WATCH_MONTHS}.`);
+          }
+        }
+      },
+      {
+        label: "Learned ranking",
+        value: () => {
+          if (!LitGap.LearnedRanker.isEnabled()) return "Off";
+          const model = LitGap.LearnedRanker.getModel();
+          return model
+            ? `On (trained on ${model.accepted} accepted, ${model.dismissed} dismissed papers)`
+            : "On (still learning)";
+        },
+        edit: () => {
+          const selected = { value: LitGap.LearnedRanker.isEnabled() ? 1 : 0 };
+          const ok = ps.select(
+            null,
+            "LitGap - Learned Ranking",
+            "Learn from your feedback which recommendations you want?\n\n" +
+            "Papers of a report that you add to Zotero count as accepted, papers\n" +
+            "you dismiss as not wanted. Once there are " + LitGap.LearnedRanker.MIN_EXAMPLES + " of them (at least\n" +
+            LitGap.LearnedRanker.MIN_PER_CLASS + " of each), a model trained on this computer re-weights the\n" +
+            "scores, and the report shows what it learned.",
+            ["Off", "On"],
+            selected
+          );
+          if (ok) {
+            LitGap.LearnedRanker.setEnabled(selected.value === 1);
+            Zotero.debug(`[LitGap Overlay] Learned ranking ${selected.value === 1 ? 'on' : 'off'}`);
+          }
+        }
+      }
+    ];
+  },
+
+  /**
+   * Second hop dialog: turn it on or off, then ask for the number of top
+   * papers to follow and the request budget
+   *
+   * @private
+   */
+  _editSecondHop: function() {
+    const ps = Services.prompt;
+    const current = LitGap.API.getSecondHopSettings();
+
+    const selected = { value: current.enabled ? 1 : 0 };
+    const ok = ps.select(
+      null,
+      "LitGap - Second Hop",
+      "Some missing papers are cited by the papers your collection cites\n" +
+      "rather than by your collection itself. The second hop fetches the\n" +
+      "references of the top recommendations and scores the papers they\n" +
+      "cite, reduced by the scoring profile's second-hop factor.\n\n" +
+      "This costs extra requests, capped by a budget.",
+      ["Off", "On"],
+      selected
+    );
+    if (!ok) return;
+
+    if (selected.value === 0) {
+      LitGap.API.setSecondHopSettings({ enabled: false });
+      Zotero.debug('[LitGap Overlay] Second hop turned off');
+      return;
+    }
+
+    const topK = { value: String(current.topK) };
+    if (!ps.prompt(null, "LitGap - Second Hop",
+      "How many top recommendations should be followed?", topK, null, {})) return;
+
+    const budget = { value: String(current.budget) };
+    if (!ps.prompt(null, "LitGap - Second Hop",
+      "At most how many extra requests may the second hop send?\n" +
+      "(Papers already in the citation cache cost nothing.)", budget, null, {})) return;
+
+    try {
+      LitGap.API.setSecondHopSettings({ enabled: true, topK: topK.value, budget: budget.value });
+      Zotero.debug(`[LitGap Overlay] Second hop on: top ${topK.value}, budget ${budget.value}`);
+    } catch (e) {
+      ps.alert(null, "LitGap", "Please enter whole numbers of at least 1.");
+    }
+  },
+
+  /**
+   * Scoring profile dialog: pick a profile, edit the custom one, or
+   * export / import a profile as JSON
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  _editScoringProfile: async function() {
+    const ps = Services.prompt;
+    const profiles = LitGap.ScoringProfiles;
+    const activeId = profiles.getActiveId();
+
+    const ids = profiles.getProfileIds();
+    const actions = ids.map(id => ({
+      label: `${id === activeId ? '\u2713 ' : ''}Use ${profiles.getProfile(id).name}`,
+      run: () => {
+        profiles.setActive(id);
+        Zotero.debug(`[LitGap Overlay] Scoring profile set to ${id}`);
+      }
+    })).concat([
+      { label: "Edit custom profile...", run: () => this._editCustomProfile() },
+      { label: "Export current profile to JSON...", run: () => this._exportScoringProfile() },
+      { label: "Import profile from JSON...", run: () => this._importScoringProfile() }
+    ]);
+
+    const selected = { value: 0 };
+    const ok = ps.select(
+      null,
+      "LitGap - Scoring Profile",
+      `Current profile: ${profiles.getActive().name}\n\n` +
+      profiles.describe(profiles.getActive()).join('\n') + "\n\n" +
+      "Recent-first favours papers from the last few years, Foundational\n" +
+      "favours highly cited papers of any age. The profile is printed in\n" +
+      "each report, so results can be reproduced.",
+      actions.map(a => a.label),
+      selected
+    );
+    if (ok) await actions[selected.value].run();
+  },
+
+  /**
+   * Edit the custom profile as JSON and make it the current profile
+   *
+   * @private
+   */
+  _editCustomProfile: function() {
+    const ps = Services.prompt;
+    const profiles = LitGap.ScoringProfiles;
+    const custom = profiles.getProfile(profiles.CUSTOM_ID);
+    delete custom.id;
+
+    const input = { value: JSON.stringify(custom) };
+    const ok = ps.prompt(
+      null,
+      "LitGap - Custom Scoring Profile",
+      "Edit the custom profile (JSON). Fields:\n" +
+      "  weights: mentions, impact and recency multipliers\n" +
+      "  impact: method ('velocity' = citations per year, ranked within\n" +
+      "    the run; 'citations' = total count), cap (maximum points) and,\n" +
+      "    for 'citations', per (citations per point)\n" +
+      "  recency: steps of { maxAge (years), score }, youngest first\n" +
+      "  minYear / maxAge: year window (null = no limit)\n" +
+      "  minMentions, topN: thresholds\n" +
+      "  secondHopDecay: score factor for second-hop papers (0-1)\n\n" +
+      "For larger changes, export the profile, edit the file and import it.",
+      input,
+      null,
+      {}
+    );
+    if (!ok) return;
+
+    try {
+      profiles.setCustom(JSON.parse(input.value));
+      profiles.setActive(profiles.CUSTOM_ID);
+      Zotero.debug('[LitGap Overlay] Custom scoring profile saved');
+    } catch (e) {
+      ps.alert(null, "LitGap", `The profile was not saved:\n\n${e.message}`);
+    }
+  },
+
+  /**
+   * Save the current profile to a JSON file chosen by the user
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  _exportScoringProfile: async function() {
+    const profiles = LitGap.ScoringProfiles;
+    const profile = profiles.getActive();
+    const safeName = profile.name.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+
+    const file = await this._pickJSONFile(
+      "Export Scoring Profile", 'modeSave', `litgap_profile_${safeName}.json`
+    );
+    if (!file) return;
+
+    try {
+      await IOUtils.writeUTF8(file.path, profiles.exportJSON(profile));
+      Zotero.debug(`[LitGap Overlay] Scoring profile exported to ${file.path}`);
+    } catch (e) {
+      Services.prompt.alert(null, "LitGap", `Failed to write file:\n${file.path}\n\n${e.message}`);
+    }
+  },
+
+  /**
+   * Load a profile from a JSON file into the custom profile and use it
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  _importScoringProfile: async function() {
+    const ps = Services.prompt;
+    const profiles = LitGap.ScoringProfiles;
+
+    const file = await this._pickJSONFile("Import Scoring Profile", 'modeOpen');
+    if (!file) return;
+
+    try {
+      const profile = profiles.importJSON(await IOUtils.readUTF8(file.path));
+      profiles.setCustom(profile);
+      profiles.setActive(profiles.CUSTOM_ID);
+      Zotero.debug(`[LitGap Overlay] Scoring profile imported from ${file.path}`);
+
+      ps.alert(null, "LitGap",
+        `\u2713 Imported "${profile.name}" as the custom profile and selected it.\n\n` +
+        profiles.describe(profile).join('\n'));
+    } catch (e) {
+      ps.alert(null, "LitGap", `Failed to import profile:\n${file.path}\n\n${e.message}`);
+    }
+  },
+
+  /**
+   * File picker for profile files
+   *
+   * @private
+   * @param {string} title
+   * @param {string} mode - 'modeOpen' | 'modeSave'
+   * @param {string} [defaultName]
+   * @returns {Promise<nsIFile|null>} null if cancelled
+   */
+  _pickJSONFile: async function(title, mode, defaultName) {
+    const win = Zotero.getMainWindow();
+    const fp = Components.classes["@mozilla.org/filepicker;1"]
+      .createInstance(Components.interfaces.nsIFilePicker);
+
+    fp.init(win.browsingContext, title, fp[mode]);
+    fp.appendFilter("JSON Files", "*.json");
+    fp.appendFilters(fp.filterAll);
+    if (defaultName) {
+      fp.defaultString = defaultName;
+      fp.defaultExtension = "json";
+    }
+
+    const rv = await new Promise(resolve => fp.open(result => resolve(result)));
+    if (rv !== fp.returnOK && rv !== fp.returnReplace) {
+      Zotero.debug(`[LitGap Overlay] ${title}: file picker cancelled`);
+      return null;
+    }
+    return fp.file;
+  },
+
+  /**
+   * Citation cache dialog — shows cache size and offers:
+   *   0 = Clear Cache                 (delete every cached lookup)
+   *   1 = Rebuild for This Collection (drop this collection's DOIs, then
+   *                                    run Find Hidden Papers to refetch them)
+   *   2 = Cancel
+   */
+  manageCitationCache: async function() {
+    try {
+      const cache = LitGap.CitationCache;
+      await cache.load();
+      const info = cache.getInfo();
+
+      const ps = Services.prompt;
+      const collection = Zotero.getActiveZoteroPane().getSelectedCollection();
+
+      const result = ps.confirmEx(
+        null,
+        "LitGap - Citation Cache",
+        `Cached papers: ${info.entries}\n` +
+        `Expire after: ${info.ttlDays > 0 ? info.ttlDays + ' days' : 'cache disabled'}\n` +
+        `Location: ${info.path}\n\n` +
+        "Clear Cache\n" +
+        "  Delete all cached citation data.\n" +
+        "  The next run will query the citation source for every paper.\n\n" +
+        "Rebuild for This Collection\n" +
+        "  Refetch citation data for the selected collection now.",
+        (ps.BUTTON_TITLE_IS_STRING * ps.BUTTON_POS_0) +
+        (ps.BUTTON_TITLE_IS_STRING * ps.BUTTON_POS_1) +
+        (ps.BUTTON_TITLE_CANCEL   * ps.BUTTON_POS_2),
+        "Clear Cache",                   // button 0
+        "Rebuild for This Collection",   // button 1
+        null,                            // button 2 = Cancel
+        null,
+        {}
+      );
+
+      if (result === 2 || result === -1) {
+        Zotero.debug("[LitGap Overlay] Cache dialog cancelled");
+        return;
+      }
+
+      if (result === 0) {
+        const removed = await cache.clear();
+        ps.alert(null, "LitGap",
+          `\u2713 Citation cache cleared.\n\n` +
+          `${removed} cached paper${removed !== 1 ? 's' : ''} removed.`
+        );
+        return;
+      }
+
+      // ── Rebuild for the selected collection ───────────────────────────────
+      if (!collection) {
+        ps.alert(null, "LitGap", "Please select a collection first.");
+        return;
+      }
+
+      const providers = Object.values(LitGap.API.PROVIDERS);
+      const keys = LitGap.Parser.parseZoteroLibrary(collection)
+        .flatMap(paper => providers.map(provider => LitGap.API.getCacheKey(paper, provider)))
+        .filter(key => key);
+
+      const removed = cache.invalidate(keys);
+      await cache.save();
+      await LitGap.Checkpoint.discard(collection);
+      Zotero.debug(`[LitGap Overlay] Rebuilding cache: ${removed} entries invalidated for ${collection.name}`);
+
+      await this.analyzeCollection(collection);
+
+    } catch (e) {
+      Zotero.debug(`[LitGap Overlay] Error managing citation cache: ${e.message}`);
+      Zotero.logError(e);
+    }
+  },
+
+  /**
+   * "Dismissed Recommendations..." dialog: dismiss papers of the selected
+   * collection's last report, review dismissals, or export / import them
+   */
+  manageDismissals: async function() {
+    try {
+      const ps = Services.prompt;
+      const feedback = LitGap.Feedback;
+      await feedback.load();
+
+      const collection = Zotero.getActiveZoteroPane().getSelectedCollection();
+      const lastRun = collection ? feedback.getLastRun(collection) : null;
+      const count = feedback.getDismissals(collection).length;
+
+      const actions = [
+        {
+          label: lastRun
+            ? `Dismiss papers from the last report (${lastRun.papers.length} papers, ${lastRun.date.split('T')[0]})`
+            : "Dismiss papers from the last report (run Find Hidden Papers first)",
+          run: () => this._dismissFromLastRun(collection, lastRun)
+        },
+        { label: `Review dismissed papers (${count})`, run: () => this._reviewDismissals(collection) },
+        { label: "Export dismissals to JSON...", run: () => this._exportDismissals(collection) },
+        { label: "Import dismissals from JSON...", run: () => this._importDismissals(collection) }
+      ];
+
+      const selected = { value: 0 };
+      const ok = ps.select(
+        null,
+        "LitGap - Dismissed Recommendations",
+        "Dismissed papers are left out of later Find Hidden Papers runs, for\n" +
+        (collection ? `"${collection.name}"` : "the selected collection") + " or for all collections.",
+        actions.map(a => a.label),
+        selected
+      );
+      if (!ok) return;
+
+      await actions[selected.value].run();
+      await feedback.save();
+    } catch (e) {
+      Zotero.debug(`[LitGap Overlay] Error managing dismissals: ${e.message}`);
+      Zotero.logError(e);
+    }
+  },
+
+  /**
+   * Pick papers of the last report one at a time, each with a reason and
+   * a scope, until the list is cancelled
+   *
+   * @private
+   * @param {Zotero.Collection|null} collection
+   * @param {Object|null} lastRun - Feedback.getLastRun()
+   */
+  _dismissFromLastRun: function(collection, lastRun) {
+    const ps = Services.prompt;
+    const feedback = LitGap.Feedback;
+    if (!collection || !lastRun) {
+      ps.alert(null, "LitGap", "Run Find Hidden Papers on this collection first.");
+      return;
+    }
+
+    const reasons = Object.keys(feedback.REASONS);
+    for (;;) {
+      const index = feedback.buildIndex(collection);
+      const papers = lastRun.papers.filter(p => !feedback.findDismissal(index, p));
+      if (papers.length === 0) {
+        ps.alert(null, "LitGap", "Every paper of the last report is dismissed.");
+        return;
+      }
+
+      const paper = { value: 0 };
+      if (!ps.select(null, "LitGap - Dismiss a Paper",
+        "Which paper do you want to dismiss? (Cancel when done)",
+        papers.map(p => `${p.title}${p.year ? ` (${p.year})` : ''}`), paper)) return;
+
+      const reason = { value: 0 };
+      if (!ps.select(null, "LitGap - Dismiss a Paper", "Why?",
+        reasons.map(r => feedback.REASONS[r]), reason)) return;
+
+      const scope = { value: 0 };
+      if (!ps.select(null, "LitGap - Dismiss a Paper", "Dismiss it for:",
+        [`This collection ("${collection.name}")`, "All collections"], scope)) return;
+
+      feedback.dismiss(papers[paper.value], reasons[reason.value], scope.value === 0 ? collection : null);
+    }
+  },
+
+  /**
+   * List dismissals and restore the ones picked, until cancelled
+   *
+   * @private
+   * @param {Zotero.Collection|null} collection
+   */
+  _reviewDismissals: function(collection) {
+    const ps = Services.prompt;
+    const feedback = LitGap.Feedback;
+
+    for (;;) {
+      const dismissals = feedback.getDismissals(collection);
+      if (dismissals.length === 0) {
+        ps.alert(null, "LitGap", "No dismissed papers" + (collection ? " for this collection." : "."));
+        return;
+      }
+
+      const selected = { value: 0 };
+      if (!ps.select(null, "LitGap - Dismissed Papers",
+        "Select a paper to show it in reports again (Cancel when done):",
+        dismissals.map(({ entry, scope }) =>
+          `${entry.title} — ${feedback.REASONS[entry.reason]}, ${scope === 'global' ? 'all collections' : 'this collection'}`),
+        selected)) return;
+
+      const { entry } = dismissals[selected.value];
+      if (ps.confirm(null, "LitGap", `Show "${entry.title}" in reports again?`)) {
+        feedback.restore(entry);
+      }
+    }
+  },
+
+  /**
+   * Write the global and collection dismissals to a JSON file
+   *
+   * @private
+   * @param {Zotero.Collection|null} collection
+   * @returns {Promise<void>}
+   */
+  _exportDismissals: async function(collection) {
+    const file = await this._pickJSONFile("Export Dismissals", 'modeSave', "litgap_dismissals.json");
+    if (!file) return;
+
+    try {
+      await IOUtils.writeUTF8(file.path, LitGap.Feedback.exportJSON(collection));
+      Zotero.debug(`[LitGap Overlay] Dismissals exported to ${file.path}`);
+    } catch (e) {
+      Services.prompt.alert(null, "LitGap", `Failed to write file:\n${file.path}\n\n${e.message}`);
+    }
+  },
+
+  /**
+   * Add the dismissals of a JSON file (collection entries go to the
+   * selected collection)
+   *
+   * @private
+   * @param {Zotero.Collection|null} collection
+   * @returns {Promise<void>}
+   */
+  _importDismissals: async function(collection) {
+    const ps = Services.prompt;
+    const file = await this._pickJSONFile("Import Dismissals", 'modeOpen');
+    if (!file) return;
+
+    try {
+      const added = LitGap.Feedback.importJSON(await IOUtils.readUTF8(file.path), collection);
+      ps.alert(null, "LitGap", `\u2713 ${added} dismissal${added !== 1 ? 's' : ''} imported.`);
+    } catch (e) {
+      ps.alert(null, "LitGap", `Failed to import dismissals:\n${file.path}\n\n${e.message}`);
+    }
+  },
 
   /**
    * Clean up UI elements and event listeners
@@ -475,6 +1359,7 @@ var LitGapOverlay = {
         const doc = zoteroPane.document;
 
         ['litgap-separator', 'litgap-analyze', 'litgap-kgm-menuitem',
+         'litgap-watch', 'litgap-settings', 'litgap-cache', 'litgap-feedback',
          'litgap-reset-separator', 'litgap-reset-prefs'].forEach(id => {
           const el = doc.getElementById(id);
           if (el && el.parentNode) {
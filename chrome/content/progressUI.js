@@ -3,10 +3,16 @@
  * Non-blocking floating progress panel injected into Zotero's main window DOM
  *
  * @module progressUI
- * @version 2.0.5
+ * @version 2.1.0
  *
  * Shared between Feature 1 (Find Hidden Papers) and Feature 2 (KGM).
  *
+ * CHANGELOG v2.1.0:
+ *   - Added: Cancel button. show(title, { onCancel }) displays it; the
+ *     handler runs once, then the button turns into a disabled
+ *     "Cancelling…" until the run stops. setCancelHandler(null) hides it
+ *     again once a run reaches a step that cannot be cancelled.
+ *
  * CHANGELOG v2.0.5:
  *   - Fixed: innerHTML also throws "An invalid or illegal string was specified"
  *     in Zotero 8 XUL/XHTML mixed namespace context. Replaced ALL innerHTML
@@ -27,7 +33,8 @@
  *     single reliable path, no try/catch needed.
  *
  * Public API:
- *   ProgressUI.show(title)
+ *   ProgressUI.show(title, options)      options: { onCancel }
+ *   ProgressUI.setCancelHandler(fn|null)
  *   ProgressUI.update(message, percent)
  *   ProgressUI.hide()
  *   ProgressUI.showComplete(message)
@@ -42,12 +49,19 @@ var ProgressUI = {
   _msgEl:   null,
   _barEl:   null,
   _pctEl:   null,
+  _cancelEl: null,
 
   _hideTimer: null,
+  _onCancel:  null,
 
   // ─── Public API ────────────────────────────────────────────────────────────
 
-  show: function(title) {
+  /**
+   * @param {string} title
+   * @param {Object} [options]
+   * @param {Function} [options.onCancel] Shows a Cancel button that calls it
+   */
+  show: function(title, options) {
     try {
       if (this._hideTimer) {
         clearTimeout(this._hideTimer);
@@ -59,6 +73,7 @@ var ProgressUI = {
         if (this._titleEl) this._titleEl.textContent = title || 'LitGap';
         this._panel.setAttribute('style', this._panelCSS('#1F3864'));
         this._resetBar();
+        this.setCancelHandler((options && options.onCancel) || null);
         return;
       }
 
@@ -113,12 +128,23 @@ var ProgressUI = {
       );
       trackEl.appendChild(barEl);
 
+      // Cancel button (hidden until a cancel handler is set)
+      const cancelEl = doc.createElement('button');
+      cancelEl.textContent = 'Cancel';
+      cancelEl.setAttribute('style', this._cancelCSS(false, false));
+      cancelEl.addEventListener('click', () => this._cancel());
+
+      const footerRow = doc.createElement('div');
+      footerRow.setAttribute('style', 'display:flex;justify-content:flex-end;');
+      footerRow.appendChild(cancelEl);
+
       // Panel root
       const panel = doc.createElement('div');
       panel.setAttribute('style', this._panelCSS('#1F3864'));
       panel.appendChild(headerRow);
       panel.appendChild(msgEl);
       panel.appendChild(trackEl);
+      panel.appendChild(footerRow);
 
       // Inject into documentElement (correct anchor for position:fixed in Zotero 8)
       doc.documentElement.appendChild(panel);
@@ -129,6 +155,9 @@ var ProgressUI = {
       this._msgEl   = msgEl;
       this._barEl   = barEl;
       this._pctEl   = pctEl;
+      this._cancelEl = cancelEl;
+
+      this.setCancelHandler((options && options.onCancel) || null);
 
       Zotero.debug('ProgressUI: Panel shown — ' + title);
     } catch (e) {
@@ -136,6 +165,19 @@ var ProgressUI = {
     }
   },
 
+  /**
+   * Show the Cancel button with a new handler, or hide it (null)
+   * @param {Function|null} handler
+   */
+  setCancelHandler: function(handler) {
+    this._onCancel = typeof handler === 'function' ? handler : null;
+    if (this._cancelEl) {
+      this._cancelEl.textContent = 'Cancel';
+      this._cancelEl.disabled = false;
+      this._cancelEl.setAttribute('style', this._cancelCSS(!!this._onCancel, false));
+    }
+  },
+
   update: function(message, percent) {
     try {
       if (!this._panel) return;
@@ -172,6 +214,8 @@ var ProgressUI = {
       this._msgEl   = null;
       this._barEl   = null;
       this._pctEl   = null;
+      this._cancelEl = null;
+      this._onCancel = null;
       Zotero.debug('ProgressUI: Panel hidden');
     } catch (e) {
       Zotero.debug('ProgressUI: hide() failed — ' + e.message);
@@ -183,6 +227,8 @@ var ProgressUI = {
       if (!this._panel) this.show('LitGap');
       if (!this._panel) return;
 
+      this.setCancelHandler(null);
+
       // Switch panel to green
       this._panel.setAttribute('style', this._panelCSS('#1a5c2a'));
 
@@ -215,6 +261,41 @@ var ProgressUI = {
     if (this._pctEl) this._pctEl.textContent = '0%';
   },
 
+  /**
+   * Cancel button click: run the handler once, then wait for the run to stop
+   */
+  _cancel: function() {
+    const handler = this._onCancel;
+    if (!handler) return;
+    this._onCancel = null;
+
+    if (this._cancelEl) {
+      this._cancelEl.textContent = 'Cancelling\u2026';
+      this._cancelEl.disabled = true;
+      this._cancelEl.setAttribute('style', this._cancelCSS(true, true));
+    }
+
+    try {
+      handler();
+    } catch (e) {
+      Zotero.debug('ProgressUI: cancel handler failed — ' + e.message);
+    }
+  },
+
+  /**
+   * Build Cancel button style string.
+   * @param {boolean} visible
+   * @param {boolean} disabled
+   */
+  _cancelCSS: function(visible, disabled) {
+    return 'display:' + (visible ? 'inline-block' : 'none') + ';' +
+      'margin-top:10px;padding:3px 12px;font-size:11px;' +
+      'color:#ffffff;background:transparent;' +
+      'border:1px solid rgba(255,255,255,0.5);border-radius:4px;' +
+      'cursor:' + (disabled ? 'default' : 'pointer') + ';' +
+      'opacity:' + (disabled ? '0.6' : '1') + ';';
+  },
+
   _getDocument: function() {
     try {
       const win = Zotero.getMainWindow();
@@ -3,7 +3,11 @@
  * Unified client for multiple AI providers (Anthropic, OpenAI, Google, Custom)
  *
  * @module aiClient
- * @version 2.0.1
+ * @version 2.1.0
+ *
+ * CHANGELOG v2.1.0:
+ *   - Added: complete() takes an optional AbortSignal; aborting the signal
+ *     stops the request and rejects with CANCELLED.
  *
  * CHANGELOG v2.0.1:
  *   - Fixed: Pref key namespace corrected from 'extensions.litgap.*'
@@ -28,6 +32,7 @@
  *   RATE_LIMIT     → HTTP 429
  *   NETWORK_ERROR  → fetch() threw (no connection, DNS failure, etc.)
  *   API_ERROR: NNN → other non-2xx HTTP status
+ *   CANCELLED      → the AbortSignal passed to complete() fired
  */
 
 var AIClient = {
@@ -92,10 +97,12 @@ var AIClient = {
        *
        * @param {string} prompt         - User prompt
        * @param {string} [systemPrompt] - Optional system/context instruction
+       * @param {number} [maxTokens]    - Response token limit (default MAX_TOKENS)
+       * @param {AbortSignal} [signal]  - Cancels the request (throws CANCELLED)
        * @returns {Promise<string>} AI response text
        */
-      complete: function(prompt, systemPrompt, maxTokens) {
-        return self._dispatch(_provider, _apiKey, _model, _customBaseUrl, prompt, systemPrompt || '', maxTokens);
+      complete: function(prompt, systemPrompt, maxTokens, signal) {
+        return self._dispatch(_provider, _apiKey, _model, _customBaseUrl, prompt, systemPrompt || '', maxTokens, signal);
       },
 
       /**
@@ -179,20 +186,20 @@ var AIClient = {
    *
    * @private
    */
-  _dispatch: async function(provider, apiKey, model, customBaseUrl, prompt, systemPrompt, maxTokens) {
+  _dispatch: async function(provider, apiKey, model, customBaseUrl, prompt, systemPrompt, maxTokens, signal) {
   const tokens = maxTokens || this.MAX_TOKENS;
     Zotero.debug(`AIClient: Sending request to provider="${provider}" model="${model}"`);
 
     switch (provider) {
       case 'anthropic':
-        return this._callAnthropic(apiKey, model, prompt, systemPrompt, tokens);
+        return this._callAnthropic(apiKey, model, prompt, systemPrompt, tokens, signal);
       case 'openai':
-        return this._callOpenAI('https://api.openai.com', apiKey, model, prompt, systemPrompt, tokens);
+        return this._callOpenAI('https://api.openai.com', apiKey, model, prompt, systemPrompt, tokens, signal);
       case 'google':
-        return this._callGoogle(apiKey, model, prompt, systemPrompt, tokens);
+        return this._callGoogle(apiKey, model, prompt, systemPrompt, tokens, signal);
       case 'custom':
         if (!customBaseUrl) throw new Error('customBaseUrl is required for custom provider');
-        return this._callOpenAI(customBaseUrl, apiKey, model, prompt, systemPrompt, tokens);
+        return this._callOpenAI(customBaseUrl, apiKey, model, prompt, systemPrompt, tokens, signal);
       default:
         throw new Error(`Unknown provider: ${provider}`);
     }
@@ -206,7 +213,7 @@ var AIClient = {
    *
    * @private
    */
-  _callAnthropic: async function(apiKey, model, prompt, systemPrompt, tokens) {
+  _callAnthropic: async function(apiKey, model, prompt, systemPrompt, tokens, signal) {
     const url = 'https://api.anthropic.com/v1/messages';
 
     const body = {
@@ -228,7 +235,8 @@ var AIClient = {
         'x-api-key':         apiKey,
         'anthropic-version': this.ANTHROPIC_VERSION
       },
-      body: JSON.stringify(body)
+      body: JSON.stringify(body),
+      signal: signal
     });
 
     const data = await response.json();
@@ -245,7 +253,7 @@ var AIClient = {
    *
    * @private
    */
-  _callOpenAI: async function(baseUrl, apiKey, model, prompt, systemPrompt, tokens) {
+  _callOpenAI: async function(baseUrl, apiKey, model, prompt, systemPrompt, tokens, signal) {
     const url = `${baseUrl}/v1/chat/completions`;
 
     const messages = [];
@@ -266,7 +274,8 @@ var AIClient = {
         'Content-Type':  'application/json',
         'Authorization': `Bearer ${apiKey}`
       },
-      body: JSON.stringify(body)
+      body: JSON.stringify(body),
+      signal: signal
     });
 
     const data = await response.json();
@@ -281,7 +290,7 @@ var AIClient = {
    *
    * @private
    */
-  _callGoogle: async function(apiKey, model, prompt, systemPrompt, tokens) {
+  _callGoogle: async function(apiKey, model, prompt, systemPrompt, tokens, signal) {
     const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
 
     const contents = [];
@@ -316,7 +325,8 @@ var AIClient = {
       headers: {
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify(body)
+      body: JSON.stringify(body),
+      signal: signal
     });
 
     const data = await response.json();
@@ -333,14 +343,23 @@ var AIClient = {
    * @param {string} url
    * @param {Object} options - fetch() options
    * @returns {Promise<Response>} Resolved response with 2xx status
-   * @throws {Error} INVALID_KEY | RATE_LIMIT | NETWORK_ERROR | API_ERROR: NNN
+   * @throws {Error} INVALID_KEY | RATE_LIMIT | NETWORK_ERROR | API_ERROR: NNN | CANCELLED
    */
   _fetchWithErrorHandling: async function(url, options) {
     let response;
 
+    if (options.signal && options.signal.aborted) {
+      throw new Error('CANCELLED');
+    }
+
     try {
       response = await fetch(url, options);
     } catch (networkError) {
+      // fetch() rejects with an AbortError when the signal fires
+      if (options.signal && options.signal.aborted) {
+        Zotero.debug('AIClient: Request cancelled');
+        throw new Error('CANCELLED');
+      }
       Zotero.debug(`AIClient: Network error - ${networkError.message}`);
       throw new Error('NETWORK_ERROR');
     }
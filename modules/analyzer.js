@@ -3,35 +3,181 @@
  * Find knowledge gaps by analyzing citation patterns
  * 
  * @module analyzer
- * @version 2.0.0
+ * @version 2.13.0
  * 
  * Ported from: find_gaps.py
  * 
- * Scoring Formula:
+ * CHANGELOG:
+ * v2.13.0 - compareDistributions(): publication years and venues of the
+ *           collection against those of the papers it cites, with the
+ *           largest differences as findings; venues are matched by ISSN
+ *           where the library item and the cited papers have one, by name
+ *           otherwise, and rows and venue findings say which
+ * v2.12.0 - findAuthorGaps(): authors the collection keeps citing whose
+ *           papers it mostly lacks, with their most-cited missing papers
+ * v2.11.0 - options.publishedSince keeps only papers published on or after
+ *           a date ("What's New" runs, watchMonths pref); early influential
+ *           papers are not marked in such runs
+ * v2.10.0 - Every recommendation carries its LearnedRanker features;
+ *           with options.learnedModel the classic score is multiplied by
+ *           the model's factor (learned: { probability, factor,
+ *           contributions }). Graph scores are computed before scoring.
+ * v2.9.0 - options.dismissals: papers the user dismissed (Feedback) are
+ *          left out
+ * v2.8.0 - A candidate whose folded preprint (versions, from
+ *          Merger.collapseVersions) is a paper of the run is removed too
+ * v2.7.0 - Second-hop candidates (hop: 2, from API.fetchSecondHop) get their
+ *          own gap type and their score multiplied by the profile's
+ *          secondHopDecay; their mentions are the intermediates citing them
+ * v2.6.0 - Ranking strategies: classic score or personalized PageRank over
+ *          the run's citation graph (CitationGraph). Every recommendation
+ *          carries both scores and ranks, plus its co-citation strength
+ * v2.5.0 - Citation velocity (citations per year) and percentile ranks
+ *          against the run's candidates (impactPercentile,
+ *          citationPercentile, yearPercentile); velocity impact scoring;
+ *          early influential uses percentiles instead of fixed years
+ * v2.4.0 - Weights, caps, recency curve, year window and thresholds come from
+ *          a scoring profile (ScoringProfiles); recommendations carry
+ *          recencyStep
+ * v2.3.0 - Candidates already in the Zotero library (any collection or group
+ *          library, see LibraryIndex) are removed or carry owned
+ * v2.2.0 - Merged candidates are dropped if any source's ID is a library paper
+ * v2.1.0 - Each recommendation carries gapType/gapLabel derived from the
+ *          direction it was found through (references vs citations)
+ * 
+ * Scoring Formula (Classic profile; see ScoringProfiles for the others):
  * totalScore = mentionedScore + impactScore + recencyScore
  * - mentionedScore: mentioned_count × 10 (highest weight)
- * - impactScore: min(citationCount / 100, 5) (capped at 5)
+ * - impactScore: percentile of citations per year among the candidates × 5
  * - recencyScore: 3/2/1/0 based on publication age
+ * 
+ * Percentiles are mid-rank (ties share a rank; a lone candidate is 0.5),
+ * taken over the candidates that pass the filters of the run.
+ * 
+ * Ranking strategies (rankingStrategy pref, options.strategy):
+ * - classic: by totalScore
+ * - pagerank: by pageRankScore, personalized PageRank seeded on the library
+ *   papers, scaled so the best candidate of the run gets 100
+ * Both scores are always computed, so reports can compare them.
+ * 
+ * Second-hop candidates count the intermediate papers that cite them as
+ * mentions; their whole score is multiplied by profile.secondHopDecay.
+ * 
+ * "What's New" runs (options.publishedSince, from getWatchSince()) keep the
+ * papers published on or after the date: by publicationDate, or by year
+ * when the source gives no date (the whole cutoff year counts).
+ * 
+ * Learned ranking (options.learnedModel, see LearnedRanker): the classic
+ * score is also multiplied by the model's factor (×0.5 to ×1.5), learned
+ * from the papers the user accepted or dismissed. PageRank is unchanged.
+ * 
+ * Author gaps (findAuthorGaps()): candidates are grouped by author ID (see
+ * API, authorIds). An author counts the items of the collection that cite
+ * any of their papers, the papers of theirs the library holds (papers of
+ * the run, and candidates LibraryIndex finds) and those it is missing.
+ * Authors cited by at least AUTHOR_MIN_CITING_ITEMS items with more papers
+ * missing than held are listed, most citing items first. IDs of different
+ * sources are not matched, so with "All sources" an author can appear
+ * once per source.
+ * 
+ * Distributions (compareDistributions()): the collection's papers and the
+ * first-hop papers it cites are counted per YEAR_BIN-year bin and per
+ * venue. Zotero's publication titles and the sources' venue names often
+ * differ ("J. Neurosci." / "Journal of Neuroscience"), so papers whose
+ * ISSN belongs to a cited venue count for it; the rest are matched by name
+ * (LearnedRanker.venueKey()) only. Findings are the year cut-off with the
+ * largest share difference on either side (at least YEAR_GAP) and the
+ * most-cited venues that are rare or absent in the collection.
  */
 
 var Analyzer = {
   
+  PREF_PREFIX: 'extensions.zotero.litgap.',
+  DEFAULT_WATCH_MONTHS: 12,
+  MAX_WATCH_MONTHS: 120,
+  AUTHOR_MIN_CITING_ITEMS: 3,
+  AUTHOR_TOP_N: 10,
+  AUTHOR_PAPERS: 3, // Missing papers listed per author
+  YEAR_BIN: 5,
+  MAX_YEAR_BINS: 8, // Older years share the first bin
+  MAX_VENUES: 10,
+  YEAR_GAP: 0.2, // Share difference worth a finding
+  VENUE_MIN_SHARE: 0.05,
+  VENUE_MIN_PAPERS: 3,
+  VENUE_RARE_RATIO: 1 / 3, // Collection share below this part of the cited share
+  MAX_VENUE_FINDINGS: 3,
+  STRATEGIES: ['classic', 'pagerank'],
+  DEFAULT_STRATEGY: 'classic',
+  STRATEGY_LABELS: {
+    classic: 'Classic score (mentions, impact, recency)',
+    pagerank: 'Personalized PageRank over the citation graph'
+  },
+  
+  // Early influential: oldest quarter of the run, top quarter by citations
+  EARLY_MAX_YEAR_PERCENTILE:     0.25,
+  EARLY_MIN_CITATION_PERCENTILE: 0.75,
+  
+  /**
+   * Gap kinds, keyed by the API search direction a candidate was found through
+   */
+  GAP_TYPES: {
+    references: {
+      type: 'foundational',
+      label: 'Foundational work you are missing'
+    },
+    citations: {
+      type: 'building',
+      label: 'Newer work building on your library'
+    },
+    both: {
+      type: 'connected',
+      label: 'Cited by and citing your library'
+    },
+    secondHop: {
+      type: 'second-hop',
+      label: 'One step removed: cited by papers linked to your library'
+    }
+  },
+  
   /**
    * Find knowledge gaps in citation data
    * 
    * @param {Object} citationData - Citation data from API module
    * @param {Object} options - Analysis options
-   * @param {number} options.minYear - Minimum publication year (default: 2010)
-   * @param {number} options.topN - Number of recommendations to return (default: 10)
-   * @param {number} options.minMentions - Minimum mention count (default: 2)
+   * @param {Object} options.profile - Scoring profile (default: Classic, see
+   *        ScoringProfiles); minYear, topN and minMentions below override it
+   * @param {number} options.minYear - Minimum publication year
+   * @param {number} options.topN - Number of recommendations to return
+   * @param {number} options.minMentions - Minimum mention count
+   * @param {Object} options.libraryIndex - LibraryIndex.build() result; without
+   *        it only the papers of this run count as owned
+   * @param {string} options.ownedMode - 'hide' (default) removes candidates owned
+   *        outside this run, 'label' keeps them with owned = LibraryIndex entry
+   * @param {string} options.strategy - 'classic' (default) or 'pagerank'
+   * @param {Object} options.dismissals - Feedback.buildIndex() result;
+   *        dismissed papers are removed
+   * @param {Object} options.learnedModel - LearnedRanker.train() result;
+   *        re-weights the classic score
+   * @param {string} options.publishedSince - 'YYYY-MM-DD'; older papers
+   *        are removed
    * @returns {Array} Sorted array of recommendations with scores
    */
   findGaps: function(citationData, options = {}) {
+    const profile = options.profile || ScoringProfiles.getProfile(ScoringProfiles.DEFAULT_ID);
     const {
-      minYear = 2010,
-      topN = 10,
-      minMentions = 2
+      minYear = profile.minYear,
+      topN = profile.topN,
+      minMentions = profile.minMentions,
+      libraryIndex = null,
+      ownedMode = 'hide',
+      strategy = this.DEFAULT_STRATEGY,
+      dismissals = null,
+      learnedModel = null,
+      publishedSince = null
     } = options;
+    const currentYear = new Date().getFullYear();
+    
+    Zotero.debug(`Analyzer: Scoring profile ${profile.name}`);
     
     Zotero.debug("\n" + "=".repeat(60));
     Zotero.debug("Analyzer: Finding knowledge gaps...");
@@ -42,20 +188,56 @@ var Analyzer = {
     
     Zotero.debug(`Total citations: ${allCitations.length}`);
     
-    // Filter 1: Remove user's existing papers
+    // Filter 1: Remove user's existing papers (under any source's ID, or
+    // any version's)
     let candidates = allCitations.filter(c => 
-      !userPaperIds.has(c.paperId)
+      !userPaperIds.has(c.paperId) &&
+      !Object.values(c.sourcePaperIds || {}).some(id => userPaperIds.has(id)) &&
+      !(c.versions || []).some(v => Object.values(v.sourcePaperIds).some(id => userPaperIds.has(id)))
     );
     Zotero.debug(`After removing existing papers: ${candidates.length}`);
     
-    // Filter 2: Year threshold
+    // Filter 1b: Papers owned anywhere in Zotero (DOI, other IDs, title)
+    const owned = new Map();
+    if (libraryIndex) {
+      const runItems = new Set((citationData.user_papers || []).map(p => `${p.libraryID}_${p.id}`));
+      candidates = candidates.filter(c => {
+        const entry = LibraryIndex.find(libraryIndex, c);
+        if (!entry) return true;
+        if (runItems.has(`${entry.libraryID}_${entry.key}`) || ownedMode !== 'label') return false;
+        owned.set(c, entry);
+        return true;
+      });
+      Zotero.debug(`After removing papers owned elsewhere: ${candidates.length} (${owned.size} labelled)`);
+    }
+    
+    // Filter 1c: Papers the user dismissed in earlier runs
+    if (dismissals && dismissals.size > 0) {
+      candidates = candidates.filter(c => !Feedback.findDismissal(dismissals, c));
+      Zotero.debug(`After removing dismissed papers: ${candidates.length}`);
+    }
+    
+    // Filter 2: Year window
+    const oldestYear = Math.max(
+      minYear === null ? -Infinity : minYear,
+      profile.maxAge === null ? -Infinity : currentYear - profile.maxAge
+    );
     candidates = candidates.filter(c => {
       if (!c.year) return false;
       const year = parseInt(c.year);
-      return !isNaN(year) && year >= minYear;
+      return !isNaN(year) && year >= oldestYear;
     });
-    Zotero.debug(`After year filter (>=${minYear}): ${candidates.length}`);
+    Zotero.debug(`After year filter (>=${oldestYear}): ${candidates.length}`);
     
+    // Filter 2b: Recent papers only ("What's New" runs)
+    if (publishedSince) {
+      const sinceYear = parseInt(publishedSince);
+      candidates = candidates.filter(c => c.publicationDate
+        ? c.publicationDate >= publishedSince
+        : parseInt(c.year) >= sinceYear);
+      Zotero.debug(`After published-since filter (>=${publishedSince}): ${candidates.length}`);
+    }
+
     // Filter 3: Minimum mentions
     candidates = candidates.filter(c => 
       (c.mentioned_count || 0) >= minMentions
@@ -67,23 +249,56 @@ var Analyzer = {
       return [];
     }
     
-    // Calculate scores for all candidates
-    const recommendations = candidates.map(citation => {
-      const scores = this._calculateScore(citation);
+    // Rank candidates against each other
+    const ranks = this._rankCandidates(candidates, currentYear);
+    
+    const recommendations = candidates.map((citation, i) => {
+      const gap = citation.hop === 2
+        ? this.GAP_TYPES.secondHop
+        : this.GAP_TYPES[citation.direction] || this.GAP_TYPES.references;
       return {
         ...citation,
-        totalScore: scores.totalScore,
-        mentionedScore: scores.mentionedScore,
-        impactScore: scores.impactScore,
-        recencyScore: scores.recencyScore
+        gapType: gap.type,
+        gapLabel: gap.label,
+        owned: owned.get(citation) || null,
+        citationsPerYear: ranks[i].citationsPerYear,
+        impactPercentile: ranks[i].impactPercentile,
+        citationPercentile: ranks[i].citationPercentile,
+        yearPercentile: ranks[i].yearPercentile
       };
     });
     
-    // Sort by total score (descending)
-    recommendations.sort((a, b) => b.totalScore - a.totalScore);
+    // Graph scores (co-citations are a learned-ranking feature)
+    this._addGraphScores(recommendations, citationData);
+    
+    // Calculate scores for all candidates
+    const venues = LearnedRanker.getVenueShares(citationData.user_papers);
+    recommendations.forEach((rec, i) => {
+      rec.features = LearnedRanker.getFeatures(rec, venues);
+      rec.learned = learnedModel ? LearnedRanker.explain(learnedModel, rec.features) : null;
+      Object.assign(rec, this._calculateScore(rec, profile, currentYear, ranks[i], rec.learned));
+    });
+    if (learnedModel) {
+      Zotero.debug(`Analyzer: Scores re-weighted by the learned model (${learnedModel.accepted} accepted, ${learnedModel.dismissed} dismissed)`);
+    }
+    
+    // Rank of each candidate under both strategies
+    const byClassic = (a, b) => b.totalScore - a.totalScore;
+    const byPageRank = (a, b) => b.pageRankScore - a.pageRankScore || byClassic(a, b);
+    recommendations.sort(byPageRank).forEach((rec, i) => { rec.pageRankRank = i + 1; });
+    recommendations.sort(byClassic).forEach((rec, i) => { rec.classicRank = i + 1; });
     
-    // Mark early influential papers (oldest with high citations in top results)
-    this._markEarlyInfluential(recommendations, topN);
+    // Sort by the chosen strategy (descending)
+    if (strategy === 'pagerank') {
+      recommendations.sort(byPageRank);
+    }
+    Zotero.debug(`Analyzer: Ranked by ${strategy}`);
+    
+    // Mark early influential papers (oldest with high citations in top
+    // results) — meaningless when every paper is recent
+    if (!publishedSince) {
+      this._markEarlyInfluential(recommendations, topN);
+    }
     
     // Return top N
     const topRecommendations = recommendations.slice(0, topN);
@@ -96,7 +311,7 @@ var Analyzer = {
       Zotero.debug("\nTop 3 recommendations:");
       topRecommendations.slice(0, 3).forEach((rec, i) => {
         Zotero.debug(`${i+1}. ${rec.title.substring(0, 50)}...`);
-        Zotero.debug(`   Score: ${rec.totalScore.toFixed(1)} (M:${rec.mentionedScore} + I:${rec.impactScore} + R:${rec.recencyScore})`);
+        Zotero.debug(`   Score: ${rec.totalScore.toFixed(1)} (M:${rec.mentionedScore} + I:${rec.impactScore} + R:${rec.recencyScore}), PageRank: ${rec.pageRankScore}`);
       });
     }
     
@@ -105,60 +320,491 @@ var Analyzer = {
     return topRecommendations;
   },
   
+  /**
+   * Authors the collection keeps citing without holding their papers
+   * 
+   * @param {Object} citationData - Citation data from API module
+   * @param {Object} [options]
+   * @param {Object} options.libraryIndex - LibraryIndex.build() result; without
+   *        it only the papers of this run count as held
+   * @param {Object} options.dismissals - Feedback.buildIndex() result;
+   *        dismissed papers are not listed as missing
+   * @param {number} options.authorTopN - Authors to return (default AUTHOR_TOP_N)
+   * @returns {Array<Object>} [{ key, authorId, source, name, citingItems,
+   *          held, missingCount, missing: [{ paper, citingItems }] }], the
+   *          AUTHOR_PAPERS most-cited missing papers of each author
+   */
+  findAuthorGaps: function(citationData, options = {}) {
+    const {
+      libraryIndex = null,
+      dismissals = null,
+      authorTopN = this.AUTHOR_TOP_N
+    } = options;
+    const userPaperIds = new Set(citationData.user_paper_ids || []);
+    const authors = new Map();
+    const authorEntry = key => {
+      if (!authors.has(key)) {
+        authors.set(key, { key: key, name: '', citing: new Set(), held: new Set(), missing: [] });
+      }
+      return authors.get(key);
+    };
+    
+    // Papers of the run, by item (same form as LibraryIndex entries)
+    const userAuthorIds = citationData.user_author_ids || {};
+    (citationData.user_papers || []).forEach(paper => {
+      (userAuthorIds[paper.id] || []).forEach(key => {
+        authorEntry(key).held.add(`${paper.libraryID}_${paper.id}`);
+      });
+    });
+    
+    // First-hop candidates the collection cites
+    (citationData.all_citations || []).forEach(c => {
+      if (c.hop === 2 || !c.authorSource) return;
+      const citing = (c.mentionKeys || [])
+        .filter(key => key.endsWith('|references'))
+        .map(key => key.slice(0, key.lastIndexOf('|')));
+      if (citing.length === 0) return;
+      
+      const isRunPaper = userPaperIds.has(c.paperId) ||
+        Object.values(c.sourcePaperIds || {}).some(id => userPaperIds.has(id));
+      const owned = !isRunPaper && libraryIndex ? LibraryIndex.find(libraryIndex, c) : null;
+      const dismissed = !isRunPaper && !owned && dismissals && dismissals.size > 0 &&
+        Boolean(Feedback.findDismissal(dismissals, c));
+      
+      (c.authorIds || []).forEach((id, i) => {
+        if (!id) return;
+        const entry = authorEntry(API.authorKey(c.authorSource, id));
+        entry.name = entry.name || c.authors[i];
+        citing.forEach(key => entry.citing.add(key));
+        if (owned) {
+          entry.held.add(`${owned.libraryID}_${owned.key}`);
+        } else if (!isRunPaper && !dismissed) {
+          entry.missing.push({ paper: c, citingItems: citing.length });
+        }
+      });
+    });
+    
+    const gaps = Array.from(authors.values())
+      .filter(a => a.name && a.citing.size >= this.AUTHOR_MIN_CITING_ITEMS && a.missing.length > a.held.size)
+      .map(a => {
+        const separator = a.key.indexOf(':');
+        return {
+          key: a.key,
+          authorId: a.key.slice(separator + 1),
+          source: a.key.slice(0, separator),
+          name: a.name,
+          citingItems: a.citing.size,
+          held: a.held.size,
+          missingCount: a.missing.length,
+          missing: a.missing
+            .sort((x, y) => y.citingItems - x.citingItems || (y.paper.citationCount || 0) - (x.paper.citationCount || 0))
+            .slice(0, this.AUTHOR_PAPERS)
+        };
+      })
+      .sort((a, b) => b.citingItems - a.citingItems || a.held - b.held || b.missingCount - a.missingCount)
+      .slice(0, authorTopN);
+    
+    Zotero.debug(`Analyzer: ${gaps.length} author gaps among ${authors.size} authors`);
+    return gaps;
+  },
+  
+  /**
+   * Publication years and venues of the collection against those of the
+   * papers it cites
+   * 
+   * @param {Object} citationData - Citation data from API module
+   * @param {number} [currentYear]
+   * @returns {Object|null} { years: { library, cited, bins: [{ label, from,
+   *          to, library, cited, libraryShare, citedShare }] }, venues:
+   *          { library, cited, matchedByIssn, rows: [{ name, library,
+   *          cited, libraryShare, citedShare, byIssn }] }, findings:
+   *          [{ kind: 'older' | 'newer', year, libraryShare, citedShare } |
+   *          { kind: 'absentVenue' | 'rareVenue', venue, byIssn, cited,
+   *          libraryShare, citedShare }] }, or null when the run found no
+   *          papers the collection cites
+   */
+  compareDistributions: function(citationData, currentYear = new Date().getFullYear()) {
+    const cited = (citationData.all_citations || []).filter(c =>
+      c.hop !== 2 && (c.mentionKeys || []).some(key => key.endsWith('|references')));
+    if (cited.length === 0) return null;
+    const library = citationData.user_papers || [];
+    
+    const years = this._yearDistribution(
+      library.map(p => parseInt(p.year)).filter(y => !isNaN(y)),
+      cited.map(c => parseInt(c.year)).filter(y => !isNaN(y) && y <= currentYear)
+    );
+    const venues = this._venueDistribution(
+      library.map(p => ({ name: p.publication, issns: p.issns })),
+      cited.map(c => ({ name: c.venue, issns: c.venueIssns }))
+    );
+    
+    const findings = [];
+    if (years) {
+      // Cut-offs with the largest difference in the share of older papers,
+      // either way
+      let older = null;
+      let newer = null;
+      years.bins.slice(1).forEach((bin, i) => {
+        const before = years.bins.slice(0, i + 1);
+        const libraryShare = before.reduce((sum, b) => sum + b.libraryShare, 0);
+        const citedShare = before.reduce((sum, b) => sum + b.citedShare, 0);
+        const diff = citedShare - libraryShare;
+        if (!older || diff > older.diff) older = { year: bin.from, libraryShare, citedShare, diff };
+        if (!newer || diff < newer.diff) newer = { year: bin.from, libraryShare, citedShare, diff };
+      });
+      if (older && older.diff >= this.YEAR_GAP) {
+        findings.push({ kind: 'older', year: older.year, libraryShare: older.libraryShare, citedShare: older.citedShare });
+      }
+      if (newer && -newer.diff >= this.YEAR_GAP) {
+        findings.push({ kind: 'newer', year: newer.year, libraryShare: 1 - newer.libraryShare, citedShare: 1 - newer.citedShare });
+      }
+    }
+    if (venues) {
+      venues.rows
+        .filter(v => v.cited >= this.VENUE_MIN_PAPERS && v.citedShare >= this.VENUE_MIN_SHARE &&
+          v.libraryShare < v.citedShare * this.VENUE_RARE_RATIO)
+        .slice(0, this.MAX_VENUE_FINDINGS)
+        .forEach(v => findings.push({
+          kind: v.library === 0 ? 'absentVenue' : 'rareVenue',
+          venue: v.name,
+          byIssn: v.byIssn,
+          cited: v.cited,
+          libraryShare: v.libraryShare,
+          citedShare: v.citedShare
+        }));
+    }
+    
+    Zotero.debug(`Analyzer: Distributions of ${library.length} library papers and ${cited.length} cited papers - ${findings.length} findings`);
+    return { years: years, venues: venues, findings: findings };
+  },
+  
+  /**
+   * Ranking strategy for the next run
+   * 
+   * @returns {string} 'classic' | 'pagerank'
+   */
+  getStrategy: function() {
+    const strategy = Zotero.Prefs.get(this.PREF_PREFIX + 'rankingStrategy', true);
+    return this.STRATEGIES.includes(strategy) ? strategy : this.DEFAULT_STRATEGY;
+  },
+  
+  /**
+   * Save the ranking strategy preference
+   * 
+   * @param {string} strategy - 'classic' | 'pagerank'
+   */
+  setStrategy: function(strategy) {
+    if (!this.STRATEGIES.includes(strategy)) {
+      throw new Error(`Invalid ranking strategy: ${strategy}`);
+    }
+    Zotero.Prefs.set(this.PREF_PREFIX + 'rankingStrategy', strategy);
+  },
+  
+  /**
+   * How far back "What's New" runs look
+   * 
+   * @returns {number} Months (1-MAX_WATCH_MONTHS)
+   */
+  getWatchMonths: function() {
+    const months = Zotero.Prefs.get(this.PREF_PREFIX + 'watchMonths', true);
+    return Number.isInteger(months) && months >= 1 && months <= this.MAX_WATCH_MONTHS
+      ? months
+      : this.DEFAULT_WATCH_MONTHS;
+  },
+  
+  /**
+   * Save the watch window
+   * 
+   * @param {number|string} months - Whole number, 1-MAX_WATCH_MONTHS
+   */
+  setWatchMonths: function(months) {
+    const value = Number(months);
+    if (months === null || months === '' || !Number.isInteger(value) || value < 1 || value > this.MAX_WATCH_MONTHS) {
+      throw new Error(`Invalid watch window: ${months}`);
+    }
+    Zotero.Prefs.set(this.PREF_PREFIX + 'watchMonths', value);
+  },
+  
+  /**
+   * First publication date of a "What's New" run
+   * 
+   * @param {number} months - Window (getWatchMonths())
+   * @param {Date} [now]
+   * @returns {string} 'YYYY-MM-DD'
+   */
+  getWatchSince: function(months, now = new Date()) {
+    const since = new Date(Date.UTC(now.getFullYear(), now.getMonth() - months, now.getDate()));
+    return since.toISOString().split('T')[0];
+  },
+  
+  /**
+   * Personalized PageRank and co-citation strength of each recommendation,
+   * from the graph of all fetched data (not only the filtered candidates)
+   * 
+   * @private
+   * @param {Array} recommendations - Candidates of the run (modified in place)
+   * @param {Object} citationData
+   */
+  _addGraphScores: function(recommendations, citationData) {
+    const graph = CitationGraph.build(citationData);
+    const rank = CitationGraph.personalizedPageRank(graph);
+    const candidateIds = new Set(recommendations.map(rec => rec.paperId));
+    
+    const best = recommendations.reduce((max, rec) => Math.max(max, rank.get(rec.paperId) || 0), 0);
+    recommendations.forEach(rec => {
+      const pageRank = rank.get(rec.paperId) || 0;
+      const coCitation = CitationGraph.coCitationStrength(graph, rec.paperId, candidateIds);
+      rec.pageRank = pageRank;
+      rec.pageRankScore = best > 0 ? parseFloat((pageRank / best * 100).toFixed(1)) : 0;
+      rec.coCitations = coCitation.count;
+      rec.coCitedWith = coCitation.partners;
+    });
+  },
+  
   /**
    * Calculate recommendation score for a citation
    * 
    * @private
    * @param {Object} citation - Citation object
+   * @param {Object} profile - Scoring profile (see ScoringProfiles)
    * @param {number} currentYear - Current year (default: current year)
-   * @returns {Object} Score breakdown
+   * @param {Object} rank - Entry of _rankCandidates() for this citation
+   * @param {Object} learned - LearnedRanker.explain() result, if any
+   * @returns {Object} Score breakdown; recencyStep is the 1-based recency
+   *          step the paper fell into (0 = older than all steps)
    */
-  _calculateScore: function(citation, currentYear = null) {
+  _calculateScore: function(citation, profile, currentYear = null, rank = null, learned = null) {
     if (!currentYear) {
       currentYear = new Date().getFullYear();
     }
+    const weights = profile.weights;
     
     // Component 1: Mentioned score (highest weight)
     // How many user papers cite this paper
     const mentionedCount = citation.mentioned_count || 0;
-    const mentionedScore = mentionedCount * 10;
+    const mentionedScore = mentionedCount * weights.mentions;
     
-    // Component 2: Impact score (citation count)
-    // Normalized to max 5 points
-    const citationCount = citation.citationCount || 0;
-    const impactScore = Math.min(citationCount / 100, 5);
+    // Component 2: Impact score, capped
+    // velocity: how fast it gathers citations compared to the other candidates
+    let impactScore;
+    if (profile.impact.method === 'velocity') {
+      const percentile = rank ? rank.impactPercentile : 0.5;
+      impactScore = percentile * profile.impact.cap * weights.impact;
+    } else {
+      const citationCount = citation.citationCount || 0;
+      impactScore = Math.min(citationCount / profile.impact.per, profile.impact.cap) * weights.impact;
+    }
     
     // Component 3: Recency score
-    // Bonus for recent publications
+    // Score of the first step (youngest first) the paper's age fits in
     let recencyScore = 0;
+    let recencyStep = 0;
     if (citation.year) {
       const year = parseInt(citation.year);
       if (!isNaN(year)) {
         const age = currentYear - year;
-        if (age <= 3) {
-          recencyScore = 3;       // 2023-2026
-        } else if (age <= 5) {
-          recencyScore = 2;       // 2021-2022
-        } else if (age <= 10) {
-          recencyScore = 1;       // 2016-2020
+        const step = profile.recency.findIndex(s => age <= s.maxAge);
+        if (step >= 0) {
+          recencyStep = step + 1;
+          recencyScore = profile.recency[step].score * weights.recency;
         }
-        // else: recencyScore = 0  // Before 2016
       }
     }
     
-    const totalScore = mentionedScore + impactScore + recencyScore;
+    // Second-hop papers are one step further from the library; the
+    // learned model scales papers up or down by the user's feedback
+    const factor = (citation.hop === 2 ? profile.secondHopDecay : 1) * (learned ? learned.factor : 1);
+    
+    const totalScore = (mentionedScore + impactScore + recencyScore) * factor;
     
     return {
       totalScore: totalScore,
-      mentionedScore: mentionedScore,
-      impactScore: parseFloat(impactScore.toFixed(2)),
-      recencyScore: recencyScore
+      mentionedScore: mentionedScore * factor,
+      impactScore: parseFloat((impactScore * factor).toFixed(2)),
+      recencyScore: recencyScore * factor,
+      recencyStep: recencyStep
+    };
+  },
+  
+  /**
+   * Citation velocity and percentile ranks of each candidate
+   * 
+   * @private
+   * @param {Array} candidates - Filtered candidates (all have a year)
+   * @param {number} currentYear
+   * @returns {Array} Per candidate, same order: { citationsPerYear,
+   *          impactPercentile, citationPercentile, yearPercentile }
+   */
+  _rankCandidates: function(candidates, currentYear) {
+    const velocities = candidates.map(c => this.getCitationsPerYear(c, currentYear));
+    const impact = this._percentiles(velocities);
+    const citations = this._percentiles(candidates.map(c => c.citationCount || 0));
+    const years = this._percentiles(candidates.map(c => parseInt(c.year)));
+    
+    return candidates.map((c, i) => ({
+      citationsPerYear: parseFloat(velocities[i].toFixed(1)),
+      impactPercentile: impact[i],
+      citationPercentile: citations[i],
+      yearPercentile: years[i]
+    }));
+  },
+  
+  /**
+   * Papers per YEAR_BIN-year bin, from the oldest bin either side has (at
+   * most MAX_YEAR_BINS bins, the first one taking all older years)
+   * 
+   * @private
+   * @param {number[]} libraryYears
+   * @param {number[]} citedYears
+   * @returns {Object|null} null unless both sides have years
+   */
+  _yearDistribution: function(libraryYears, citedYears) {
+    if (libraryYears.length === 0 || citedYears.length === 0) return null;
+    const all = libraryYears.concat(citedYears);
+    const maxYear = all.reduce((max, y) => Math.max(max, y), -Infinity);
+    const minYear = all.reduce((min, y) => Math.min(min, y), Infinity);
+    const last = Math.floor(maxYear / this.YEAR_BIN) * this.YEAR_BIN;
+    const first = Math.max(
+      Math.floor(minYear / this.YEAR_BIN) * this.YEAR_BIN,
+      last - this.YEAR_BIN * (this.MAX_YEAR_BINS - 1)
+    );
+    
+    const bins = [];
+    for (let from = first; from <= last; from += this.YEAR_BIN) {
+      const to = Math.min(from + this.YEAR_BIN - 1, maxYear);
+      const label = from === first && minYear < first ? `before ${first + this.YEAR_BIN}`
+        : from === to ? String(from)
+        : `${from}–${to}`;
+      const inBin = y => (from === first || y >= from) && y <= to;
+      const libraryCount = libraryYears.filter(inBin).length;
+      const citedCount = citedYears.filter(inBin).length;
+      bins.push({
+        label: label,
+        from: from,
+        to: to,
+        library: libraryCount,
+        cited: citedCount,
+        libraryShare: libraryCount / libraryYears.length,
+        citedShare: citedCount / citedYears.length
+      });
+    }
+    
+    return { library: libraryYears.length, cited: citedYears.length, bins: bins };
+  },
+  
+  /**
+   * Papers per venue, the MAX_VENUES most cited first. A venue is shown
+   * under its most common spelling among the cited papers. A paper with an
+   * ISSN some cited paper's venue lists counts for that venue whatever its
+   * name; rows with byIssn false were matched by name alone.
+   * 
+   * @private
+   * @param {Array<{name, issns}>} libraryVenues - Publication titles and
+   *        ISSNs of the collection
+   * @param {Array<{name, issns}>} citedVenues - Venues of the cited papers
+   * @returns {Object|null} null unless the cited papers have venues
+   */
+  _venueDistribution: function(libraryVenues, citedVenues) {
+    const issnsOf = venue => (venue.issns || [])
+      .map(issn => String(issn).toUpperCase().replace(/[^\dX]/g, ''))
+      .filter(issn => issn.length === 8);
+    
+    // ISSN → venue key of the first cited paper listing it
+    const byIssn = new Map();
+    citedVenues.forEach(venue => {
+      const key = LearnedRanker.venueKey(venue.name);
+      if (key) issnsOf(venue).forEach(issn => { if (!byIssn.has(issn)) byIssn.set(issn, key); });
+    });
+    const issnKeys = new Set(byIssn.values());
+    let matchedByIssn = 0;
+    
+    const count = (venues, isLibrary) => {
+      const counts = new Map();
+      venues.forEach(venue => {
+        const issn = issnsOf(venue).find(i => byIssn.has(i));
+        const key = issn ? byIssn.get(issn) : LearnedRanker.venueKey(venue.name);
+        if (!key) return;
+        if (isLibrary && issn) matchedByIssn++;
+        const entry = counts.get(key) || { total: 0, spellings: new Map() };
+        entry.total++;
+        if (venue.name) entry.spellings.set(venue.name, (entry.spellings.get(venue.name) || 0) + 1);
+        counts.set(key, entry);
+      });
+      return counts;
     };
+    const total = counts => Array.from(counts.values()).reduce((sum, e) => sum + e.total, 0);
+    const libraryCounts = count(libraryVenues, true);
+    const citedCounts = count(citedVenues, false);
+    const libraryTotal = total(libraryCounts);
+    const citedTotal = total(citedCounts);
+    if (citedTotal === 0) return null;
+    
+    const rows = Array.from(citedCounts.entries())
+      .sort((a, b) => b[1].total - a[1].total)
+      .slice(0, this.MAX_VENUES)
+      .map(([key, entry]) => {
+        const libraryCount = libraryCounts.has(key) ? libraryCounts.get(key).total : 0;
+        const name = Array.from(entry.spellings.entries()).sort((a, b) => b[1] - a[1])[0][0];
+        return {
+          name: name,
+          library: libraryCount,
+          cited: entry.total,
+          libraryShare: libraryTotal > 0 ? libraryCount / libraryTotal : 0,
+          citedShare: entry.total / citedTotal,
+          byIssn: issnKeys.has(key)
+        };
+      });
+    
+    return { library: libraryTotal, cited: citedTotal, matchedByIssn: matchedByIssn, rows: rows };
+  },
+  
+  /**
+   * Citations per year since publication (the publication year counts as
+   * one year, so this year's papers are not divided by zero)
+   * 
+   * @param {Object} citation - Citation with citationCount and year
+   * @param {number} [currentYear]
+   * @returns {number}
+   */
+  getCitationsPerYear: function(citation, currentYear = null) {
+    if (!currentYear) {
+      currentYear = new Date().getFullYear();
+    }
+    const year = parseInt(citation.year);
+    const years = isNaN(year) ? 1 : Math.max(1, currentYear - year + 1);
+    return (citation.citationCount || 0) / years;
+  },
+  
+  /**
+   * Mid-rank percentile of each value among all values (0-1, ties share
+   * the middle of their ranks)
+   * 
+   * @private
+   * @param {number[]} values
+   * @returns {number[]} Same order as values
+   */
+  _percentiles: function(values) {
+    const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+    const result = new Array(values.length);
+    
+    let start = 0;
+    while (start < order.length) {
+      let end = start;
+      while (end + 1 < order.length && values[order[end + 1]] === values[order[start]]) end++;
+      const percentile = (start + end + 1) / 2 / order.length;
+      for (let i = start; i <= end; i++) {
+        result[order[i]] = parseFloat(percentile.toFixed(3));
+      }
+      start = end + 1;
+    }
+    
+    return result;
   },
   
   /**
    * Mark early influential papers in recommendations
-   * Identifies 1-2 oldest papers with significant citations
+   * Identifies 1-2 oldest papers with significant citations, relative to
+   * the candidates of this run (see EARLY_* percentiles)
    * 
    * @private
    * @param {Array} recommendations - Sorted recommendations
@@ -170,12 +816,11 @@ var Analyzer = {
     // Only consider papers in top results
     const topPapers = recommendations.slice(0, Math.min(topN * 2, recommendations.length));
     
-    // Find papers with high citations (>= 200) and published before 2016
-    const earlyPapers = topPapers.filter(paper => {
-      const year = parseInt(paper.year);
-      const citations = paper.citationCount || 0;
-      return !isNaN(year) && year < 2016 && citations >= 200;
-    });
+    // Find papers among the oldest and most cited candidates of the run
+    const earlyPapers = topPapers.filter(paper =>
+      paper.yearPercentile <= this.EARLY_MAX_YEAR_PERCENTILE &&
+      paper.citationPercentile >= this.EARLY_MIN_CITATION_PERCENTILE
+    );
     
     if (earlyPapers.length === 0) return;
     
@@ -1,13 +1,139 @@
 /**
  * LitGap - API Module
- * Semantic Scholar API client
+ * Citation data client — caching, aggregation and deduplication on top of a
+ * pluggable citation-source provider
  * 
  * @module api
- * @version 1.4.0
+ * @version 2.12.0
  * 
  * Ported from: fetch_citations.py
  * 
+ * Providers (selected by the 'provider' pref, see PROVIDERS):
+ *   semanticscholar → S2Provider (s2Provider.js, default)
+ *   openalex        → OpenAlexProvider (openAlexProvider.js)
+ * 
+ * A provider is an object with:
+ *   id, name          → 'openalex', 'OpenAlex'
+ *   cacheNamespace    → cache key prefix ('' for Semantic Scholar)
+ *   lookupPapers(papers, listKeys, reportDone)
+ *                     → Promise<Array> aligned with papers: paper data,
+ *                       'NOT_FOUND', or null on failure. reportDone(index,
+ *                       result) must be called as each paper finishes, so
+ *                       a cancelled run keeps what was already fetched
+ *   completeLists(papers, lookups, listKeys)   (optional)
+ *                     → Promise<number[]> indices whose lists were extended
+ *   paperURL(paperId) → link to the paper on the source's website
+ *   getRateLimit()    → { requestsPerSecond, burst, maxConcurrent } (RateLimiter)
+ *   getHeaders()      → extra request headers, e.g. an API key (optional)
+ *   getExternalIds(linked)
+ *                     → { doi, arxiv, pmid, pmcid, mag, corpusId, s2, openalex }
+ *                       for a linked paper ('' where unknown)
+ *   getVenueIssns(linked)     (optional)
+ *                     → ISSNs of a linked paper's venue ([] where unknown)
+ *   fetchMetadata(paperIds)   (optional)
+ *                     → Promise<Object> paperId → metadata (below), null if
+ *                       unknown; IDs whose request failed are left out
+ * 
+ * Paper data must be normalized to
+ *   { paperId, title, year, citationCount, referenceCount, resolvedBy, authors,
+ *     references: [{ paperId, title, year, citationCount, authors }], citations: [...] }
+ * where authors is [{ authorId, name }] (optional, IDs of the provider's
+ * own author records).
+ * 
+ * Metadata (enrichRecommendations(), second pass over the final top-N only):
+ *   { authors: [names], venue, doi, externalIds, abstract, tldr,
+ *     fieldsOfStudy: [names], openAccessPdf }  ('' / [] where unknown)
+ * 
+ * Providers send every HTTP request through API.request(), which applies
+ * the provider's RateLimiter bucket and records time spent waiting for it
+ * (stats.waitTime) versus time spent on the request itself (stats.fetchTime).
+ * 
+ * Cancellation: fetchCitations() takes options.signal (AbortSignal).
+ * Aborting stops requests, retry backoffs and rate-limiter waits with
+ * Error('CANCELLED'); fetchCitations() then returns the papers fetched so
+ * far with cancelled: true instead of throwing. createAbortController()
+ * makes the controller for callers.
+ * 
+ * Resuming: options.resume maps cache keys to paper data from an earlier,
+ * interrupted run (see Checkpoint); those papers are not fetched again.
+ * options.onPaperData(key, data) sees every paper the provider returned,
+ * so the caller can record them as they arrive.
+ * 
+ * Data format: paper data is stamped with DATA_VERSION when it arrives.
+ * Cached or resumed entries with an older stamp (or none) lack fields the
+ * run needs and are fetched again; null entries (not found) stay valid.
+ * options.maxCacheAgeDays ignores cached entries fetched longer ago, for
+ * runs that need current citation lists.
+ * 
+ * Version relations (fetchVersionRelations()): Crossref records which DOI
+ * a preprint was published as (VERSION_RELATIONS: is-preprint-of,
+ * is-version-of, has-version); Merger pairs those even when the title
+ * changed on the way. Answers, including "no relation", are cached like
+ * paper data.
+ * 
+ * Second hop (fetchSecondHop()): the references of the best first-pass
+ * candidates are fetched like library papers (cache first) and every paper
+ * they cite that was not found in the first pass becomes a candidate with
+ * hop: 2 and via: the intermediate papers that cite it. A budget caps the
+ * extra requests; reaching it stops the hop like a cancellation.
+ * 
+ * Authors: candidates carry authors (names), authorIds (aligned, '' where
+ * unknown) and authorSource (the provider the IDs belong to). The run's
+ * user_author_ids maps each library item key to '<source>:<authorId>'
+ * keys of its authors, for Analyzer.findAuthorGaps().
+ * 
  * CHANGELOG:
+ * v2.12.0 - Candidates carry venueIssns (provider.getVenueIssns());
+ *           DATA_VERSION 5 refetches entries cached before linked papers
+ *           had them
+ * v2.11.0 - Candidates carry authors, authorIds and authorSource; the run
+ *           lists the authors of each library paper (user_author_ids).
+ *           DATA_VERSION 4: entries cached before papers had authors are
+ *           fetched again (author gaps would otherwise find none)
+ * v2.10.0 - Candidates carry their publication date ('YYYY-MM-DD', '' if
+ *           unknown). DATA_VERSION 3: entries cached before linked papers
+ *           had a publicationDate are fetched again; options.maxCacheAgeDays
+ *           ignores older cached entries ("What's New" runs,
+ *           WATCH_CACHE_DAYS)
+ * v2.9.0 - Candidates carry the venue the source lists for them. Paper
+ *          data carries dataVersion (DATA_VERSION); cached or resumed
+ *          entries of an older format are fetched again, so linked papers
+ *          cached before they had a venue are refreshed
+ * v2.8.0 - fetchVersionRelations(): the DOIs Crossref's relation metadata
+ *          links to each preprint DOI (VERSION_RELATIONS), for
+ *          Merger.collapseVersions()
+ * v2.7.0 - fetchSecondHop(): references of the top first-pass candidates,
+ *          bounded by a request budget; secondHop* preferences.
+ *          forEachConcurrent() starts no new item after one failed and
+ *          settles every worker before returning, so a spent budget or a
+ *          cancellation leaves no request running after the run's budget
+ *          and signal are cleared
+ * v2.6.0 - Dropped the citedBy title snapshot of the first citing paper;
+ *          citedByKeys lists every library item linked to a candidate
+ * v2.5.0 - enrichRecommendations(): authors, venue, identifiers, abstract,
+ *          TLDR, fields of study and open-access PDF for the final
+ *          recommendations, cached as meta|<provider>|<paperId>
+ * v2.4.0 - options.resume / options.onPaperData for resumable runs;
+ *          stats.resumed and failed_requests
+ * v2.3.0 - Cancellable runs (options.signal) with partial results;
+ *          providers report each paper's data through reportDone()
+ * v2.2.0 - Shared rate limiter: API.request(), getBackoff() and
+ *          forEachConcurrent() replace the fixed per-provider sleep;
+ *          waitTime/fetchTime stats
+ * v2.1.0 - Candidates carry externalIds, citedByKeys and mentionKeys so
+ *          Merger can unify them across providers; 'all' provider setting
+ * v2.0.0 - Semantic Scholar code moved to S2Provider; added the provider
+ *          registry and an OpenAlex provider. Candidates record their source.
+ * v1.9.0 - Resolve papers by arXiv ID, PMID, PMCID or CorpusId when there is
+ *          no DOI (or the DOI is unknown), then by title+year match; every
+ *          paper records paper.resolution = { method, confidence }
+ * v1.8.0 - Page through /paper/{id}/citations|references when the nested list
+ *          was capped, with a configurable per-paper limit (maxLinksPerPaper)
+ * v1.7.0 - Added search direction: references (backward), citations (forward)
+ *          or both; each candidate is tagged with the direction it was found
+ * v1.6.0 - Added POST /paper/batch lookup path with single-DOI fallback
+ * v1.5.0 - Added persistent DOI cache (CitationCache) with hit/miss stats;
+ *          requests now use successCodes:false so 404/429 reach the status checks
  * v1.4.0 - Fixed JSON parsing (Zotero auto-parses responseType:'json')
  * v1.3.0 - Added rate limit handling with retry logic
  * v1.2.0 - Initial implementation
@@ -23,9 +149,84 @@ var API = {
   /**
    * API Configuration
    */
-  baseURL: "https://api.semanticscholar.org/graph/v1",
-  delay: 3000, // 3 seconds between requests (safe rate)
-  maxRetries: 3, // Maximum retry attempts for rate limiting
+  batchSize: 100, // Papers per batch request (nested citation lists are large)
+  maxLinksPerPaper: 5000, // Default per-paper cap when paging (pref: maxLinksPerPaper)
+  PREF_PREFIX: 'extensions.zotero.litgap.',
+  
+  /**
+   * Citation-source providers by pref value
+   */
+  PROVIDERS: {
+    semanticscholar: S2Provider,
+    openalex: OpenAlexProvider
+  },
+  DEFAULT_PROVIDER: 'semanticscholar',
+  ALL_PROVIDERS: 'all', // Pref value: query every provider and merge (see Merger)
+  
+  /**
+   * Crossref, asked only for relations between versions of a DOI
+   * (fetchVersionRelations()); shaped like a provider for request()
+   */
+  CROSSREF: {
+    id: 'crossref',
+    name: 'Crossref',
+    baseURL: 'https://api.crossref.org',
+    maxRetries: 3,
+    retryDelay: 2000,
+    BATCH_LIMIT: 50, // DOI filters per request
+    RATE_LIMIT: { requestsPerSecond: 5, burst: 5, maxConcurrent: 1 },
+    getRateLimit: function() { return this.RATE_LIMIT; }
+  },
+  
+  /**
+   * Crossref relation types that point from a preprint (or earlier version)
+   * to its published version
+   */
+  VERSION_RELATIONS: ['is-preprint-of', 'is-version-of', 'has-version'],
+  
+  /**
+   * Format of paper data; raise it when providers start requesting a field
+   * that cached entries lack
+   *   2 → linked papers carry venue
+   *   3 → linked papers carry publicationDate
+   *   4 → library and linked papers carry authors (with IDs)
+   *   5 → linked papers carry their venue's ISSNs
+   */
+  DATA_VERSION: 5,
+  
+  /**
+   * Max age in days of cached paper data for "What's New" runs (passed as
+   * options.maxCacheAgeDays), so papers citing the library this week show up
+   */
+  WATCH_CACHE_DAYS: 1,
+  
+  /**
+   * Identifier types, in the order providers try them (see Parser.identifiers)
+   */
+  ID_TYPES: ['doi', 'arxiv', 'pmid', 'pmcid', 'corpusId'],
+  
+  /**
+   * Title-match thresholds (confidence is 0-1, see titleMatchConfidence())
+   *   below MIN_MATCH_CONFIDENCE the match is rejected
+   *   below LOW_MATCH_CONFIDENCE it is used but flagged in the report
+   */
+  MIN_MATCH_CONFIDENCE: 0.6,
+  LOW_MATCH_CONFIDENCE: 0.85,
+  
+  /**
+   * Search directions
+   *   references → papers your library cites (backward, "foundational")
+   *   citations  → papers citing your library (forward, "building on it")
+   *   both       → union of the two
+   */
+  DIRECTIONS: ['references', 'citations', 'both'],
+  DEFAULT_DIRECTION: 'references',
+  
+  /**
+   * Second hop defaults (prefs: secondHop, secondHopTopK, secondHopBudget)
+   */
+  DEFAULT_SECOND_HOP_TOP_K: 10,
+  DEFAULT_SECOND_HOP_BUDGET: 50,
   
   /**
    * Statistics tracking
@@ -34,90 +235,210 @@ var API = {
     totalRequests: 0,
     successful: 0,
     failed: 0,
-    noDOI: 0,
+    noIdentifier: 0,
     notFound: 0,
-    rateLimited: 0
+    titleMatches: 0,
+    rejectedMatches: 0,
+    rateLimited: 0,
+    cacheHits: 0,
+    cacheMisses: 0,
+    resumed: 0,
+    batchRequests: 0,
+    pagesFetched: 0,
+    pagedLists: 0,
+    cappedLists: 0,
+    waitTime: 0,
+    fetchTime: 0
   },
   
+  /**
+   * AbortSignal of the run in progress (null when not cancellable)
+   */
+  _signal: null,
+  
+  /**
+   * Request budget of the run in progress: { max, used, exhausted }, or
+   * null for no limit
+   */
+  _budget: null,
+  
   /**
    * Fetch citations for all papers
    * 
    * @param {Array} papers - Array of paper objects from Parser
    * @param {Function} progressCallback - Called with (current, total, title)
+   * @param {Object} options - Fetch options
+   * @param {string} options.direction - 'references' | 'citations' | 'both'
+   *        (default: saved preference, see getDirection())
+   * @param {string} options.provider - Provider ID (default: saved preference,
+   *        see getProvider())
+   * @param {AbortSignal} options.signal - Cancels the run; the result then
+   *        has cancelled: true and covers only the papers fetched so far
+   * @param {Object} options.resume - { cacheKey: data|null } from an
+   *        interrupted run; these papers are not fetched again
+   * @param {Function} options.onPaperData - Called with (cacheKey, data) for
+   *        each paper the provider returned (data null = not found)
+   * @param {number} options.maxCacheAgeDays - Ignore cached entries fetched
+   *        longer ago than this (default: any entry within the cache TTL)
    * @returns {Promise<Object>} Citation data object
    */
-  fetchCitations: async function(papers, progressCallback) {
+  fetchCitations: async function(papers, progressCallback, options = {}) {
+    const direction = this.DIRECTIONS.includes(options.direction)
+      ? options.direction
+      : this.getDirection();
+    const listKeys = this._getListKeys(direction);
+    const provider = this.PROVIDERS[options.provider] || this.getProvider();
+    
     Zotero.debug("API: Starting citation fetch...");
     Zotero.debug(`API: Processing ${papers.length} papers`);
-    Zotero.debug(`API: Using ${this.delay}ms delay between requests`);
+    Zotero.debug(`API: Direction: ${direction}`);
+    Zotero.debug(`API: Provider: ${provider.name}`);
+    RateLimiter.configure(provider.id, provider.getRateLimit());
+    Zotero.debug(`API: Batch lookup ${this.isBatchEnabled() ? `on (${this.getBatchSize()} per request)` : 'off'}`);
     
     // Reset stats for this run
     this._resetStats();
+    this._signal = options.signal || null;
     
-    const allCitations = [];
-    const userPaperIds = new Set();
+    // Load on-disk cache (no-op after the first run in this session)
+    await CitationCache.load();
     
-    // Process each paper
-    for (let i = 0; i < papers.length; i++) {
-      const paper = papers[i];
-      
-      // Report progress
-      if (progressCallback) {
-        progressCallback(i + 1, papers.length, paper.title);
+    // Resolve every paper: cache → provider (batch, single-ID, title match)
+    const { lookups, reached } = await this._lookupPapers(provider, papers, listKeys, progressCallback, options);
+    const cancelled = this.isCancelled();
+    const papersFetched = reached.filter(r => r).length;
+    if (cancelled) {
+      Zotero.debug(`API: Cancelled after ${papersFetched}/${papers.length} papers`);
+    }
+    
+    // Record how each library paper was found, for the report
+    const resolution = { doi: 0, arxiv: 0, pmid: 0, pmcid: 0, corpusId: 0, title: 0, unresolved: 0, lowConfidence: 0, skipped: 0 };
+    papers.forEach((paper, i) => {
+      if (!reached[i]) {
+        resolution.skipped++; // Not reached before the run was cancelled
+        return;
+      }
+      const found = this._getResolution(paper, lookups[i]);
+      if (!found) {
+        resolution.unresolved++;
+        return;
+      }
+      resolution[found.method] = (resolution[found.method] || 0) + 1;
+      if (found.lowConfidence) {
+        resolution.lowConfidence++;
       }
       
-      Zotero.debug(`API: [${i + 1}/${papers.length}] Processing: ${paper.title.substring(0, 50)}...`);
-      
-      // Fetch paper data by DOI with retry logic
-      const result = await this._fetchPaperByDOIWithRetry(paper.doi);
+      // With several providers, keep the most certain resolution
+      if (!paper.resolution || found.confidence > paper.resolution.confidence) {
+        paper.resolution = found;
+      }
+    });
+    
+    const allCitations = [];
+    const userPaperIds = new Set();
+    const userAuthorIds = {};
+    
+    // Collect citations from each paper
+    papers.forEach((paper, i) => {
+      const result = lookups[i];
       
       if (result) {
         // Store user's paper ID
         if (result.paperId) {
           userPaperIds.add(result.paperId);
         }
+        const authorKeys = this._authorFields(result, provider).authorIds
+          .filter(Boolean)
+          .map(id => this.authorKey(provider.id, id));
+        if (authorKeys.length > 0) {
+          userAuthorIds[paper.id] = authorKeys;
+        }
         
-        // Collect citations
-        const citations = result.citations || [];
-        Zotero.debug(`API:   ✓ Found ${citations.length} citations`);
-        
-        citations.forEach(cite => {
-          allCitations.push({
-            paperId: cite.paperId,
-            title: cite.title || '',
-            year: cite.year,
-            citationCount: cite.citationCount || 0,
-            citedBy: paper.title.substring(0, 50) // Record which paper cited this
+        // Collect linked papers for each requested direction
+        listKeys.forEach(key => {
+          const linked = result[key] || [];
+          Zotero.debug(`API: [${i + 1}/${papers.length}] ✓ ${linked.length} ${key} - ${paper.title.substring(0, 50)}`);
+          
+          linked.forEach(cite => {
+            const externalIds = provider.getExternalIds(cite);
+            allCitations.push({
+              paperId: cite.paperId,
+              title: cite.title || '',
+              year: cite.year,
+              publicationDate: cite.publicationDate || '',
+              citationCount: cite.citationCount || 0,
+              venue: cite.venue || '',
+              venueIssns: this._venueIssns(cite, provider),
+              ...this._authorFields(cite, provider),
+              doi: externalIds.doi,
+              externalIds: externalIds,
+              direction: key, // How this candidate was found
+              source: provider.id, // Which provider produced it
+              citedByKey: paper.id // Zotero item key of the library paper it is linked to
+            });
           });
         });
       } else {
-        Zotero.debug(`API:   ✗ No data found`);
+        Zotero.debug(`API: [${i + 1}/${papers.length}] ✗ No data found - ${paper.title.substring(0, 50)}`);
       }
-    }
+    });
     
     Zotero.debug("\nAPI: Deduplicating citations...");
     
-    // Deduplicate citations (same paper may be cited multiple times)
+    // Deduplicate citations (same paper may be cited multiple times).
+    // A mention is one library paper linked in one direction, so duplicate
+    // entries in a single list do not inflate mentioned_count.
     const uniqueCitations = {};
     allCitations.forEach(citation => {
       const paperId = citation.paperId;
-      if (paperId) {
-        if (!uniqueCitations[paperId]) {
-          uniqueCitations[paperId] = citation;
-          uniqueCitations[paperId].mentioned_count = 1;
-        } else {
-          // Increment mention count
-          uniqueCitations[paperId].mentioned_count++;
-        }
+      if (!paperId) return;
+      
+      const mentionKey = `${citation.citedByKey}|${citation.direction}`;
+      let unique = uniqueCitations[paperId];
+      
+      if (!unique) {
+        unique = uniqueCitations[paperId] = citation;
+        unique.sources = [provider.id];
+        unique.sourcePaperIds = { [provider.id]: paperId };
+        unique.citedByKeys = [];
+        unique.mentionKeys = [];
+      } else if (unique.direction !== citation.direction) {
+        // Found through both directions
+        unique.direction = 'both';
+      }
+      
+      if (!unique.mentionKeys.includes(mentionKey)) {
+        unique.mentionKeys.push(mentionKey);
+      }
+      if (!unique.citedByKeys.includes(citation.citedByKey)) {
+        unique.citedByKeys.push(citation.citedByKey);
       }
+      unique.mentioned_count = unique.mentionKeys.length;
+    });
+    
+    Object.values(uniqueCitations).forEach(unique => {
+      unique.sourceMentions = { [provider.id]: unique.mentioned_count };
+      delete unique.citedByKey;
     });
     
     const result = {
+      direction: direction,
+      provider: provider.id,
+      cancelled: cancelled,
       user_papers: papers,
       user_paper_ids: Array.from(userPaperIds),
+      user_author_ids: userAuthorIds,
       all_citations: Object.values(uniqueCitations),
       stats: {
+        direction: direction,
+        provider: provider.id,
+        providerName: provider.name,
+        cancelled: cancelled,
         user_papers_count: papers.length,
+        papers_fetched: papersFetched,
+        papers_resumed: this.stats.resumed,
+        failed_requests: this.stats.failed,
+        resolution: resolution,
         total_citations: allCitations.length,
         unique_citations: Object.keys(uniqueCitations).length
       }
@@ -127,122 +448,951 @@ var API = {
     Zotero.debug(`API: Total citations: ${result.stats.total_citations}`);
     Zotero.debug(`API: Unique citations: ${result.stats.unique_citations}`);
     
+    // Persist newly fetched entries for the next run
+    await CitationCache.save();
+    
     // Print statistics
     this._printStats();
+    this._signal = null;
     
     return result;
   },
   
   /**
-   * Fetch single paper by DOI with retry logic
+   * Fetch descriptive metadata for the final recommendations from every
+   * source that reported them and copy it onto each recommendation.
+   * Sources are asked in PROVIDERS order and the first non-empty value
+   * wins, so Semantic Scholar's TLDR and abstract come first and OpenAlex
+   * fills the gaps. Failures only leave fields empty.
    * 
-   * @private
-   * @param {string} doi - Paper DOI
-   * @param {number} attempt - Current attempt number
-   * @returns {Promise<Object|null>} Paper data or null if not found
+   * @param {Array<Object>} recommendations - Candidates from Analyzer.findGaps()
+   *        (modified in place: authors, venue, abstract, tldr, fieldsOfStudy,
+   *        openAccessPdf, missing doi/externalIds, enriched)
+   * @returns {Promise<Array<Object>>} The same recommendations
    */
-  _fetchPaperByDOIWithRetry: async function(doi, attempt = 1) {
-    const result = await this._fetchPaperByDOI(doi);
+  enrichRecommendations: async function(recommendations) {
+    if (!recommendations || recommendations.length === 0) return recommendations;
+    
+    await CitationCache.load();
     
-    // If rate limited and we have retries left
-    if (result === 'RATE_LIMITED' && attempt < this.maxRetries) {
-      const waitTime = this.delay * attempt * 2; // Exponential backoff
-      Zotero.debug(`API:   ⏰ Rate limited, waiting ${waitTime/1000}s before retry ${attempt}/${this.maxRetries}...`);
-      await this._sleep(waitTime);
-      return this._fetchPaperByDOIWithRetry(doi, attempt + 1);
+    for (const providerId of Object.keys(this.PROVIDERS)) {
+      const provider = this.PROVIDERS[providerId];
+      if (typeof provider.fetchMetadata !== 'function') continue;
+      
+      const wanted = recommendations.filter(rec => this._getSourcePaperId(rec, providerId));
+      if (wanted.length === 0) continue;
+      
+      const metadata = {};
+      const missing = [];
+      wanted.forEach(rec => {
+        const paperId = this._getSourcePaperId(rec, providerId);
+        const cached = CitationCache.get(this._getMetadataKey(providerId, paperId));
+        if (cached !== undefined) {
+          metadata[paperId] = cached;
+        } else if (!missing.includes(paperId)) {
+          missing.push(paperId);
+        }
+      });
+      
+      if (missing.length > 0) {
+        Zotero.debug(`API: Fetching metadata of ${missing.length} recommendations from ${provider.name}`);
+        RateLimiter.configure(provider.id, provider.getRateLimit());
+        
+        try {
+          const fetched = await provider.fetchMetadata(missing);
+          missing.forEach(paperId => {
+            if (fetched[paperId] === undefined) return; // Request failed — try again next run
+            metadata[paperId] = fetched[paperId];
+            CitationCache.set(this._getMetadataKey(providerId, paperId), fetched[paperId]);
+          });
+        } catch (error) {
+          Zotero.debug(`API: Metadata from ${provider.name} failed: ${error.message}`);
+        }
+      }
+      
+      wanted.forEach(rec => {
+        const meta = metadata[this._getSourcePaperId(rec, providerId)];
+        if (meta) this._applyMetadata(rec, meta);
+      });
     }
     
-    return result === 'RATE_LIMITED' ? null : result;
+    await CitationCache.save();
+    
+    const enriched = recommendations.filter(rec => rec.enriched).length;
+    Zotero.debug(`API: Metadata for ${enriched}/${recommendations.length} recommendations`);
+    
+    return recommendations;
   },
   
   /**
-   * Fetch single paper by DOI
+   * Published versions of preprint DOIs, from the relation metadata their
+   * Crossref records carry (VERSION_RELATIONS). Cached answers are used
+   * first; DOIs whose request failed are left out and asked again next run.
    * 
-   * @private
-   * @param {string} doi - Paper DOI
-   * @returns {Promise<Object|null>} Paper data or null if not found
+   * @param {string[]} dois - Preprint DOIs
+   * @returns {Promise<Object>} Normalized DOI → normalized related DOIs
+   *          ([] when Crossref lists none)
    */
-  _fetchPaperByDOI: async function(doi) {
-    // Check if DOI exists
-    if (!doi) {
-      this.stats.noDOI++;
-      return null;
+  fetchVersionRelations: async function(dois) {
+    const relations = {};
+    const missing = [];
+    
+    await CitationCache.load();
+    
+    (dois || []).map(doi => CitationCache.normalizeDOI(doi)).filter(Boolean).forEach(doi => {
+      if (relations[doi] !== undefined || missing.includes(doi)) return;
+      const cached = CitationCache.get(this._getRelationKey(doi));
+      if (cached !== undefined) {
+        relations[doi] = cached || [];
+      } else {
+        missing.push(doi);
+      }
+    });
+    
+    if (missing.length > 0) {
+      Zotero.debug(`API: Fetching version relations of ${missing.length} preprint DOIs from Crossref`);
+      RateLimiter.configure(this.CROSSREF.id, this.CROSSREF.getRateLimit());
+      
+      for (let start = 0; start < missing.length; start += this.CROSSREF.BATCH_LIMIT) {
+        const chunk = missing.slice(start, start + this.CROSSREF.BATCH_LIMIT);
+        const items = await this._fetchRelationsWithRetry(chunk);
+        if (!items) continue; // Request failed — try again next run
+        
+        // DOIs Crossref does not return have no relations it knows of
+        chunk.forEach(doi => { relations[doi] = []; });
+        items.forEach(item => {
+          const doi = CitationCache.normalizeDOI(item.DOI || '');
+          if (!chunk.includes(doi)) return;
+          const relation = item.relation || {};
+          this.VERSION_RELATIONS.forEach(type => {
+            (relation[type] || []).forEach(related => {
+              const target = related && related['id-type'] === 'doi'
+                ? CitationCache.normalizeDOI(related.id || '')
+                : '';
+              if (target && target !== doi && !relations[doi].includes(target)) {
+                relations[doi].push(target);
+              }
+            });
+          });
+        });
+        chunk.forEach(doi => CitationCache.set(this._getRelationKey(doi), relations[doi]));
+      }
+      
+      await CitationCache.save();
     }
     
-    this.stats.totalRequests++;
+    const related = Object.keys(relations).filter(doi => relations[doi].length > 0).length;
+    Zotero.debug(`API: ${related}/${Object.keys(relations).length} preprint DOIs have a published version on Crossref`);
     
-    // URL encode the DOI and build API URL
-    const encodedDOI = encodeURIComponent(doi);
-    const url = `${this.baseURL}/paper/DOI:${encodedDOI}`;
+    return relations;
+  },
+  
+  /**
+   * Second hop: fetch the references of the given first-pass candidates
+   * and turn the papers they cite into candidates one step removed from
+   * the library. Papers already among the first-pass candidates or the
+   * library papers are left out. Cancelling or running out of budget keeps
+   * what was fetched so far.
+   * 
+   * @param {Array<Object>} intermediates - Top candidates from Analyzer.findGaps()
+   * @param {Object} citationData - First-pass data (API / Merger)
+   * @param {Object} [options]
+   * @param {number} [options.budget] - Maximum extra requests (default: pref)
+   * @param {string} [options.provider] - Provider ID (default: getProvider())
+   * @param {AbortSignal} [options.signal]
+   * @param {Function} [options.progressCallback] - (current, total, title)
+   * @returns {Promise<Object>} { candidates, stats: { intermediates, fetched,
+   *          candidates, requests, budget, exhausted, cancelled } }
+   */
+  fetchSecondHop: async function(intermediates, citationData, options = {}) {
+    const provider = this.PROVIDERS[options.provider] || this.getProvider();
+    const budget = options.budget || this.getSecondHopSettings().budget;
+    
+    Zotero.debug(`API: Second hop through ${intermediates.length} papers on ${provider.name} (budget ${budget} requests)`);
+    RateLimiter.configure(provider.id, provider.getRateLimit());
+    await CitationCache.load();
     
-    // Fields to request
-    const fields = "paperId,title,year,citationCount,citations,citations.paperId,citations.title,citations.year,citations.citationCount";
+    // Intermediates are looked up like library papers (same cache keys)
+    const papers = intermediates.map(rec => ({
+      id: rec.paperId,
+      title: rec.title || '',
+      year: rec.year,
+      doi: rec.doi || '',
+      identifiers: rec.externalIds || {}
+    }));
     
+    this._signal = options.signal || null;
+    this._budget = { max: budget, used: 0, exhausted: false };
+    let lookups = [];
+    let used = 0;
+    let exhausted = false;
     try {
-      // Make HTTP request using Zotero's HTTP client
-      const response = await Zotero.HTTP.request(
-        'GET',
-        `${url}?fields=${fields}`,
-        {
-          responseType: 'json',
-          timeout: 10000
-        }
-      );
+      ({ lookups } = await this._lookupPapers(provider, papers, ['references'], options.progressCallback));
+    } finally {
+      used = this._budget.used;
+      exhausted = this._budget.exhausted;
+      this._budget = null;
+    }
+    const cancelled = this.isCancelled();
+    this._signal = null;
+    
+    await CitationCache.save();
+    
+    // Papers the first pass already knows
+    const known = new Set(citationData.user_paper_ids || []);
+    (citationData.all_citations || []).forEach(c => {
+      known.add(c.paperId);
+      Object.values(c.sourcePaperIds || {}).forEach(id => known.add(id));
+    });
+    
+    const candidates = {};
+    let fetched = 0;
+    intermediates.forEach((rec, i) => {
+      const data = lookups[i];
+      if (!data || !Array.isArray(data.references)) return;
+      fetched++;
       
-      // Add delay to avoid rate limiting
-      await this._sleep(this.delay);
+      const via = {
+        paperId: rec.paperId,
+        title: rec.title || '',
+        year: rec.year,
+        citedByKeys: (rec.citedByKeys || []).slice()
+      };
       
-      // Handle response
-      if (response.status === 200) {
-        this.stats.successful++;
-        try {
-          // Zotero.HTTP.request with responseType:'json' returns parsed object
-          // Check if response is already an object or needs parsing
-          const data = typeof response.response === 'string' 
-            ? JSON.parse(response.response)
-            : response.response;
-          return data;
-        } catch (e) {
-          Zotero.debug(`API: Error parsing JSON: ${e.message}`);
-          this.stats.failed++;
-          return null;
+      data.references.forEach(ref => {
+        if (!ref.paperId || known.has(ref.paperId)) return;
+        
+        let candidate = candidates[ref.paperId];
+        if (!candidate) {
+          const externalIds = provider.getExternalIds(ref);
+          candidate = candidates[ref.paperId] = {
+            paperId: ref.paperId,
+            title: ref.title || '',
+            year: ref.year,
+            publicationDate: ref.publicationDate || '',
+            citationCount: ref.citationCount || 0,
+            venue: ref.venue || '',
+            venueIssns: this._venueIssns(ref, provider),
+            ...this._authorFields(ref, provider),
+            doi: externalIds.doi,
+            externalIds: externalIds,
+            direction: 'references',
+            source: provider.id,
+            sources: [provider.id],
+            sourcePaperIds: { [provider.id]: ref.paperId },
+            citedByKeys: [],
+            mentionKeys: [],
+            hop: 2,
+            via: []
+          };
         }
-      } else if (response.status === 404) {
-        this.stats.notFound++;
-        return null;
-      } else if (response.status === 429) {
-        this.stats.rateLimited++;
-        Zotero.debug(`API: Rate limit hit`);
-        return 'RATE_LIMITED';
+        
+        if (!candidate.via.some(v => v.paperId === via.paperId)) {
+          candidate.via.push(via);
+        }
+        candidate.mentioned_count = candidate.via.length;
+        candidate.sourceMentions = { [provider.id]: candidate.mentioned_count };
+      });
+    });
+    
+    const stats = {
+      intermediates: intermediates.length,
+      fetched: fetched,
+      candidates: Object.keys(candidates).length,
+      requests: used,
+      budget: budget,
+      exhausted: exhausted,
+      cancelled: cancelled
+    };
+    Zotero.debug(`API: Second hop found ${stats.candidates} papers through ${fetched}/${intermediates.length} intermediates (${used}/${budget} requests${exhausted ? ', budget used up' : ''})`);
+    
+    return { candidates: Object.values(candidates), stats: stats };
+  },
+  
+  /**
+   * Saved second-hop settings
+   * 
+   * @returns {Object} { enabled, topK, budget }
+   */
+  getSecondHopSettings: function() {
+    const number = (name, fallback) => {
+      const value = parseInt(Zotero.Prefs.get(this.PREF_PREFIX + name, true), 10);
+      return isNaN(value) || value < 1 ? fallback : value;
+    };
+    return {
+      enabled: Zotero.Prefs.get(this.PREF_PREFIX + 'secondHop', true) === true,
+      topK: number('secondHopTopK', this.DEFAULT_SECOND_HOP_TOP_K),
+      budget: number('secondHopBudget', this.DEFAULT_SECOND_HOP_BUDGET)
+    };
+  },
+  
+  /**
+   * Save second-hop settings (only the given fields change)
+   * 
+   * @param {Object} settings - { enabled, topK, budget }
+   */
+  setSecondHopSettings: function(settings) {
+    ['topK', 'budget'].forEach(field => {
+      if (settings[field] === undefined) return;
+      const value = parseInt(settings[field], 10);
+      if (isNaN(value) || value < 1) {
+        throw new Error(`Invalid second hop ${field}: ${settings[field]}`);
+      }
+    });
+    
+    if (settings.enabled !== undefined) {
+      Zotero.Prefs.set(this.PREF_PREFIX + 'secondHop', !!settings.enabled);
+    }
+    if (settings.topK !== undefined) {
+      Zotero.Prefs.set(this.PREF_PREFIX + 'secondHopTopK', parseInt(settings.topK, 10));
+    }
+    if (settings.budget !== undefined) {
+      Zotero.Prefs.set(this.PREF_PREFIX + 'secondHopBudget', parseInt(settings.budget, 10));
+    }
+  },
+  
+  /**
+   * Whether the current run's signal has been aborted
+   * 
+   * @returns {boolean}
+   */
+  isCancelled: function() {
+    return !!(this._signal && this._signal.aborted);
+  },
+  
+  /**
+   * Whether an error is the cancellation error (Error('CANCELLED'))
+   * 
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isCancelError: function(error) {
+    return !!error && error.message === 'CANCELLED';
+  },
+  
+  /**
+   * New AbortController for a cancellable run. Subscript scopes do not
+   * always expose AbortController, so fall back to the main window's.
+   * 
+   * @returns {AbortController|null} null if none is available
+   */
+  createAbortController: function() {
+    if (typeof AbortController !== 'undefined') {
+      return new AbortController();
+    }
+    const win = Zotero.getMainWindow();
+    return win && win.AbortController ? new win.AbortController() : null;
+  },
+  
+  /**
+   * Saved search direction (default: references)
+   * 
+   * @returns {string} 'references' | 'citations' | 'both'
+   */
+  getDirection: function() {
+    const direction = Zotero.Prefs.get(this.PREF_PREFIX + 'direction', this.DEFAULT_DIRECTION);
+    return this.DIRECTIONS.includes(direction) ? direction : this.DEFAULT_DIRECTION;
+  },
+  
+  /**
+   * Save the search direction preference
+   * 
+   * @param {string} direction - 'references' | 'citations' | 'both'
+   */
+  setDirection: function(direction) {
+    if (!this.DIRECTIONS.includes(direction)) {
+      throw new Error(`Unknown direction: ${direction}`);
+    }
+    Zotero.Prefs.set(this.PREF_PREFIX + 'direction', direction);
+  },
+  
+  /**
+   * Saved citation-source provider (default: Semantic Scholar). With the
+   * 'all' setting this is the first provider, used for settings that need
+   * a single one (batch size, cache keys).
+   * 
+   * @returns {Object} Provider object from PROVIDERS
+   */
+  getProvider: function() {
+    return this.PROVIDERS[this.getProviderIds()[0]];
+  },
+  
+  /**
+   * IDs of the providers a run should query, in order
+   * 
+   * @returns {string[]} One ID, or every key of PROVIDERS for 'all'
+   */
+  getProviderIds: function() {
+    const id = Zotero.Prefs.get(this.PREF_PREFIX + 'provider', this.DEFAULT_PROVIDER);
+    if (id === this.ALL_PROVIDERS) {
+      return Object.keys(this.PROVIDERS);
+    }
+    return [this.PROVIDERS[id] ? id : this.DEFAULT_PROVIDER];
+  },
+  
+  /**
+   * Display name of the provider setting ('Semantic Scholar + OpenAlex' for all)
+   * 
+   * @returns {string}
+   */
+  getProviderLabel: function() {
+    return this.getProviderIds().map(id => this.PROVIDERS[id].name).join(' + ');
+  },
+  
+  /**
+   * Save the citation-source provider preference
+   * 
+   * @param {string} id - Key of PROVIDERS, or ALL_PROVIDERS
+   */
+  setProvider: function(id) {
+    if (!this.PROVIDERS[id] && id !== this.ALL_PROVIDERS) {
+      throw new Error(`Unknown provider: ${id}`);
+    }
+    Zotero.Prefs.set(this.PREF_PREFIX + 'provider', id);
+  },
+  
+  /**
+   * Whether providers may use their batch lookup path (default: yes)
+   *
+   * @returns {boolean}
+   */
+  isBatchEnabled: function() {
+    return Zotero.Prefs.get(this.PREF_PREFIX + 'batchLookup', true) !== false;
+  },
+  
+  /**
+   * Resolve paper data for every paper:
+   *   1. On-disk cache (namespaced per provider)
+   *   2. provider.lookupPapers() for everything else
+   *   3. provider.completeLists() where the provider truncates nested lists
+   *
+   * progressCallback fires once per paper as its data becomes available,
+   * so it may jump ahead by a whole chunk after each batch request.
+   * Provider results are cached as they arrive. If the run is cancelled,
+   * the remaining passes are skipped and reached marks the papers done.
+   * Papers in options.resume count as cache hits of their own (stats.resumed).
+   *
+   * @private
+   * @param {Object} provider - Citation-source provider (see PROVIDERS)
+   * @param {Array} papers - Array of paper objects from Parser
+   * @param {string[]} listKeys - Nested lists needed ('references', 'citations')
+   * @param {Function} progressCallback - Called with (current, total, title)
+   * @param {Object} options - fetchCitations() options (resume, onPaperData)
+   * @returns {Promise<{lookups: Array, reached: boolean[]}>} Paper data (or
+   *          null) aligned with papers, and which papers were processed
+   */
+  _lookupPapers: async function(provider, papers, listKeys, progressCallback, options = {}) {
+    const results = new Array(papers.length).fill(null);
+    const reached = new Array(papers.length).fill(false);
+    const resume = options.resume || {};
+    const onPaperData = options.onPaperData || (() => {});
+    const maxCacheAgeMs = options.maxCacheAgeDays > 0
+      ? options.maxCacheAgeDays * 24 * 60 * 60 * 1000
+      : undefined;
+    let done = 0;
+    
+    const reportDone = (i) => {
+      reached[i] = true;
+      done++;
+      if (progressCallback) {
+        progressCallback(done, papers.length, papers[i].title);
+      }
+    };
+    
+    // A cached entry from a run in another direction lacks the needed lists,
+    // one of an older format the fields this version reads
+    const isUsable = (data) => data === null ||
+      (data && data.dataVersion >= this.DATA_VERSION && listKeys.every(k => Array.isArray(data[k])));
+    
+    // Pass 1: interrupted run, then cache
+    const pending = [];
+    papers.forEach((paper, i) => {
+      const key = this.getCacheKey(paper, provider);
+      const resumed = key && Object.prototype.hasOwnProperty.call(resume, key)
+        ? resume[key]
+        : undefined;
+      const cached = CitationCache.get(key, maxCacheAgeMs);
+      
+      if (resumed !== undefined && isUsable(resumed)) {
+        this.stats.resumed++;
+        results[i] = resumed;
+        reportDone(i);
+      } else if (cached !== undefined && isUsable(cached)) {
+        this.stats.cacheHits++;
+        results[i] = cached;
+        reportDone(i);
+      } else if (!key) {
+        this.stats.noIdentifier++;
+        reportDone(i);
       } else {
-        this.stats.failed++;
-        Zotero.debug(`API: HTTP Error ${response.status} for DOI: ${doi.substring(0, 30)}...`);
-        return null;
+        this.stats.cacheMisses++;
+        pending.push(i);
+      }
+    });
+    
+    Zotero.debug(`API: ${papers.length - pending.length} resolved without a request, ${pending.length} to fetch from ${provider.name}`);
+    
+    try {
+      // Pass 2: provider
+      if (pending.length > 0) {
+        await provider.lookupPapers(
+          pending.map(i => papers[i]),
+          listKeys,
+          (k, data) => {
+            const i = pending[k];
+            const key = this.getCacheKey(papers[i], provider);
+            if (data === 'NOT_FOUND') {
+              this.stats.notFound++;
+              CitationCache.set(key, null);
+              onPaperData(key, null);
+            } else if (data) {
+              data.source = provider.id;
+              data.dataVersion = this.DATA_VERSION;
+              results[i] = data;
+              this._storeInCache(key, data);
+              onPaperData(key, data);
+            }
+            reportDone(i);
+          }
+        );
       }
       
+      // Pass 3: complete truncated lists (cached entries included)
+      if (typeof provider.completeLists === 'function') {
+        const changed = await provider.completeLists(papers, results, listKeys);
+        changed.forEach(i => {
+          const key = this.getCacheKey(papers[i], provider);
+          this._storeInCache(key, results[i]);
+          onPaperData(key, results[i]);
+        });
+      }
     } catch (error) {
-      // Check if error is rate limit (429)
-      if (error.message && error.message.includes('429')) {
-        this.stats.rateLimited++;
-        return 'RATE_LIMITED';
+      if (!this.isCancelError(error)) throw error;
+    }
+    
+    return { lookups: results, reached: reached };
+  },
+  
+  /**
+   * Identifiers of a paper in ID_TYPES order; each provider maps the types
+   * it supports to its own ID syntax
+   *
+   * @param {Object} paper - Paper object from Parser
+   * @returns {Array<{type: string, value: string}>}
+   */
+  getIdentifiers: function(paper) {
+    const ids = Object.assign({}, paper.identifiers || {});
+    if (!ids.doi && paper.doi) {
+      ids.doi = paper.doi;
+    }
+    
+    return this.ID_TYPES
+      .filter(type => ids[type] && String(ids[type]).trim())
+      .map(type => ({ type: type, value: String(ids[type]).trim() }));
+  },
+  
+  /**
+   * Cache key for a paper: the normalized DOI if it has one (so entries from
+   * earlier versions stay valid), otherwise its first other identifier
+   * ('arxiv:2101.00001'), otherwise its normalized title and year.
+   * Providers other than Semantic Scholar prefix it with their namespace
+   * ('openalex|10.1/x'), since their paper data is not interchangeable.
+   *
+   * @param {Object} paper - Paper object from Parser
+   * @param {Object} provider - Provider (default: getProvider())
+   * @returns {string} Cache key, or '' if the paper cannot be looked up
+   */
+  getCacheKey: function(paper, provider = this.getProvider()) {
+    const ids = this.getIdentifiers(paper);
+    let key = '';
+    
+    if (ids.length > 0) {
+      key = ids[0].type === 'doi'
+        ? CitationCache.normalizeDOI(ids[0].value)
+        : `${ids[0].type}:${ids[0].value.replace(/^PMC/i, '')}`.toLowerCase();
+    } else {
+      const title = this.normalizeTitle(paper.title);
+      key = title ? `title:${title}|${paper.year || ''}` : '';
+    }
+    
+    return key && provider.cacheNamespace ? `${provider.cacheNamespace}|${key}` : key;
+  },
+  
+  /**
+   * How a library paper was resolved
+   *
+   * @private
+   * @param {Object} paper - Paper object from Parser
+   * @param {Object|null} data - Paper data from _lookupPapers()
+   * @returns {Object|null} { method, confidence, lowConfidence, matchedTitle }
+   *          or null if the paper was not found
+   */
+  _getResolution: function(paper, data) {
+    if (!data) return null;
+    
+    // Entries cached before v1.9.0 were always DOI lookups
+    const method = data.resolvedBy || 'doi';
+    if (method !== 'title') {
+      return { method: method, confidence: 1, lowConfidence: false, matchedTitle: null };
+    }
+    
+    const confidence = this.titleMatchConfidence(paper, data);
+    return {
+      method: 'title',
+      confidence: confidence,
+      lowConfidence: confidence < this.LOW_MATCH_CONFIDENCE,
+      matchedTitle: data.title || ''
+    };
+  },
+  
+  /**
+   * Per-paper cap on paged citations/references
+   * 
+   * @returns {number}
+   */
+  getMaxLinksPerPaper: function() {
+    const max = parseInt(Zotero.Prefs.get(this.PREF_PREFIX + 'maxLinksPerPaper', this.maxLinksPerPaper), 10);
+    return isNaN(max) || max < 1 ? this.maxLinksPerPaper : max;
+  },
+  
+  /**
+   * Configured batch size, clamped to the active provider's limit
+   *
+   * @returns {number}
+   */
+  getBatchSize: function() {
+    const limit = this.getProvider().BATCH_LIMIT;
+    const size = parseInt(Zotero.Prefs.get(this.PREF_PREFIX + 'batchSize', this.batchSize), 10);
+    if (isNaN(size) || size < 1) return Math.min(this.batchSize, limit);
+    return Math.min(size, limit);
+  },
+  
+  /**
+   * Confidence (0-1) that a title match is the library paper: word overlap
+   * (Dice coefficient) of the normalized titles, minus a penalty when both
+   * years are known and more than one year apart.
+   *
+   * @param {Object} paper - Paper object from Parser ({ title, year })
+   * @param {Object} match - Matched paper ({ title, year })
+   * @returns {number} Confidence between 0 and 1
+   */
+  titleMatchConfidence: function(paper, match) {
+    const a = this.normalizeTitle(paper.title).split(' ').filter(w => w);
+    const b = this.normalizeTitle(match.title).split(' ').filter(w => w);
+    if (a.length === 0 || b.length === 0) return 0;
+    
+    const remaining = b.slice();
+    let shared = 0;
+    a.forEach(word => {
+      const k = remaining.indexOf(word);
+      if (k !== -1) {
+        shared++;
+        remaining.splice(k, 1);
+      }
+    });
+    let confidence = (2 * shared) / (a.length + b.length);
+    
+    const yearA = parseInt(paper.year, 10);
+    const yearB = parseInt(match.year, 10);
+    if (!isNaN(yearA) && !isNaN(yearB) && Math.abs(yearA - yearB) > 1) {
+      confidence -= 0.2;
+    }
+    
+    return Math.max(0, Math.min(1, Math.round(confidence * 100) / 100));
+  },
+  
+  /**
+   * Normalize a title for matching: lowercase, no accents, letters and
+   * digits only, single spaces
+   *
+   * @param {string} title
+   * @returns {string}
+   */
+  normalizeTitle: function(title) {
+    return String(title || '')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^\p{L}\p{N}]+/gu, ' ')
+      .trim();
+  },
+  
+  /**
+   * Nested list keys needed for a direction
+   * 
+   * @private
+   * @param {string} direction - 'references' | 'citations' | 'both'
+   * @returns {string[]} Paper fields holding the linked papers
+   */
+  _getListKeys: function(direction) {
+    return direction === 'both' ? ['references', 'citations'] : [direction];
+  },
+  
+  /**
+   * Store paper data in the cache, keeping lists fetched for other directions
+   * (unless they are of an older format)
+   * 
+   * @private
+   * @param {string} key - Cache key from getCacheKey()
+   * @param {Object} data - Paper data from the API
+   */
+  _storeInCache: function(key, data) {
+    const previous = CitationCache.get(key);
+    const current = previous && previous.dataVersion >= this.DATA_VERSION;
+    CitationCache.set(key, current ? Object.assign({}, previous, data) : data);
+  },
+  
+  /**
+   * Paper ID a source reported a candidate under ('' if it did not)
+   * 
+   * @private
+   */
+  _getSourcePaperId: function(candidate, providerId) {
+    const ids = candidate.sourcePaperIds || {};
+    if (ids[providerId]) return ids[providerId];
+    return candidate.source === providerId ? (candidate.paperId || '') : '';
+  },
+  
+  /**
+   * Key of an author across providers, as in user_author_ids
+   * 
+   * @param {string} source - Provider ID
+   * @param {string} authorId - The provider's author ID
+   * @returns {string} '<source>:<authorId>'
+   */
+  authorKey: function(source, authorId) {
+    return `${source}:${authorId}`;
+  },
+  
+  /**
+   * Candidate author fields from a provider's authors list
+   * 
+   * @private
+   * @param {Object} linked - Paper data or linked paper
+   * @param {Object} provider
+   * @returns {Object} { authors: [names], authorIds: [IDs, '' if unknown],
+   *          authorSource }
+   */
+  _authorFields: function(linked, provider) {
+    const authors = (linked.authors || []).filter(a => a && a.name);
+    return {
+      authors: authors.map(a => a.name),
+      authorIds: authors.map(a => (a.authorId ? String(a.authorId) : '')),
+      authorSource: provider.id
+    };
+  },
+  
+  /**
+   * ISSNs of a linked paper's venue, if the provider knows them
+   * 
+   * @private
+   * @param {Object} linked - Entry of a references/citations list
+   * @param {Object} provider - Provider that returned it
+   * @returns {string[]}
+   */
+  _venueIssns: function(linked, provider) {
+    return typeof provider.getVenueIssns === 'function' ? provider.getVenueIssns(linked) : [];
+  },
+  
+  /**
+   * Crossref works for a chunk of DOIs (DOI and relation only), retrying
+   * when rate limited
+   * 
+   * @private
+   * @param {string[]} dois - Normalized DOIs (at most CROSSREF.BATCH_LIMIT)
+   * @param {number} attempt - Current attempt number
+   * @returns {Promise<Array|null>} Crossref work items, or null on failure
+   */
+  _fetchRelationsWithRetry: async function(dois, attempt = 1) {
+    const filter = dois.map(doi => `doi:${encodeURIComponent(doi)}`).join(',');
+    const url = `${this.CROSSREF.baseURL}/works?filter=${filter}&select=DOI,relation&rows=${dois.length}`;
+    
+    try {
+      const response = await this.request(this.CROSSREF, 'GET', url, {
+        responseType: 'json',
+        timeout: 30000,
+        successCodes: false
+      });
+      
+      if (response.status === 429 && attempt < this.CROSSREF.maxRetries) {
+        await this.backoff(this.CROSSREF, attempt);
+        return this._fetchRelationsWithRetry(dois, attempt + 1);
+      }
+      if (response.status !== 200) {
+        Zotero.debug(`API: Crossref HTTP Error ${response.status}`);
+        return null;
       }
       
-      this.stats.failed++;
-      Zotero.debug(`API: Request failed: ${error.message}`);
-      Zotero.logError(error);
+      const data = typeof response.response === 'string'
+        ? JSON.parse(response.response)
+        : response.response;
+      return data && data.message && Array.isArray(data.message.items) ? data.message.items : null;
+    } catch (error) {
+      if (this.isCancelError(error)) throw error;
+      Zotero.debug(`API: Crossref request failed: ${error.message}`);
       return null;
     }
   },
   
   /**
-   * Sleep for specified milliseconds
+   * Cache key of a DOI's version relations
+   * 
+   * @private
+   */
+  _getRelationKey: function(doi) {
+    return `relations|crossref|${doi}`;
+  },
+  
+  /**
+   * Cache key of a recommendation's metadata
+   * 
+   * @private
+   */
+  _getMetadataKey: function(providerId, paperId) {
+    return `meta|${providerId}|${paperId}`;
+  },
+  
+  /**
+   * Copy metadata onto a candidate, keeping fields it already has
+   * 
+   * @private
+   * @param {Object} candidate - Recommendation (modified in place)
+   * @param {Object} meta - Metadata from a provider's fetchMetadata()
+   */
+  _applyMetadata: function(candidate, meta) {
+    ['venue', 'abstract', 'tldr', 'openAccessPdf'].forEach(field => {
+      if (!candidate[field] && meta[field]) candidate[field] = meta[field];
+    });
+    ['authors', 'fieldsOfStudy'].forEach(field => {
+      if (!(candidate[field] && candidate[field].length) && meta[field] && meta[field].length) {
+        candidate[field] = meta[field].slice();
+      }
+    });
+    
+    candidate.externalIds = candidate.externalIds || {};
+    Object.keys(meta.externalIds || {}).forEach(type => {
+      if (!candidate.externalIds[type] && meta.externalIds[type]) {
+        candidate.externalIds[type] = meta.externalIds[type];
+      }
+    });
+    if (!candidate.doi && (meta.doi || candidate.externalIds.doi)) {
+      candidate.doi = meta.doi || candidate.externalIds.doi;
+    }
+    
+    candidate.enriched = true;
+  },
+  
+  /**
+   * Send an HTTP request for a provider through its rate limiter, adding
+   * the provider's headers (e.g. an API key)
+   * 
+   * @param {Object} provider - Citation-source provider
+   * @param {string} method - 'GET' | 'POST'
+   * @param {string} url - Full request URL
+   * @param {Object} options - Zotero.HTTP.request options
+   * @returns {Promise<Object>} Zotero.HTTP.request result (throws like it,
+   *          or Error('CANCELLED') once a request budget is used up)
+   */
+  request: async function(provider, method, url, options = {}) {
+    const signal = this._signal;
+    if (this._budget) {
+      // Out of budget: stop like a cancellation, keeping what was fetched
+      if (this._budget.used >= this._budget.max) {
+        this._budget.exhausted = true;
+        throw new Error('CANCELLED');
+      }
+      this._budget.used++;
+    }
+    this.stats.waitTime += await RateLimiter.acquire(provider.id, signal);
+    
+    const extra = typeof provider.getHeaders === 'function' ? provider.getHeaders() : {};
+    const headers = Object.assign({}, options.headers, extra);
+    const started = Date.now();
+    let response = null;
+    let cancel = null;
+    
+    try {
+      response = await Zotero.HTTP.request(method, url, Object.assign({}, options, {
+        headers: headers,
+        // Abort the XHR itself when the run is cancelled
+        cancellerReceiver: (canceller) => {
+          cancel = canceller;
+          if (signal) signal.addEventListener('abort', cancel, { once: true });
+        }
+      }));
+      return response;
+    } catch (error) {
+      throw signal && signal.aborted ? new Error('CANCELLED') : error;
+    } finally {
+      if (signal && cancel) signal.removeEventListener('abort', cancel);
+      this.stats.fetchTime += Date.now() - started;
+      RateLimiter.release(provider.id, response);
+    }
+  },
+  
+  /**
+   * Wait before retrying a rate-limited request: as long as the server
+   * asked (Retry-After), otherwise provider.retryDelay × attempt
+   * 
+   * @param {Object} provider - Citation-source provider
+   * @param {number} attempt - Attempt that was rate limited (1-based)
+   * @returns {Promise<number>} Milliseconds waited
+   */
+  backoff: async function(provider, attempt) {
+    if (this.isCancelled()) throw new Error('CANCELLED');
+    const waitTime = RateLimiter.getBackoff(provider.id, attempt, provider.retryDelay);
+    Zotero.debug(`API:   ⏰ ${provider.name} rate limited, waiting ${Math.round(waitTime / 100) / 10}s before retry ${attempt}/${provider.maxRetries}...`);
+    await this._sleep(waitTime);
+    this.stats.waitTime += waitTime;
+    return waitTime;
+  },
+  
+  /**
+   * Run fn for every item with as many calls in flight as the provider's
+   * rate limit allows (1 = one after another). Once a call fails (e.g.
+   * CANCELLED, or a spent request budget) no new item is started, and the
+   * calls still in flight are waited for before the error is passed on —
+   * callers clear the run's budget and signal right after.
+   * 
+   * @param {Object} provider - Citation-source provider
+   * @param {Array} items - Items to process
+   * @param {Function} fn - async (item, index) => void
+   * @returns {Promise<void>} Rejects with the first error other than
+   *          CANCELLED, else with CANCELLED
+   */
+  forEachConcurrent: async function(provider, items, fn) {
+    let next = 0;
+    let failed = false;
+    const worker = async () => {
+      while (next < items.length && !failed) {
+        const k = next++;
+        try {
+          await fn(items[k], k);
+        } catch (error) {
+          failed = true;
+          throw error;
+        }
+      }
+    };
+    
+    const workers = Math.max(1, Math.min(RateLimiter.getConcurrency(provider.id), items.length));
+    const settled = await Promise.allSettled(Array.from({ length: workers }, worker));
+    const errors = settled.filter(s => s.status === 'rejected').map(s => s.reason);
+    if (errors.length > 0) {
+      throw errors.find(error => !this.isCancelError(error)) || errors[0];
+    }
+  },
+  
+  /**
+   * Sleep for specified milliseconds; rejects with Error('CANCELLED') if the
+   * current run is cancelled meanwhile
    * 
    * @private
    * @param {number} ms - Milliseconds to sleep
    * @returns {Promise} Promise that resolves after delay
    */
   _sleep: function(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    return RateLimiter.sleep(ms, this._signal);
   },
   
   /**
@@ -255,9 +1405,20 @@ var API = {
       totalRequests: 0,
       successful: 0,
       failed: 0,
-      noDOI: 0,
+      noIdentifier: 0,
       notFound: 0,
-      rateLimited: 0
+      titleMatches: 0,
+      rejectedMatches: 0,
+      rateLimited: 0,
+      cacheHits: 0,
+      cacheMisses: 0,
+      resumed: 0,
+      batchRequests: 0,
+      pagesFetched: 0,
+      pagedLists: 0,
+      cappedLists: 0,
+      waitTime: 0, // ms waiting for the rate limiter or a retry backoff
+      fetchTime: 0 // ms spent in requests (summed over concurrent requests)
     };
   },
   
@@ -269,12 +1430,18 @@ var API = {
   _printStats: function() {
     Zotero.debug("\n" + "=".repeat(60));
     Zotero.debug("📊 API Statistics:");
-    Zotero.debug(`  Total requests: ${this.stats.totalRequests}`);
+    Zotero.debug(`  Total requests: ${this.stats.totalRequests} (${this.stats.batchRequests} batch)`);
     Zotero.debug(`  Successful: ${this.stats.successful}`);
     Zotero.debug(`  Failed: ${this.stats.failed}`);
     Zotero.debug(`  Not found: ${this.stats.notFound}`);
     Zotero.debug(`  Rate limited: ${this.stats.rateLimited}`);
-    Zotero.debug(`  No DOI: ${this.stats.noDOI}`);
+    Zotero.debug(`  No identifier or title: ${this.stats.noIdentifier}`);
+    Zotero.debug(`  Title matches: ${this.stats.titleMatches} (${this.stats.rejectedMatches} rejected as too uncertain)`);
+    Zotero.debug(`  Cache hits: ${this.stats.cacheHits}`);
+    Zotero.debug(`  Cache misses: ${this.stats.cacheMisses}`);
+    Zotero.debug(`  Resumed from checkpoint: ${this.stats.resumed}`);
+    Zotero.debug(`  Pages fetched: ${this.stats.pagesFetched} (${this.stats.pagedLists} lists paged, ${this.stats.cappedLists} hit per-paper cap)`);
+    Zotero.debug(`  Time waiting: ${(this.stats.waitTime / 1000).toFixed(1)}s, fetching: ${(this.stats.fetchTime / 1000).toFixed(1)}s`);
     Zotero.debug("=".repeat(60));
   }
 };
\ No newline at end of file
@@ -0,0 +1,321 @@
+/**
+ * LitGap - Checkpoint Module
+ * Run files that let an interrupted Find Hidden Papers run resume
+ *
+ * @module checkpoint
+ * @version 1.0.0
+ *
+ * While citations are fetched, main.js records the data of every paper the
+ * citation source returned (API.fetchCitations options.onPaperData). The
+ * run file is written every SAVE_INTERVAL_MS and when a source finishes, so
+ * a crash or dropped connection loses at most a few seconds of work. The
+ * next run of the same collection offers to resume: recorded papers are
+ * handed back to fetchCitations (options.resume) and only the rest is
+ * fetched. A run that completes without failed requests removes its file.
+ *
+ * Run file: <Zotero data dir>/litgap/checkpoints/<libraryID>_<collectionKey>.json
+ *   {
+ *     version: 1,
+ *     collectionName, direction, providers: ['semanticscholar', ...],
+ *     paperCount,                     library papers in the run
+ *     startedAt, updatedAt,           epoch ms
+ *     entries: { "<cache key>": <paper data | null> }
+ *   }
+ *   Keys are API.getCacheKey() keys, so they are already namespaced per
+ *   provider. null records a paper the source does not know.
+ *
+ * Preference Keys (namespace: extensions.zotero.litgap.*)
+ *   checkpointMaxAgeHours → hours before a run file is too old to resume
+ *                           (default 24, 0 = no checkpoints)
+ *
+ * Public API:
+ *   find(collection, run)  → Promise<Object|null>  resumable checkpoint info
+ *   start(collection, run, resumed)               begin recording
+ *   record(key, data)                             one paper's data
+ *   getEntries()           → Object|null          entries to resume from
+ *   flush()                → Promise<void>        write pending entries
+ *   finish(keep)           → Promise<void>        stop recording
+ *   discard(collection)    → Promise<void>        remove the run file
+ *   pruneExpired()         → Promise<number>      remove run files past max age
+ *   getMaxAgeHours()       → number
+ *   setMaxAgeHours(hours)
+ */
+
+var Checkpoint = {
+
+  // ─── Configuration ─────────────────────────────────────────────────────────
+
+  PREF_PREFIX:             'extensions.zotero.litgap.',
+  DEFAULT_MAX_AGE_HOURS:   24,
+  FILE_VERSION:            1,
+  DIR_NAME:                'litgap',
+  SUBDIR_NAME:             'checkpoints',
+  SAVE_INTERVAL_MS:        5000,
+
+  // ─── State ─────────────────────────────────────────────────────────────────
+
+  _run:       null,   // run file contents while recording
+  _path:      null,
+  _dirty:     false,
+  _lastWrite: 0,
+  _writing:   null,   // Promise of the write in progress
+
+  // ─── Public API ────────────────────────────────────────────────────────────
+
+  /**
+   * Look for a resumable checkpoint of a collection. A run file that is
+   * too old, unreadable or from a run with other settings (direction,
+   * citation sources) is removed instead.
+   *
+   * @param {Zotero.Collection} collection
+   * @param {Object} run - { direction, providers } of the run about to start
+   * @returns {Promise<Object|null>} { paperCount, fetched, updatedAt, run } or null
+   */
+  find: async function(collection, run) {
+    if (!this._isEnabled()) return null;
+
+    const path = this._getPath(collection);
+
+    try {
+      if (!(await IOUtils.exists(path))) return null;
+
+      const stored = await IOUtils.readJSON(path);
+      const reason = this._getInvalidReason(stored, run);
+      if (reason) {
+        Zotero.debug(`Checkpoint: Ignoring checkpoint for ${collection.name} (${reason})`);
+        await this.discard(collection);
+        return null;
+      }
+
+      return {
+        paperCount: stored.paperCount,
+        fetched:    Object.keys(stored.entries).length,
+        updatedAt:  stored.updatedAt,
+        run:        stored
+      };
+    } catch (e) {
+      Zotero.debug(`Checkpoint: Failed to read checkpoint - ${e.message}`);
+      return null;
+    }
+  },
+
+  /**
+   * Begin recording a run. Resuming keeps the entries of the checkpoint
+   * returned by find(); otherwise any old run file is replaced.
+   *
+   * @param {Zotero.Collection} collection
+   * @param {Object} run - { direction, providers, paperCount }
+   * @param {Object|null} [resumed] - Result of find() to continue from
+   */
+  start: function(collection, run, resumed) {
+    if (!this._isEnabled()) {
+      this._run = null;
+      return;
+    }
+
+    const now = Date.now();
+    this._path = this._getPath(collection);
+    this._run = {
+      version:        this.FILE_VERSION,
+      collectionName: collection.name,
+      direction:      run.direction,
+      providers:      run.providers.slice(),
+      paperCount:     run.paperCount,
+      startedAt:      resumed ? resumed.run.startedAt : now,
+      updatedAt:      now,
+      entries:        resumed ? Object.assign({}, resumed.run.entries) : {}
+    };
+    this._dirty = false;
+    this._lastWrite = now;
+
+    Zotero.debug(`Checkpoint: ${resumed ? 'Resuming' : 'Starting'} run for ${collection.name} (${Object.keys(this._run.entries).length} papers recorded)`);
+  },
+
+  /**
+   * Record the data of one paper. Writes the run file at most every
+   * SAVE_INTERVAL_MS; the write runs in the background.
+   *
+   * @param {string} key - API.getCacheKey() of the paper
+   * @param {Object|null} data - Paper data, or null for "not found"
+   */
+  record: function(key, data) {
+    if (!this._run || !key) return;
+
+    this._run.entries[key] = data;
+    this._dirty = true;
+
+    if (Date.now() - this._lastWrite >= this.SAVE_INTERVAL_MS) {
+      this.flush();
+    }
+  },
+
+  /**
+   * Entries recorded for the current run (including resumed ones)
+   *
+   * @returns {Object|null} { "<cache key>": data } or null when not recording
+   */
+  getEntries: function() {
+    return this._run ? this._run.entries : null;
+  },
+
+  /**
+   * Write the run file if entries were recorded since the last write.
+   *
+   * @returns {Promise<void>}
+   */
+  flush: async function() {
+    if (this._writing) await this._writing;
+    if (!this._run || !this._dirty) return;
+
+    this._dirty = false;
+    this._lastWrite = Date.now();
+    this._run.updatedAt = this._lastWrite;
+
+    this._writing = this._write(this._path, this._run);
+    await this._writing;
+    this._writing = null;
+  },
+
+  /**
+   * Stop recording. keep=false removes the run file (the run completed),
+   * keep=true writes what is left so the next run can resume.
+   *
+   * @param {boolean} keep
+   * @returns {Promise<void>}
+   */
+  finish: async function(keep) {
+    if (!this._run) return;
+
+    if (keep) {
+      await this.flush();
+      Zotero.debug(`Checkpoint: Kept ${Object.keys(this._run.entries).length} papers for resuming`);
+    } else {
+      if (this._writing) await this._writing;
+      await this._remove(this._path);
+    }
+
+    this._run = null;
+    this._path = null;
+    this._dirty = false;
+  },
+
+  /**
+   * Remove the run file of a collection.
+   *
+   * @param {Zotero.Collection} collection
+   * @returns {Promise<void>}
+   */
+  discard: async function(collection) {
+    await this._remove(this._getPath(collection));
+  },
+
+  /**
+   * Remove every run file older than the maximum age (all of them when
+   * checkpoints are disabled).
+   *
+   * @returns {Promise<number>} Number of files removed
+   */
+  pruneExpired: async function() {
+    const dir = this._getDir();
+    let removed = 0;
+
+    try {
+      if (!(await IOUtils.exists(dir))) return 0;
+
+      const files = await IOUtils.getChildren(dir);
+      for (const path of files) {
+        if (!path.endsWith('.json') || path === this._path) continue;
+
+        const info = await IOUtils.stat(path);
+        if (!this._isEnabled() || this._isExpired(info.lastModified)) {
+          await this._remove(path);
+          removed++;
+        }
+      }
+    } catch (e) {
+      Zotero.debug(`Checkpoint: Failed to prune checkpoints - ${e.message}`);
+    }
+
+    if (removed > 0) Zotero.debug(`Checkpoint: Removed ${removed} expired checkpoints`);
+    return removed;
+  },
+
+  /**
+   * Hours before a checkpoint expires (0 = checkpoints disabled)
+   *
+   * @returns {number}
+   */
+  getMaxAgeHours: function() {
+    const hours = Zotero.Prefs.get(this.PREF_PREFIX + 'checkpointMaxAgeHours', true);
+    const parsed = parseInt(hours, 10);
+    return isNaN(parsed) || parsed < 0 ? this.DEFAULT_MAX_AGE_HOURS : parsed;
+  },
+
+  /**
+   * Save the checkpoint age preference
+   *
+   * @param {number} hours - 0 disables checkpoints
+   */
+  setMaxAgeHours: function(hours) {
+    const parsed = parseInt(hours, 10);
+    if (isNaN(parsed) || parsed < 0) {
+      throw new Error(`Invalid checkpoint age: ${hours}`);
+    }
+    Zotero.Prefs.set(this.PREF_PREFIX + 'checkpointMaxAgeHours', parsed);
+  },
+
+  // ─── Internal helpers ──────────────────────────────────────────────────────
+
+  _getDir: function() {
+    return PathUtils.join(Zotero.DataDirectory.dir, this.DIR_NAME, this.SUBDIR_NAME);
+  },
+
+  _getPath: function(collection) {
+    return PathUtils.join(this._getDir(), `${collection.libraryID}_${collection.key}.json`);
+  },
+
+  _isEnabled: function() {
+    return this.getMaxAgeHours() > 0;
+  },
+
+  _isExpired: function(timestamp) {
+    const maxAge = this.getMaxAgeHours() * 60 * 60 * 1000;
+    return !timestamp || (Date.now() - timestamp) > maxAge;
+  },
+
+  /**
+   * Why a stored run file cannot be resumed by this run ('' if it can)
+   * @private
+   */
+  _getInvalidReason: function(stored, run) {
+    if (!stored || stored.version !== this.FILE_VERSION || !stored.entries) {
+      return 'unknown format';
+    }
+    if (this._isExpired(stored.updatedAt)) {
+      return 'expired';
+    }
+    if (stored.direction !== run.direction ||
+        (stored.providers || []).join(',') !== run.providers.join(',')) {
+      return 'different search settings';
+    }
+    return '';
+  },
+
+  _write: async function(path, run) {
+    try {
+      await IOUtils.makeDirectory(PathUtils.parent(path), { ignoreExisting: true });
+      await IOUtils.writeJSON(path, run, { tmpPath: path + '.tmp' });
+    } catch (e) {
+      // Non-fatal: the run goes on, it just cannot be resumed from here
+      Zotero.debug(`Checkpoint: Failed to write checkpoint - ${e.message}`);
+    }
+  },
+
+  _remove: async function(path) {
+    try {
+      await IOUtils.remove(path, { ignoreAbsent: true });
+    } catch (e) {
+      Zotero.debug(`Checkpoint: Failed to remove checkpoint - ${e.message}`);
+    }
+  }
+};
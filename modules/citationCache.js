@@ -0,0 +1,278 @@
+/**
+ * LitGap - Citation Cache Module
+ * Persistent on-disk cache for Semantic Scholar paper lookups
+ *
+ * @module citationCache
+ * @version 1.2.0
+ *
+ * CHANGELOG:
+ * v1.2.0 - get(doi, maxAgeMs) treats entries older than maxAgeMs as a miss
+ *          (kept on disk for other callers)
+ * v1.1.0 - Keys may also be 'arxiv:<id>', 'pmid:<id>', ... or
+ *          'title:<normalized title>|<year>' for papers without a DOI
+ *
+ * Stores the result of every API paper lookup in the Zotero data
+ * directory so that re-running Find Hidden Papers on the same collection only
+ * hits the network for new or expired DOIs.
+ *
+ * Cache file: <Zotero data dir>/litgap/citation-cache.json
+ *   {
+ *     version: 1,
+ *     entries: {
+ *       "<normalized doi>": { fetchedAt: <epoch ms>, data: <paper object | null> }
+ *     }
+ *   }
+ *   data === null records a 404 (DOI unknown to Semantic Scholar), so those
+ *   DOIs are not re-queried until the entry expires either.
+ *   Papers without a DOI are keyed by API.getCacheKey() instead; those keys
+ *   pass through normalizeDOI() unchanged apart from lowercasing.
+ *
+ * Preference Keys (namespace: extensions.zotero.litgap.*)
+ *   cacheTTLDays → days before an entry expires (default 30, 0 = cache disabled)
+ *
+ * Public API:
+ *   load()               → Promise<void>   reads file once per session
+ *   get(doi, maxAgeMs)   → Object|null|undefined  (undefined = miss or expired)
+ *   set(doi, data)
+ *   save()               → Promise<void>   writes only if something changed
+ *   invalidate(dois)     → number of entries removed
+ *   clear()              → Promise<number> number of entries removed
+ *   getInfo()            → { entries, expired, ttlDays, path }
+ *   normalizeDOI(doi)    → string
+ */
+
+var CitationCache = {
+
+  // ─── Configuration ─────────────────────────────────────────────────────────
+
+  PREF_PREFIX:      'extensions.zotero.litgap.',
+  DEFAULT_TTL_DAYS: 30,
+  FILE_VERSION:     1,
+  DIR_NAME:         'litgap',
+  FILE_NAME:        'citation-cache.json',
+
+  // ─── State ─────────────────────────────────────────────────────────────────
+
+  _entries: null,   // null until load() has run
+  _dirty:   false,
+
+  // ─── Public API ────────────────────────────────────────────────────────────
+
+  /**
+   * Load the cache file into memory. Safe to call repeatedly — only the
+   * first call touches the disk. Expired entries are dropped on load.
+   *
+   * @returns {Promise<void>}
+   */
+  load: async function() {
+    if (this._entries) return;
+
+    this._entries = {};
+    const path = this._getPath();
+
+    try {
+      if (!(await IOUtils.exists(path))) {
+        Zotero.debug('CitationCache: No cache file yet');
+        return;
+      }
+
+      const stored = await IOUtils.readJSON(path);
+      if (!stored || stored.version !== this.FILE_VERSION || !stored.entries) {
+        Zotero.debug('CitationCache: Cache file has unknown format, starting fresh');
+        this._dirty = true;
+        return;
+      }
+
+      this._entries = stored.entries;
+      const pruned = this._pruneExpired();
+      Zotero.debug(`CitationCache: Loaded ${Object.keys(this._entries).length} entries (${pruned} expired)`);
+    } catch (e) {
+      Zotero.debug(`CitationCache: Failed to read cache - ${e.message}`);
+      this._entries = {};
+    }
+  },
+
+  /**
+   * Look up a DOI.
+   *
+   * @param {string} doi - Raw DOI (normalized internally)
+   * @param {number} [maxAgeMs] - Treat entries fetched longer ago as a miss
+   *        (stricter than the TTL; the entry itself is kept)
+   * @returns {Object|null|undefined} Cached paper data, null for a cached
+   *          "not found", or undefined on miss / expiry / cache disabled
+   */
+  get: function(doi, maxAgeMs) {
+    if (!this._entries || !this._isEnabled()) return undefined;
+
+    const key = this.normalizeDOI(doi);
+    if (!key) return undefined;
+
+    const entry = this._entries[key];
+    if (!entry) return undefined;
+
+    if (this._isExpired(entry)) {
+      delete this._entries[key];
+      this._dirty = true;
+      return undefined;
+    }
+
+    if (maxAgeMs !== undefined && Date.now() - entry.fetchedAt > maxAgeMs) {
+      return undefined;
+    }
+
+    return entry.data;
+  },
+
+  /**
+   * Store the result of a lookup.
+   *
+   * @param {string} doi
+   * @param {Object|null} data - Paper data, or null for "not found"
+   */
+  set: function(doi, data) {
+    if (!this._isEnabled()) return;
+    if (!this._entries) this._entries = {};
+
+    const key = this.normalizeDOI(doi);
+    if (!key) return;
+
+    this._entries[key] = { fetchedAt: Date.now(), data: data };
+    this._dirty = true;
+  },
+
+  /**
+   * Write the cache to disk if it changed since the last load/save.
+   *
+   * @returns {Promise<void>}
+   */
+  save: async function() {
+    if (!this._entries || !this._dirty) return;
+
+    const path = this._getPath();
+
+    try {
+      await IOUtils.makeDirectory(PathUtils.parent(path), { ignoreExisting: true });
+      await IOUtils.writeJSON(
+        path,
+        { version: this.FILE_VERSION, entries: this._entries },
+        { tmpPath: path + '.tmp' }
+      );
+      this._dirty = false;
+      Zotero.debug(`CitationCache: Saved ${Object.keys(this._entries).length} entries`);
+    } catch (e) {
+      // Non-fatal: the run already has its data, only the next run is slower
+      Zotero.debug(`CitationCache: Failed to save cache - ${e.message}`);
+      Zotero.logError(e);
+    }
+  },
+
+  /**
+   * Remove specific DOIs so the next run fetches them again.
+   * Caller is responsible for save().
+   *
+   * @param {string[]} dois
+   * @returns {number} Number of entries removed
+   */
+  invalidate: function(dois) {
+    if (!this._entries) return 0;
+
+    let removed = 0;
+    (dois || []).forEach(doi => {
+      const key = this.normalizeDOI(doi);
+      if (key && this._entries[key]) {
+        delete this._entries[key];
+        removed++;
+      }
+    });
+
+    if (removed > 0) this._dirty = true;
+    Zotero.debug(`CitationCache: Invalidated ${removed} entries`);
+    return removed;
+  },
+
+  /**
+   * Delete every entry and remove the cache file.
+   *
+   * @returns {Promise<number>} Number of entries removed
+   */
+  clear: async function() {
+    await this.load();
+    const count = Object.keys(this._entries).length;
+
+    this._entries = {};
+    this._dirty   = false;
+
+    try {
+      await IOUtils.remove(this._getPath(), { ignoreAbsent: true });
+    } catch (e) {
+      Zotero.debug(`CitationCache: Failed to remove cache file - ${e.message}`);
+    }
+
+    Zotero.debug(`CitationCache: Cleared ${count} entries`);
+    return count;
+  },
+
+  /**
+   * Summary for the cache management dialog.
+   *
+   * @returns {{ entries: number, expired: number, ttlDays: number, path: string }}
+   */
+  getInfo: function() {
+    const entries = Object.values(this._entries || {});
+    return {
+      entries: entries.length,
+      expired: entries.filter(e => this._isExpired(e)).length,
+      ttlDays: this._getTTLDays(),
+      path:    this._getPath()
+    };
+  },
+
+  /**
+   * Normalize a DOI for use as cache key:
+   * strips resolver prefixes, trims, lowercases (DOIs are case-insensitive).
+   *
+   * @param {string} doi
+   * @returns {string} Normalized DOI, or '' if empty
+   */
+  normalizeDOI: function(doi) {
+    if (!doi) return '';
+    return String(doi)
+      .trim()
+      .replace(/^https?:\/\/(dx\.)?doi\.org\//i, '')
+      .replace(/^doi:\s*/i, '')
+      .toLowerCase();
+  },
+
+  // ─── Internal helpers ──────────────────────────────────────────────────────
+
+  _getPath: function() {
+    return PathUtils.join(Zotero.DataDirectory.dir, this.DIR_NAME, this.FILE_NAME);
+  },
+
+  _getTTLDays: function() {
+    const days = Zotero.Prefs.get(this.PREF_PREFIX + 'cacheTTLDays', this.DEFAULT_TTL_DAYS);
+    const parsed = parseInt(days, 10);
+    return isNaN(parsed) || parsed < 0 ? this.DEFAULT_TTL_DAYS : parsed;
+  },
+
+  _isEnabled: function() {
+    return this._getTTLDays() > 0;
+  },
+
+  _isExpired: function(entry) {
+    const maxAge = this._getTTLDays() * 24 * 60 * 60 * 1000;
+    return !entry.fetchedAt || (Date.now() - entry.fetchedAt) > maxAge;
+  },
+
+  _pruneExpired: function() {
+    let pruned = 0;
+    Object.keys(this._entries).forEach(key => {
+      if (this._isExpired(this._entries[key])) {
+        delete this._entries[key];
+        pruned++;
+      }
+    });
+    if (pruned > 0) this._dirty = true;
+    return pruned;
+  }
+};
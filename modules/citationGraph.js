@@ -0,0 +1,245 @@
+/**
+ * LitGap - Citation Graph Module
+ * In-memory graph of library papers, candidates and the links between them
+ *
+ * @module citationGraph
+ * @version 1.1.0
+ *
+ * CHANGELOG:
+ * v1.1.0 - Second-hop candidates (via) are linked to the intermediate
+ *          candidates that cite them
+ *
+ * build() turns the citation data of a run (API.fetchCitations / Merger)
+ * into a graph. Nodes are the library papers of the run ('lib:<item key>')
+ * and every candidate (its paperId). Each mention of a candidate is an edge:
+ *   <key>|references → the library paper cites the candidate
+ *   <key>|citations  → the candidate cites the library paper
+ * Second-hop candidates (API.fetchSecondHop) are linked to the candidates
+ * in their via list instead, so the walk reaches them in two steps.
+ *
+ * personalizedPageRank() walks the graph from the library papers, treating
+ * edges as undirected (in the citations direction the arrows point into
+ * the library, so a directed walk from it would go nowhere). A candidate
+ * scores high when it is linked to library papers that are themselves well
+ * connected, not just when it is linked to many.
+ *
+ * Co-citation (references edges only): two candidates are co-cited once
+ * for every library paper that cites both of them.
+ *
+ * Public API:
+ *   build(citationData)                    → Object   graph
+ *   personalizedPageRank(graph, options)   → Map      node id → score (sums to 1)
+ *   getCitingItems(graph, paperId)         → string[] item keys citing a candidate
+ *   coCitation(graph, paperIdA, paperIdB)  → number   library papers citing both
+ *   coCitationStrength(graph, paperId, among)
+ *                                          → Object   { count, partners }
+ */
+
+var CitationGraph = {
+
+  // ─── Configuration ─────────────────────────────────────────────────────────
+
+  LIBRARY_PREFIX:  'lib:',
+  DAMPING:         0.85,
+  MAX_ITERATIONS:  100,
+  TOLERANCE:       1e-8,    // Stop when the scores change less than this (L1)
+
+  // ─── Public API ────────────────────────────────────────────────────────────
+
+  /**
+   * Build the graph of a run
+   *
+   * @param {Object} citationData - { user_papers, all_citations }
+   * @returns {Object} { seeds, neighbors, cites, citedBy, edgeCount }
+   *          seeds: library node IDs; neighbors: node ID → Set of node IDs
+   *          (undirected); cites / citedBy: references edges, library node
+   *          ID → candidate IDs and back
+   */
+  build: function(citationData) {
+    const graph = {
+      seeds: [],
+      neighbors: new Map(),
+      cites: new Map(),
+      citedBy: new Map(),
+      edgeCount: 0
+    };
+
+    (citationData.user_papers || []).forEach(paper => {
+      const id = this.LIBRARY_PREFIX + paper.id;
+      if (graph.neighbors.has(id)) return;
+      graph.neighbors.set(id, new Set());
+      graph.seeds.push(id);
+    });
+
+    (citationData.all_citations || []).forEach(candidate => {
+      if (!candidate.paperId) return;
+      this._node(graph, candidate.paperId);
+
+      (candidate.mentionKeys || []).forEach(mentionKey => {
+        const split = mentionKey.lastIndexOf('|');
+        const libraryId = this.LIBRARY_PREFIX + mentionKey.substring(0, split);
+        const direction = mentionKey.substring(split + 1);
+
+        this._link(graph, libraryId, candidate.paperId);
+        if (direction === 'references') {
+          this._add(graph.cites, libraryId, candidate.paperId);
+          this._add(graph.citedBy, candidate.paperId, libraryId);
+        }
+      });
+    });
+
+    (citationData.all_citations || []).forEach(candidate => {
+      (candidate.via || []).forEach(via => {
+        if (!candidate.paperId || !graph.neighbors.has(via.paperId)) return;
+        this._linkCandidates(graph, via.paperId, candidate.paperId);
+      });
+    });
+
+    Zotero.debug(`CitationGraph: ${graph.neighbors.size} nodes (${graph.seeds.length} library papers), ${graph.edgeCount} edges`);
+    return graph;
+  },
+
+  /**
+   * Personalized PageRank seeded on the library papers: a random walk that
+   * follows an edge with probability damping and otherwise jumps back to a
+   * random library paper. Nodes without edges jump back as well.
+   *
+   * @param {Object} graph - Result of build()
+   * @param {Object} [options]
+   * @param {number} [options.damping=DAMPING]
+   * @param {number} [options.maxIterations=MAX_ITERATIONS]
+   * @returns {Map<string, number>} Node ID → stationary probability
+   */
+  personalizedPageRank: function(graph, options = {}) {
+    const damping = options.damping || this.DAMPING;
+    const maxIterations = options.maxIterations || this.MAX_ITERATIONS;
+    const nodes = Array.from(graph.neighbors.keys());
+    const teleport = graph.seeds.length > 0 ? 1 / graph.seeds.length : 0;
+
+    let rank = new Map(nodes.map(id => [id, 0]));
+    graph.seeds.forEach(id => rank.set(id, teleport));
+    if (graph.seeds.length === 0) return rank;
+
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+      const next = new Map(nodes.map(id => [id, 0]));
+      let stranded = 0;
+
+      nodes.forEach(id => {
+        const mass = rank.get(id);
+        if (mass === 0) return;
+        const links = graph.neighbors.get(id);
+        if (links.size === 0) {
+          stranded += mass;
+          return;
+        }
+        const share = damping * mass / links.size;
+        links.forEach(other => next.set(other, next.get(other) + share));
+        stranded += (1 - damping) * mass;
+      });
+
+      graph.seeds.forEach(id => next.set(id, next.get(id) + stranded * teleport));
+
+      let change = 0;
+      nodes.forEach(id => { change += Math.abs(next.get(id) - rank.get(id)); });
+      rank = next;
+
+      if (change < this.TOLERANCE) {
+        Zotero.debug(`CitationGraph: PageRank converged after ${iteration} iterations`);
+        break;
+      }
+    }
+
+    return rank;
+  },
+
+  /**
+   * Library item keys that cite a candidate (references edges)
+   *
+   * @param {Object} graph
+   * @param {string} paperId
+   * @returns {string[]}
+   */
+  getCitingItems: function(graph, paperId) {
+    return Array.from(graph.citedBy.get(paperId) || [])
+      .map(id => id.substring(this.LIBRARY_PREFIX.length));
+  },
+
+  /**
+   * Number of library papers that cite both candidates
+   *
+   * @param {Object} graph
+   * @param {string} paperIdA
+   * @param {string} paperIdB
+   * @returns {number}
+   */
+  coCitation: function(graph, paperIdA, paperIdB) {
+    const a = graph.citedBy.get(paperIdA);
+    const b = graph.citedBy.get(paperIdB);
+    if (!a || !b || paperIdA === paperIdB) return 0;
+
+    let count = 0;
+    a.forEach(id => { if (b.has(id)) count++; });
+    return count;
+  },
+
+  /**
+   * How often a candidate is cited together with other candidates
+   *
+   * @param {Object} graph
+   * @param {string} paperId
+   * @param {Set<string>} [among] - Candidates to count (default: all)
+   * @returns {Object} { count, partners }: co-citations in total (one per
+   *          library paper per partner) and distinct partners
+   */
+  coCitationStrength: function(graph, paperId, among) {
+    const partners = new Set();
+    let count = 0;
+
+    (graph.citedBy.get(paperId) || new Set()).forEach(libraryId => {
+      graph.cites.get(libraryId).forEach(other => {
+        if (other === paperId || (among && !among.has(other))) return;
+        partners.add(other);
+        count++;
+      });
+    });
+
+    return { count: count, partners: partners.size };
+  },
+
+  // ─── Internal helpers ──────────────────────────────────────────────────────
+
+  _node: function(graph, id) {
+    if (!graph.neighbors.has(id)) graph.neighbors.set(id, new Set());
+    return graph.neighbors.get(id);
+  },
+
+  /**
+   * Undirected edge; the library end is added if the run did not list it
+   * @private
+   */
+  _link: function(graph, libraryId, paperId) {
+    if (!graph.neighbors.has(libraryId)) {
+      graph.neighbors.set(libraryId, new Set());
+      graph.seeds.push(libraryId);
+    }
+    if (graph.neighbors.get(libraryId).has(paperId)) return;
+
+    graph.neighbors.get(libraryId).add(paperId);
+    this._node(graph, paperId).add(libraryId);
+    graph.edgeCount++;
+  },
+
+  _linkCandidates: function(graph, paperIdA, paperIdB) {
+    const links = this._node(graph, paperIdA);
+    if (links.has(paperIdB)) return;
+
+    links.add(paperIdB);
+    this._node(graph, paperIdB).add(paperIdA);
+    graph.edgeCount++;
+  },
+
+  _add: function(map, key, value) {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(value);
+  }
+};
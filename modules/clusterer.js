@@ -0,0 +1,249 @@
+/**
+ * LitGap - Clusterer Module
+ * Group recommendations into themes by bibliographic coupling
+ *
+ * @module clusterer
+ * @version 1.1.0
+ *
+ * CHANGELOG:
+ * v1.1.0 - getCouplingKeys(), getTitleTerms() and jaccard() are public
+ *          (Diversifier compares candidates the same way)
+ *
+ * A flat top-N list is often dominated by one sub-topic of the collection.
+ * cluster() groups a larger pool of scored candidates (POOL_SIZE) so each
+ * theme gets its own short top list:
+ *   - similarity of two candidates = Jaccard overlap of the library items
+ *     linked to them (bibliographic coupling: citedByKeys, or for second-hop
+ *     papers the items behind their intermediates), optionally mixed with
+ *     the Jaccard overlap of their title terms (TITLE_WEIGHT)
+ *   - average-linkage agglomerative clustering, merging while the two
+ *     closest groups are at least MIN_SIMILARITY alike
+ *   - groups of MIN_CLUSTER_SIZE or more become themes (at most
+ *     MAX_CLUSTERS, best first); everything else goes to "Other"
+ *   - each theme is labelled with its most distinctive title terms
+ *     (share of the theme's titles using a term × its IDF over the pool)
+ *
+ * Preference Keys (namespace: extensions.zotero.litgap.*)
+ *   clustering → 'titles' (default, coupling + title terms) | 'coupling' | 'off'
+ *
+ * Public API:
+ *   cluster(candidates, options) → Object  { clusters, other }
+ *   getMode()                    → 'titles' | 'coupling' | 'off'
+ *   setMode(mode)
+ *   getCouplingKeys(candidate)   → Set      library item keys behind a candidate
+ *   getTitleTerms(title)         → Set      distinct title terms
+ *   jaccard(setA, setB)          → number   0-1, 0 if either set is empty
+ */
+
+var Clusterer = {
+
+  // ─── Configuration ─────────────────────────────────────────────────────────
+
+  PREF_PREFIX:       'extensions.zotero.litgap.',
+  MODES:             ['titles', 'coupling', 'off'],
+  DEFAULT_MODE:      'titles',
+  POOL_SIZE:         50,     // Scored candidates grouped into themes
+  PER_CLUSTER:       5,      // Papers in each theme's top list
+  MAX_CLUSTERS:      6,
+  MIN_CLUSTER_SIZE:  2,
+  MIN_SIMILARITY:    0.2,
+  TITLE_WEIGHT:      0.3,    // Share of title terms in the similarity ('titles' mode)
+  LABEL_TERMS:       3,
+  MIN_TERM_LENGTH:   3,
+
+  MODE_LABELS: {
+    titles:   'By shared citing items and title words',
+    coupling: 'By shared citing items only',
+    off:      'Off (one flat list)'
+  },
+
+  STOPWORDS: new Set([
+    'the', 'and', 'for', 'with', 'from', 'into', 'onto', 'over', 'under', 'between',
+    'via', 'using', 'based', 'toward', 'towards', 'its', 'their', 'our', 'this',
+    'that', 'these', 'those', 'are', 'is', 'was', 'were', 'be', 'been', 'can',
+    'not', 'new', 'study', 'studies', 'analysis', 'approach', 'approaches',
+    'method', 'methods', 'results', 'paper', 'review', 'case', 'effect',
+    'effects', 'role', 'use', 'how', 'what', 'why', 'when', 'does', 'through',
+    'within', 'among', 'across', 'after', 'before', 'during', 'versus'
+  ]),
+
+  // ─── Public API ────────────────────────────────────────────────────────────
+
+  /**
+   * Group scored candidates into themes
+   *
+   * @param {Array<Object>} candidates - Analyzer.findGaps() results, best first
+   * @param {Object} [options]
+   * @param {string} [options.mode] - 'titles' | 'coupling' (default: getMode())
+   * @param {number} [options.perCluster=PER_CLUSTER]
+   * @param {number} [options.keepTop=0] - The first keepTop candidates are
+   *        listed even beyond perCluster (so no top-N recommendation is lost)
+   * @returns {Object} { clusters: [{ label, terms, size, papers, more }],
+   *          other: { size, papers, more } }; papers keep the candidates'
+   *          order, each paper has its pool rank in clusterRank
+   */
+  cluster: function(candidates, options = {}) {
+    const mode = options.mode || this.getMode();
+    const perCluster = options.perCluster || this.PER_CLUSTER;
+    const keepTop = options.keepTop || 0;
+    const titleWeight = mode === 'titles' ? this.TITLE_WEIGHT : 0;
+
+    const items = candidates.map((candidate, i) => ({
+      index: i,
+      coupling: this.getCouplingKeys(candidate),
+      terms: this.getTitleTerms(candidate.title)
+    }));
+    const similarity = this._similarityMatrix(items, titleWeight);
+
+    // Start with one group per candidate and merge the closest pair
+    let groups = items.map(item => [item.index]);
+    while (groups.length > 1) {
+      let best = { score: -1, a: -1, b: -1 };
+      for (let a = 0; a < groups.length; a++) {
+        for (let b = a + 1; b < groups.length; b++) {
+          const score = this._averageLinkage(groups[a], groups[b], similarity);
+          if (score > best.score) best = { score: score, a: a, b: b };
+        }
+      }
+      if (best.score < this.MIN_SIMILARITY) break;
+
+      groups[best.a] = groups[best.a].concat(groups[best.b]);
+      groups.splice(best.b, 1);
+    }
+
+    // Members in candidate order; themes ordered by their best member
+    groups.forEach(group => group.sort((a, b) => a - b));
+    groups.sort((a, b) => a[0] - b[0]);
+
+    const themes = groups.filter(group => group.length >= this.MIN_CLUSTER_SIZE).slice(0, this.MAX_CLUSTERS);
+    const inTheme = new Set([].concat(...themes));
+    const rest = items.map(item => item.index).filter(i => !inTheme.has(i));
+
+    const documentFrequency = this._documentFrequency(items);
+    const toList = (indices) => {
+      const shown = indices.filter((i, position) => position < perCluster || i < keepTop);
+      shown.forEach(i => { candidates[i].clusterRank = i + 1; });
+      return { size: indices.length, papers: shown.map(i => candidates[i]), more: indices.length - shown.length };
+    };
+
+    const clusters = themes.map((group, n) => {
+      const terms = this._labelTerms(group.map(i => items[i]), documentFrequency, items.length);
+      return Object.assign({
+        label: terms.length > 0 ? terms.join(', ') : `Theme ${n + 1}`,
+        terms: terms
+      }, toList(group));
+    });
+
+    Zotero.debug(`Clusterer: ${candidates.length} candidates → ${clusters.length} themes (${clusters.map(c => c.size).join(', ')}), ${rest.length} other`);
+    return { clusters: clusters, other: toList(rest) };
+  },
+
+  /**
+   * How recommendations are grouped into themes
+   *
+   * @returns {string} 'titles' | 'coupling' | 'off'
+   */
+  getMode: function() {
+    const mode = Zotero.Prefs.get(this.PREF_PREFIX + 'clustering', true);
+    return this.MODES.includes(mode) ? mode : this.DEFAULT_MODE;
+  },
+
+  /**
+   * Save the clustering preference
+   *
+   * @param {string} mode - 'titles' | 'coupling' | 'off'
+   */
+  setMode: function(mode) {
+    if (!this.MODES.includes(mode)) {
+      throw new Error(`Invalid clustering mode: ${mode}`);
+    }
+    Zotero.Prefs.set(this.PREF_PREFIX + 'clustering', mode);
+  },
+
+  /**
+   * Library items behind a candidate: the items linked to it, or for
+   * second-hop papers the items linked to its intermediates
+   *
+   * @param {Object} candidate
+   * @returns {Set<string>} Item keys
+   */
+  getCouplingKeys: function(candidate) {
+    const keys = new Set(candidate.citedByKeys || []);
+    (candidate.via || []).forEach(via => {
+      (via.citedByKeys || []).forEach(key => keys.add(key));
+    });
+    return keys;
+  },
+
+  /**
+   * Distinct title terms: lower case, no stopwords or short words, a
+   * trailing plural "s" removed
+   *
+   * @param {string} title
+   * @returns {Set<string>}
+   */
+  getTitleTerms: function(title) {
+    const terms = new Set();
+    String(title || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).forEach(word => {
+      if (word.length < this.MIN_TERM_LENGTH || this.STOPWORDS.has(word) || /^\d+$/.test(word)) return;
+      terms.add(word.length > 4 && /[^s]s$/.test(word) ? word.slice(0, -1) : word);
+    });
+    return terms;
+  },
+
+  /**
+   * Shared values / all values of two sets
+   *
+   * @param {Set} a
+   * @param {Set} b
+   * @returns {number} 0-1, 0 if either set is empty
+   */
+  jaccard: function(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    a.forEach(value => { if (b.has(value)) shared++; });
+    return shared / (a.size + b.size - shared);
+  },
+
+  // ─── Internal helpers ──────────────────────────────────────────────────────
+
+  _similarityMatrix: function(items, titleWeight) {
+    return items.map(a => items.map(b => {
+      if (a === b) return 1;
+      const coupling = this.jaccard(a.coupling, b.coupling);
+      const titles = titleWeight > 0 ? this.jaccard(a.terms, b.terms) : 0;
+      return (1 - titleWeight) * coupling + titleWeight * titles;
+    }));
+  },
+
+  _averageLinkage: function(groupA, groupB, similarity) {
+    let total = 0;
+    groupA.forEach(a => groupB.forEach(b => { total += similarity[a][b]; }));
+    return total / (groupA.length * groupB.length);
+  },
+
+  _documentFrequency: function(items) {
+    const df = {};
+    items.forEach(item => item.terms.forEach(term => { df[term] = (df[term] || 0) + 1; }));
+    return df;
+  },
+
+  /**
+   * Terms used by at least two titles of the theme, most distinctive first
+   * @private
+   */
+  _labelTerms: function(members, documentFrequency, poolSize) {
+    const counts = {};
+    members.forEach(member => member.terms.forEach(term => { counts[term] = (counts[term] || 0) + 1; }));
+
+    return Object.keys(counts)
+      .filter(term => counts[term] >= 2)
+      .map(term => ({
+        term: term,
+        weight: (counts[term] / members.length) * Math.log(poolSize / documentFrequency[term] + 1)
+      }))
+      .sort((a, b) => b.weight - a.weight || a.term.localeCompare(b.term))
+      .slice(0, this.LABEL_TERMS)
+      .map(entry => entry.term);
+  }
+};
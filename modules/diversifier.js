@@ -0,0 +1,194 @@
+/**
+ * LitGap - Diversifier Module
+ * Maximal-marginal-relevance re-ranking of the top-N list
+ *
+ * @module diversifier
+ * @version 1.0.0
+ *
+ * The plain top-N by score is often crowded with near-duplicates: a
+ * preprint and its journal version, or several papers of one lab on the
+ * same method. rerank() picks the list one paper at a time from a larger
+ * pool (POOL_FACTOR × topN), each time taking the candidate with the best
+ *   (1 - weight) × relevance - weight × similarity to the papers already picked
+ * where relevance is the ranking score scaled to 0-1 (classic score or
+ * PageRank, per strategy) and weight is the diversity weight (0 = plain
+ * ranking, 1 = as different as possible).
+ *
+ * similarity() of two candidates is a weighted mean of (SIMILARITY_WEIGHTS):
+ *   citing  - Jaccard overlap of the library items linked to them
+ *   authors - Jaccard overlap of their authors (family name + first initial)
+ *   title   - Jaccard overlap of their title terms
+ * Authors are known only after API.enrichRecommendations(); when either
+ * paper has none, that part is left out and the others are re-weighted.
+ *
+ * Preference Keys (namespace: extensions.zotero.litgap.*)
+ *   diversityWeight → '0.3' (default; string, 0-1, 0 = off)
+ *
+ * Public API:
+ *   rerank(candidates, options)  → Array   top-N with relevanceRank, diversityRank
+ *   similarity(a, b)             → number  0-1
+ *   getPoolSize(topN)            → number  candidates to fetch for rerank()
+ *   getWeight()                  → number  0-1
+ *   setWeight(weight)
+ */
+
+var Diversifier = {
+
+  // ─── Configuration ─────────────────────────────────────────────────────────
+
+  PREF_PREFIX:    'extensions.zotero.litgap.',
+  DEFAULT_WEIGHT: 0.3,
+  POOL_FACTOR:    3,
+
+  SIMILARITY_WEIGHTS: {
+    citing:  0.5,
+    authors: 0.25,
+    title:   0.25
+  },
+
+  // ─── Public API ────────────────────────────────────────────────────────────
+
+  /**
+   * Re-rank candidates by maximal marginal relevance
+   *
+   * @param {Array<Object>} candidates - Analyzer.findGaps() results, best first
+   * @param {Object} options
+   * @param {number} options.topN - Length of the list to pick
+   * @param {number} [options.weight] - Diversity weight (default: getWeight())
+   * @param {string} [options.strategy='classic'] - Score used as relevance
+   * @returns {Array<Object>} The picked candidates (modified in place:
+   *          relevanceRank = position before, diversityRank = after,
+   *          similarTo = { rank, title, similarity } of the closest paper
+   *          picked before it, if any)
+   */
+  rerank: function(candidates, options) {
+    const weight = typeof options.weight === 'number' ? options.weight : this.getWeight();
+    const relevance = this._relevance(candidates, options.strategy || 'classic');
+    const remaining = candidates.map((candidate, i) => {
+      candidate.relevanceRank = i + 1;
+      return { candidate: candidate, relevance: relevance[i], closest: null };
+    });
+    const picked = [];
+
+    while (picked.length < options.topN && remaining.length > 0) {
+      let best = 0;
+      remaining.forEach((entry, i) => {
+        if (this._marginal(entry, weight) > this._marginal(remaining[best], weight)) best = i;
+      });
+
+      const next = remaining.splice(best, 1)[0];
+      const paper = next.candidate;
+      paper.diversityRank = picked.length + 1;
+      paper.similarTo = next.closest && next.closest.similarity > 0
+        ? {
+            rank: next.closest.paper.diversityRank,
+            title: next.closest.paper.title,
+            similarity: Math.round(next.closest.similarity * 100) / 100
+          }
+        : null;
+      picked.push(paper);
+
+      remaining.forEach(entry => {
+        const similarity = this.similarity(entry.candidate, paper);
+        if (!entry.closest || similarity > entry.closest.similarity) {
+          entry.closest = { paper: paper, similarity: similarity };
+        }
+      });
+    }
+
+    const moved = picked.filter(p => p.relevanceRank !== p.diversityRank).length;
+    Zotero.debug(`Diversifier: Picked ${picked.length} of ${candidates.length} (weight ${weight}), ${moved} moved`);
+    return picked;
+  },
+
+  /**
+   * How alike two candidates are
+   *
+   * @param {Object} a
+   * @param {Object} b
+   * @returns {number} 0 (nothing shared) to 1
+   */
+  similarity: function(a, b) {
+    const parts = [
+      { weight: this.SIMILARITY_WEIGHTS.citing,
+        value: Clusterer.jaccard(Clusterer.getCouplingKeys(a), Clusterer.getCouplingKeys(b)) },
+      { weight: this.SIMILARITY_WEIGHTS.title,
+        value: Clusterer.jaccard(Clusterer.getTitleTerms(a.title), Clusterer.getTitleTerms(b.title)) }
+    ];
+
+    const authorsA = this._authorKeys(a);
+    const authorsB = this._authorKeys(b);
+    if (authorsA.size > 0 && authorsB.size > 0) {
+      parts.push({ weight: this.SIMILARITY_WEIGHTS.authors, value: Clusterer.jaccard(authorsA, authorsB) });
+    }
+
+    const total = parts.reduce((sum, part) => sum + part.weight, 0);
+    return parts.reduce((sum, part) => sum + part.weight * part.value, 0) / total;
+  },
+
+  /**
+   * Candidates to score and enrich so rerank() has room to choose
+   *
+   * @param {number} topN
+   * @returns {number}
+   */
+  getPoolSize: function(topN) {
+    return topN * this.POOL_FACTOR;
+  },
+
+  /**
+   * Diversity weight of the next run
+   *
+   * @returns {number} 0-1 (0 = no re-ranking)
+   */
+  getWeight: function() {
+    const stored = Zotero.Prefs.get(this.PREF_PREFIX + 'diversityWeight', true);
+    const weight = parseFloat(stored);
+    return isFinite(weight) && weight >= 0 && weight <= 1 ? weight : this.DEFAULT_WEIGHT;
+  },
+
+  /**
+   * Save the diversity weight (prefs have no floats, so it is a string)
+   *
+   * @param {number} weight - 0-1
+   */
+  setWeight: function(weight) {
+    const value = Number(weight);
+    if (weight === null || weight === '' || !isFinite(value) || value < 0 || value > 1) {
+      throw new Error(`Invalid diversity weight: ${weight}`);
+    }
+    Zotero.Prefs.set(this.PREF_PREFIX + 'diversityWeight', String(value));
+  },
+
+  // ─── Internal helpers ──────────────────────────────────────────────────────
+
+  _marginal: function(entry, weight) {
+    const redundancy = entry.closest ? entry.closest.similarity : 0;
+    return (1 - weight) * entry.relevance - weight * redundancy;
+  },
+
+  /**
+   * Ranking score of each candidate scaled to 0-1 (best = 1)
+   * @private
+   */
+  _relevance: function(candidates, strategy) {
+    const scores = candidates.map(c => (strategy === 'pagerank' ? c.pageRankScore : c.totalScore) || 0);
+    const top = scores.reduce((max, score) => Math.max(max, score), 0);
+    return scores.map(score => (top > 0 ? score / top : 0));
+  },
+
+  /**
+   * "family name + first initial" of each author, lower case
+   * @private
+   */
+  _authorKeys: function(paper) {
+    const keys = new Set();
+    (paper.authors || []).forEach(name => {
+      const parts = String(name).toLowerCase().replace(/[^\p{L}\s-]/gu, ' ').trim().split(/\s+/).filter(Boolean);
+      if (parts.length === 0) return;
+      const family = parts[parts.length - 1];
+      keys.add(parts.length > 1 ? `${family} ${parts[0][0]}` : family);
+    });
+    return keys;
+  }
+};
@@ -0,0 +1,454 @@
+/**
+ * LitGap - Feedback Module
+ * Persistent dismissals of recommendations, per collection or global
+ *
+ * @module feedback
+ * @version 1.1.0
+ *
+ * CHANGELOG:
+ * v1.1.0 - Papers of the last report that are in the library by the next
+ *          run count as accepted (collectAccepted); recorded papers keep
+ *          their LearnedRanker features, and getExamples() turns accepted
+ *          and dismissed papers into training examples
+ *
+ * Some recommendations come back on every run although the user has no use
+ * for them (a statistics textbook half the collection cites, a paper read
+ * elsewhere, one behind a paywall). A dismissed paper is stored with its
+ * reason, either for one collection or for all of them, and
+ * Analyzer.findGaps() leaves it out of later runs (options.dismissals).
+ *
+ * Papers are matched by lookup keys: normalized DOI, arXiv ID, PMID, PMCID
+ * and normalized title (at least MIN_TITLE_LENGTH characters), including
+ * the keys of preprint versions folded into a candidate. Dismissing either
+ * version of a paper hides both.
+ *
+ * Dismissals are picked from the last report of a collection: main.js
+ * records its recommendations (recordRun) so the "Dismissed
+ * Recommendations..." dialog can list them. They can be exported to and
+ * imported from JSON, so a lab can share one blocklist.
+ *
+ * The next run checks which papers of the last report the user has added
+ * to Zotero since (collectAccepted) and keeps them as accepted. Accepted
+ * and dismissed papers, with the features they were listed with, are the
+ * training history of LearnedRanker.
+ *
+ * Store file: <Zotero data dir>/litgap/feedback.json
+ *   {
+ *     version: 1,
+ *     dismissed: { "global" | "<libraryID>_<collectionKey>": [entry] },
+ *     accepted:  { "<libraryID>_<collectionKey>": [paper + { acceptedAt }] },
+ *     lastRun:   { "<libraryID>_<collectionKey>": { collectionName, date, papers: [paper] } }
+ *   }
+ *   paper: { keys, title, year, doi, externalIds, paperId, source, owned, features }
+ *   entry: paper + { reason, dismissedAt }
+ *
+ * Public API:
+ *   load()                                → Promise<void>   reads file once per session
+ *   save()                                → Promise<void>   writes only if something changed
+ *   recordRun(collection, recommendations)                  papers of the last report
+ *   getLastRun(collection)                → Object|null     { collectionName, date, papers }
+ *   collectAccepted(collection, libraryIndex) → number      papers of the last report now owned
+ *   getExamples()                         → Array           [{ features, label }] 1 = accepted
+ *   dismiss(paper, reason, collection)    → Object          entry (collection null = global)
+ *   restore(entry)                        → boolean
+ *   getDismissals(collection)             → Array           [{ entry, scope }] global + collection
+ *   buildIndex(collection)                → Object          lookup for findDismissal()
+ *   findDismissal(index, candidate)       → Object|null     entry
+ *   exportJSON(collection)                → string
+ *   importJSON(text, collection)          → number          entries added
+ *   getKeys(paper)                        → string[]
+ */
+
+var Feedback = {
+
+  // ─── Configuration ─────────────────────────────────────────────────────────
+
+  FILE_VERSION:     1,
+  DIR_NAME:         'litgap',
+  FILE_NAME:        'feedback.json',
+  FILE_FORMAT:      'litgap-dismissals',
+  GLOBAL_SCOPE:     'global',
+  MIN_TITLE_LENGTH: 20,   // Shorter titles ("Introduction") match too much
+  ID_TYPES:         ['doi', 'arxiv', 'pmid', 'pmcid'],
+
+  REASONS: {
+    irrelevant:   'Not relevant',
+    read:         'Already read elsewhere',
+    inaccessible: 'Not accessible'
+  },
+
+  // ─── State ─────────────────────────────────────────────────────────────────
+
+  _store: null,   // null until load() has run
+  _dirty: false,
+
+  // ─── Public API ────────────────────────────────────────────────────────────
+
+  /**
+   * Load the store into memory. Safe to call repeatedly — only the first
+   * call touches the disk.
+   *
+   * @returns {Promise<void>}
+   */
+  load: async function() {
+    if (this._store) return;
+
+    this._store = this._emptyStore();
+    const path = this._getPath();
+
+    try {
+      if (!(await IOUtils.exists(path))) return;
+
+      const stored = await IOUtils.readJSON(path);
+      if (!stored || stored.version !== this.FILE_VERSION || !stored.dismissed) {
+        Zotero.debug('Feedback: Store file has unknown format, starting fresh');
+        return;
+      }
+
+      this._store = Object.assign(this._emptyStore(), stored);
+      const count = Object.values(this._store.dismissed).reduce((sum, list) => sum + list.length, 0);
+      Zotero.debug(`Feedback: Loaded ${count} dismissals`);
+    } catch (e) {
+      Zotero.debug(`Feedback: Failed to read store - ${e.message}`);
+    }
+  },
+
+  /**
+   * Write the store to disk if it changed since the last load/save.
+   *
+   * @returns {Promise<void>}
+   */
+  save: async function() {
+    if (!this._store || !this._dirty) return;
+
+    const path = this._getPath();
+
+    try {
+      await IOUtils.makeDirectory(PathUtils.parent(path), { ignoreExisting: true });
+      await IOUtils.writeJSON(path, this._store, { tmpPath: path + '.tmp' });
+      this._dirty = false;
+    } catch (e) {
+      Zotero.debug(`Feedback: Failed to save store - ${e.message}`);
+      Zotero.logError(e);
+    }
+  },
+
+  /**
+   * Remember the papers of a collection's latest report, for the dialog
+   *
+   * @param {Zotero.Collection} collection
+   * @param {Array<Object>} recommendations - Papers listed in the report
+   */
+  recordRun: function(collection, recommendations) {
+    this._requireLoaded();
+    this._store.lastRun[this._scope(collection)] = {
+      collectionName: collection.name,
+      date: new Date().toISOString(),
+      papers: recommendations.map(rec => this._summary(rec))
+    };
+    this._dirty = true;
+  },
+
+  /**
+   * Papers of the latest report of a collection
+   *
+   * @param {Zotero.Collection} collection
+   * @returns {Object|null} { collectionName, date, papers }
+   */
+  getLastRun: function(collection) {
+    this._requireLoaded();
+    return this._store.lastRun[this._scope(collection)] || null;
+  },
+
+  /**
+   * Keep the papers of a collection's last report that are in the library
+   * now (imported since the report) as accepted. Papers that were already
+   * owned when listed, or are dismissed, do not count.
+   *
+   * @param {Zotero.Collection} collection
+   * @param {Object} libraryIndex - LibraryIndex.build() result
+   * @returns {number} Papers newly accepted
+   */
+  collectAccepted: function(collection, libraryIndex) {
+    this._requireLoaded();
+    const lastRun = this.getLastRun(collection);
+    if (!lastRun || !libraryIndex) return 0;
+
+    const scope = this._scope(collection);
+    const list = this._store.accepted[scope] || [];
+    const dismissals = this.buildIndex(collection);
+    const acceptedAt = new Date().toISOString();
+    let added = 0;
+
+    lastRun.papers.forEach(paper => {
+      if (paper.owned || list.some(e => e.keys.some(key => paper.keys.includes(key)))) return;
+      if (this.findDismissal(dismissals, paper) || !LibraryIndex.find(libraryIndex, paper)) return;
+      list.push(Object.assign({}, paper, { acceptedAt: acceptedAt }));
+      added++;
+    });
+
+    if (added > 0) {
+      this._store.accepted[scope] = list;
+      this._dirty = true;
+      Zotero.debug(`Feedback: ${added} papers of the last report were added to the library`);
+    }
+    return added;
+  },
+
+  /**
+   * Accepted and dismissed papers of all collections that carry features,
+   * as training examples
+   *
+   * @returns {Array<Object>} [{ features, label }] (1 = accepted, 0 = dismissed)
+   */
+  getExamples: function() {
+    this._requireLoaded();
+    const examples = [];
+    const add = (lists, label) => Object.values(lists).forEach(list => list.forEach(entry => {
+      if (entry.features) examples.push({ features: entry.features, label: label });
+    }));
+    add(this._store.accepted, 1);
+    add(this._store.dismissed, 0);
+    return examples;
+  },
+
+  /**
+   * Dismiss a paper. Dismissing it again in the same scope updates the
+   * reason.
+   *
+   * @param {Object} paper - Candidate or recorded paper
+   * @param {string} reason - Key of REASONS
+   * @param {Zotero.Collection|null} collection - null dismisses everywhere
+   * @returns {Object} The stored entry
+   * @throws {Error} On an unknown reason
+   */
+  dismiss: function(paper, reason, collection) {
+    this._requireLoaded();
+    if (!this.REASONS[reason]) {
+      throw new Error(`Invalid dismissal reason: ${reason}`);
+    }
+
+    const scope = collection ? this._scope(collection) : this.GLOBAL_SCOPE;
+    const list = this._store.dismissed[scope] = this._store.dismissed[scope] || [];
+    const summary = this._summary(paper);
+    const entry = Object.assign(summary, { reason: reason, dismissedAt: new Date().toISOString() });
+
+    const existing = list.findIndex(e => e.keys.some(key => summary.keys.includes(key)));
+    if (existing !== -1) {
+      list[existing] = entry;
+    } else {
+      list.push(entry);
+    }
+    this._dirty = true;
+
+    Zotero.debug(`Feedback: Dismissed "${entry.title}" (${reason}, ${scope})`);
+    return entry;
+  },
+
+  /**
+   * Undo a dismissal
+   *
+   * @param {Object} entry - Entry from getDismissals()
+   * @returns {boolean} Whether it was found
+   */
+  restore: function(entry) {
+    this._requireLoaded();
+    for (const scope of Object.keys(this._store.dismissed)) {
+      const list = this._store.dismissed[scope];
+      const i = list.indexOf(entry);
+      if (i === -1) continue;
+
+      list.splice(i, 1);
+      if (list.length === 0) delete this._store.dismissed[scope];
+      this._dirty = true;
+      return true;
+    }
+    return false;
+  },
+
+  /**
+   * Dismissals that apply to a collection: global ones first
+   *
+   * @param {Zotero.Collection|null} collection - null for global ones only
+   * @returns {Array<Object>} [{ entry, scope: 'global'|'collection' }]
+   */
+  getDismissals: function(collection) {
+    this._requireLoaded();
+    const global = (this._store.dismissed[this.GLOBAL_SCOPE] || [])
+      .map(entry => ({ entry: entry, scope: 'global' }));
+    const local = collection
+      ? (this._store.dismissed[this._scope(collection)] || []).map(entry => ({ entry: entry, scope: 'collection' }))
+      : [];
+    return global.concat(local);
+  },
+
+  /**
+   * Lookup of the dismissals that apply to a collection
+   *
+   * @param {Zotero.Collection|null} collection
+   * @returns {Object} { byKey: Map<key, entry>, size }
+   */
+  buildIndex: function(collection) {
+    const byKey = new Map();
+    const dismissals = this._store ? this.getDismissals(collection) : [];
+    dismissals.forEach(({ entry }) => {
+      entry.keys.forEach(key => {
+        if (!byKey.has(key)) byKey.set(key, entry);
+      });
+    });
+    return { byKey: byKey, size: dismissals.length };
+  },
+
+  /**
+   * Dismissal that covers a candidate, if any
+   *
+   * @param {Object} index - Result of buildIndex()
+   * @param {Object} candidate
+   * @returns {Object|null} entry
+   */
+  findDismissal: function(index, candidate) {
+    if (!index || index.size === 0) return null;
+    for (const key of this.getKeys(candidate)) {
+      if (index.byKey.has(key)) return index.byKey.get(key);
+    }
+    return null;
+  },
+
+  /**
+   * Global and collection dismissals as a shareable JSON document
+   *
+   * @param {Zotero.Collection|null} collection
+   * @returns {string}
+   */
+  exportJSON: function(collection) {
+    return JSON.stringify({
+      format: this.FILE_FORMAT,
+      version: this.FILE_VERSION,
+      dismissals: this.getDismissals(collection).map(({ entry, scope }) => Object.assign({ scope: scope }, entry))
+    }, null, 2);
+  },
+
+  /**
+   * Add the dismissals of an exported file. Entries exported for a
+   * collection go to the given collection (or become global without one);
+   * papers already dismissed in the same scope are skipped. Every entry is
+   * checked before any is added, so a bad file changes nothing.
+   *
+   * @param {string} text - File contents
+   * @param {Zotero.Collection|null} collection
+   * @returns {number} Entries added
+   * @throws {Error} If the text is not a dismissals file or an entry is invalid
+   */
+  importJSON: function(text, collection) {
+    this._requireLoaded();
+
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Not a JSON file (${e.message})`);
+    }
+    if (!data || data.format !== this.FILE_FORMAT || !Array.isArray(data.dismissals)) {
+      throw new Error('Not a LitGap dismissals file');
+    }
+    if (data.version > this.FILE_VERSION) {
+      throw new Error('The file was exported by a newer version of LitGap');
+    }
+
+    data.dismissals.forEach((item, i) => {
+      if (!item || !item.title || !this.REASONS[item.reason]) {
+        throw new Error(`Dismissal ${i + 1} needs a title and one of the reasons: ${Object.keys(this.REASONS).join(', ')}`);
+      }
+    });
+
+    let added = 0;
+    data.dismissals.forEach(item => {
+      const scope = item.scope === 'collection' && collection ? this._scope(collection) : this.GLOBAL_SCOPE;
+      const list = this._store.dismissed[scope] = this._store.dismissed[scope] || [];
+      const keys = Array.isArray(item.keys) && item.keys.length > 0 ? item.keys : this.getKeys(item);
+      if (list.some(e => e.keys.some(key => keys.includes(key)))) return;
+
+      list.push({
+        keys: keys,
+        title: String(item.title),
+        year: item.year || null,
+        doi: item.doi || '',
+        externalIds: item.externalIds || {},
+        paperId: item.paperId || '',
+        source: item.source || '',
+        owned: false,
+        features: item.features && typeof item.features === 'object' ? item.features : null,
+        reason: item.reason,
+        dismissedAt: item.dismissedAt || new Date().toISOString()
+      });
+      added++;
+    });
+
+    if (added > 0) this._dirty = true;
+    Zotero.debug(`Feedback: Imported ${added} of ${data.dismissals.length} dismissals`);
+    return added;
+  },
+
+  /**
+   * Lookup keys of a paper and of its folded versions
+   * ('doi:10.1/x', 'arxiv:2101.00001', 'title:deep residual learning ...')
+   *
+   * @param {Object} paper - Candidate, recorded paper or entry
+   * @returns {string[]}
+   */
+  getKeys: function(paper) {
+    const keys = [];
+    [paper].concat(paper.versions || []).forEach(version => {
+      const ids = version.externalIds || {};
+      this.ID_TYPES.forEach(type => {
+        let value = type === 'doi' ? (ids.doi || version.doi) : ids[type];
+        if (!value) return;
+        value = type === 'doi'
+          ? CitationCache.normalizeDOI(value)
+          : String(value).trim().toLowerCase();
+        if (type === 'pmcid') value = value.replace(/^pmc/, '');
+        if (value) keys.push(`${type}:${value}`);
+      });
+
+      const title = API.normalizeTitle(version.title || '');
+      if (title.length >= this.MIN_TITLE_LENGTH) keys.push(`title:${title}`);
+    });
+    return Array.from(new Set(keys.concat(paper.keys || [])));
+  },
+
+  // ─── Internal helpers ──────────────────────────────────────────────────────
+
+  _emptyStore: function() {
+    return { version: this.FILE_VERSION, dismissed: {}, accepted: {}, lastRun: {} };
+  },
+
+  _requireLoaded: function() {
+    if (!this._store) throw new Error('Feedback store is not loaded');
+  },
+
+  _scope: function(collection) {
+    return `${collection.libraryID}_${collection.key}`;
+  },
+
+  /**
+   * What is stored about a paper
+   * @private
+   */
+  _summary: function(paper) {
+    return {
+      keys: this.getKeys(paper),
+      title: paper.title || '',
+      year: paper.year || null,
+      doi: paper.doi || '',
+      externalIds: paper.externalIds || {},
+      paperId: paper.paperId || '',
+      source: paper.source || '',
+      owned: Boolean(paper.owned),
+      features: paper.features || null
+    };
+  },
+
+  _getPath: function() {
+    return PathUtils.join(Zotero.DataDirectory.dir, this.DIR_NAME, this.FILE_NAME);
+  }
+};
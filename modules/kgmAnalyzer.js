@@ -3,7 +3,12 @@
  * Core logic for Conceptual Map and Field Map analysis
  *
  * @module kgmAnalyzer
- * @version 3.0.0
+ * @version 3.1.0
+ *
+ * CHANGELOG v3.1.0:
+ *   - Added: options.signal (AbortSignal) cancels runAnalysis() between and
+ *     during AI calls. It rejects with Error('CANCELLED') carrying
+ *     error.partial = { framework, gapAnalysis } for the steps that finished.
  *
  * Depends on:
  *   - PromptBuilder  (modules/promptBuilder.js)
@@ -22,11 +27,12 @@
  *   runAnalysis(libraryData, missingPapers, confirmedDomain, aiClient, onProgress, options)
  *     → Promise<{ framework, gapAnalysis, fieldMap? }>
  *     options.includeFieldMap {boolean} — if true, runs FM-A + FM-B after Step B
+ *     options.signal {AbortSignal}      — cancels the run (Error('CANCELLED'))
  *
  *   parseStanceIndex(gapAnalysis)
  *     → Array<{ title, stance, source, gapId }>
  *
- *   buildFieldMap(framework, gapAnalysis, missingPapers, confirmedDomain, aiClient, onProgress)
+ *   buildFieldMap(framework, gapAnalysis, missingPapers, confirmedDomain, aiClient, onProgress, signal)
  *     → Promise<{ coreQuestions, nodes, narrative }>
  */
 
@@ -276,9 +282,10 @@ var KGMAnalyzer = {
    * @param {Object}   aiClient        - AIClient instance
    * @param {Function} [onProgress]    - Optional progress callback
    *        onProgress(step, totalSteps, message)
+   * @param {AbortSignal} [signal]     - Cancels the AI calls (throws CANCELLED)
    * @returns {Promise<{ coreQuestions: string[], nodes: Object[], narrative: string }>}
    */
-  buildFieldMap: async function(framework, gapAnalysis, missingPapers, confirmedDomain, aiClient, onProgress) {
+  buildFieldMap: async function(framework, gapAnalysis, missingPapers, confirmedDomain, aiClient, onProgress, signal) {
     Zotero.debug('KGMAnalyzer: Starting Field Map analysis...');
 
     // ── Parse Stance Index from Step B output ─────────────────────────────────
@@ -295,7 +302,7 @@ var KGMAnalyzer = {
     );
 
     Zotero.debug('KGMAnalyzer: FM-A — calling AI');
-    const coreQuestionsRaw = await aiClient.complete(coreQuestionsPrompt);
+    const coreQuestionsRaw = await aiClient.complete(coreQuestionsPrompt, '', undefined, signal);
 
     const coreQuestions = this._parseJsonResponse(coreQuestionsRaw, 'coreQuestions');
     if (!coreQuestions || !Array.isArray(coreQuestions) || coreQuestions.length === 0) {
@@ -306,6 +313,7 @@ var KGMAnalyzer = {
     coreQuestions.forEach((q, i) => Zotero.debug(`  ${i + 1}. ${q.substring(0, 80)}`));
 
     // ── Step FM-B: Build problem node map ─────────────────────────────────────
+    this._checkCancelled(signal);
     if (onProgress) onProgress(2, 2, 'Building field map nodes...');
 
     Zotero.debug('KGMAnalyzer: FM-B — building field map prompt');
@@ -317,7 +325,7 @@ var KGMAnalyzer = {
     );
 
     Zotero.debug('KGMAnalyzer: FM-B — calling AI');
-    const fieldMapRaw = await aiClient.complete(fieldMapPrompt, '', 8192);
+    const fieldMapRaw = await aiClient.complete(fieldMapPrompt, '', 8192, signal);
 
     const fieldMapData = this._parseFullJsonResponse(fieldMapRaw);
     if (!fieldMapData || !Array.isArray(fieldMapData.nodes) || fieldMapData.nodes.length === 0) {
@@ -358,16 +366,20 @@ var KGMAnalyzer = {
    *        onProgress(step, totalSteps, message)
    * @param {Object}   [options]
    * @param {boolean}  [options.includeFieldMap=false] - Also run FM-A + FM-B
+   * @param {AbortSignal} [options.signal]           - Cancels the run
    * @returns {Promise<{
    *   framework:    string,
    *   gapAnalysis:  string,
    *   fieldMap?:    { coreQuestions: string[], nodes: Object[], narrative: string }
    * }>}
+   * @throws {Error} CANCELLED with error.partial = { framework, gapAnalysis }
+   *         (null for steps that did not finish)
    */
   runAnalysis: async function(libraryData, missingPapers, confirmedDomain, aiClient, onProgress, options) {
     const opts             = options || {};
     const includeFieldMap  = opts.includeFieldMap === true;
     const totalSteps       = includeFieldMap ? 4 : 2;
+    const signal           = opts.signal || null;
 
     Zotero.debug('\n' + '='.repeat(60));
     Zotero.debug('KGMAnalyzer: Starting analysis');
@@ -377,59 +389,89 @@ var KGMAnalyzer = {
     Zotero.debug(`  Include FieldMap: ${includeFieldMap}`);
     Zotero.debug('='.repeat(60));
 
-    // ── Step A: Domain Knowledge Framework ───────────────────────────────────
-    if (onProgress) onProgress(1, totalSteps, 'Generating domain knowledge framework...');
-
-    Zotero.debug('KGMAnalyzer: Step A — building framework prompt');
-    const frameworkPrompt = PromptBuilder.buildFrameworkPrompt(
-      libraryData.allTitles,
-      confirmedDomain
-    );
+    // Steps finished so far, handed back if the run is cancelled
+    const partial = { framework: null, gapAnalysis: null };
 
-    Zotero.debug('KGMAnalyzer: Step A — calling AI');
-    const framework = await aiClient.complete(frameworkPrompt);
-    Zotero.debug(`KGMAnalyzer: Step A complete (${framework.length} chars)`);
-
-    // ── Step B: Conceptual Gap Analysis ──────────────────────────────────────
-    if (onProgress) onProgress(2, totalSteps, 'Identifying conceptual gaps...');
-
-    Zotero.debug('KGMAnalyzer: Step B — building gap prompt');
-    const gapPrompt = PromptBuilder.buildGapPrompt(
-      framework,
-      libraryData.allTitles,
-      missingPapers,
-      confirmedDomain
-    );
+    try {
+      // ── Step A: Domain Knowledge Framework ─────────────────────────────────
+      this._checkCancelled(signal);
+      if (onProgress) onProgress(1, totalSteps, 'Generating domain knowledge framework...');
+
+      Zotero.debug('KGMAnalyzer: Step A — building framework prompt');
+      const frameworkPrompt = PromptBuilder.buildFrameworkPrompt(
+        libraryData.allTitles,
+        confirmedDomain
+      );
+
+      Zotero.debug('KGMAnalyzer: Step A — calling AI');
+      const framework = await aiClient.complete(frameworkPrompt, '', undefined, signal);
+      partial.framework = framework;
+      Zotero.debug(`KGMAnalyzer: Step A complete (${framework.length} chars)`);
+
+      // ── Step B: Conceptual Gap Analysis ────────────────────────────────────
+      this._checkCancelled(signal);
+      if (onProgress) onProgress(2, totalSteps, 'Identifying conceptual gaps...');
+
+      Zotero.debug('KGMAnalyzer: Step B — building gap prompt');
+      const gapPrompt = PromptBuilder.buildGapPrompt(
+        framework,
+        libraryData.allTitles,
+        missingPapers,
+        confirmedDomain
+      );
+
+      Zotero.debug('KGMAnalyzer: Step B — calling AI');
+      const gapAnalysis = await aiClient.complete(gapPrompt, '', undefined, signal);
+      partial.gapAnalysis = gapAnalysis;
+      Zotero.debug(`KGMAnalyzer: Step B complete (${gapAnalysis.length} chars)`);
+
+      // ── Early return if Field Map not requested ─────────────────────────────
+      if (!includeFieldMap) {
+        Zotero.debug('='.repeat(60) + '\n');
+        return { framework, gapAnalysis };
+      }
 
-    Zotero.debug('KGMAnalyzer: Step B — calling AI');
-    const gapAnalysis = await aiClient.complete(gapPrompt);
-    Zotero.debug(`KGMAnalyzer: Step B complete (${gapAnalysis.length} chars)`);
+      // ── Field Map Steps FM-A + FM-B ─────────────────────────────────────────
+      this._checkCancelled(signal);
+      const fieldMap = await this.buildFieldMap(
+        framework,
+        gapAnalysis,
+        missingPapers,
+        confirmedDomain,
+        aiClient,
+        (fmStep, fmTotal, fmMessage) => {
+          // Map FM-A/FM-B steps onto the overall step counter (steps 3 and 4)
+          if (onProgress) onProgress(2 + fmStep, totalSteps, fmMessage);
+        },
+        signal
+      );
 
-    // ── Early return if Field Map not requested ───────────────────────────────
-    if (!includeFieldMap) {
       Zotero.debug('='.repeat(60) + '\n');
-      return { framework, gapAnalysis };
-    }
+      return { framework, gapAnalysis, fieldMap };
 
-    // ── Field Map Steps FM-A + FM-B ───────────────────────────────────────────
-    const fieldMap = await this.buildFieldMap(
-      framework,
-      gapAnalysis,
-      missingPapers,
-      confirmedDomain,
-      aiClient,
-      (fmStep, fmTotal, fmMessage) => {
-        // Map FM-A/FM-B steps onto the overall step counter (steps 3 and 4)
-        if (onProgress) onProgress(2 + fmStep, totalSteps, fmMessage);
-      }
-    );
-
-    Zotero.debug('='.repeat(60) + '\n');
-    return { framework, gapAnalysis, fieldMap };
+    } catch (e) {
+      // Reading the response body can also fail with an AbortError
+      if (e.message !== 'CANCELLED' && !(signal && signal.aborted)) throw e;
+
+      Zotero.debug('KGMAnalyzer: Analysis cancelled' +
+        (partial.framework ? ` after Step ${partial.gapAnalysis ? 'B' : 'A'}` : ''));
+      const cancelled = new Error('CANCELLED');
+      cancelled.partial = partial;
+      throw cancelled;
+    }
   },
 
   // ─── Internal helpers ──────────────────────────────────────────────────────
 
+  /**
+   * Throw CANCELLED if the signal has fired (checked between AI steps).
+   *
+   * @param {AbortSignal|null} signal
+   */
+  _checkCancelled: function(signal) {
+    if (signal && signal.aborted) throw new Error('CANCELLED');
+  },
+
   /**
    * Robustly extract a clean JSON string from an AI response.
    *
@@ -0,0 +1,291 @@
+/**
+ * LitGap - Learned Ranker Module
+ * Local logistic regression over accept / dismiss feedback
+ *
+ * @module learnedRanker
+ * @version 1.1.0
+ *
+ * CHANGELOG:
+ * v1.1.0 - venueKey() is public (Analyzer.compareDistributions() groups
+ *          venues the same way)
+ *
+ * Papers of a report that the user later adds to Zotero count as accepted,
+ * papers dismissed under "Dismissed Recommendations..." as rejected
+ * (Feedback.getExamples()). train() fits a logistic regression on that
+ * history, over the features each recommendation had when it was listed:
+ *   mentions   - log(1 + papers of the collection linked to it)
+ *   impact     - citations-per-year percentile among the run's candidates
+ *   recency    - publication-year percentile (newest = 1)
+ *   coCitation - log(1 + co-citations with other candidates)
+ *   venue      - share of the collection's papers from the same venue
+ * Features are standardized with the history's mean and standard deviation,
+ * and both classes weigh the same whatever their size, so a typical
+ * candidate comes out near 0.5.
+ *
+ * Analyzer multiplies each classic score by
+ *   factor = 1 + FACTOR_RANGE × (2p - 1)      (×0.5 to ×1.5)
+ * where p is the model's probability that the paper would be accepted.
+ * explain() returns p, the factor and each feature's contribution to the
+ * log-odds, so reports can say why a paper moved.
+ *
+ * Nothing leaves the computer: the history is in feedback.json and the
+ * model in the Zotero prefs.
+ *
+ * Preference Keys (namespace: extensions.zotero.litgap.*)
+ *   learnedRanking → false (default) | true
+ *   learnedModel   → JSON of the last model trained
+ *
+ * Public API:
+ *   train(examples)             → Object|null  model, null with too little history
+ *   explain(model, features)    → Object       { probability, factor, contributions }
+ *   getFeatures(paper, venues)  → Object       raw feature values
+ *   getVenueShares(userPapers)  → Map          normalized venue → share of the papers
+ *   venueKey(venue)             → string       normalized venue name
+ *   describe(model)             → string[]     human-readable weights
+ *   isEnabled() / setEnabled(enabled)
+ *   getModel() / saveModel(model)
+ */
+
+var LearnedRanker = {
+
+  // ─── Configuration ─────────────────────────────────────────────────────────
+
+  PREF_PREFIX:     'extensions.zotero.litgap.',
+  MODEL_VERSION:   1,
+  FEATURES:        ['mentions', 'impact', 'recency', 'coCitation', 'venue'],
+  MIN_EXAMPLES:    10,
+  MIN_PER_CLASS:   3,
+  ITERATIONS:      500,
+  LEARNING_RATE:   0.5,
+  L2:              0.1,    // Keeps weights small with little history
+  FACTOR_RANGE:    0.5,    // Score factor from 1 - range to 1 + range
+
+  FEATURE_LABELS: {
+    mentions:   'Mentions (papers of your collection linked to it)',
+    impact:     'Impact (citations per year, percentile)',
+    recency:    'Recency (publication year, percentile)',
+    coCitation: 'Co-citation (cited together with other candidates)',
+    venue:      'Venue (share of your collection from the same venue)'
+  },
+
+  // ─── Public API ────────────────────────────────────────────────────────────
+
+  /**
+   * Fit the model to the accept / dismiss history
+   *
+   * @param {Array<Object>} examples - [{ features, label }], label 1 =
+   *        accepted, 0 = dismissed (Feedback.getExamples())
+   * @returns {Object|null} Model, or null without MIN_EXAMPLES usable
+   *          examples and MIN_PER_CLASS of each label
+   */
+  train: function(examples) {
+    const usable = examples.filter(e => e && e.features && (e.label === 0 || e.label === 1) &&
+      this.FEATURES.every(name => isFinite(e.features[name])));
+    const accepted = usable.filter(e => e.label === 1).length;
+    const dismissed = usable.length - accepted;
+
+    if (usable.length < this.MIN_EXAMPLES || accepted < this.MIN_PER_CLASS || dismissed < this.MIN_PER_CLASS) {
+      Zotero.debug(`LearnedRanker: Not enough feedback to train (${accepted} accepted, ${dismissed} dismissed)`);
+      return null;
+    }
+
+    const means = {};
+    const scales = {};
+    this.FEATURES.forEach(name => {
+      const values = usable.map(e => Number(e.features[name]));
+      const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+      const variance = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length;
+      means[name] = mean;
+      scales[name] = Math.sqrt(variance) || 1;
+    });
+
+    // Each class weighs half of the total
+    const rows = usable.map(e => ({
+      x: this.FEATURES.map(name => (Number(e.features[name]) - means[name]) / scales[name]),
+      y: e.label,
+      weight: usable.length / (2 * (e.label === 1 ? accepted : dismissed))
+    }));
+
+    const weights = this.FEATURES.map(() => 0);
+    let bias = 0;
+    for (let iteration = 0; iteration < this.ITERATIONS; iteration++) {
+      const gradient = this.FEATURES.map(() => 0);
+      let biasGradient = 0;
+      rows.forEach(row => {
+        const p = this._sigmoid(bias + row.x.reduce((sum, x, j) => sum + weights[j] * x, 0));
+        const error = (p - row.y) * row.weight;
+        biasGradient += error;
+        row.x.forEach((x, j) => { gradient[j] += error * x; });
+      });
+      weights.forEach((w, j) => {
+        weights[j] = w - this.LEARNING_RATE * (gradient[j] / rows.length + this.L2 * w);
+      });
+      bias -= this.LEARNING_RATE * biasGradient / rows.length;
+    }
+
+    const model = {
+      version: this.MODEL_VERSION,
+      trainedAt: new Date().toISOString(),
+      accepted: accepted,
+      dismissed: dismissed,
+      means: means,
+      scales: scales,
+      weights: {},
+      bias: this._round(bias)
+    };
+    this.FEATURES.forEach((name, j) => { model.weights[name] = this._round(weights[j]); });
+
+    Zotero.debug(`LearnedRanker: Trained on ${accepted} accepted and ${dismissed} dismissed papers - ${JSON.stringify(model.weights)}`);
+    return model;
+  },
+
+  /**
+   * What the model makes of one paper
+   *
+   * @param {Object} model - train() result
+   * @param {Object} features - getFeatures() result
+   * @returns {Object} { probability, factor, contributions: { feature:
+   *          log-odds } }
+   */
+  explain: function(model, features) {
+    const contributions = {};
+    let logit = model.bias;
+    this.FEATURES.forEach(name => {
+      const z = ((Number(features[name]) || 0) - model.means[name]) / model.scales[name];
+      contributions[name] = this._round(model.weights[name] * z);
+      logit += model.weights[name] * z;
+    });
+
+    const probability = this._sigmoid(logit);
+    return {
+      probability: this._round(probability),
+      factor: this._round(1 + this.FACTOR_RANGE * (2 * probability - 1)),
+      contributions: contributions
+    };
+  },
+
+  /**
+   * Raw feature values of a scored candidate (Analyzer.findGaps() fields)
+   *
+   * @param {Object} paper - With mentioned_count, impactPercentile,
+   *        yearPercentile, coCitations and venue
+   * @param {Map<string, number>} venues - getVenueShares() of the collection
+   * @returns {Object} { mentions, impact, recency, coCitation, venue }
+   */
+  getFeatures: function(paper, venues) {
+    const venue = this.venueKey(paper.venue);
+    return {
+      mentions: this._round(Math.log(1 + (paper.mentioned_count || 0))),
+      impact: typeof paper.impactPercentile === 'number' ? paper.impactPercentile : 0.5,
+      recency: typeof paper.yearPercentile === 'number' ? paper.yearPercentile : 0.5,
+      coCitation: this._round(Math.log(1 + (paper.coCitations || 0))),
+      venue: venue && venues ? this._round(venues.get(venue) || 0) : 0
+    };
+  },
+
+  /**
+   * Share of the collection's papers published in each venue
+   *
+   * @param {Array<Object>} userPapers - Parser papers (publication field)
+   * @returns {Map<string, number>}
+   */
+  getVenueShares: function(userPapers) {
+    const counts = new Map();
+    (userPapers || []).forEach(paper => {
+      const venue = this.venueKey(paper.publication);
+      if (venue) counts.set(venue, (counts.get(venue) || 0) + 1);
+    });
+    counts.forEach((count, venue) => counts.set(venue, count / userPapers.length));
+    return counts;
+  },
+
+  /**
+   * The model's weights, largest effect first
+   *
+   * @param {Object} model
+   * @returns {string[]}
+   */
+  describe: function(model) {
+    const sign = value => (value >= 0 ? '+' : '−') + Math.abs(value).toFixed(2);
+    return [`Trained on ${model.accepted} accepted and ${model.dismissed} dismissed papers (${model.trainedAt.split('T')[0]})`]
+      .concat(this.FEATURES.slice()
+        .sort((a, b) => Math.abs(model.weights[b]) - Math.abs(model.weights[a]))
+        .map(name => `${this.FEATURE_LABELS[name]}: ${sign(model.weights[name])}`));
+  },
+
+  /**
+   * Whether runs are re-weighted by the learned model
+   *
+   * @returns {boolean}
+   */
+  isEnabled: function() {
+    return Zotero.Prefs.get(this.PREF_PREFIX + 'learnedRanking', true) === true;
+  },
+
+  /**
+   * Save the learned-ranking preference
+   *
+   * @param {boolean} enabled
+   */
+  setEnabled: function(enabled) {
+    if (typeof enabled !== 'boolean') {
+      throw new Error(`Invalid learned ranking setting: ${enabled}`);
+    }
+    Zotero.Prefs.set(this.PREF_PREFIX + 'learnedRanking', enabled);
+  },
+
+  /**
+   * Last model trained, if it is still readable
+   *
+   * @returns {Object|null}
+   */
+  getModel: function() {
+    const stored = Zotero.Prefs.get(this.PREF_PREFIX + 'learnedModel', true);
+    if (!stored) return null;
+    try {
+      const model = JSON.parse(stored);
+      const valid = model && model.version === this.MODEL_VERSION &&
+        this.FEATURES.every(name => isFinite(model.weights[name]) && isFinite(model.means[name]) && model.scales[name] > 0);
+      return valid ? model : null;
+    } catch (e) {
+      Zotero.debug(`LearnedRanker: Ignoring unreadable model - ${e.message}`);
+      return null;
+    }
+  },
+
+  /**
+   * Store a model (null forgets it)
+   *
+   * @param {Object|null} model
+   */
+  saveModel: function(model) {
+    if (model) {
+      Zotero.Prefs.set(this.PREF_PREFIX + 'learnedModel', JSON.stringify(model));
+    } else {
+      Zotero.Prefs.clear(this.PREF_PREFIX + 'learnedModel', true);
+    }
+  },
+
+  /**
+   * Venue name for comparison: lower case, letters and digits only,
+   * without a leading "the"
+   *
+   * @param {string} venue
+   * @returns {string} '' when there is no venue
+   */
+  venueKey: function(venue) {
+    return String(venue || '').toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, ' ').trim()
+      .replace(/^the /, '');
+  },
+
+  // ─── Internal helpers ──────────────────────────────────────────────────────
+
+  _sigmoid: function(x) {
+    return 1 / (1 + Math.exp(-x));
+  },
+
+  _round: function(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+};
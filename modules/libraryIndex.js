@@ -0,0 +1,195 @@
+/**
+ * LitGap - Library Index Module
+ * Find candidates the user already owns anywhere in Zotero
+ *
+ * @module libraryIndex
+ * @version 1.1.0
+ *
+ * CHANGELOG:
+ * v1.1.0 - find() also matches the preprint versions folded into a
+ *          candidate (Merger.collapseVersions), so owning either version
+ *          counts
+ *
+ * Analyzer only knows the library papers of the current run, so a paper
+ * that sits in another collection (or in the part of a collection that was
+ * sampled out) used to be recommended as missing. build() indexes every
+ * regular item of every library — My Library and group libraries, not
+ * feeds — and find() matches a candidate against it by:
+ *   1. DOI or another shared identifier (arXiv ID, PMID, PMCID, CorpusId)
+ *   2. normalized title (API.normalizeTitle) of at least MIN_TITLE_LENGTH
+ *      characters, with years at most MAX_YEAR_GAP apart when both are known
+ * A candidate with folded preprints (versions) is owned when any version is.
+ *
+ * Papers of the current run are always removed. Other owned papers are
+ * hidden or labelled "in your library" in the reports, per ownedPapers.
+ *
+ * Preference Keys (namespace: extensions.zotero.litgap.*)
+ *   ownedPapers → 'hide' (default) | 'label'
+ *
+ * Public API:
+ *   build(collection)         → Promise<Object>  index of all libraries
+ *   find(index, candidate)    → Object|null      { key, libraryID, libraryName,
+ *                                                   title, inCollection }
+ *   getOwnedMode()            → 'hide' | 'label'
+ *   setOwnedMode(mode)
+ */
+
+var LibraryIndex = {
+
+  // ─── Configuration ─────────────────────────────────────────────────────────
+
+  PREF_PREFIX:        'extensions.zotero.litgap.',
+  OWNED_MODES:        ['hide', 'label'],
+  DEFAULT_OWNED_MODE: 'hide',
+  MIN_TITLE_LENGTH:   20,   // Shorter titles ("Introduction") match too much
+  MAX_YEAR_GAP:       1,
+
+  // Identifier types compared, strongest first (see Parser.getItemIdentifiers)
+  ID_TYPES: ['doi', 'arxiv', 'pmid', 'pmcid', 'corpusId'],
+
+  OWNED_MODE_LABELS: {
+    hide:  'Hide them',
+    label: 'Show them, labelled "in your library"'
+  },
+
+  // ─── Public API ────────────────────────────────────────────────────────────
+
+  /**
+   * Index every regular item in every Zotero library
+   *
+   * @param {Zotero.Collection} [collection] - Collection of the run; its
+   *        items are flagged inCollection
+   * @returns {Promise<Object>} { byId, byTitle, size }
+   */
+  build: async function(collection) {
+    const index = { byId: {}, byTitle: {}, size: 0 };
+    const start = Date.now();
+
+    for (const library of Zotero.Libraries.getAll()) {
+      if (library.libraryType === 'feed') continue;
+
+      const items = await Zotero.Items.getAll(library.libraryID, true, false);
+      for (const item of items) {
+        if (!item.isRegularItem()) continue;
+        this._add(index, item, library, collection);
+      }
+    }
+
+    Zotero.debug(`LibraryIndex: Indexed ${index.size} items in ${Date.now() - start}ms`);
+    return index;
+  },
+
+  /**
+   * Library item that is the same paper as a candidate (or as one of its
+   * versions), if any
+   *
+   * @param {Object} index - Result of build()
+   * @param {Object} candidate - Candidate from API / Merger
+   * @returns {Object|null} { key, libraryID, libraryName, title, inCollection }
+   */
+  find: function(index, candidate) {
+    if (!index) return null;
+
+    for (const version of [candidate].concat(candidate.versions || [])) {
+      const entry = this._findOne(index, version);
+      if (entry) return entry;
+    }
+    return null;
+  },
+
+  /**
+   * What to do with candidates owned outside the current run
+   *
+   * @returns {string} 'hide' | 'label'
+   */
+  getOwnedMode: function() {
+    const mode = Zotero.Prefs.get(this.PREF_PREFIX + 'ownedPapers', true);
+    return this.OWNED_MODES.includes(mode) ? mode : this.DEFAULT_OWNED_MODE;
+  },
+
+  /**
+   * Save the owned-papers preference
+   *
+   * @param {string} mode - 'hide' | 'label'
+   */
+  setOwnedMode: function(mode) {
+    if (!this.OWNED_MODES.includes(mode)) {
+      throw new Error(`Invalid owned-papers mode: ${mode}`);
+    }
+    Zotero.Prefs.set(this.PREF_PREFIX + 'ownedPapers', mode);
+  },
+
+  // ─── Internal helpers ──────────────────────────────────────────────────────
+
+  /**
+   * Match one paper by identifiers, then by title and year
+   * @private
+   */
+  _findOne: function(index, candidate) {
+    for (const key of this._idKeys(candidate.externalIds, candidate.doi)) {
+      if (index.byId[key]) return index.byId[key];
+    }
+
+    const title = this._titleKey(candidate.title);
+    if (!title) return null;
+
+    const year = parseInt(candidate.year, 10);
+    return (index.byTitle[title] || []).find(entry => {
+      const otherYear = parseInt(entry.year, 10);
+      return isNaN(year) || isNaN(otherYear) || Math.abs(year - otherYear) <= this.MAX_YEAR_GAP;
+    }) || null;
+  },
+
+  /**
+   * Register one item under its identifiers and title
+   * @private
+   */
+  _add: function(index, item, library, collection) {
+    const title = item.getField('title') || '';
+    const entry = {
+      key: item.key,
+      libraryID: item.libraryID,
+      libraryName: library.name,
+      title: title,
+      year: Parser.getItemYear(item),
+      inCollection: !!collection && item.inCollection(collection.id)
+    };
+
+    const ids = Parser.getItemIdentifiers(item);
+    this._idKeys(ids, ids.doi).forEach(key => {
+      if (!index.byId[key]) index.byId[key] = entry;
+    });
+
+    const titleKey = this._titleKey(title);
+    if (titleKey) {
+      index.byTitle[titleKey] = index.byTitle[titleKey] || [];
+      index.byTitle[titleKey].push(entry);
+    }
+
+    index.size++;
+  },
+
+  /**
+   * Lookup keys for a set of identifiers ('doi:10.1/x', 'pmcid:123', ...)
+   * @private
+   */
+  _idKeys: function(ids, doi) {
+    ids = ids || {};
+    const keys = [];
+    this.ID_TYPES.forEach(type => {
+      let value = type === 'doi' ? (ids.doi || doi) : ids[type];
+      if (!value) return;
+      value = type === 'doi'
+        ? CitationCache.normalizeDOI(value)
+        : String(value).trim().toLowerCase();
+      if (type === 'pmcid') value = value.replace(/^pmc/, '');
+      if (value) keys.push(`${type}:${value}`);
+    });
+    return keys;
+  },
+
+  _titleKey: function(title) {
+    const normalized = API.normalizeTitle(title);
+    return normalized.length >= this.MIN_TITLE_LENGTH ? normalized : '';
+  }
+};
@@ -0,0 +1,539 @@
+/**
+ * LitGap - Merger Module
+ * Merge and deduplicate candidates fetched from several citation sources
+ *
+ * @module merger
+ * @version 1.6.0
+ *
+ * CHANGELOG:
+ * v1.6.0 - The venue's ISSNs come along with the venue of another source
+ * v1.5.0 - Authors (names, IDs and their source) come from another source
+ *          when a candidate has none; user_author_ids of every source are
+ *          kept
+ * v1.4.0 - Likewise the publication date
+ * v1.3.0 - A merged candidate takes the venue of another source when its
+ *          own is unknown
+ * v1.2.0 - collapseVersions(): a preprint and its published version become
+ *          one candidate, paired by shared ID, Crossref version relation
+ *          (API.fetchVersionRelations()) or title; it keeps the higher of
+ *          the two citation counts
+ * v1.1.0 - Carry the cancelled flag of partial (cancelled) runs
+ *
+ * When the "Citation source" setting is "All sources", main.js runs
+ * API.fetchCitations() once per provider and hands the results to merge().
+ * Candidates from different sources are the same paper when, in order:
+ *   1. their DOIs match (normalized as in CitationCache)
+ *   2. any other shared external ID matches (arXiv, PMID, PMCID, MAG, CorpusId)
+ *   3. their normalized titles match with at least TITLE_MATCH_CONFIDENCE
+ *      (API.titleMatchConfidence) and their years are at most one apart
+ *
+ * Merged candidates keep every external ID and the paper ID of each source
+ * (sourcePaperIds). mentioned_count is the number of distinct
+ * (library paper, direction) pairs across sources, so a library paper that
+ * cites X counts once even when both sources report it. sources lists the
+ * sources that agreed on the candidate, sourceMentions their own counts.
+ *
+ * collapseVersions() runs on every result (one source or merged). Sources
+ * often list an arXiv / bioRxiv preprint and its journal version as two
+ * papers, which splits the mentions between them. A preprint (DOI of a
+ * preprint server, PREPRINT_DOI_PATTERNS, or an arXiv ID without a DOI) is
+ * folded into a published candidate when:
+ *   1. they share an arXiv ID, PMID or PMCID (e.g. the published record
+ *      lists the arXiv ID, or the preprint DOI is 10.48550/arXiv.<id>)
+ *   2. or the preprint's DOI relations (Crossref, API.VERSION_RELATIONS;
+ *      see versionRelationDOIs()) name the published DOI
+ *   3. or their titles match with at least TITLE_MATCH_CONFIDENCE, the
+ *      published year is 0 to MAX_VERSION_YEAR_GAP years after the
+ *      preprint, and, when both author lists are known, they share an author
+ * The published candidate keeps its own IDs and year; mentions are merged
+ * as in merge() (sourcePaperIds and sourceMentions cover both versions)
+ * and the preprint is kept in versions. The citation count
+ * is the higher of the two: sources that count both versions mostly list
+ * the same citing papers twice, so adding them up would inflate impact.
+ *
+ * Public API:
+ *   merge(results)                → citationData in the shape of API.fetchCitations()
+ *   collapseVersions(citationData, relations)
+ *                                  → Object  { collapsed, byId, byRelation, byTitle }
+ *   versionRelationDOIs(citationData) → DOIs to look up relations for
+ *   isPreprint(candidate)          → boolean
+ */
+
+var Merger = {
+
+  // ─── Configuration ─────────────────────────────────────────────────────────
+
+  TITLE_MATCH_CONFIDENCE: 0.9,
+  MAX_YEAR_GAP:           1,
+
+  // Identifier types compared across sources, strongest first. The
+  // source-specific paper IDs (s2, openalex) never match across sources.
+  ID_TYPES: ['doi', 'arxiv', 'pmid', 'pmcid', 'mag', 'corpusId'],
+
+  // Identifiers a preprint and its published version may share
+  VERSION_ID_TYPES: ['arxiv', 'pmid', 'pmcid'],
+  MAX_VERSION_YEAR_GAP: 3,
+
+  // DOIs of preprint servers (arXiv, bioRxiv / medRxiv, SSRN, Research
+  // Square, Preprints.org, OSF-hosted servers, ChemRxiv)
+  PREPRINT_DOI_PATTERNS: [
+    /^10\.48550\//,
+    /^10\.1101\/(\d{4}\.\d{2}\.\d{2}\.)?\d+(v\d+)?$/,
+    /^10\.2139\/ssrn\./,
+    /^10\.21203\/rs\./,
+    /^10\.20944\/preprints/,
+    /^10\.3123[0-9]\/osf\.io\//,
+    /^10\.26434\/chemrxiv/
+  ],
+
+  // ─── Public API ────────────────────────────────────────────────────────────
+
+  /**
+   * Merge the results of one fetchCitations() call per source.
+   *
+   * @param {Array<Object>} results - fetchCitations() results, primary source first
+   * @returns {Object} Merged citationData; a single result is returned as is
+   */
+  merge: function(results) {
+    results = (results || []).filter(r => r && r.all_citations);
+    if (results.length === 0) return null;
+    if (results.length === 1) return results[0];
+
+    const merged = [];
+    const byId = {};     // 'doi:10.1/x' → merged candidate
+    const byTitle = {};  // first two title words → merged candidates
+    const matchedBy = { id: 0, title: 0 };
+
+    results.forEach(result => {
+      result.all_citations.forEach(candidate => {
+        const found = this._findMatch(candidate, byId, byTitle);
+        if (found) {
+          matchedBy[found.method]++;
+          this._combine(found.entry, candidate);
+          this._index(found.entry, byId, byTitle);
+        } else {
+          const entry = this._copy(candidate);
+          merged.push(entry);
+          this._index(entry, byId, byTitle);
+        }
+      });
+    });
+
+    const stats = this._mergeStats(results, merged, matchedBy);
+
+    Zotero.debug(`Merger: ${stats.total_citations} candidates from ${results.length} sources → ${merged.length} unique (${matchedBy.id} matched by ID, ${matchedBy.title} by title)`);
+
+    const userPaperIds = new Set();
+    results.forEach(r => (r.user_paper_ids || []).forEach(id => userPaperIds.add(id)));
+    const userAuthorIds = {};
+    results.forEach(r => Object.keys(r.user_author_ids || {}).forEach(key => {
+      userAuthorIds[key] = (userAuthorIds[key] || []).concat(r.user_author_ids[key]);
+    }));
+
+    return {
+      direction: results[0].direction,
+      provider: stats.provider,
+      cancelled: stats.cancelled,
+      user_papers: results[0].user_papers,
+      user_paper_ids: Array.from(userPaperIds),
+      user_author_ids: userAuthorIds,
+      all_citations: merged,
+      stats: stats
+    };
+  },
+
+  /**
+   * Fold preprints into their published versions (see the module comment).
+   * Second-hop candidates are left alone.
+   *
+   * @param {Object} citationData - { all_citations, stats } (modified in
+   *        place: all_citations loses the folded preprints, stats.versions)
+   * @param {Object} [relations] - Normalized preprint DOI → related DOIs
+   *        (API.fetchVersionRelations())
+   * @returns {Object} { collapsed, byId, byRelation, byTitle } counts
+   */
+  collapseVersions: function(citationData, relations = {}) {
+    const counts = { collapsed: 0, byId: 0, byRelation: 0, byTitle: 0 };
+    const candidates = (citationData && citationData.all_citations) || [];
+    const firstHop = candidates.filter(c => (c.hop || 1) === 1);
+    const published = firstHop.filter(c => c.doi && !this.isPreprint(c));
+    if (published.length === 0) return counts;
+
+    const byId = {};
+    const byTitle = {};
+    published.forEach(entry => {
+      this._versionKeys(entry).concat(`doi:${CitationCache.normalizeDOI(entry.doi)}`).forEach(key => {
+        if (!byId[key]) byId[key] = entry;
+      });
+      const titleKey = this._titleKey(entry);
+      if (titleKey) (byTitle[titleKey] = byTitle[titleKey] || []).push(entry);
+    });
+
+    const folded = new Set();
+    firstHop.forEach(candidate => {
+      if (!this.isPreprint(candidate)) return;
+
+      const found = this._findPublished(candidate, byId, byTitle, relations || {});
+      if (!found) return;
+
+      counts[{ id: 'byId', relation: 'byRelation', title: 'byTitle' }[found.method]]++;
+      counts.collapsed++;
+      this._foldVersion(found.entry, candidate);
+      folded.add(candidate);
+    });
+
+    if (counts.collapsed > 0) {
+      citationData.all_citations = candidates.filter(c => !folded.has(c));
+      if (citationData.stats) {
+        const previous = citationData.stats.versions || {};
+        citationData.stats.versions = {};
+        Object.keys(counts).forEach(key => {
+          citationData.stats.versions[key] = (previous[key] || 0) + counts[key];
+        });
+        citationData.stats.unique_citations = citationData.all_citations.length;
+      }
+    }
+
+    Zotero.debug(`Merger: ${counts.collapsed} preprints folded into their published versions (${counts.byId} by ID, ${counts.byRelation} by DOI relation, ${counts.byTitle} by title)`);
+    return counts;
+  },
+
+  /**
+   * DOIs of the first-hop preprints collapseVersions() may need relations
+   * for. arXiv DOIs are left out: they are registered with DataCite, not
+   * Crossref, and already pair through the arXiv ID.
+   *
+   * @param {Object} citationData - { all_citations }
+   * @returns {string[]} Normalized DOIs
+   */
+  versionRelationDOIs: function(citationData) {
+    const dois = ((citationData && citationData.all_citations) || [])
+      .filter(c => (c.hop || 1) === 1 && this.isPreprint(c))
+      .map(c => CitationCache.normalizeDOI(c.doi || (c.externalIds || {}).doi || ''))
+      .filter(doi => doi && !/^10\.48550\//.test(doi));
+    return dois.filter((doi, i) => dois.indexOf(doi) === i);
+  },
+
+  /**
+   * Whether a candidate is a preprint: a preprint-server DOI, or an arXiv
+   * ID and no DOI at all
+   *
+   * @param {Object} candidate
+   * @returns {boolean}
+   */
+  isPreprint: function(candidate) {
+    const doi = CitationCache.normalizeDOI(candidate.doi || (candidate.externalIds || {}).doi || '');
+    if (!doi) return !!(candidate.externalIds && candidate.externalIds.arxiv);
+    return this.PREPRINT_DOI_PATTERNS.some(pattern => pattern.test(doi));
+  },
+
+  // ─── Internal ──────────────────────────────────────────────────────────────
+
+  /**
+   * Keys a preprint and its published version may share ('arxiv:2101.1', ...)
+   * @private
+   */
+  _versionKeys: function(candidate) {
+    const ids = candidate.externalIds || {};
+    return this.VERSION_ID_TYPES
+      .filter(type => ids[type])
+      .map(type => `${type}:${String(ids[type]).trim().toLowerCase()}`);
+  },
+
+  /**
+   * Published candidate a preprint is a version of, if any
+   * @private
+   * @returns {Object|null} { entry, method: 'id'|'relation'|'title' }
+   */
+  _findPublished: function(preprint, byId, byTitle, relations) {
+    for (const key of this._versionKeys(preprint)) {
+      if (byId[key]) return { entry: byId[key], method: 'id' };
+    }
+
+    const doi = CitationCache.normalizeDOI(preprint.doi || (preprint.externalIds || {}).doi || '');
+    for (const related of (doi && relations[doi]) || []) {
+      if (byId[`doi:${related}`]) return { entry: byId[`doi:${related}`], method: 'relation' };
+    }
+
+    const titleKey = this._titleKey(preprint);
+    if (!titleKey) return null;
+
+    const year = parseInt(preprint.year, 10);
+    const entry = (byTitle[titleKey] || []).find(e => {
+      const published = parseInt(e.year, 10);
+      if (!isNaN(year) && !isNaN(published) &&
+          (published < year || published - year > this.MAX_VERSION_YEAR_GAP)) {
+        return false;
+      }
+      if (!this._authorsOverlap(preprint, e)) return false;
+      // Years are checked above; compare the titles alone
+      return API.titleMatchConfidence({ title: preprint.title }, { title: e.title }) >= this.TITLE_MATCH_CONFIDENCE;
+    });
+
+    return entry ? { entry: entry, method: 'title' } : null;
+  },
+
+  /**
+   * False only when both author lists are known and share no family name
+   * @private
+   */
+  _authorsOverlap: function(a, b) {
+    const family = paper => new Set((paper.authors || []).map(name =>
+      String(name).trim().split(/\s+/).pop().toLowerCase()));
+    const namesA = family(a);
+    const namesB = family(b);
+    if (namesA.size === 0 || namesB.size === 0) return true;
+    return Array.from(namesA).some(name => namesB.has(name));
+  },
+
+  /**
+   * Fold a preprint into its published version
+   * @private
+   */
+  _foldVersion: function(entry, preprint) {
+    entry.versions = (entry.versions || []).concat({
+      paperId: preprint.paperId,
+      title: preprint.title,
+      year: preprint.year,
+      doi: preprint.doi || '',
+      externalIds: Object.assign({}, preprint.externalIds),
+      source: preprint.source,
+      sourcePaperIds: Object.assign({ [preprint.source]: preprint.paperId }, preprint.sourcePaperIds),
+      mentioned_count: preprint.mentioned_count || 0,
+      citationCount: preprint.citationCount || 0
+    }, preprint.versions || []);
+
+    // Per-source counts before the mentions are combined
+    const entryMentions = entry.sourceMentions || { [entry.source]: entry.mentioned_count || 0 };
+    const preprintMentions = preprint.sourceMentions || { [preprint.source]: preprint.mentioned_count || 0 };
+
+    entry.mentionKeys = (entry.mentionKeys || []).slice();
+    entry.citedByKeys = (entry.citedByKeys || []).slice();
+    (preprint.mentionKeys || []).forEach(key => {
+      if (!entry.mentionKeys.includes(key)) entry.mentionKeys.push(key);
+    });
+    (preprint.citedByKeys || []).forEach(key => {
+      if (!entry.citedByKeys.includes(key)) entry.citedByKeys.push(key);
+    });
+    entry.mentioned_count = entry.mentionKeys.length;
+    // Largely the same citing papers counted for each version — not a sum
+    entry.citationCount = Math.max(entry.citationCount || 0, preprint.citationCount || 0);
+
+    (preprint.sources || [preprint.source]).forEach(source => {
+      if (entry.sources && !entry.sources.includes(source)) entry.sources.push(source);
+    });
+
+    // A source that only found the preprint links to it; each source's
+    // count covers both versions (an item citing both counts once overall)
+    entry.sourcePaperIds = Object.assign(
+      { [preprint.source]: preprint.paperId },
+      preprint.sourcePaperIds,
+      entry.sourcePaperIds || { [entry.source]: entry.paperId }
+    );
+    entry.sourceMentions = {};
+    new Set(Object.keys(entryMentions).concat(Object.keys(preprintMentions))).forEach(source => {
+      entry.sourceMentions[source] = Math.min(
+        entry.mentioned_count,
+        (entryMentions[source] || 0) + (preprintMentions[source] || 0)
+      );
+    });
+    if (entry.direction !== preprint.direction) {
+      entry.direction = 'both';
+    }
+  },
+
+  /**
+   * Lookup keys of a candidate ('doi:10.1/x', 'pmid:123', ...)
+   * @private
+   */
+  _idKeys: function(candidate) {
+    const ids = candidate.externalIds || {};
+    const keys = [];
+    this.ID_TYPES.forEach(type => {
+      let value = type === 'doi' ? (ids.doi || candidate.doi) : ids[type];
+      if (!value) return;
+      value = type === 'doi'
+        ? CitationCache.normalizeDOI(value)
+        : String(value).trim().toLowerCase();
+      if (value) keys.push(`${type}:${value}`);
+    });
+    return keys;
+  },
+
+  /**
+   * Title bucket of a candidate: its first two normalized words
+   * @private
+   */
+  _titleKey: function(candidate) {
+    return API.normalizeTitle(candidate.title).split(' ').slice(0, 2).join(' ');
+  },
+
+  /**
+   * Find the merged candidate that is the same paper, if any.
+   *
+   * A title match never joins two papers reported by the same source —
+   * that source already considers them different.
+   *
+   * @private
+   * @returns {Object|null} { entry, method: 'id'|'title' }
+   */
+  _findMatch: function(candidate, byId, byTitle) {
+    for (const key of this._idKeys(candidate)) {
+      if (byId[key]) return { entry: byId[key], method: 'id' };
+    }
+
+    const titleKey = this._titleKey(candidate);
+    if (!titleKey) return null;
+
+    const year = parseInt(candidate.year, 10);
+    const entry = (byTitle[titleKey] || []).find(e => {
+      if (e.sources.includes(candidate.source)) return false;
+      const otherYear = parseInt(e.year, 10);
+      if (isNaN(year) || isNaN(otherYear) || Math.abs(year - otherYear) > this.MAX_YEAR_GAP) {
+        return false;
+      }
+      return API.titleMatchConfidence(candidate, e) >= this.TITLE_MATCH_CONFIDENCE;
+    });
+
+    return entry ? { entry: entry, method: 'title' } : null;
+  },
+
+  /**
+   * Register a merged candidate under all its current keys
+   * @private
+   */
+  _index: function(entry, byId, byTitle) {
+    this._idKeys(entry).forEach(key => {
+      if (!byId[key]) byId[key] = entry;
+    });
+
+    const titleKey = this._titleKey(entry);
+    if (titleKey) {
+      byTitle[titleKey] = byTitle[titleKey] || [];
+      if (!byTitle[titleKey].includes(entry)) byTitle[titleKey].push(entry);
+    }
+  },
+
+  /**
+   * Copy a candidate so merging never changes the per-source results
+   * @private
+   */
+  _copy: function(candidate) {
+    const source = candidate.source;
+    return Object.assign({}, candidate, {
+      externalIds: Object.assign({}, candidate.externalIds),
+      sources: (candidate.sources || [source]).slice(),
+      sourcePaperIds: Object.assign({ [source]: candidate.paperId }, candidate.sourcePaperIds),
+      sourceMentions: Object.assign({ [source]: candidate.mentioned_count || 0 }, candidate.sourceMentions),
+      citedByKeys: (candidate.citedByKeys || []).slice(),
+      mentionKeys: (candidate.mentionKeys || []).slice()
+    });
+  },
+
+  /**
+   * Fold a candidate from another source into a merged candidate
+   * @private
+   */
+  _combine: function(entry, candidate) {
+    const source = candidate.source;
+
+    Object.keys(candidate.externalIds || {}).forEach(type => {
+      if (!entry.externalIds[type] && candidate.externalIds[type]) {
+        entry.externalIds[type] = candidate.externalIds[type];
+      }
+    });
+    if (!entry.doi && entry.externalIds.doi) {
+      entry.doi = entry.externalIds.doi;
+    }
+
+    if (!entry.sources.includes(source)) {
+      entry.sources.push(source);
+    }
+    if (!entry.sourcePaperIds[source]) {
+      entry.sourcePaperIds[source] = candidate.paperId;
+    }
+    entry.sourceMentions[source] = Math.max(
+      entry.sourceMentions[source] || 0,
+      candidate.mentioned_count || 0
+    );
+
+    (candidate.mentionKeys || []).forEach(key => {
+      if (!entry.mentionKeys.includes(key)) entry.mentionKeys.push(key);
+    });
+    (candidate.citedByKeys || []).forEach(key => {
+      if (!entry.citedByKeys.includes(key)) entry.citedByKeys.push(key);
+    });
+    entry.mentioned_count = entry.mentionKeys.length;
+
+    // Sources differ in coverage — the higher count is the better estimate
+    entry.citationCount = Math.max(entry.citationCount || 0, candidate.citationCount || 0);
+    if (!entry.year && candidate.year) entry.year = candidate.year;
+    if (!entry.title && candidate.title) entry.title = candidate.title;
+    if (!entry.venue && candidate.venue) {
+      entry.venue = candidate.venue;
+      entry.venueIssns = candidate.venueIssns;
+    }
+    if (!entry.publicationDate && candidate.publicationDate) entry.publicationDate = candidate.publicationDate;
+    if (!(entry.authors && entry.authors.length) && candidate.authors && candidate.authors.length) {
+      entry.authors = candidate.authors;
+      entry.authorIds = candidate.authorIds;
+      entry.authorSource = candidate.authorSource;
+    }
+
+    if (entry.direction !== candidate.direction) {
+      entry.direction = 'both';
+    }
+  },
+
+  /**
+   * Stats for the merged result, in the shape of fetchCitations() stats plus
+   * per-source stats and how often the sources agreed
+   * @private
+   */
+  _mergeStats: function(results, merged, matchedBy) {
+    const providers = results.map(r => r.provider);
+    const papers = results[0].user_papers || [];
+
+    // Paper objects are shared between the runs and keep their best resolution
+    const resolution = { doi: 0, arxiv: 0, pmid: 0, pmcid: 0, corpusId: 0, title: 0, unresolved: 0, lowConfidence: 0 };
+    papers.forEach(paper => {
+      if (!paper.resolution) {
+        resolution.unresolved++;
+        return;
+      }
+      resolution[paper.resolution.method] = (resolution[paper.resolution.method] || 0) + 1;
+      if (paper.resolution.lowConfidence) {
+        resolution.lowConfidence++;
+      }
+    });
+
+    const agreement = { all: 0, only: {} };
+    providers.forEach(id => { agreement.only[id] = 0; });
+    merged.forEach(entry => {
+      if (entry.sources.length === providers.length) {
+        agreement.all++;
+      } else if (entry.sources.length === 1) {
+        agreement.only[entry.sources[0]]++;
+      }
+    });
+
+    const sources = {};
+    results.forEach(r => { sources[r.provider] = r.stats; });
+
+    return {
+      direction: results[0].direction,
+      provider: API.ALL_PROVIDERS,
+      providerName: results.map(r => r.stats.providerName).join(' + '),
+      providers: providers,
+      sources: sources,
+      cancelled: results.some(r => r.cancelled),
+      user_papers_count: papers.length,
+      papers_fetched: Math.max(...results.map(r => r.stats.papers_fetched || 0)),
+      resolution: resolution,
+      total_citations: results.reduce((sum, r) => sum + (r.stats.unique_citations || 0), 0),
+      unique_citations: merged.length,
+      matchedBy: matchedBy,
+      agreement: agreement
+    };
+  }
+};
@@ -0,0 +1,574 @@
+/**
+ * LitGap - OpenAlex Provider
+ * Citation-source provider backed by the OpenAlex works API
+ *
+ * @module openAlexProvider
+ * @version 1.8.0
+ *
+ * CHANGELOG:
+ * v1.8.0 - Linked papers carry their source's ISSNs (venueIssns);
+ *          getVenueIssns()
+ * v1.7.0 - Library and linked papers carry their authors ({ authorId, name }
+ *          from authorships, author-level gaps)
+ * v1.6.0 - Linked papers carry their publication date
+ * v1.5.0 - Linked papers carry their venue (primary location's source)
+ * v1.4.0 - fetchMetadata(): authors, venue, abstract (rebuilt from the
+ *          inverted index), fields and open-access PDF of recommended papers
+ * v1.3.0 - Pass each paper's result to reportDone(); let cancellation
+ *          errors from API.request() through
+ * v1.2.0 - Requests go through API.request() (shared rate limiter); papers
+ *          are looked up concurrently within the rate limit
+ * v1.1.0 - Select ids for every work; getExternalIds() for Merger. DOI
+ *          batches never exceed BATCH_LIMIT, also when Semantic Scholar's
+ *          batch size applies ("All sources"); per-page matches the batch,
+ *          so no work is cut off and sent to the title search
+ *
+ * Implements the provider interface described in api.js. OpenAlex work IDs
+ * ('W2741809807') become paperId; display_name, publication_year and
+ * cited_by_count become title, year and citationCount; authorships become
+ * authors in Semantic Scholar's shape, with OpenAlex author IDs ('A5023888391').
+ *
+ * Lookup order per paper:
+ *   DOI → PMID → PMCID → arXiv ID (as its 10.48550/arXiv.* DOI) → title search
+ *   (CorpusId is Semantic Scholar only and is skipped)
+ *
+ * References: the work's referenced_works IDs, hydrated FILTER_LIMIT at a time
+ * Citations:  /works?filter=cites:<id>, cursor-paginated
+ * Both are complete up to API.getMaxLinksPerPaper(), so there is no
+ * completeLists() step.
+ *
+ * Preference Keys (namespace: extensions.zotero.litgap.*)
+ *   openAlexEmail → optional e-mail sent as mailto= (OpenAlex "polite pool")
+ */
+
+var OpenAlexProvider = {
+  
+  id: 'openalex',
+  name: 'OpenAlex',
+  cacheNamespace: 'openalex',
+  
+  /**
+   * API Configuration
+   */
+  baseURL: "https://api.openalex.org",
+  maxRetries: 3, // Maximum retry attempts for rate limiting
+  retryDelay: 2000, // Backoff unit when a 429 carries no Retry-After
+  RATE_LIMIT: { requestsPerSecond: 10, burst: 5, maxConcurrent: 4 }, // OpenAlex allows 10 requests/second
+  BATCH_LIMIT: 50, // Values per OR filter (doi:a|b|c)
+  FILTER_LIMIT: 50, // Work IDs per hydration request
+  PER_PAGE: 200, // Max results per page
+  PREF_PREFIX: 'extensions.zotero.litgap.',
+  
+  /**
+   * Fields selected for library papers and for linked papers
+   */
+  WORK_FIELDS: 'id,doi,ids,display_name,publication_year,cited_by_count,referenced_works_count,referenced_works,authorships',
+  LINKED_FIELDS: 'id,doi,ids,display_name,publication_year,publication_date,cited_by_count,primary_location,authorships',
+  METADATA_FIELDS: 'id,doi,ids,authorships,primary_location,abstract_inverted_index,topics,open_access,best_oa_location',
+  
+  /**
+   * Resolve paper data for papers the cache could not answer:
+   *   1. DOIs in batches via filter=doi:a|b|c (when batch lookup is on)
+   *   2. Remaining identifiers one at a time, then the title search
+   * then build the references/citations lists for every resolved work.
+   *
+   * @param {Array} papers - Array of paper objects from Parser
+   * @param {string[]} listKeys - Nested lists needed ('references', 'citations')
+   * @param {Function} reportDone - Called with (index, result) of each finished paper
+   * @returns {Promise<Array>} Aligned with papers: paper data (with
+   *          resolvedBy), 'NOT_FOUND', or null if a request failed
+   */
+  lookupPapers: async function(papers, listKeys, reportDone) {
+    const works = new Array(papers.length).fill(null);
+    const skipIds = {};
+    
+    // Pass 1: batch by DOI
+    const withDOI = papers.map((paper, i) => i).filter(i => this._getDOI(papers[i]));
+    if (API.isBatchEnabled() && withDOI.length > 1) {
+      // API.getBatchSize() follows the selected provider, whose limit can
+      // be higher than ours when every source is queried
+      const batchSize = Math.min(API.getBatchSize(), this.BATCH_LIMIT);
+      
+      for (let start = 0; start < withDOI.length; start += batchSize) {
+        const chunk = withDOI.slice(start, start + batchSize);
+        Zotero.debug(`OpenAlexProvider: Batch request for ${chunk.length} DOIs (${start + 1}-${start + chunk.length} of ${withDOI.length})`);
+        
+        const found = await this._fetchWorksByDOI(chunk.map(i => this._getDOI(papers[i])));
+        if (!found) continue; // Whole batch failed — single path retries the DOI
+        
+        chunk.forEach(i => {
+          const work = found[this._getDOI(papers[i]).toLowerCase()];
+          if (work) {
+            works[i] = { work: work, method: 'doi' };
+          } else {
+            skipIds[i] = 1;
+          }
+        });
+      }
+    }
+    
+    const results = new Array(papers.length).fill(null);
+    
+    await API.forEachConcurrent(this, papers.map((paper, i) => i), async (i) => {
+      // Pass 2: single lookups for anything the batch did not resolve
+      if (!works[i]) {
+        Zotero.debug(`OpenAlexProvider: Single lookup: ${papers[i].title.substring(0, 50)}...`);
+        works[i] = await this._resolveSingle(papers[i], skipIds[i] || 0);
+      }
+      
+      if (works[i] && works[i].work) {
+        results[i] = await this._buildPaperData(works[i].work, works[i].method, listKeys);
+      } else {
+        results[i] = works[i]; // 'NOT_FOUND' or null
+      }
+      reportDone(i, results[i]);
+    });
+    
+    return results;
+  },
+  
+  /**
+   * Link to a work on openalex.org
+   *
+   * @param {string} paperId - OpenAlex work ID ('W2741809807')
+   * @returns {string} URL
+   */
+  paperURL: function(paperId) {
+    return `https://openalex.org/${paperId}`;
+  },
+  
+  /**
+   * Identifiers of a linked paper, taken from its ids object (see
+   * _normalizeWork). Entries cached before v1.1.0 only have the work ID
+   * and DOI.
+   *
+   * @param {Object} linked - Entry of a references/citations list
+   * @returns {Object} { doi, arxiv, pmid, pmcid, mag, corpusId, openalex }
+   */
+  getExternalIds: function(linked) {
+    const ids = linked.externalIds || {};
+    const doi = linked.doi || '';
+    const arxiv = doi.match(/^10\.48550\/arxiv\.(.+)$/i);
+    return {
+      doi: doi,
+      arxiv: arxiv ? arxiv[1] : '',
+      pmid: ids.pmid || '',
+      pmcid: ids.pmcid || '',
+      mag: ids.mag || '',
+      corpusId: '',
+      openalex: linked.paperId || ''
+    };
+  },
+  
+  /**
+   * ISSNs of a linked paper's venue (see _normalizeWork)
+   *
+   * @param {Object} linked - Entry of a references/citations list
+   * @returns {string[]} ([] if unknown)
+   */
+  getVenueIssns: function(linked) {
+    return linked.venueIssns || [];
+  },
+  
+  /**
+   * Descriptive metadata of recommended papers, FILTER_LIMIT work IDs per
+   * request. OpenAlex has no TLDR.
+   *
+   * @param {string[]} paperIds - OpenAlex work IDs
+   * @returns {Promise<Object>} paperId → metadata (see API.enrichRecommendations),
+   *          or null for works OpenAlex did not return. IDs of failed requests
+   *          are left out.
+   */
+  fetchMetadata: async function(paperIds) {
+    const metadata = {};
+    
+    for (let start = 0; start < paperIds.length; start += this.FILTER_LIMIT) {
+      const chunk = paperIds.slice(start, start + this.FILTER_LIMIT).map(id => this._shortId(id));
+      
+      const page = await this._getJSONWithRetry(
+        `${this.baseURL}/works?filter=openalex:${chunk.join('|')}&per-page=${this.FILTER_LIMIT}&select=${this.METADATA_FIELDS}`
+      );
+      if (!page || page === 'NOT_FOUND' || !Array.isArray(page.results)) continue;
+      
+      chunk.forEach(id => { metadata[id] = null; });
+      page.results.forEach(work => {
+        metadata[this._shortId(work.id)] = this._normalizeMetadata(work);
+      });
+    }
+    
+    return metadata;
+  },
+  
+  /**
+   * Rate limit for RateLimiter
+   *
+   * @returns {Object} { requestsPerSecond, burst, maxConcurrent }
+   */
+  getRateLimit: function() {
+    return this.RATE_LIMIT;
+  },
+  
+  /**
+   * Lookup paths for a paper, in API.ID_TYPES order
+   *
+   * @private
+   * @param {Object} paper - Paper object from Parser
+   * @returns {Array<{type: string, path: string}>} e.g. [{ type: 'pmid', path: 'pmid:123' }]
+   */
+  _getLookupPaths: function(paper) {
+    return API.getIdentifiers(paper)
+      .map(ref => {
+        switch (ref.type) {
+          case 'doi':   return { type: 'doi', path: `doi:${ref.value}` };
+          case 'pmid':  return { type: 'pmid', path: `pmid:${ref.value}` };
+          case 'pmcid': return { type: 'pmcid', path: `pmcid:${ref.value.replace(/^(PMC)?/i, 'PMC')}` };
+          case 'arxiv': return { type: 'arxiv', path: `doi:10.48550/arXiv.${ref.value}` };
+          default:      return null; // CorpusId
+        }
+      })
+      .filter(ref => ref);
+  },
+  
+  /**
+   * Resolve one paper: each identifier in turn, then the title search
+   *
+   * @private
+   * @param {Object} paper - Paper object from Parser
+   * @param {number} skip - Number of leading identifiers already known to fail
+   * @returns {Promise<Object|string|null>} { work, method }, 'NOT_FOUND', or
+   *          null if a request failed
+   */
+  _resolveSingle: async function(paper, skip = 0) {
+    let failed = false;
+    
+    for (const ref of this._getLookupPaths(paper).slice(skip)) {
+      const work = await this._getJSONWithRetry(
+        `${this.baseURL}/works/${encodeURI(ref.path).replace(/[?#]/g, encodeURIComponent)}?select=${this.WORK_FIELDS}`
+      );
+      if (work && work !== 'NOT_FOUND') {
+        return { work: work, method: ref.type };
+      }
+      if (!work) failed = true;
+    }
+    
+    if (!paper.title) {
+      return failed ? null : 'NOT_FOUND';
+    }
+    
+    const search = await this._getJSONWithRetry(
+      `${this.baseURL}/works?search=${encodeURIComponent(paper.title)}&per-page=5&select=${this.WORK_FIELDS}`
+    );
+    if (!search) {
+      return null;
+    }
+    
+    // Best of the top results by our own title/year confidence
+    let best = null;
+    let bestConfidence = 0;
+    ((search !== 'NOT_FOUND' && search.results) || []).forEach(work => {
+      const confidence = API.titleMatchConfidence(paper, {
+        title: work.display_name,
+        year: work.publication_year
+      });
+      if (confidence > bestConfidence) {
+        best = work;
+        bestConfidence = confidence;
+      }
+    });
+    
+    if (!best) {
+      return failed ? null : 'NOT_FOUND';
+    }
+    if (bestConfidence < API.MIN_MATCH_CONFIDENCE) {
+      API.stats.rejectedMatches++;
+      Zotero.debug(`OpenAlexProvider:   ✗ Title match rejected (${Math.round(bestConfidence * 100)}%): "${(best.display_name || '').substring(0, 50)}"`);
+      return failed ? null : 'NOT_FOUND';
+    }
+    
+    API.stats.titleMatches++;
+    Zotero.debug(`OpenAlexProvider:   ✓ Title match (${Math.round(bestConfidence * 100)}%): "${(best.display_name || '').substring(0, 50)}"`);
+    return { work: best, method: 'title' };
+  },
+  
+  /**
+   * Resolve a batch of DOIs with one filter request
+   *
+   * @private
+   * @param {string[]} dois - DOIs (at most BATCH_LIMIT, so one page holds
+   *        every match)
+   * @returns {Promise<Object|null>} Works by lowercased DOI, or null on failure
+   */
+  _fetchWorksByDOI: async function(dois) {
+    API.stats.batchRequests++;
+    
+    const filter = dois.map(doi => encodeURIComponent(doi)).join('|');
+    const page = await this._getJSONWithRetry(
+      `${this.baseURL}/works?filter=doi:${filter}&per-page=${dois.length}&select=${this.WORK_FIELDS}`
+    );
+    if (!page || page === 'NOT_FOUND' || !Array.isArray(page.results)) {
+      return null;
+    }
+    
+    const byDOI = {};
+    page.results.forEach(work => {
+      const doi = this._stripDOI(work.doi);
+      if (doi) byDOI[doi.toLowerCase()] = work;
+    });
+    return byDOI;
+  },
+  
+  /**
+   * Normalize a resolved work and fetch its requested lists
+   *
+   * @private
+   * @param {Object} work - OpenAlex work
+   * @param {string} method - How it was resolved
+   * @param {string[]} listKeys - 'references' and/or 'citations'
+   * @returns {Promise<Object>} Paper data in the API shape
+   */
+  _buildPaperData: async function(work, method, listKeys) {
+    const data = this._normalizeWork(work);
+    data.referenceCount = work.referenced_works_count || 0;
+    data.resolvedBy = method;
+    
+    const maxLinks = API.getMaxLinksPerPaper();
+    
+    if (listKeys.includes('references')) {
+      data.references = await this._fetchWorksById(
+        (work.referenced_works || []).slice(0, maxLinks)
+      );
+    }
+    
+    if (listKeys.includes('citations')) {
+      data.citations = await this._fetchCitingWorks(data.paperId, maxLinks);
+    }
+    
+    return data;
+  },
+  
+  /**
+   * Hydrate work IDs into linked papers, FILTER_LIMIT per request
+   *
+   * @private
+   * @param {string[]} ids - OpenAlex work IDs or URLs
+   * @returns {Promise<Array>} Linked papers (missing ones are skipped)
+   */
+  _fetchWorksById: async function(ids) {
+    const linked = [];
+    
+    for (let start = 0; start < ids.length; start += this.FILTER_LIMIT) {
+      const chunk = ids.slice(start, start + this.FILTER_LIMIT).map(id => this._shortId(id));
+      API.stats.pagesFetched++;
+      
+      const page = await this._getJSONWithRetry(
+        `${this.baseURL}/works?filter=openalex:${chunk.join('|')}&per-page=${this.FILTER_LIMIT}&select=${this.LINKED_FIELDS}`
+      );
+      if (page && page !== 'NOT_FOUND' && Array.isArray(page.results)) {
+        page.results.forEach(work => linked.push(this._normalizeWork(work)));
+      }
+    }
+    
+    return linked;
+  },
+  
+  /**
+   * Page through the works citing a work
+   *
+   * @private
+   * @param {string} paperId - OpenAlex work ID
+   * @param {number} limit - Stop after this many entries
+   * @returns {Promise<Array>} Linked papers
+   */
+  _fetchCitingWorks: async function(paperId, limit) {
+    const linked = [];
+    let cursor = '*';
+    
+    while (cursor && linked.length < limit) {
+      API.stats.pagesFetched++;
+      
+      const page = await this._getJSONWithRetry(
+        `${this.baseURL}/works?filter=cites:${paperId}&per-page=${this.PER_PAGE}&cursor=${encodeURIComponent(cursor)}&select=${this.LINKED_FIELDS}`
+      );
+      if (!page || page === 'NOT_FOUND' || !Array.isArray(page.results)) {
+        break; // Keep what we have
+      }
+      
+      page.results.forEach(work => linked.push(this._normalizeWork(work)));
+      cursor = page.results.length > 0 && page.meta ? page.meta.next_cursor : null;
+    }
+    
+    if (cursor && linked.length >= limit) {
+      API.stats.cappedLists++;
+    }
+    
+    return linked.slice(0, limit);
+  },
+  
+  /**
+   * GET a JSON resource with retry logic
+   *
+   * @private
+   * @param {string} url - Full request URL
+   * @param {number} attempt - Current attempt number
+   * @returns {Promise<Object|string|null>} JSON, 'NOT_FOUND', or null
+   */
+  _getJSONWithRetry: async function(url, attempt = 1) {
+    const result = await this._getJSON(url);
+    
+    if (result === 'RATE_LIMITED' && attempt < this.maxRetries) {
+      await API.backoff(this, attempt);
+      return this._getJSONWithRetry(url, attempt + 1);
+    }
+    
+    return result === 'RATE_LIMITED' ? null : result;
+  },
+  
+  /**
+   * GET a JSON resource
+   *
+   * @private
+   * @param {string} url - Full request URL
+   * @returns {Promise<Object|string|null>} JSON, 'NOT_FOUND', 'RATE_LIMITED',
+   *          or null on failure
+   */
+  _getJSON: async function(url) {
+    API.stats.totalRequests++;
+    
+    const email = Zotero.Prefs.get(this.PREF_PREFIX + 'openAlexEmail', true);
+    if (email) {
+      url += `${url.includes('?') ? '&' : '?'}mailto=${encodeURIComponent(email)}`;
+    }
+    
+    try {
+      const response = await API.request(this, 'GET', url, {
+        responseType: 'json',
+        timeout: 30000,
+        successCodes: false
+      });
+      
+      if (response.status === 200) {
+        API.stats.successful++;
+        return typeof response.response === 'string'
+          ? JSON.parse(response.response)
+          : response.response;
+      } else if (response.status === 404) {
+        return 'NOT_FOUND';
+      } else if (response.status === 429) {
+        API.stats.rateLimited++;
+        Zotero.debug(`OpenAlexProvider: Rate limit hit`);
+        return 'RATE_LIMITED';
+      } else {
+        API.stats.failed++;
+        Zotero.debug(`OpenAlexProvider: HTTP Error ${response.status}`);
+        return null;
+      }
+      
+    } catch (error) {
+      if (API.isCancelError(error)) throw error; // Run cancelled — stop, do not count as failed
+      API.stats.failed++;
+      Zotero.debug(`OpenAlexProvider: Request failed: ${error.message}`);
+      return null;
+    }
+  },
+  
+  /**
+   * Work → linked-paper shape
+   *
+   * @private
+   * @param {Object} work - OpenAlex work
+   * @returns {Object} { paperId, title, year, publicationDate, citationCount,
+   *          venue, venueIssns, authors: [{ authorId, name }], doi, externalIds }
+   */
+  _normalizeWork: function(work) {
+    const ids = work.ids || {};
+    const source = work.primary_location && work.primary_location.source;
+    const issns = source ? [source.issn_l].concat(source.issn || []).filter(Boolean) : [];
+    return {
+      paperId: this._shortId(work.id),
+      title: work.display_name || work.title || '',
+      year: work.publication_year || null,
+      publicationDate: work.publication_date || '',
+      citationCount: work.cited_by_count || 0,
+      venue: source && source.display_name ? source.display_name : '',
+      venueIssns: issns.filter((issn, i) => issns.indexOf(issn) === i),
+      authors: (work.authorships || [])
+        .filter(a => a && a.author && a.author.display_name)
+        .map(a => ({ authorId: this._shortId(a.author.id), name: a.author.display_name })),
+      doi: this._stripDOI(work.doi),
+      externalIds: {
+        pmid: String(ids.pmid || '').replace(/^https?:\/\/pubmed\.ncbi\.nlm\.nih\.gov\//i, '').replace(/\/$/, ''),
+        pmcid: String(ids.pmcid || '').replace(/^https?:\/\/www\.ncbi\.nlm\.nih\.gov\/pmc\/articles\//i, '').replace(/\/$/, '').replace(/^PMC/i, ''),
+        mag: ids.mag ? String(ids.mag) : ''
+      }
+    };
+  },
+  
+  /**
+   * Work → metadata shape of API.enrichRecommendations()
+   *
+   * @private
+   * @param {Object} work - OpenAlex work with METADATA_FIELDS
+   * @returns {Object}
+   */
+  _normalizeMetadata: function(work) {
+    const ids = this.getExternalIds(this._normalizeWork(work));
+    const source = work.primary_location && work.primary_location.source;
+    const fields = (work.topics || []).map(t => t && t.field && t.field.display_name);
+    const oa = (work.best_oa_location && work.best_oa_location.pdf_url) ||
+      (work.open_access && work.open_access.oa_url) || '';
+    
+    return {
+      authors: (work.authorships || []).map(a => a && a.author && a.author.display_name).filter(Boolean),
+      venue: source && source.display_name ? source.display_name : '',
+      doi: ids.doi,
+      externalIds: ids,
+      abstract: this._rebuildAbstract(work.abstract_inverted_index),
+      tldr: '',
+      fieldsOfStudy: fields.filter((f, i) => f && fields.indexOf(f) === i),
+      openAccessPdf: oa
+    };
+  },
+  
+  /**
+   * OpenAlex ships abstracts as { word: [positions] } — put the words back
+   * in order
+   *
+   * @private
+   */
+  _rebuildAbstract: function(index) {
+    if (!index) return '';
+    const words = [];
+    Object.keys(index).forEach(word => {
+      (index[word] || []).forEach(pos => { words[pos] = word; });
+    });
+    return words.filter(Boolean).join(' ');
+  },
+  
+  /**
+   * 'https://openalex.org/W123' → 'W123'
+   *
+   * @private
+   */
+  _shortId: function(id) {
+    return String(id || '').replace(/^https?:\/\/openalex\.org\//i, '');
+  },
+  
+  /**
+   * 'https://doi.org/10.1/x' → '10.1/x'
+   *
+   * @private
+   */
+  _stripDOI: function(doi) {
+    return doi ? String(doi).replace(/^https?:\/\/(dx\.)?doi\.org\//i, '') : '';
+  },
+  
+  /**
+   * The paper's DOI, if any
+   *
+   * @private
+   */
+  _getDOI: function(paper) {
+    const doi = API.getIdentifiers(paper).find(ref => ref.type === 'doi');
+    return doi ? doi.value : '';
+  }
+};
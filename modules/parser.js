@@ -3,7 +3,15 @@
  * Extracts paper data from Zotero collection
  * 
  * @module parser
- * @version 1.2.0
+ * @version 1.6.0
+ * 
+ * CHANGELOG:
+ * v1.6.0 - Papers carry the ISSNs of their journal (paper.issns), so
+ *          Analyzer can match venues by ISSN
+ * v1.5.0 - Papers carry libraryID, for zotero://select links in reports;
+ *          getItemIdentifiers() / getItemYear() for LibraryIndex
+ * v1.4.0 - Extract arXiv ID, PMID, PMCID, CorpusId and ISBN into paper.identifiers
+ * v1.3.0 - determineSamplingStrategy() skips sampling when batch lookup is on
  */
 
 var Parser = {
@@ -94,13 +102,7 @@ var Parser = {
         return firstName ? `${lastName}, ${firstName}` : lastName;
       });
     
-    let year = item.getField('year');
-    if (!year) {
-      const date = item.getField('date');
-      if (date && date.length >= 4) {
-        year = date.substring(0, 4);
-      }
-    }
+    const year = this.getItemYear(item);
     
     const doi = item.getField('DOI') || '';
     const title = item.getField('title') || '';
@@ -114,7 +116,15 @@ var Parser = {
       publication = '';
     }
     
+    let issns = [];
+    try {
+      issns = (item.getField('ISSN') || '').match(/\b\d{4}-?\d{3}[\dX]\b/gi) || [];
+    } catch (e) {
+      issns = [];
+    }
+    
     const url = item.getField('url') || '';
+    const identifiers = this._extractIdentifiers(item, doi.trim(), url);
     
     let abstract = '';
     try {
@@ -127,17 +137,126 @@ var Parser = {
     return {
       id: item.key,
       itemID: item.id,
+      libraryID: item.libraryID,
       title: title.replace(/\n/g, ' ').trim(),
       authors: authors,
       year: year || null,
       doi: doi.trim(),
+      identifiers: identifiers,
       type: item.itemType,
       publication: publication,
+      issns: issns,
       url: url,
       abstract: abstract
     };
   },
   
+  /**
+   * Publication year of an item ('' if unknown)
+   * 
+   * @param {Zotero.Item} item - Zotero item object
+   * @returns {string}
+   */
+  getItemYear: function(item) {
+    let year = this._getFieldSafe(item, 'year');
+    if (!year) {
+      const date = this._getFieldSafe(item, 'date');
+      if (date && date.length >= 4) {
+        year = date.substring(0, 4);
+      }
+    }
+    return year;
+  },
+  
+  /**
+   * Identifiers of any Zotero item, as in paper.identifiers
+   * 
+   * @param {Zotero.Item} item - Zotero item object
+   * @returns {Object} { doi, arxiv, pmid, pmcid, corpusId, isbn } ('' if absent)
+   */
+  getItemIdentifiers: function(item) {
+    return this._extractIdentifiers(
+      item,
+      this._getFieldSafe(item, 'DOI').trim(),
+      this._getFieldSafe(item, 'url')
+    );
+  },
+  
+  /**
+   * Collect every identifier Semantic Scholar (or a title match) can use.
+   * 
+   * Zotero has no dedicated fields for most of these, so they are read from
+   * the "Extra" field ("PMID: 123" lines, as written by Zotero's own
+   * translators), the preprint Archive ID ("arXiv:2101.00001"), arXiv URLs
+   * and arXiv DOIs (10.48550/arXiv.*).
+   * 
+   * @private
+   * @param {Zotero.Item} item - Zotero item object
+   * @param {string} doi - Trimmed DOI field
+   * @param {string} url - URL field
+   * @returns {Object} { doi, arxiv, pmid, pmcid, corpusId, isbn } ('' if absent)
+   */
+  _extractIdentifiers: function(item, doi, url) {
+    const ids = { doi: doi, arxiv: '', pmid: '', pmcid: '', corpusId: '', isbn: '' };
+    
+    const extra = this._getFieldSafe(item, 'extra');
+    const extraMatch = (pattern) => {
+      const match = extra.match(pattern);
+      return match ? match[1].trim() : '';
+    };
+    
+    ids.pmid = extraMatch(/^\s*PMID:\s*(\d+)\s*$/im);
+    ids.pmcid = extraMatch(/^\s*PMCID:\s*(PMC\d+)\s*$/im);
+    ids.corpusId = extraMatch(/^\s*Corpus\s*ID:\s*(\d+)\s*$/im);
+    ids.arxiv = extraMatch(/^\s*arXiv:\s*([\w.\/-]+?)(v\d+)?\s*$/im);
+    
+    if (!ids.arxiv) {
+      const archiveID = this._getFieldSafe(item, 'archiveID');
+      const sources = [archiveID, url, doi];
+      for (const source of sources) {
+        const match = source.match(/arxiv(?::|\.org\/(?:abs|pdf)\/|\.)\s*(\d{4}\.\d{4,5}|[a-z-]+(?:\.[A-Z]{2})?\/\d{7})/i);
+        if (match) {
+          ids.arxiv = match[1];
+          break;
+        }
+      }
+    }
+    
+    // First ISBN only, digits and X
+    const isbn = this._getFieldSafe(item, 'ISBN').split(/[\s,;]+/)[0] || '';
+    ids.isbn = isbn.replace(/[^0-9Xx]/g, '').toUpperCase();
+    
+    return ids;
+  },
+  
+  /**
+   * getField() that returns '' for fields the item type does not have
+   * 
+   * @private
+   * @param {Zotero.Item} item - Zotero item object
+   * @param {string} field - Field name
+   * @returns {string} Field value or ''
+   */
+  _getFieldSafe: function(item, field) {
+    try {
+      return item.getField(field) || '';
+    } catch (e) {
+      return '';
+    }
+  },
+  
+  /**
+   * Whether a paper has anything the API can resolve it by
+   * (an identifier, or at least a title for the title match)
+   * 
+   * @param {Object} paper - Paper object from parseZoteroLibrary()
+   * @returns {boolean}
+   */
+  isResolvable: function(paper) {
+    const ids = paper.identifiers || {};
+    return Object.values(ids).some(v => v) || !!(paper.doi || paper.title);
+  },
+  
   /**
    * Random sampling using Fisher-Yates shuffle
    * 
@@ -191,6 +310,13 @@ var Parser = {
       
       Zotero.debug(`  DOI: ${paper.doi || 'NOT FOUND'}`);
       
+      const otherIds = Object.entries(paper.identifiers || {})
+        .filter(([type, value]) => type !== 'doi' && value)
+        .map(([type, value]) => `${type}=${value}`);
+      if (otherIds.length > 0) {
+        Zotero.debug(`  Other IDs: ${otherIds.join(', ')}`);
+      }
+      
       if (paper.publication) {
         const pubStr = paper.publication.substring(0, 60);
         Zotero.debug(`  Publication: ${pubStr}${paper.publication.length > 60 ? '...' : ''}`);
@@ -207,6 +333,11 @@ var Parser = {
     const doiPercent = papers.length > 0 ? (withDOI / papers.length * 100).toFixed(1) : 0;
     Zotero.debug(`  Papers with DOI: ${withDOI} (${doiPercent}%)`);
     
+    const withOtherId = papers.filter(p => !p.doi &&
+      Object.values(p.identifiers || {}).some(v => v)).length;
+    Zotero.debug(`  Without DOI but with another ID: ${withOtherId}`);
+    Zotero.debug(`  Title match only: ${papers.length - withDOI - withOtherId}`);
+    
     const years = papers
       .map(p => parseInt(p.year))
       .filter(y => !isNaN(y));
@@ -235,10 +366,50 @@ var Parser = {
   /**
    * Determine sampling strategy based on library size
    * 
-   * @param {number} totalWithDOI - Papers with DOI
+   * With batch lookup (API /paper/batch) every paper is fetched in a handful
+   * of requests, so sampling is no longer needed — large collections only get
+   * a focus warning. Without it, the per-DOI rate limit still forces sampling.
+   * 
+   * @param {number} totalWithDOI - Papers the API can resolve (see isResolvable)
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.batch - Batch lookup enabled (default: false)
+   * @param {number} options.batchSize - DOIs per batch request (default: 100)
    * @returns {Object} Strategy object with sampleSize, warningLevel, message, etc.
    */
-  determineSamplingStrategy: function(totalWithDOI) {
+  determineSamplingStrategy: function(totalWithDOI, options = {}) {
+    const {
+      batch = false,
+      batchSize = 100
+    } = options;
+    
+    if (batch) {
+      // ~10 seconds per batch request including the rate-limit delay
+      const batches = Math.ceil(totalWithDOI / batchSize);
+      const estimatedTime = Math.ceil(batches * 10 / 60) || 1;
+      
+      if (totalWithDOI <= 100) {
+        return {
+          sampleSize: null,
+          shouldSample: false,
+          warningLevel: 'none',
+          message: 'Will process all papers (batch lookup)',
+          estimatedTime: estimatedTime,
+          reason: null,
+          suggestion: null
+        };
+      }
+      
+      return {
+        sampleSize: null,
+        shouldSample: false,
+        warningLevel: 'info',
+        message: `Large collection - will process all ${totalWithDOI} papers (batch lookup)`,
+        estimatedTime: estimatedTime,
+        reason: 'Gap analysis works best with focused collections (30-100 papers)',
+        suggestion: 'Consider splitting into topic-specific sub-collections'
+      };
+    }
+    
     if (totalWithDOI <= 30) {
       return {
         sampleSize: null,
@@ -0,0 +1,284 @@
+/**
+ * LitGap - Rate Limiter Module
+ * Token-bucket rate limiting shared by all requests to a citation source
+ *
+ * @module rateLimiter
+ * @version 1.1.0
+ *
+ * CHANGELOG:
+ * v1.1.0 - acquire() and sleep() take an AbortSignal and reject with
+ *          Error('CANCELLED') when it fires
+ *
+ * Every provider request goes through API.request(), which takes a token
+ * from the provider's bucket before sending and hands the response back
+ * afterwards. One bucket per provider ID:
+ *   - tokens refill at requestsPerSecond, up to burst
+ *   - at most maxConcurrent requests are in flight at once
+ *   - Retry-After (seconds or HTTP date) pauses the bucket until then, as
+ *     does X-RateLimit-Remaining: 0 with X-RateLimit-Reset
+ *   - a 429 halves the rate (down to MIN_RATE_FRACTION of the configured
+ *     rate); each successful response wins back RECOVERY_STEP of it
+ *
+ * Preference Keys (namespace: extensions.zotero.litgap.*)
+ *   maxConcurrentRequests → upper bound on requests in flight per source
+ *                           (default 4, 1 = strictly sequential)
+ *
+ * Public API:
+ *   configure(key, limits)           limits: { requestsPerSecond, burst, maxConcurrent }
+ *   acquire(key, signal)  → Promise<number>  ms waited for a token
+ *   release(key, response)
+ *   getBackoff(key, attempt, baseDelay) → ms to wait before a retry
+ *   getConcurrency(key)   → number of requests allowed in flight
+ *   getInfo(key)          → { rate, tokens, active, pausedUntil } | null
+ *   sleep(ms, signal)     → Promise<void>    rejects with Error('CANCELLED') on abort
+ */
+
+var RateLimiter = {
+
+  // ─── Configuration ─────────────────────────────────────────────────────────
+
+  PREF_PREFIX:             'extensions.zotero.litgap.',
+  DEFAULT_MAX_CONCURRENT:  4,
+  MIN_RATE_FRACTION:       0.125,
+  RECOVERY_STEP:           0.1,
+  MAX_PAUSE_MS:            120000,  // Ignore Retry-After beyond two minutes
+  POLL_MS:                 50,      // Re-check interval while all slots are busy
+
+  // ─── State ─────────────────────────────────────────────────────────────────
+
+  _buckets: {},
+
+  // ─── Public API ────────────────────────────────────────────────────────────
+
+  /**
+   * Create or update the bucket for a source. Reconfiguring with the same
+   * limits keeps the adapted rate and any pause from the previous run.
+   *
+   * @param {string} key - Provider ID
+   * @param {Object} limits - { requestsPerSecond, burst, maxConcurrent }
+   */
+  configure: function(key, limits) {
+    const prefMax = Zotero.Prefs.get(this.PREF_PREFIX + 'maxConcurrentRequests', true);
+    const cap = typeof prefMax === 'number' && prefMax >= 1
+      ? Math.floor(prefMax)
+      : this.DEFAULT_MAX_CONCURRENT;
+
+    const config = {
+      requestsPerSecond: limits.requestsPerSecond,
+      burst: Math.max(1, limits.burst || 1),
+      maxConcurrent: Math.max(1, Math.min(limits.maxConcurrent || 1, cap))
+    };
+
+    const bucket = this._buckets[key];
+    if (bucket &&
+        bucket.config.requestsPerSecond === config.requestsPerSecond &&
+        bucket.config.burst === config.burst &&
+        bucket.config.maxConcurrent === config.maxConcurrent) {
+      return;
+    }
+
+    this._buckets[key] = {
+      config: config,
+      rate: config.requestsPerSecond,
+      tokens: config.burst,
+      lastRefill: Date.now(),
+      active: bucket ? bucket.active : 0,
+      pausedUntil: bucket ? bucket.pausedUntil : 0
+    };
+
+    Zotero.debug(`RateLimiter: ${key} → ${config.requestsPerSecond} req/s, burst ${config.burst}, ${config.maxConcurrent} concurrent`);
+  },
+
+  /**
+   * Wait until the source allows another request, then claim it.
+   * Every successful acquire() must be followed by release().
+   *
+   * @param {string} key - Provider ID
+   * @param {AbortSignal} [signal] - Stops waiting when aborted
+   * @returns {Promise<number>} Milliseconds spent waiting
+   * @throws {Error} CANCELLED if signal fires first
+   */
+  acquire: async function(key, signal) {
+    const bucket = this._getBucket(key);
+    const start = Date.now();
+
+    while (true) {
+      if (signal && signal.aborted) throw new Error('CANCELLED');
+
+      const now = Date.now();
+      this._refill(bucket, now);
+
+      let wait;
+      if (bucket.pausedUntil > now) {
+        wait = bucket.pausedUntil - now;
+      } else if (bucket.active >= bucket.config.maxConcurrent) {
+        wait = this.POLL_MS;
+      } else if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        bucket.active++;
+        return Date.now() - start;
+      } else {
+        wait = Math.ceil(((1 - bucket.tokens) / bucket.rate) * 1000);
+      }
+
+      await this.sleep(wait, signal);
+    }
+  },
+
+  /**
+   * Free the slot taken by acquire() and learn from the response headers.
+   *
+   * @param {string} key - Provider ID
+   * @param {Object|null} response - Zotero.HTTP.request result, or null if
+   *        the request threw
+   */
+  release: function(key, response) {
+    const bucket = this._getBucket(key);
+    bucket.active = Math.max(0, bucket.active - 1);
+    if (!response) return;
+
+    const now = Date.now();
+    const pause = this._getPause(response, now);
+    if (pause > 0) {
+      bucket.pausedUntil = Math.max(bucket.pausedUntil, now + Math.min(pause, this.MAX_PAUSE_MS));
+      Zotero.debug(`RateLimiter: ${key} paused for ${Math.round(pause / 1000)}s by the server`);
+    }
+
+    const configured = bucket.config.requestsPerSecond;
+    if (response.status === 429) {
+      bucket.rate = Math.max(configured * this.MIN_RATE_FRACTION, bucket.rate / 2);
+      bucket.tokens = 0;
+      Zotero.debug(`RateLimiter: ${key} slowed to ${bucket.rate.toFixed(2)} req/s`);
+    } else if (response.status >= 200 && response.status < 300 && bucket.rate < configured) {
+      bucket.rate = Math.min(configured, bucket.rate + configured * this.RECOVERY_STEP);
+    }
+  },
+
+  /**
+   * How long to wait before retrying a rate-limited request: the rest of a
+   * server-requested pause if there is one, otherwise baseDelay × attempt.
+   *
+   * @param {string} key - Provider ID
+   * @param {number} attempt - Attempt that was rate limited (1-based)
+   * @param {number} baseDelay - Fallback backoff unit in ms
+   * @returns {number} Milliseconds
+   */
+  getBackoff: function(key, attempt, baseDelay) {
+    const bucket = this._buckets[key];
+    const remaining = bucket ? bucket.pausedUntil - Date.now() : 0;
+    return remaining > 0 ? remaining : baseDelay * attempt;
+  },
+
+  /**
+   * Number of requests a source allows in flight
+   *
+   * @param {string} key - Provider ID
+   * @returns {number}
+   */
+  getConcurrency: function(key) {
+    const bucket = this._buckets[key];
+    return bucket ? bucket.config.maxConcurrent : 1;
+  },
+
+  /**
+   * Current state of a bucket, for logging
+   *
+   * @param {string} key - Provider ID
+   * @returns {Object|null}
+   */
+  getInfo: function(key) {
+    const bucket = this._buckets[key];
+    if (!bucket) return null;
+    return {
+      rate: bucket.rate,
+      tokens: bucket.tokens,
+      active: bucket.active,
+      pausedUntil: bucket.pausedUntil
+    };
+  },
+
+  /**
+   * Sleep that ends early when signal is aborted
+   *
+   * @param {number} ms - Milliseconds to sleep
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<void>}
+   * @throws {Error} CANCELLED if signal fires first
+   */
+  sleep: function(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new Error('CANCELLED'));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new Error('CANCELLED'));
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  },
+
+  // ─── Internal ──────────────────────────────────────────────────────────────
+
+  /**
+   * Bucket for a key; unconfigured keys get one request per second
+   * @private
+   */
+  _getBucket: function(key) {
+    if (!this._buckets[key]) {
+      this.configure(key, { requestsPerSecond: 1, burst: 1, maxConcurrent: 1 });
+    }
+    return this._buckets[key];
+  },
+
+  /**
+   * Add the tokens earned since the last refill
+   * @private
+   */
+  _refill: function(bucket, now) {
+    const elapsed = (now - bucket.lastRefill) / 1000;
+    bucket.tokens = Math.min(bucket.config.burst, bucket.tokens + elapsed * bucket.rate);
+    bucket.lastRefill = now;
+  },
+
+  /**
+   * Milliseconds the server asked us to wait, from Retry-After or the
+   * X-RateLimit-* headers (0 if none)
+   * @private
+   */
+  _getPause: function(response, now) {
+    const header = (name) => {
+      try {
+        return typeof response.getResponseHeader === 'function'
+          ? response.getResponseHeader(name)
+          : null;
+      } catch (e) {
+        return null;
+      }
+    };
+
+    const retryAfter = header('Retry-After');
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      if (!isNaN(seconds)) return seconds * 1000;
+      const date = Date.parse(retryAfter);
+      if (!isNaN(date)) return date - now;
+    }
+
+    const remaining = header('X-RateLimit-Remaining');
+    const reset = Number(header('X-RateLimit-Reset'));
+    if (remaining !== null && Number(remaining) === 0 && reset > 0) {
+      // Epoch seconds or seconds from now, depending on the server
+      return reset > 1e9 ? reset * 1000 - now : reset * 1000;
+    }
+
+    return 0;
+  }
+};
@@ -3,11 +3,67 @@
  * Generate Markdown and HTML analysis reports
  * 
  * @module reporter
- * @version 1.2.0
+ * @version 1.22.0
  * 
  * Ported from: generate_report.py
  * 
  * CHANGELOG:
+ * v1.22.0 - "Your library vs. what it cites" in the library overview
+ *           (options.distributions from Analyzer.compareDistributions()):
+ *           findings, then publication-year and venue tables (Markdown) or
+ *           inline SVG bar charts (HTML); venues matched by name only (no
+ *           ISSN) are marked, and findings about them do not claim the
+ *           venue is absent
+ * v1.21.0 - "Authors you keep encountering but haven't read" section
+ *           (options.authorGaps from Analyzer.findAuthorGaps()): each
+ *           author's citing items, papers held and most-cited missing papers
+ * v1.20.0 - "New work citing your collection" report (options.watch from
+ *           a "What's New" run): own title, summary and About text; papers
+ *           show their publication date when the source gives one
+ * v1.19.0 - Learned ranking (options.learning): its state is named above
+ *           the list, each paper shows the model's factor and the features
+ *           that moved it most, and the About section lists the weights
+ * v1.18.0 - Library overview counts the papers hidden because they were
+ *           dismissed; reading suggestions explain how to dismiss
+ * v1.17.0 - Papers with a folded preprint (Merger.collapseVersions) list it
+ *           with its mentions and a link; the library overview counts the
+ *           preprints merged, by shared ID, DOI relation or title
+ * v1.16.0 - Diversity re-ranking (options.diversityWeight): the weight is
+ *           named above the list and each paper shows how far it moved and
+ *           which listed paper it resembles
+ * v1.15.0 - Recommended Reading grouped by theme (options.clusters from
+ *           Clusterer): a labelled top list per theme, so each sub-topic of
+ *           the collection gets its own gaps
+ * v1.14.0 - Second-hop papers: own gap label, mentions counted through the
+ *           intermediate papers and the paths that led to them (library
+ *           item → intermediate paper → recommendation); second-hop line in
+ *           the library overview
+ * v1.13.0 - PageRank score next to the classic score, each paper's rank
+ *           under both strategies and its co-citation strength; the
+ *           ranking strategy is named above the list
+ * v1.12.0 - Citations per year per paper; impact and recency reasons are
+ *           percentiles of the run's candidates instead of fixed
+ *           citation counts and years
+ * v1.11.0 - About section prints the scoring profile used (formula,
+ *           thresholds and its JSON) so results can be reproduced
+ * v1.10.0 - Papers already in the Zotero library (ownedPapers = label) are
+ *           marked "in your library" with a link to the item
+ * v1.9.0 - Each paper lists every item in your collection that cites it (or
+ *          that it cites), with zotero://select links to those items; the
+ *          heading gives the link count when it differs from the item count
+ * v1.8.0 - Enriched papers (API.enrichRecommendations) show authors, venue,
+ *          fields of study, TLDR, abstract, open-access PDF and arXiv /
+ *          PubMed / PMC links
+ * v1.7.0 - Partial-results warning for cancelled runs
+ * v1.6.0 - Merged multi-source runs: which sources agreed on each paper
+ *          (with their own mention counts), a link per source, and source
+ *          agreement in the library overview
+ * v1.5.0 - Citation source (Semantic Scholar / OpenAlex) in library overview
+ *          and per paper, with a link to the paper on that source
+ * v1.4.0 - Library overview shows how papers without a DOI were resolved and
+ *          lists low-confidence title matches
+ * v1.3.0 - Gap kind label per paper (foundational vs building on your library)
+ *          and search direction in library overview
  * v1.2.0 - Added donation links to Markdown and HTML reports
  * v1.1.0 - Added DOI links, Semantic Scholar links, HTML generation
  * v1.0.0 - Initial implementation
@@ -15,15 +71,95 @@
 
 var Reporter = {
   
+  /**
+   * Display text for the API search direction
+   */
+  DIRECTION_LABELS: {
+    references: 'References (papers your library cites)',
+    citations: 'Citations (papers citing your library)',
+    both: 'References and citations'
+  },
+  
+  /**
+   * Citation sources (API providers): display name, paper and author page
+   * URL prefixes
+   */
+  SOURCES: {
+    semanticscholar: { label: 'Semantic Scholar', url: 'https://www.semanticscholar.org/paper/', authorUrl: 'https://www.semanticscholar.org/author/' },
+    openalex: { label: 'OpenAlex', url: 'https://openalex.org/', authorUrl: 'https://openalex.org/' }
+  },
+  
+  /**
+   * Display text for API resolution methods other than DOI
+   */
+  RESOLUTION_LABELS: {
+    arxiv: 'arXiv ID',
+    pmid: 'PMID',
+    pmcid: 'PMCID',
+    corpusId: 'CorpusId',
+    title: 'title match'
+  },
+  
+  /**
+   * Identifier links of enriched papers (DOI has its own line): label and
+   * URL prefix
+   */
+  ID_LINKS: {
+    arxiv: { label: 'arXiv', url: 'https://arxiv.org/abs/' },
+    pmid: { label: 'PubMed', url: 'https://pubmed.ncbi.nlm.nih.gov/' },
+    pmcid: { label: 'PMC', url: 'https://www.ncbi.nlm.nih.gov/pmc/articles/PMC' }
+  },
+  MAX_AUTHORS: 6, // Longer author lists end in "et al."
+  
+  // Percentile cut-offs (of the run's candidates) for impact/recency reasons
+  TOP_PERCENTILES: [0.9, 0.75],
+  
+  /**
+   * Emoji per Analyzer gap type
+   */
+  GAP_EMOJI: {
+    foundational: '🏛️',
+    building: '🌱',
+    connected: '🔁',
+    'second-hop': '↪️'
+  },
+  
+  MAX_PATH_ITEMS: 3, // Library items listed per second-hop path before "+N more"
+  THEME_EMOJI: '🧩',
+  WATCH_EMOJI: '🆕',
+  AUTHOR_EMOJI: '👤',
+  
+  /**
+   * Bar colours and sizes of the distribution charts (HTML)
+   */
+  CHART_COLORS: { library: '#0366d6', cited: '#e36209' },
+  CHART_BAR_WIDTH: 360,
+  CHART_MAX_LABEL: 32, // Longer venue names are cut with "…"
+  
   /**
    * Generate complete Markdown report with enhanced links
    * 
    * @param {Array} userPapers - User's papers from Parser
    * @param {Array} recommendations - Recommendations from Analyzer (with scores)
    * @param {Object} citationStats - Statistics from API module
+   * @param {Object} [options]
+   * @param {Object} options.scoringProfile - Profile Analyzer scored with
+   *        (ScoringProfiles.getActive()); printed in the About section
+   * @param {string} options.strategy - Analyzer ranking strategy of the run
+   * @param {Object} [options.clusters] - Clusterer.cluster() result; when it
+   *        has themes, Recommended Reading is grouped by them
+   * @param {number} [options.diversityWeight] - Diversifier weight, if the
+   *        list was re-ranked
+   * @param {Object} [options.learning] - { model, accepted, dismissed } when
+   *        learned ranking is on (model null until there is enough feedback)
+   * @param {Array} [options.authorGaps] - Analyzer.findAuthorGaps() result
+   * @param {Object} [options.distributions] - Analyzer.compareDistributions()
+   *        result, shown in the library overview
+   * @param {Object} [options.watch] - { months, since } for the "New work
+   *        citing your collection" report of a "What's New" run
    * @returns {string} Markdown formatted report
    */
-  generateReport: function(userPapers, recommendations, citationStats) {
+  generateReport: function(userPapers, recommendations, citationStats, options = {}) {
     Zotero.debug("Reporter: Generating Markdown report with enhanced links...");
     
     const report = [];
@@ -31,23 +167,51 @@ var Reporter = {
     const dateStr = now.toISOString().split('T')[0];
     
     // Header
-    report.push('# 🔬 LitGap Analysis Report');
+    report.push(options.watch ? `# ${this.WATCH_EMOJI} New Work Citing Your Collection` : '# 🔬 LitGap Analysis Report');
     report.push(`**Generated**: ${dateStr}\n`);
     report.push('---\n');
     
     // Library Overview
     report.push('## 📊 Your Library Overview\n');
     report.push(this._generateLibraryStats(userPapers, citationStats));
+    if (options.distributions) {
+      report.push(this._generateDistributions(options.distributions));
+    }
     report.push('\n---\n');
     
     // Recommendations
-    report.push('## 🎯 Recommended Papers (Knowledge Gaps)\n');
-    report.push(`Found **${recommendations.length}** papers you may have missed.\n`);
-    report.push(this._generateRecommendations(recommendations));
+    if (options.watch) {
+      report.push(`## ${this.WATCH_EMOJI} New work citing your collection\n`);
+      report.push(`Found **${recommendations.length}** papers published since **${options.watch.since}** (last ${options.watch.months} months) that cite papers in your collection, ranked by how many of them they cite.\n`);
+    } else {
+      report.push('## 🎯 Recommended Papers (Knowledge Gaps)\n');
+      report.push(`Found **${recommendations.length}** papers you may have missed.\n`);
+    }
+    if (options.strategy) {
+      report.push(`Ranked by: **${this._strategyLabel(options.strategy)}**\n`);
+    }
+    if (options.diversityWeight > 0) {
+      report.push(`Diversified: weight **${options.diversityWeight}** (papers much like one listed above them move down)\n`);
+    }
+    const learning = this._learningText(options.learning);
+    if (learning) {
+      report.push(`Learned ranking: ${learning}\n`);
+    }
+    const themes = this._themes(options.clusters);
+    if (themes) {
+      report.push(`Grouped into **${themes.clusters.length}** themes by the papers in your collection that cite them.\n`);
+    }
+    report.push(this._generateRecommendations(recommendations, userPapers, themes));
+    
+    // Authors the collection keeps citing
+    if (options.authorGaps && options.authorGaps.length > 0) {
+      report.push('\n---\n');
+      report.push(this._generateAuthorGaps(options.authorGaps));
+    }
     
     // About section
     report.push('\n---\n');
-    report.push(this._generateAboutSection());
+    report.push(this._generateAboutSection(options.scoringProfile, options.learning, options.watch));
     
     // Footer
     report.push('\n---\n');
@@ -64,9 +228,10 @@ var Reporter = {
    * @param {Array} userPapers - User's papers from Parser
    * @param {Array} recommendations - Recommendations from Analyzer (with scores)
    * @param {Object} citationStats - Statistics from API module
+   * @param {Object} [options] - As for generateReport()
    * @returns {string} HTML formatted report
    */
-  generateHTMLReport: function(userPapers, recommendations, citationStats) {
+  generateHTMLReport: function(userPapers, recommendations, citationStats, options = {}) {
     Zotero.debug("Reporter: Generating HTML report...");
     
     const now = new Date();
@@ -80,7 +245,7 @@ var Reporter = {
     html.push('<head>');
     html.push('  <meta charset="UTF-8">');
     html.push('  <meta name="viewport" content="width=device-width, initial-scale=1.0">');
-    html.push('  <title>LitGap Analysis Report</title>');
+    html.push(`  <title>${options.watch ? 'LitGap: New Work Citing Your Collection' : 'LitGap Analysis Report'}</title>`);
     html.push('  <style>');
     html.push(this._getHTMLStyles());
     html.push('  </style>');
@@ -90,7 +255,9 @@ var Reporter = {
     
     // Header
     html.push('    <header>');
-    html.push('      <h1> 🔬 LitGap Analysis Report</h1>');
+    html.push(options.watch
+      ? `      <h1> ${this.WATCH_EMOJI} New Work Citing Your Collection</h1>`
+      : '      <h1> 🔬 LitGap Analysis Report</h1>');
     html.push(`      <p class="date">Generated: ${dateStr}</p>`);
     html.push('    </header>');
     
@@ -98,19 +265,48 @@ var Reporter = {
     html.push('    <section class="library-overview">');
     html.push('      <h2> 📊 Your Library Overview</h2>');
     html.push(this._generateLibraryStatsHTML(userPapers, citationStats));
+    if (options.distributions) {
+      html.push(this._generateDistributionsHTML(options.distributions));
+    }
     html.push('    </section>');
     
     // Recommendations
     html.push('    <section class="recommendations">');
-    html.push('      <h2> 🎯 Recommended Papers (Knowledge Gaps)</h2>');
-    html.push(`      <p class="summary">Found <strong>${recommendations.length}</strong> papers you may have missed.</p>`);
-    html.push(this._generateRecommendationsHTML(recommendations));
+    if (options.watch) {
+      html.push(`      <h2> ${this.WATCH_EMOJI} New work citing your collection</h2>`);
+      html.push(`      <p class="summary">Found <strong>${recommendations.length}</strong> papers published since <strong>${options.watch.since}</strong> (last ${options.watch.months} months) that cite papers in your collection, ranked by how many of them they cite.</p>`);
+    } else {
+      html.push('      <h2> 🎯 Recommended Papers (Knowledge Gaps)</h2>');
+      html.push(`      <p class="summary">Found <strong>${recommendations.length}</strong> papers you may have missed.</p>`);
+    }
+    if (options.strategy) {
+      html.push(`      <p class="summary">Ranked by: <strong>${this._escapeHTML(this._strategyLabel(options.strategy))}</strong></p>`);
+    }
+    if (options.diversityWeight > 0) {
+      html.push(`      <p class="summary">Diversified: weight <strong>${options.diversityWeight}</strong> (papers much like one listed above them move down)</p>`);
+    }
+    const learning = this._learningText(options.learning);
+    if (learning) {
+      html.push(`      <p class="summary">Learned ranking: ${this._escapeHTML(learning)}</p>`);
+    }
+    const themes = this._themes(options.clusters);
+    if (themes) {
+      html.push(`      <p class="summary">Grouped into <strong>${themes.clusters.length}</strong> themes by the papers in your collection that cite them.</p>`);
+    }
+    html.push(this._generateRecommendationsHTML(recommendations, userPapers, themes));
     html.push('    </section>');
     
+    // Authors the collection keeps citing
+    if (options.authorGaps && options.authorGaps.length > 0) {
+      html.push('    <section class="author-gaps">');
+      html.push(this._generateAuthorGapsHTML(options.authorGaps));
+      html.push('    </section>');
+    }
+    
     // About section
     html.push('    <section class="about">');
     html.push('      <h2> 📖 About This Report</h2>');
-    html.push(this._generateAboutSectionHTML());
+    html.push(this._generateAboutSectionHTML(options.scoringProfile, options.learning, options.watch));
     html.push('    </section>');
     
     // Footer
@@ -138,6 +334,10 @@ var Reporter = {
   _generateLibraryStats: function(userPapers, citationStats) {
     const stats = [];
     
+    if (citationStats && citationStats.cancelled) {
+      stats.push(`> ⚠️ **Partial results** — the run was cancelled after ${this._partialSummary(citationStats)}. Recommendations are based on those papers only.\n`);
+    }
+    
     stats.push(`- **Papers analyzed**: ${userPapers.length}`);
     
     const withDOI = userPapers.filter(p => p.doi).length;
@@ -146,6 +346,14 @@ var Reporter = {
       : 0;
     stats.push(`- **With DOI**: ${withDOI} (${doiPercent}%)`);
     
+    const resolved = this._resolutionSummary(citationStats);
+    if (resolved) {
+      stats.push(`- **Found without DOI**: ${resolved}`);
+    }
+    if (citationStats && citationStats.resolution && citationStats.resolution.unresolved > 0) {
+      stats.push(`- **Not found on ${this._notFoundLabel(citationStats)}**: ${citationStats.resolution.unresolved}`);
+    }
+    
     const years = userPapers.map(p => parseInt(p.year)).filter(y => !isNaN(y));
     if (years.length > 0) {
       const minYear = Math.min(...years);
@@ -162,6 +370,33 @@ var Reporter = {
     
     if (citationStats) {
       stats.push(`- **Citations analyzed**: ${citationStats.unique_citations} unique papers`);
+      if (citationStats.direction) {
+        stats.push(`- **Search direction**: ${this.DIRECTION_LABELS[citationStats.direction] || citationStats.direction}`);
+      }
+      if (citationStats.secondHop) {
+        stats.push(`- **Second hop**: ${this._secondHopSummary(citationStats.secondHop)}`);
+      }
+      if (citationStats.dismissed > 0) {
+        stats.push(`- **Dismissed earlier**: ${citationStats.dismissed} paper${citationStats.dismissed !== 1 ? 's' : ''} hidden (see "Dismissed Recommendations...")`);
+      }
+      if (citationStats.versions && citationStats.versions.collapsed > 0) {
+        stats.push(`- **Preprints merged into their published versions**: ${this._versionsSummary(citationStats.versions)}`);
+      }
+      if (citationStats.provider) {
+        stats.push(`- **Citation source**: ${this._statsSourceLabel(citationStats)}`);
+      }
+      const agreement = this._agreementSummary(citationStats);
+      if (agreement) {
+        stats.push(`- **Sources agreed on**: ${agreement}`);
+      }
+    }
+    
+    const lowConfidence = this._getLowConfidenceMatches(userPapers);
+    if (lowConfidence.length > 0) {
+      stats.push('\n**⚠️ Low-confidence title matches** (please check these were matched to the right paper):\n');
+      lowConfidence.forEach(p => {
+        stats.push(`- "${p.title}" → "${p.resolution.matchedTitle}" (${Math.round(p.resolution.confidence * 100)}%)`);
+      });
     }
     
     return stats.join('\n');
@@ -174,6 +409,11 @@ var Reporter = {
    */
   _generateLibraryStatsHTML: function(userPapers, citationStats) {
     const html = [];
+    
+    if (citationStats && citationStats.cancelled) {
+      html.push(`      <div class="low-confidence"><p><strong>⚠️ Partial results</strong> — the run was cancelled after ${this._escapeHTML(this._partialSummary(citationStats))}. Recommendations are based on those papers only.</p></div>`);
+    }
+    
     html.push('      <ul class="stats-list">');
     
     html.push(`        <li><strong>Papers analyzed:</strong> ${userPapers.length}</li>`);
@@ -182,6 +422,14 @@ var Reporter = {
     const doiPercent = Math.round((withDOI / userPapers.length) * 100);
     html.push(`        <li><strong>With DOI:</strong> ${withDOI} (${doiPercent}%)</li>`);
     
+    const resolved = this._resolutionSummary(citationStats);
+    if (resolved) {
+      html.push(`        <li><strong>Found without DOI:</strong> ${this._escapeHTML(resolved)}</li>`);
+    }
+    if (citationStats && citationStats.resolution && citationStats.resolution.unresolved > 0) {
+      html.push(`        <li><strong>Not found on ${this._escapeHTML(this._notFoundLabel(citationStats))}:</strong> ${citationStats.resolution.unresolved}</li>`);
+    }
+    
     const years = userPapers.map(p => parseInt(p.year)).filter(y => !isNaN(y));
     if (years.length > 0) {
       const minYear = Math.min(...years);
@@ -198,25 +446,290 @@ var Reporter = {
     
     if (citationStats) {
       html.push(`        <li><strong>Citations analyzed:</strong> ${citationStats.unique_citations} unique papers</li>`);
+      if (citationStats.direction) {
+        html.push(`        <li><strong>Search direction:</strong> ${this._escapeHTML(this.DIRECTION_LABELS[citationStats.direction] || citationStats.direction)}</li>`);
+      }
+      if (citationStats.secondHop) {
+        html.push(`        <li><strong>Second hop:</strong> ${this._escapeHTML(this._secondHopSummary(citationStats.secondHop))}</li>`);
+      }
+      if (citationStats.dismissed > 0) {
+        html.push(`        <li><strong>Dismissed earlier:</strong> ${citationStats.dismissed} paper${citationStats.dismissed !== 1 ? 's' : ''} hidden (see "Dismissed Recommendations...")</li>`);
+      }
+      if (citationStats.versions && citationStats.versions.collapsed > 0) {
+        html.push(`        <li><strong>Preprints merged into their published versions:</strong> ${this._escapeHTML(this._versionsSummary(citationStats.versions))}</li>`);
+      }
+      if (citationStats.provider) {
+        html.push(`        <li><strong>Citation source:</strong> ${this._escapeHTML(this._statsSourceLabel(citationStats))}</li>`);
+      }
+      const agreement = this._agreementSummary(citationStats);
+      if (agreement) {
+        html.push(`        <li><strong>Sources agreed on:</strong> ${this._escapeHTML(agreement)}</li>`);
+      }
     }
     
     html.push('      </ul>');
+    
+    const lowConfidence = this._getLowConfidenceMatches(userPapers);
+    if (lowConfidence.length > 0) {
+      html.push('      <div class="low-confidence">');
+      html.push('        <p><strong>⚠️ Low-confidence title matches</strong> (please check these were matched to the right paper):</p>');
+      html.push('        <ul>');
+      lowConfidence.forEach(p => {
+        html.push(`          <li>"${this._escapeHTML(p.title)}" → "${this._escapeHTML(p.resolution.matchedTitle)}" (${Math.round(p.resolution.confidence * 100)}%)</li>`);
+      });
+      html.push('        </ul>');
+      html.push('      </div>');
+    }
+    
+    return html.join('\n');
+  },
+  
+  /**
+   * "Your library vs. what it cites" (Markdown): findings, then tables
+   * 
+   * @private
+   * @param {Object} distributions - Analyzer.compareDistributions() result
+   * @returns {string}
+   */
+  _generateDistributions: function(distributions) {
+    const lines = [];
+    const cell = (count, share) => `${count} (${this._percent(share)})`;
+    lines.push('\n### 📈 Your library vs. what it cites\n');
+    
+    if (distributions.findings.length > 0) {
+      distributions.findings.forEach(finding => lines.push(`- ${this._distributionFindingText(finding)}`));
+    } else {
+      lines.push('*No large differences in publication years or venues.*');
+    }
+    
+    const years = distributions.years;
+    if (years) {
+      lines.push(`\n**Publication years** (${years.library} papers in your library, ${years.cited} papers it cites)\n`);
+      lines.push('| Years | Your library | What it cites |');
+      lines.push('|---|---:|---:|');
+      years.bins.forEach(bin => {
+        lines.push(`| ${bin.label} | ${cell(bin.library, bin.libraryShare)} | ${cell(bin.cited, bin.citedShare)} |`);
+      });
+    }
+    
+    const venues = distributions.venues;
+    if (venues) {
+      lines.push(`\n**Venues** — the most cited (${venues.library} papers in your library and ${venues.cited} papers it cites have a known venue)\n`);
+      lines.push('| Venue | Your library | What it cites |');
+      lines.push('|---|---:|---:|');
+      venues.rows.forEach(row => {
+        lines.push(`| ${this._venueLabel(row).replace(/\|/g, '\\|')} | ${cell(row.library, row.libraryShare)} | ${cell(row.cited, row.citedShare)} |`);
+      });
+      if (venues.rows.some(row => !row.byIssn)) {
+        lines.push(`\n*\\* ${this._venueMatchNote()}*`);
+      }
+    }
+    
+    return lines.join('\n');
+  },
+  
+  /**
+   * "Your library vs. what it cites" (HTML): findings, then bar charts
+   * 
+   * @private
+   */
+  _generateDistributionsHTML: function(distributions) {
+    const html = [];
+    html.push('      <div class="distributions">');
+    html.push('        <h3> 📈 Your library vs. what it cites</h3>');
+    
+    if (distributions.findings.length > 0) {
+      html.push('        <ul class="findings">');
+      distributions.findings.forEach(finding => {
+        html.push(`          <li>${this._escapeHTML(this._distributionFindingText(finding))}</li>`);
+      });
+      html.push('        </ul>');
+    } else {
+      html.push('        <p class="subtitle">No large differences in publication years or venues.</p>');
+    }
+    
+    const years = distributions.years;
+    if (years) {
+      html.push(`        <h4>Publication years <span class="chart-note">(${years.library} papers in your library, ${years.cited} papers it cites)</span></h4>`);
+      html.push(this._distributionChartSVG(years.bins.map(bin => ({
+        label: bin.label,
+        library: bin.library,
+        cited: bin.cited,
+        libraryShare: bin.libraryShare,
+        citedShare: bin.citedShare
+      })), 'Publication years', 100));
+    }
+    
+    const venues = distributions.venues;
+    if (venues) {
+      html.push(`        <h4>Venues <span class="chart-note">(the most cited; ${venues.library} papers in your library and ${venues.cited} papers it cites have a known venue)</span></h4>`);
+      html.push(this._distributionChartSVG(venues.rows.map(row => ({
+        label: this._venueLabel(row),
+        library: row.library,
+        cited: row.cited,
+        libraryShare: row.libraryShare,
+        citedShare: row.citedShare
+      })), 'Venues', 230));
+      if (venues.rows.some(row => !row.byIssn)) {
+        html.push(`        <p class="chart-note">* ${this._escapeHTML(this._venueMatchNote())}</p>`);
+      }
+    }
+    
+    html.push('      </div>');
     return html.join('\n');
   },
   
+  /**
+   * Inline SVG bar chart: a pair of bars per row (the collection's share
+   * and the cited papers' share), scaled to the largest share
+   * 
+   * @private
+   * @param {Array<Object>} rows - [{ label, library, cited, libraryShare, citedShare }]
+   * @param {string} title - Accessible name of the chart
+   * @param {number} labelWidth - Pixels reserved for the row labels
+   * @returns {string} <svg> element
+   */
+  _distributionChartSVG: function(rows, title, labelWidth) {
+    const barHeight = 11;
+    const rowHeight = 2 * barHeight + 10;
+    const top = 26;
+    const width = labelWidth + this.CHART_BAR_WIDTH + 110;
+    const height = top + rows.length * rowHeight;
+    const max = rows.reduce((m, r) => Math.max(m, r.libraryShare, r.citedShare), 0) || 1;
+    const svg = [];
+    
+    svg.push(`        <svg class="distribution-chart" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${this._escapeHTML(title)}">`);
+    
+    // Legend
+    [['library', 'Your library'], ['cited', 'What it cites']].forEach(([key, label], i) => {
+      const x = labelWidth + i * 140;
+      svg.push(`          <rect x="${x}" y="4" width="12" height="12" fill="${this.CHART_COLORS[key]}"/>`);
+      svg.push(`          <text x="${x + 18}" y="14">${label}</text>`);
+    });
+    
+    rows.forEach((row, i) => {
+      const y = top + i * rowHeight;
+      const label = row.label.length > this.CHART_MAX_LABEL
+        ? row.label.slice(0, this.CHART_MAX_LABEL - 1) + '…'
+        : row.label;
+      svg.push(`          <text x="${labelWidth - 8}" y="${y + barHeight + 4}" text-anchor="end"><title>${this._escapeHTML(row.label)}</title>${this._escapeHTML(label)}</text>`);
+      ['library', 'cited'].forEach((key, j) => {
+        const share = row[`${key}Share`];
+        const barWidth = Math.round(share / max * this.CHART_BAR_WIDTH);
+        const barY = y + j * (barHeight + 1);
+        svg.push(`          <rect x="${labelWidth}" y="${barY}" width="${barWidth}" height="${barHeight}" fill="${this.CHART_COLORS[key]}"/>`);
+        svg.push(`          <text class="chart-value" x="${labelWidth + barWidth + 4}" y="${barY + barHeight - 1}">${row[key]} (${this._percent(share)})</text>`);
+      });
+    });
+    
+    svg.push('        </svg>');
+    return svg.join('\n');
+  },
+  
+  /**
+   * One finding of Analyzer.compareDistributions() as a sentence
+   * 
+   * @private
+   * @param {Object} finding
+   * @returns {string}
+   */
+  _distributionFindingText: function(finding) {
+    const library = this._percent(finding.libraryShare);
+    const cited = this._percent(finding.citedShare);
+    const almostNothing = finding.libraryShare < 0.05;
+    switch (finding.kind) {
+      case 'older':
+        return almostNothing
+          ? `Your library has almost nothing from before ${finding.year} (${library}), yet ${cited} of what it cites is older`
+          : `Only ${library} of your library is from before ${finding.year}, yet ${cited} of what it cites is older`;
+      case 'newer':
+        return almostNothing
+          ? `Your library has almost nothing from ${finding.year} or later (${library}), yet ${cited} of what it cites is that recent`
+          : `Only ${library} of your library is from ${finding.year} or later, yet ${cited} of what it cites is that recent`;
+      case 'absentVenue':
+        return finding.byIssn
+          ? `${finding.venue} is heavily cited (${finding.cited} papers, ${cited} of what your library cites) but absent from your library`
+          : `${finding.venue} is heavily cited (${finding.cited} papers, ${cited} of what your library cites) but no item in your library lists it under that name`;
+      default:
+        return `${finding.venue} is heavily cited (${finding.cited} papers, ${cited} of what your library cites) but makes up only ${library} of your library${finding.byIssn ? '' : ' (matched by name)'}`;
+    }
+  },
+  
+  /**
+   * Venue name, with * when it was matched by name only
+   * 
+   * @private
+   */
+  _venueLabel: function(row) {
+    return row.byIssn ? row.name : `${row.name} *`;
+  },
+  
+  /**
+   * Footnote for venues matched by name only
+   * 
+   * @private
+   */
+  _venueMatchNote: function() {
+    return 'Matched by name only (no ISSN known): items Zotero lists under another spelling or abbreviation of the venue are not counted.';
+  },
+  
+  /**
+   * 0.404 → "40%"
+   * 
+   * @private
+   */
+  _percent: function(share) {
+    return `${Math.round(share * 100)}%`;
+  },
+  
+  /**
+   * Count of papers resolved by something other than DOI, by method
+   * 
+   * @private
+   * @param {Object} citationStats - Statistics from API module
+   * @returns {string} e.g. "5 (arXiv ID 3, title match 2)", or '' if none
+   */
+  _resolutionSummary: function(citationStats) {
+    const resolution = citationStats && citationStats.resolution;
+    if (!resolution) return '';
+    
+    const parts = Object.keys(this.RESOLUTION_LABELS)
+      .filter(method => resolution[method] > 0)
+      .map(method => `${this.RESOLUTION_LABELS[method]} ${resolution[method]}`);
+    if (parts.length === 0) return '';
+    
+    const total = Object.keys(this.RESOLUTION_LABELS)
+      .reduce((sum, method) => sum + (resolution[method] || 0), 0);
+    return `${total} (${parts.join(', ')})`;
+  },
+  
+  /**
+   * Library papers matched by title with low confidence (set by API)
+   * 
+   * @private
+   * @param {Array} userPapers - User's papers
+   * @returns {Array} Papers with resolution.lowConfidence
+   */
+  _getLowConfidenceMatches: function(userPapers) {
+    return userPapers.filter(p => p.resolution && p.resolution.lowConfidence);
+  },
+  
   /**
    * Generate recommendations section (Markdown)
    * 
    * @private
    * @param {Array} recommendations - Sorted recommendations with scores
+   * @param {Array} userPapers - User's papers (for the linked-items lists)
+   * @param {Object} [themes] - Clusterer result with at least one theme
    * @returns {string} Recommendations section
    */
-  _generateRecommendations: function(recommendations) {
+  _generateRecommendations: function(recommendations, userPapers, themes) {
     if (recommendations.length === 0) {
       return '\n*No recommendations found. Your library is well-covered!*\n';
     }
     
     const sections = [];
+    const libraryItems = this._indexLibraryItems(userPapers);
     
     // Identify priority papers
     const top3Ids = new Set(recommendations.slice(0, 3).map(p => p.paperId));
@@ -242,15 +755,26 @@ var Reporter = {
     
     priorityPapers.forEach((paper) => {
       const originalRank = recommendations.findIndex(p => p.paperId === paper.paperId) + 1;
-      sections.push(this._formatPaper(paper, originalRank));
+      sections.push(this._formatPaper(paper, originalRank, libraryItems));
     });
     
-    // Recommended Reading
-    if (recommendedPapers.length > 0) {
+    // Recommended Reading, by theme
+    if (themes) {
+      this._themeGroups(themes, recommendations, priorityIds).forEach(group => {
+        sections.push(`\n### ${this.THEME_EMOJI} ${group.title}\n`);
+        sections.push(`*${group.subtitle}*\n`);
+        group.papers.forEach(paper => {
+          sections.push(this._formatPaper(paper, paper.clusterRank, libraryItems));
+        });
+        if (group.more > 0) {
+          sections.push(`*+${group.more} more in this theme*\n`);
+        }
+      });
+    } else if (recommendedPapers.length > 0) {
       sections.push('\n### 📖 Recommended Reading\n');
       recommendedPapers.forEach(paper => {
         const rank = recommendations.findIndex(p => p.paperId === paper.paperId) + 1;
-        sections.push(this._formatPaper(paper, rank));
+        sections.push(this._formatPaper(paper, rank, libraryItems));
       });
     }
     
@@ -262,12 +786,13 @@ var Reporter = {
    * 
    * @private
    */
-  _generateRecommendationsHTML: function(recommendations) {
+  _generateRecommendationsHTML: function(recommendations, userPapers, themes) {
     if (recommendations.length === 0) {
       return '      <p class="no-results">No recommendations found. Your library is well-covered!</p>';
     }
     
     const html = [];
+    const libraryItems = this._indexLibraryItems(userPapers);
     
     const top3Ids = new Set(recommendations.slice(0, 3).map(p => p.paperId));
     const earlyInfluential = recommendations.find(p => 
@@ -293,19 +818,32 @@ var Reporter = {
     
     priorityPapers.forEach((paper) => {
       const originalRank = recommendations.findIndex(p => p.paperId === paper.paperId) + 1;
-      html.push(this._formatPaperHTML(paper, originalRank, true));
+      html.push(this._formatPaperHTML(paper, originalRank, true, libraryItems));
     });
     
     html.push('      </div>');
     
-    // Recommended Reading
-    if (recommendedPapers.length > 0) {
+    // Recommended Reading, by theme
+    if (themes) {
+      this._themeGroups(themes, recommendations, priorityIds).forEach(group => {
+        html.push('      <div class="recommended-section theme-section">');
+        html.push(`        <h3> ${this.THEME_EMOJI} ${this._escapeHTML(group.title)}</h3>`);
+        html.push(`        <p class="subtitle">${this._escapeHTML(group.subtitle)}</p>`);
+        group.papers.forEach(paper => {
+          html.push(this._formatPaperHTML(paper, paper.clusterRank, false, libraryItems));
+        });
+        if (group.more > 0) {
+          html.push(`        <p class="theme-more">+${group.more} more in this theme</p>`);
+        }
+        html.push('      </div>');
+      });
+    } else if (recommendedPapers.length > 0) {
       html.push('      <div class="recommended-section">');
       html.push('        <h3> 📖 Recommended Reading</h3>');
       
       recommendedPapers.forEach(paper => {
         const rank = recommendations.findIndex(p => p.paperId === paper.paperId) + 1;
-        html.push(this._formatPaperHTML(paper, rank, false));
+        html.push(this._formatPaperHTML(paper, rank, false, libraryItems));
       });
       
       html.push('      </div>');
@@ -314,30 +852,197 @@ var Reporter = {
     return html.join('\n');
   },
   
+  /**
+   * "Authors you keep encountering but haven't read" (Markdown)
+   * 
+   * @private
+   * @param {Array} authorGaps - Analyzer.findAuthorGaps() result
+   * @returns {string} Section
+   */
+  _generateAuthorGaps: function(authorGaps) {
+    const lines = [];
+    lines.push(`## ${this.AUTHOR_EMOJI} Authors you keep encountering but haven't read\n`);
+    lines.push(`*${this._authorGapsSubtitle()}*\n`);
+    
+    authorGaps.forEach((author, i) => {
+      lines.push(`### ${i + 1}. ${author.name}\n`);
+      lines.push(`${this._authorCountsText(author, n => `**${n}**`)} · [${this._sourceLabel(author.source)} profile](${this._authorURL(author)})\n`);
+      author.missing.forEach(({ paper, citingItems }) => {
+        const year = paper.year ? ` (${paper.year})` : '';
+        lines.push(`- [${paper.title.replace(/[[\]]/g, '\\$&')}](${this._paperURL(paper)})${year} — ${this._authorPaperText(paper, citingItems)}`);
+      });
+      const more = author.missingCount - author.missing.length;
+      if (more > 0) {
+        lines.push(`\n*+${more} more missing paper${more !== 1 ? 's' : ''}*`);
+      }
+      lines.push('');
+    });
+    
+    return lines.join('\n');
+  },
+  
+  /**
+   * "Authors you keep encountering but haven't read" (HTML)
+   * 
+   * @private
+   */
+  _generateAuthorGapsHTML: function(authorGaps) {
+    const html = [];
+    html.push(`      <h2> ${this.AUTHOR_EMOJI} Authors you keep encountering but haven't read</h2>`);
+    html.push(`      <p class="subtitle">${this._escapeHTML(this._authorGapsSubtitle())}</p>`);
+    
+    authorGaps.forEach((author, i) => {
+      html.push('      <div class="author-card">');
+      html.push(`        <h4>${i + 1}. ${this._escapeHTML(author.name)}</h4>`);
+      html.push(`        <p class="author-counts">${this._authorCountsText(author, n => `<strong>${n}</strong>`)} · <a href="${this._escapeHTML(this._authorURL(author))}">${this._escapeHTML(this._sourceLabel(author.source))} profile</a></p>`);
+      html.push('        <ul>');
+      author.missing.forEach(({ paper, citingItems }) => {
+        const year = paper.year ? ` (${paper.year})` : '';
+        html.push(`          <li><a href="${this._escapeHTML(this._paperURL(paper))}">${this._escapeHTML(paper.title)}</a>${year} <span class="relation">— ${this._escapeHTML(this._authorPaperText(paper, citingItems))}</span></li>`);
+      });
+      html.push('        </ul>');
+      const more = author.missingCount - author.missing.length;
+      if (more > 0) {
+        html.push(`        <p class="theme-more">+${more} more missing paper${more !== 1 ? 's' : ''}</p>`);
+      }
+      html.push('      </div>');
+    });
+    
+    return html.join('\n');
+  },
+  
+  /**
+   * @private
+   */
+  _authorGapsSubtitle: function() {
+    return `Cited by at least ${Analyzer.AUTHOR_MIN_CITING_ITEMS} items in your collection, with more of their papers missing from your library than in it. Their most-cited missing papers are listed.`;
+  },
+  
+  /**
+   * "Cited by 5 items in your collection · 1 of their papers in your
+   * library · 4 missing"
+   * 
+   * @private
+   * @param {Object} author - Analyzer.findAuthorGaps() entry
+   * @param {Function} strong - Highlights a count (Markdown or HTML)
+   * @returns {string}
+   */
+  _authorCountsText: function(author, strong) {
+    const items = author.citingItems === 1 ? 'item' : 'items';
+    const papers = author.held === 1 ? 'paper' : 'papers';
+    return `Cited by ${strong(author.citingItems)} ${items} in your collection · ${strong(author.held)} of their ${papers} in your library · ${strong(author.missingCount)} missing`;
+  },
+  
+  /**
+   * "cited by 3 of your items · 1,234 citations"
+   * 
+   * @private
+   */
+  _authorPaperText: function(paper, citingItems) {
+    return `cited by ${citingItems} of your items · ${(paper.citationCount || 0).toLocaleString()} citations`;
+  },
+  
   /**
    * Format a single paper entry (Markdown)
    * 
    * @private
    * @param {Object} paper - Paper with scores
    * @param {number} rank - Original rank in recommendations
+   * @param {Object} libraryItems - User's papers by item key (_indexLibraryItems)
    * @returns {string} Formatted paper entry
    */
-  _formatPaper: function(paper, rank) {
+  _formatPaper: function(paper, rank, libraryItems) {
     const lines = [];
     
     // Title with rank
     lines.push(`\n#### ${rank}. ${paper.title}\n`);
     
+    // Authors and venue
+    const byline = this._bylineText(paper);
+    if (byline) {
+      lines.push(`👥 ${byline}\n`);
+    }
+    
+    // Gap kind label
+    if (paper.gapLabel) {
+      lines.push(`${this.GAP_EMOJI[paper.gapType] || ''} *${paper.gapLabel}*\n`);
+    }
+    
+    // Already owned outside this run
+    if (paper.owned) {
+      lines.push(`📥 **${this._ownedText(paper.owned)}** — [open in Zotero](${this._zoteroSelectURL(paper.owned.key, paper.owned.libraryID)})\n`);
+    }
+    
     // Early Influential label
     if (paper.isEarlyInfluential) {
       lines.push(`📚 **Early influential work** (${paper.year}, ${paper.citationCount} citations, cited by ${paper.mentioned_count} papers)\n`);
     }
     
     // Score and metadata
-    lines.push(`**Score**: ${paper.totalScore.toFixed(1)}/100`);
-    lines.push(`- Mentioned by: ${paper.mentioned_count} of your papers`);
-    lines.push(`- Total citations: ${paper.citationCount.toLocaleString()}`);
-    lines.push(`- Year: ${paper.year || 'N/A'}\n`);
+    const pageRank = typeof paper.pageRankScore === 'number'
+      ? ` · **PageRank**: ${paper.pageRankScore.toFixed(1)}/100`
+      : '';
+    lines.push(`**Score**: ${paper.totalScore.toFixed(1)}/100${pageRank}`);
+    lines.push(`- Mentioned by: ${paper.mentioned_count}${this._mentionSubject(paper)}`);
+    const ranks = this._rankText(paper);
+    if (ranks) {
+      lines.push(`- Rank: ${ranks}`);
+    }
+    const diversity = this._diversityText(paper);
+    if (diversity) {
+      lines.push(`- Diversity: ${diversity}`);
+    }
+    const learned = this._learnedText(paper);
+    if (learned) {
+      lines.push(`- Learned: ${learned}`);
+    }
+    const coCitation = this._coCitationText(paper);
+    if (coCitation) {
+      lines.push(`- Co-cited with: ${coCitation}`);
+    }
+    lines.push(`- Total citations: ${paper.citationCount.toLocaleString()}${this._velocityText(paper)}`);
+    lines.push(`- Year: ${paper.year || 'N/A'}${paper.publicationDate ? ` (published ${paper.publicationDate})` : ''}`);
+    this._versionLinks(paper).forEach(version => {
+      lines.push(`- Preprint version: [${version.label}](${version.url})${version.detail}`);
+    });
+    lines.push(`- Source: ${this._paperSourceText(paper)}`);
+    if (paper.fieldsOfStudy && paper.fieldsOfStudy.length > 0) {
+      lines.push(`- Fields: ${paper.fieldsOfStudy.join(', ')}`);
+    }
+    lines.push('');
+    
+    // Items in the collection behind the mention count
+    const linkedItems = this._linkedItems(paper, libraryItems);
+    if (linkedItems.length > 0) {
+      lines.push(`**${this._linkedItemsHeading(paper, linkedItems.length)}**:`);
+      linkedItems.forEach(item => {
+        const year = item.year ? ` (${item.year})` : '';
+        const relation = item.relation ? ` — ${item.relation}` : '';
+        lines.push(`- [${item.title.replace(/[[\]]/g, '\\$&')}](${item.url})${year}${relation}`);
+      });
+      lines.push('');
+    }
+    
+    // Second hop: how the paper was reached
+    const paths = this._hopPaths(paper, libraryItems);
+    if (paths.length > 0) {
+      lines.push('**Found through** (item in your collection → paper it is linked to → this paper):');
+      paths.forEach(path => {
+        const items = path.items.map(item => `[${item.title.replace(/[[\]]/g, '\\$&')}](${item.url})`);
+        const more = path.more > 0 ? ` (+${path.more} more)` : '';
+        const year = path.year ? ` (${path.year})` : '';
+        lines.push(`- ${items.join(', ') || 'your collection'}${more} → *${path.title}*${year} → this paper`);
+      });
+      lines.push('');
+    }
+    
+    if (paper.tldr) {
+      lines.push(`> **TL;DR**: ${paper.tldr}\n`);
+    }
+    
+    if (paper.abstract) {
+      lines.push(`**Abstract**: ${paper.abstract}\n`);
+    }
     
     // Enhanced Links Section
     lines.push('**Access Links**:');
@@ -347,10 +1052,18 @@ var Reporter = {
       lines.push(`- 📖 DOI: [${doi}](https://doi.org/${encodeURIComponent(doi)})`);
     }
     
-    if (paper.paperId) {
-      lines.push(`- 📘 [View on Semantic Scholar](https://www.semanticscholar.org/paper/${paper.paperId})`);
+    if (paper.openAccessPdf) {
+      lines.push(`- 🔓 [Open-access PDF](${paper.openAccessPdf})`);
     }
     
+    this._identifierLinks(paper).forEach(link => {
+      lines.push(`- 🔗 ${link.label}: [${link.value}](${link.url})`);
+    });
+    
+    this._paperSources(paper).forEach(src => {
+      lines.push(`- 📘 [View on ${src.label}](${this._sourceURL(src.id, src.paperId)})`);
+    });
+    
     const searchQuery = encodeURIComponent(paper.title);
     lines.push(`- 🎯 [Search on Google Scholar](https://scholar.google.com/scholar?q=${searchQuery})\n`);
     
@@ -368,25 +1081,105 @@ var Reporter = {
    * 
    * @private
    */
-  _formatPaperHTML: function(paper, rank, isPriority) {
+  _formatPaperHTML: function(paper, rank, isPriority, libraryItems) {
     const html = [];
     const className = isPriority ? 'paper-card priority' : 'paper-card';
     
     html.push(`        <div class="${className}">`);
     html.push(`          <h4>${rank}. ${this._escapeHTML(paper.title)}</h4>`);
     
+    const byline = this._bylineText(paper);
+    if (byline) {
+      html.push(`          <p class="authors">${this._escapeHTML(byline)}</p>`);
+    }
+    
+    if (paper.gapLabel) {
+      html.push(`          <span class="badge gap-${paper.gapType}">${this.GAP_EMOJI[paper.gapType] || ''} ${this._escapeHTML(paper.gapLabel)}</span>`);
+    }
+    
     if (paper.isEarlyInfluential) {
       html.push(`          <span class="badge early-influential">📚 Early influential work</span>`);
     }
     
-    html.push(`          <div class="score">Score: ${paper.totalScore.toFixed(1)}/100</div>`);
+    if (paper.owned) {
+      const url = this._zoteroSelectURL(paper.owned.key, paper.owned.libraryID);
+      html.push(`          <span class="badge owned">📥 ${this._escapeHTML(this._ownedText(paper.owned))}</span> <a href="${this._escapeHTML(url)}" class="owned-link">Open in Zotero</a>`);
+    }
+    
+    const pageRank = typeof paper.pageRankScore === 'number'
+      ? ` <span class="pagerank">PageRank: ${paper.pageRankScore.toFixed(1)}/100</span>`
+      : '';
+    html.push(`          <div class="score">Score: ${paper.totalScore.toFixed(1)}/100${pageRank}</div>`);
     
     html.push('          <ul class="metadata">');
-    html.push(`            <li>Mentioned by: <strong>${paper.mentioned_count}</strong> of your papers</li>`);
-    html.push(`            <li>Total citations: <strong>${paper.citationCount.toLocaleString()}</strong></li>`);
-    html.push(`            <li>Year: <strong>${paper.year || 'N/A'}</strong></li>`);
+    html.push(`            <li>Mentioned by: <strong>${paper.mentioned_count}</strong>${this._escapeHTML(this._mentionSubject(paper))}</li>`);
+    const ranks = this._rankText(paper);
+    if (ranks) {
+      html.push(`            <li>Rank: <strong>${this._escapeHTML(ranks)}</strong></li>`);
+    }
+    const diversity = this._diversityText(paper);
+    if (diversity) {
+      html.push(`            <li>Diversity: <strong>${this._escapeHTML(diversity)}</strong></li>`);
+    }
+    const learned = this._learnedText(paper);
+    if (learned) {
+      html.push(`            <li>Learned: <strong>${this._escapeHTML(learned)}</strong></li>`);
+    }
+    const coCitation = this._coCitationText(paper);
+    if (coCitation) {
+      html.push(`            <li>Co-cited with: <strong>${this._escapeHTML(coCitation)}</strong></li>`);
+    }
+    html.push(`            <li>Total citations: <strong>${paper.citationCount.toLocaleString()}</strong>${this._escapeHTML(this._velocityText(paper))}</li>`);
+    html.push(`            <li>Year: <strong>${paper.year || 'N/A'}</strong>${paper.publicationDate ? ` (published ${this._escapeHTML(paper.publicationDate)})` : ''}</li>`);
+    this._versionLinks(paper).forEach(version => {
+      html.push(`            <li>Preprint version: <a href="${this._escapeHTML(version.url)}" target="_blank">${this._escapeHTML(version.label)}</a>${this._escapeHTML(version.detail)}</li>`);
+    });
+    html.push(`            <li>Source: <strong>${this._escapeHTML(this._paperSourceText(paper))}</strong></li>`);
+    if (paper.fieldsOfStudy && paper.fieldsOfStudy.length > 0) {
+      html.push(`            <li>Fields: <strong>${this._escapeHTML(paper.fieldsOfStudy.join(', '))}</strong></li>`);
+    }
     html.push('          </ul>');
     
+    const linkedItems = this._linkedItems(paper, libraryItems);
+    if (linkedItems.length > 0) {
+      html.push('          <details class="linked-items">');
+      html.push(`            <summary>${this._escapeHTML(this._linkedItemsHeading(paper, linkedItems.length))}</summary>`);
+      html.push('            <ul>');
+      linkedItems.forEach(item => {
+        const year = item.year ? ` (${item.year})` : '';
+        const relation = item.relation ? ` <span class="relation">— ${this._escapeHTML(item.relation)}</span>` : '';
+        html.push(`              <li><a href="${this._escapeHTML(item.url)}">${this._escapeHTML(item.title)}</a>${year}${relation}</li>`);
+      });
+      html.push('            </ul>');
+      html.push('          </details>');
+    }
+    
+    const paths = this._hopPaths(paper, libraryItems);
+    if (paths.length > 0) {
+      html.push('          <details class="linked-items hop-paths">');
+      html.push(`            <summary>Found through ${paths.length} paper${paths.length !== 1 ? 's' : ''} linked to your collection</summary>`);
+      html.push('            <ul>');
+      paths.forEach(path => {
+        const items = path.items.map(item => `<a href="${this._escapeHTML(item.url)}">${this._escapeHTML(item.title)}</a>`);
+        const more = path.more > 0 ? ` (+${path.more} more)` : '';
+        const year = path.year ? ` (${path.year})` : '';
+        html.push(`              <li>${items.join(', ') || 'your collection'}${more} → <em>${this._escapeHTML(path.title)}</em>${year} → this paper</li>`);
+      });
+      html.push('            </ul>');
+      html.push('          </details>');
+    }
+    
+    if (paper.tldr) {
+      html.push(`          <p class="tldr"><strong>TL;DR:</strong> ${this._escapeHTML(paper.tldr)}</p>`);
+    }
+    
+    if (paper.abstract) {
+      html.push('          <details class="abstract">');
+      html.push('            <summary>Abstract</summary>');
+      html.push(`            <p>${this._escapeHTML(paper.abstract)}</p>`);
+      html.push('          </details>');
+    }
+    
     // Enhanced links
     html.push('          <div class="links">');
     html.push('            <strong>Access Links:</strong>');
@@ -396,10 +1189,18 @@ var Reporter = {
       html.push(`            <a href="https://doi.org/${encodeURIComponent(doi)}" target="_blank" class="link-btn doi">📄 DOI</a>`);
     }
     
-    if (paper.paperId) {
-      html.push(`            <a href="https://www.semanticscholar.org/paper/${paper.paperId}" target="_blank" class="link-btn scholar">📘🔍 Semantic Scholar</a>`);
+    if (paper.openAccessPdf) {
+      html.push(`            <a href="${this._escapeHTML(paper.openAccessPdf)}" target="_blank" class="link-btn oa">🔓 Open-access PDF</a>`);
     }
     
+    this._identifierLinks(paper).forEach(link => {
+      html.push(`            <a href="${link.url}" target="_blank" class="link-btn ids">🔗 ${link.label}</a>`);
+    });
+    
+    this._paperSources(paper).forEach(src => {
+      html.push(`            <a href="${this._sourceURL(src.id, src.paperId)}" target="_blank" class="link-btn scholar">📘🔍 ${this._escapeHTML(src.label)}</a>`);
+    });
+    
     const searchQuery = encodeURIComponent(paper.title);
     html.push(`            <a href="https://scholar.google.com/scholar?q=${searchQuery}" target="_blank" class="link-btn google">🎯 Google Scholar</a>`);
     
@@ -414,60 +1215,604 @@ var Reporter = {
   },
   
   /**
-   * Generate concise recommendation reasons
+   * User's papers by Zotero item key
    * 
    * @private
-   * @param {Object} paper - Paper with scores
-   * @returns {string} Concise reasons
+   * @param {Array} userPapers - User's papers from Parser
+   * @returns {Object} key → paper
    */
-  _generateReasons: function(paper) {
-    const reasons = [];
-    
-    if (paper.mentioned_count >= 5) {
-      reasons.push(`Cited by ${paper.mentioned_count} papers (core literature)`);
-    } else {
-      reasons.push(`Cited by ${paper.mentioned_count} papers`);
-    }
-    
-    const citations = paper.citationCount || 0;
-    if (citations > 500) {
-      reasons.push(`${citations.toLocaleString()} citations (high impact)`);
-    } else if (citations > 200) {
-      reasons.push(`${citations} citations`);
-    }
-    
-    if (paper.recencyScore === 3) {
-      reasons.push(`Recent (${paper.year})`);
-    } else if (paper.recencyScore === 2) {
-      reasons.push(`Relatively recent (${paper.year})`);
+  _indexLibraryItems: function(userPapers) {
+    const byKey = {};
+    (userPapers || []).forEach(p => {
+      if (p.id) byKey[p.id] = p;
+    });
+    return byKey;
+  },
+  
+  /**
+   * Link that selects an item in Zotero. Papers parsed before libraryID was
+   * recorded fall back to the personal library.
+   * 
+   * @private
+   * @param {string} key - Zotero item key
+   * @param {number} [libraryID]
+   * @returns {string} zotero:// URL
+   */
+  _zoteroSelectURL: function(key, libraryID) {
+    return libraryID
+      ? `zotero://select/items/${libraryID}_${key}`
+      : `zotero://select/library/items/${key}`;
+  },
+  
+  /**
+   * "In your library (Lab group), outside this collection"
+   * 
+   * @private
+   * @param {Object} owned - LibraryIndex entry of the owned item
+   * @returns {string}
+   */
+  _ownedText: function(owned) {
+    if (owned.inCollection) {
+      return 'In this collection (not part of this run)';
+    }
+    const library = owned.libraryName ? ` (${owned.libraryName})` : '';
+    return `In your library${library}, outside this collection`;
+  },
+  
+  /**
+   * Items in the collection a paper is linked to (citedByKeys), in the
+   * order they were found. For papers found in both directions each item
+   * says which way the citation goes.
+   * 
+   * @private
+   * @param {Object} paper - Recommendation
+   * @param {Object} libraryItems - User's papers by item key
+   * @returns {Array<{key: string, title: string, year: number, url: string, relation: string}>}
+   */
+  _linkedItems: function(paper, libraryItems) {
+    const mentionKeys = paper.mentionKeys || [];
+    
+    return (paper.citedByKeys || []).map(key => {
+      const item = (libraryItems || {})[key] || {};
+      let relation = '';
+      if (paper.direction === 'both') {
+        const cites = mentionKeys.includes(`${key}|references`);
+        const citedBy = mentionKeys.includes(`${key}|citations`);
+        relation = cites && citedBy ? 'cites it and is cited by it'
+          : cites ? 'cites it'
+          : citedBy ? 'is cited by it'
+          : '';
+      }
+      return {
+        key: key,
+        title: item.title || key,
+        year: item.year,
+        url: this._zoteroSelectURL(key, item.libraryID),
+        relation: relation
+      };
+    });
+  },
+  
+  /**
+   * Second-hop paths of a paper: each intermediate paper with the items in
+   * the collection it is linked to (at most MAX_PATH_ITEMS, the rest counted)
+   * 
+   * @private
+   * @param {Object} paper - Recommendation
+   * @param {Object} libraryItems - User's papers by item key
+   * @returns {Array<{title: string, year: number, items: Array, more: number}>}
+   */
+  _hopPaths: function(paper, libraryItems) {
+    return (paper.via || []).map(via => {
+      const items = this._linkedItems({ citedByKeys: via.citedByKeys }, libraryItems);
+      return {
+        title: via.title || via.paperId,
+        year: via.year,
+        items: items.slice(0, this.MAX_PATH_ITEMS),
+        more: Math.max(0, items.length - this.MAX_PATH_ITEMS)
+      };
+    });
+  },
+  
+  /**
+   * "Cited by these 3 items in your collection", worded by gap type.
+   * "Mentioned by" counts links (item and direction), so an item that cites
+   * the paper and is cited by it counts twice there; the heading then gives
+   * both numbers.
+   * 
+   * @private
+   * @param {Object} paper - Recommendation with gapType
+   * @param {number} count - Number of linked items
+   * @returns {string}
+   */
+  _linkedItemsHeading: function(paper, count) {
+    const items = count === 1 ? 'this item' : `these ${count} items`;
+    if (paper.gapType === 'building') return `Cites ${items} in your collection`;
+    if (paper.gapType === 'connected') {
+      const both = (paper.mentioned_count || 0) - count;
+      const note = both > 0
+        ? ` (${paper.mentioned_count} links: ${both === 1 ? 'one of them cites' : `${both} of them cite`} this paper and ${both === 1 ? 'is' : 'are'} cited by it)`
+        : '';
+      return `Linked to ${items} in your collection${note}`;
+    }
+    return `Cited by ${items} in your collection`;
+  },
+  
+  /**
+   * "A. Author, B. Author et al. · Venue" for enriched papers
+   * 
+   * @private
+   * @param {Object} paper - Recommendation
+   * @returns {string} Byline, or '' when neither is known
+   */
+  _bylineText: function(paper) {
+    const authors = paper.authors || [];
+    let names = authors.slice(0, this.MAX_AUTHORS).join(', ');
+    if (authors.length > this.MAX_AUTHORS) {
+      names += ' et al.';
+    }
+    return [names, paper.venue].filter(Boolean).join(' · ');
+  },
+  
+  /**
+   * arXiv / PubMed / PMC links of a paper, from its external IDs
+   * 
+   * @private
+   * @param {Object} paper - Recommendation
+   * @returns {Array<{label: string, value: string, url: string}>}
+   */
+  _identifierLinks: function(paper) {
+    const ids = paper.externalIds || {};
+    return Object.keys(this.ID_LINKS)
+      .filter(type => ids[type])
+      .map(type => {
+        const value = String(ids[type]).trim();
+        return {
+          label: this.ID_LINKS[type].label,
+          value: type === 'pmcid' ? `PMC${value}` : value,
+          url: this.ID_LINKS[type].url + encodeURIComponent(value) + (type === 'arxiv' ? '' : '/')
+        };
+      });
+  },
+  
+  /**
+   * Display name of a citation source (defaults to Semantic Scholar, the
+   * only source before providers existed)
+   * 
+   * @private
+   * @param {string} source - API provider ID
+   * @returns {string}
+   */
+  _sourceLabel: function(source) {
+    return (this.SOURCES[source] || this.SOURCES.semanticscholar).label;
+  },
+  
+  /**
+   * Link to a paper on its citation source
+   * 
+   * @private
+   * @param {string} source - API provider ID
+   * @param {string} paperId - Paper ID on that source
+   * @returns {string} URL
+   */
+  _sourceURL: function(source, paperId) {
+    return (this.SOURCES[source] || this.SOURCES.semanticscholar).url + encodeURIComponent(paperId);
+  },
+  
+  /**
+   * Link to an author on the source their ID belongs to
+   * 
+   * @private
+   * @param {Object} author - Analyzer.findAuthorGaps() entry
+   * @returns {string} URL
+   */
+  _authorURL: function(author) {
+    return (this.SOURCES[author.source] || this.SOURCES.semanticscholar).authorUrl + encodeURIComponent(author.authorId);
+  },
+  
+  /**
+   * DOI link of a paper, or its page on its citation source
+   * 
+   * @private
+   * @returns {string} URL
+   */
+  _paperURL: function(paper) {
+    return paper.doi
+      ? `https://doi.org/${encodeURIComponent(paper.doi.trim())}`
+      : this._sourceURL(paper.source, paper.paperId);
+  },
+  
+  /**
+   * Folded preprints of a paper: link label ("arXiv:2101.00001", DOI or
+   * source name), URL and " (2020, 3 mentions merged)"
+   * 
+   * @private
+   * @returns {Array<Object>} [{ label, url, detail }]
+   */
+  _versionLinks: function(paper) {
+    return (paper.versions || []).map(version => {
+      const ids = version.externalIds || {};
+      let label, url;
+      if (ids.arxiv) {
+        label = `arXiv:${ids.arxiv}`;
+        url = this.ID_LINKS.arxiv.url + encodeURIComponent(ids.arxiv);
+      } else if (version.doi) {
+        label = version.doi;
+        url = `https://doi.org/${encodeURIComponent(version.doi)}`;
+      } else {
+        label = `${this._sourceLabel(version.source)} record`;
+        url = this._sourceURL(version.source, version.paperId);
+      }
+      
+      const mentions = `${version.mentioned_count} mention${version.mentioned_count !== 1 ? 's' : ''} merged`;
+      return { label: label, url: url, detail: ` (${version.year ? version.year + ', ' : ''}${mentions})` };
+    });
+  },
+  
+  /**
+   * "12 (8 by shared ID, 1 by DOI relation, 3 by title)"
+   * 
+   * @private
+   */
+  _versionsSummary: function(versions) {
+    return `${versions.collapsed} (${versions.byId} by shared ID, ${versions.byRelation || 0} by DOI relation, ${versions.byTitle} by title)`;
+  },
+  
+  /**
+   * "23 of 80 papers" for a cancelled run
+   * 
+   * @private
+   * @param {Object} citationStats - Statistics from API module or Merger
+   * @returns {string}
+   */
+  _partialSummary: function(citationStats) {
+    return `${citationStats.papers_fetched || 0} of ${citationStats.user_papers_count} papers`;
+  },
+  
+  /**
+   * "references of the top 10 recommendations (8 fetched, 23 of 50 extra
+   * requests) → 412 more candidates"
+   * 
+   * @private
+   * @param {Object} hop - stats of API.fetchSecondHop()
+   * @returns {string}
+   */
+  _secondHopSummary: function(hop) {
+    const notes = [`${hop.fetched} fetched`, `${hop.requests} of ${hop.budget} extra requests`];
+    if (hop.exhausted) notes.push('budget used up');
+    if (hop.cancelled) notes.push('cancelled');
+    return `references of the top ${hop.intermediates} recommendations (${notes.join(', ')}) → ${hop.candidates.toLocaleString()} more candidates`;
+  },
+  
+  /**
+   * Citation source of a run ('Semantic Scholar + OpenAlex' when merged)
+   * 
+   * @private
+   * @param {Object} citationStats - Statistics from API module or Merger
+   * @returns {string}
+   */
+  _statsSourceLabel: function(citationStats) {
+    return citationStats.providerName || this._sourceLabel(citationStats.provider);
+  },
+  
+  /**
+   * Where unresolved papers were looked for ('any source' when merged)
+   * 
+   * @private
+   * @param {Object} citationStats - Statistics from API module or Merger
+   * @returns {string}
+   */
+  _notFoundLabel: function(citationStats) {
+    return (citationStats.providers || []).length > 1
+      ? 'any source'
+      : this._statsSourceLabel(citationStats);
+  },
+  
+  /**
+   * How often merged sources agreed, e.g.
+   * "812 of 2,140 papers (only Semantic Scholar: 903, only OpenAlex: 425)"
+   * 
+   * @private
+   * @param {Object} citationStats - Statistics from Merger
+   * @returns {string} Summary, or '' for single-source runs
+   */
+  _agreementSummary: function(citationStats) {
+    const agreement = citationStats && citationStats.agreement;
+    if (!agreement) return '';
+    
+    const only = Object.keys(agreement.only)
+      .map(id => `only ${this._sourceLabel(id)}: ${agreement.only[id].toLocaleString()}`);
+    return `${agreement.all.toLocaleString()} of ${citationStats.unique_citations.toLocaleString()} papers (${only.join(', ')})`;
+  },
+  
+  /**
+   * Sources that reported a paper, with its ID and mention count on each
+   * 
+   * @private
+   * @param {Object} paper - Recommendation
+   * @returns {Array<{id: string, label: string, paperId: string, mentions: number}>}
+   */
+  _paperSources: function(paper) {
+    const paperIds = paper.sourcePaperIds || { [paper.source]: paper.paperId };
+    const mentions = paper.sourceMentions || {};
+    return Object.keys(paperIds)
+      .filter(id => paperIds[id])
+      .map(id => ({
+        id: id,
+        label: this._sourceLabel(id),
+        paperId: paperIds[id],
+        mentions: mentions[id] || 0
+      }));
+  },
+  
+  /**
+   * Source line of a paper: the source name, or for merged runs every
+   * source that agreed with its own mention count
+   * 
+   * @private
+   * @param {Object} paper - Recommendation
+   * @returns {string}
+   */
+  _paperSourceText: function(paper) {
+    const sources = this._paperSources(paper);
+    if (sources.length < 2) {
+      return this._sourceLabel(paper.source);
+    }
+    return sources.map(src => `${src.label} (${src.mentions})`).join(', ') + ' — sources agree';
+  },
+  
+  /**
+   * Clarify what "mentioned by" means for papers found via forward citations
+   * 
+   * @private
+   * @param {Object} paper - Paper with gapType
+   * @returns {string} Suffix for the "Mentioned by" line
+   */
+  _mentionSubject: function(paper) {
+    if (paper.hop === 2) return ' papers linked to your collection (second hop)';
+    return ` of your papers${this._mentionSuffix(paper)}`;
+  },
+  
+  _mentionSuffix: function(paper) {
+    if (paper.gapType === 'building') return ' (it cites them)';
+    if (paper.gapType === 'connected') return ' (citing or cited by them)';
+    return '';
+  },
+  
+  /**
+   * Generate concise recommendation reasons
+   * 
+   * @private
+   * @param {Object} paper - Paper with scores
+   * @returns {string} Concise reasons
+   */
+  _generateReasons: function(paper) {
+    const reasons = [];
+    
+    if (paper.mentioned_count >= 5) {
+      reasons.push(`Cited by ${paper.mentioned_count} papers (core literature)`);
+    } else {
+      reasons.push(`Cited by ${paper.mentioned_count} papers`);
+    }
+    
+    const impactTop = this._topShare(paper.impactPercentile);
+    if (impactTop) {
+      reasons.push(`${paper.citationsPerYear.toLocaleString()} citations/year (top ${impactTop}% of candidates)`);
+    }
+    
+    const recentTop = this._topShare(paper.yearPercentile);
+    if (recentTop) {
+      reasons.push(`Among the newest ${recentTop}% of candidates (${paper.year})`);
     }
     
     return reasons.join('; ');
   },
   
+  /**
+   * Clusterer result when it has at least one theme, null otherwise
+   * 
+   * @private
+   */
+  _themes: function(clusters) {
+    return clusters && clusters.clusters && clusters.clusters.length > 0 ? clusters : null;
+  },
+  
+  /**
+   * Sections of Recommended Reading by theme, "Other recommendations" last.
+   * Papers already in Priority Reading are not repeated; the subtitle names
+   * their ranks instead.
+   * 
+   * @private
+   * @param {Object} themes - Clusterer result
+   * @param {Array} recommendations
+   * @param {Set} priorityIds - paperIds in Priority Reading
+   * @returns {Array<Object>} [{ title, subtitle, papers, more }]
+   */
+  _themeGroups: function(themes, recommendations, priorityIds) {
+    const groups = themes.clusters.map((cluster, i) => Object.assign({
+      title: cluster.terms.length > 0 ? `Theme ${i + 1}: ${cluster.label}` : cluster.label
+    }, cluster));
+    groups.push(Object.assign({ title: 'Other recommendations' }, themes.other));
+    
+    return groups.map(group => {
+      const inPriority = group.papers.filter(p => priorityIds.has(p.paperId));
+      const subtitle = [`${group.size} paper${group.size !== 1 ? 's' : ''}`];
+      if (inPriority.length > 0) {
+        subtitle.push(`${inPriority.map(p => '#' + p.clusterRank).join(', ')} in Priority Reading`);
+      }
+      return {
+        title: group.title,
+        subtitle: subtitle.join(' · '),
+        papers: group.papers.filter(p => !priorityIds.has(p.paperId)),
+        more: group.more,
+        shown: group.papers.length
+      };
+    }).filter(group => group.shown > 0);
+  },
+  
+  /**
+   * Display name of an Analyzer ranking strategy
+   * 
+   * @private
+   */
+  _strategyLabel: function(strategy) {
+    return Analyzer.STRATEGY_LABELS[strategy] || strategy;
+  },
+  
+  /**
+   * "#2 by classic score, #5 by PageRank", '' without graph scores
+   * 
+   * @private
+   */
+  _rankText: function(paper) {
+    if (!paper.classicRank || !paper.pageRankRank) return '';
+    return `#${paper.classicRank} by classic score, #${paper.pageRankRank} by PageRank`;
+  },
+  
+  /**
+   * "moved down 2 (#3 before diversity); similar to #1 "Title"", '' if the
+   * list was not re-ranked
+   * 
+   * @private
+   */
+  _diversityText: function(paper) {
+    if (!paper.relevanceRank || !paper.diversityRank) return '';
+    
+    const shift = paper.relevanceRank - paper.diversityRank;
+    const parts = [shift === 0
+      ? 'unchanged'
+      : `moved ${shift > 0 ? 'up' : 'down'} ${Math.abs(shift)} (#${paper.relevanceRank} before diversity)`];
+    if (paper.similarTo && shift < 0) {
+      const title = paper.similarTo.title.length > 60 ? paper.similarTo.title.substring(0, 57) + '...' : paper.similarTo.title;
+      parts.push(`similar to #${paper.similarTo.rank} "${title}" (${Math.round(paper.similarTo.similarity * 100)}%)`);
+    }
+    return parts.join('; ');
+  },
+  
+  /**
+   * State of learned ranking for the line above the list, '' when it is off
+   * 
+   * @private
+   */
+  _learningText: function(learning) {
+    if (!learning) return '';
+    if (learning.model) {
+      return `trained on ${learning.model.accepted} accepted and ${learning.model.dismissed} dismissed papers ` +
+        '(scores ×0.5 to ×1.5 by how likely you are to want the paper)';
+    }
+    return `still learning — ${learning.accepted} accepted and ${learning.dismissed} dismissed papers so far, ` +
+      `needs ${LearnedRanker.MIN_PER_CLASS} of each and ${LearnedRanker.MIN_EXAMPLES} in total`;
+  },
+  
+  /**
+   * "×1.32 (mentions +0.84, venue +0.40)": the learned factor and the
+   * features that moved the paper most, '' without a model
+   * 
+   * @private
+   */
+  _learnedText: function(paper) {
+    if (!paper.learned) return '';
+    
+    const effects = Object.keys(paper.learned.contributions)
+      .map(name => ({ name: name, value: paper.learned.contributions[name] }))
+      .filter(effect => Math.abs(effect.value) >= 0.05)
+      .sort((a, b) => Math.abs(b.value) - Math.abs(a.value))
+      .slice(0, 3)
+      .map(effect => `${effect.name === 'coCitation' ? 'co-citation' : effect.name} ${effect.value >= 0 ? '+' : '−'}${Math.abs(effect.value).toFixed(2)}`);
+    const factor = `×${paper.learned.factor.toFixed(2)}`;
+    return effects.length > 0 ? `${factor} (${effects.join(', ')})` : factor;
+  },
+  
+  /**
+   * "4 other candidates (9 times)", '' if never co-cited
+   * 
+   * @private
+   */
+  _coCitationText: function(paper) {
+    if (!paper.coCitedWith) return '';
+    const others = `${paper.coCitedWith} other candidate${paper.coCitedWith !== 1 ? 's' : ''}`;
+    return `${others} (${paper.coCitations} time${paper.coCitations !== 1 ? 's' : ''})`;
+  },
+  
+  /**
+   * Smallest "top X%" band a percentile falls into, or 0 if none
+   * 
+   * @private
+   * @param {number} [percentile] - 0-1, from Analyzer
+   * @returns {number} e.g. 10 or 25
+   */
+  _topShare: function(percentile) {
+    if (typeof percentile !== 'number') return 0;
+    const cutoff = this.TOP_PERCENTILES.find(p => percentile >= p);
+    return cutoff ? Math.round((1 - cutoff) * 100) : 0;
+  },
+  
+  /**
+   * " (~N per year)" suffix for the citation count, '' if not known
+   * 
+   * @private
+   */
+  _velocityText: function(paper) {
+    if (typeof paper.citationsPerYear !== 'number') return '';
+    return ` (~${paper.citationsPerYear.toLocaleString()} per year)`;
+  },
+  
   /**
    * Generate "About This Report" section (Markdown)
    * 
    * @private
+   * @param {Object} [profile] - Scoring profile of the run
+   * @param {Object} [learning] - Learned ranking of the run (options.learning)
+   * @param {Object} [watch] - { months, since } of a "What's New" run
    * @returns {string} About section
    */
-  _generateAboutSection: function() {
+  _generateAboutSection: function(profile, learning, watch) {
     const lines = [];
     
     lines.push('## 📘 About This Report\n');
     
-    lines.push('### What are "knowledge gaps"?\n');
-    lines.push('Papers frequently cited by your library but not in your collection. ');
-    lines.push('These represent important works you may have overlooked.\n');
+    if (watch) {
+      lines.push('### What is "new work"?\n');
+      lines.push(`Papers published in the last ${watch.months} months (since ${watch.since}) that cite papers in your collection, ranked by how many of your papers each one cites; citations per year only break ties. They are found like knowledge gaps — same sources, cache and filters — but in the citing direction only. Papers already in your library or dismissed are left out.\n`);
+    } else {
+      lines.push('### What are "knowledge gaps"?\n');
+      lines.push('Papers frequently cited by your library but not in your collection. ');
+      lines.push('These represent important works you may have overlooked.\n');
+      
+      lines.push('Each recommendation is labelled with how it was found:\n');
+      lines.push(`- ${this.GAP_EMOJI.foundational} **Foundational work you are missing**: cited by papers in your library (references)`);
+      lines.push(`- ${this.GAP_EMOJI.building} **Newer work building on your library**: cites papers in your library (citations)`);
+      lines.push(`- ${this.GAP_EMOJI.connected} **Cited by and citing your library**: found in both directions`);
+      lines.push(`- ${this.GAP_EMOJI['second-hop']} **One step removed**: cited by the top recommendations rather than by your library (second hop, when enabled); the score is reduced by the profile's second-hop factor\n`);
+    }
     
     lines.push('### How is scoring calculated?\n');
     lines.push('- **Mention frequency**: How many of your papers cite it (highest weight)');
-    lines.push('- **Academic impact**: Total citation count');
+    lines.push('- **Academic impact**: Citations per year, ranked against the other candidates of this run (or total citations, depending on the profile)');
     lines.push('- **Recency**: Publication year (recent papers get bonus)\n');
+    lines.push('"Top X%" and "newest X%" compare a paper with the other candidates found in this run.\n');
+    lines.push('**Diversity** (when turned on) picks the list one paper at a time, trading a little score for papers unlike those already listed: similarity counts shared citing items in your collection, shared authors and shared title words. Each paper shows how far it moved.\n');
+    lines.push('**Learned ranking** (when turned on) learns from your own feedback: papers of a report that you later add to Zotero count as accepted, papers you dismiss as not wanted. A logistic regression over mentions, impact, recency, co-citation and venue (share of your collection from the same venue) estimates how likely you are to want each paper and multiplies its score by ×0.5 (unlikely) to ×1.5 (likely). Each paper lists the features that moved it most, in log-odds. The model is trained and stored on this computer only.\n');
+    if (learning && learning.model) {
+      lines.push('**Learned weights** (log-odds per standard deviation of the feature; positive = you want such papers more often):\n');
+      LearnedRanker.describe(learning.model).forEach(line => lines.push(`- ${line}`));
+      lines.push('');
+    }
+    lines.push(`**Themes** (${this.THEME_EMOJI}) group the best-scored candidates by the papers of your collection they are linked to (bibliographic coupling), optionally together with shared title words. Each theme is labelled with the title words that set it apart and lists its top papers, so every sub-topic of your collection gets its own recommendations.\n`);
+    lines.push('**PageRank** ranks candidates by a random walk over the citation graph of this run that keeps returning to your papers: a paper linked to well-connected papers of your collection scores higher than one linked to the same number of isolated ones. Each paper shows its rank under both methods; the one used for the list is named above it. **Co-cited with** counts the other candidates cited by the same papers of your collection.\n');
+    
+    if (profile) {
+      lines.push(`**Scoring profile**: ${profile.name}\n`);
+      ScoringProfiles.describe(profile).forEach(line => lines.push(`- ${line}`));
+      lines.push('\nTo reproduce these results, save this profile as a `.json` file and import it under "Find Hidden Papers Settings..." → "Scoring profile":\n');
+      lines.push('```json');
+      lines.push(ScoringProfiles.exportJSON(profile));
+      lines.push('```\n');
+    }
     
     lines.push('### About 📚 "Early influential work"\n');
-    lines.push('Papers marked with 📚 are among the **earliest in your recommendations** ');
-    lines.push('with significant citations. This label is based on **relative analysis** ');
+    lines.push('Papers marked with 📚 are among the **oldest quarter** of the candidates in this run ');
+    lines.push('and in the **top quarter by citations**. This label is based on **relative analysis** ');
     lines.push('within your library, not absolute field history.\n');
     
     lines.push('**Important**: We identify papers that appear important in YOUR research ');
@@ -477,8 +1822,9 @@ var Reporter = {
     lines.push('### Reading suggestions\n');
     lines.push('1. Start with **Priority Reading** (Top 3 + Early influential)');
     lines.push('2. Click on DOI links to access papers directly (works with Zotero extensions)');
-    lines.push('3. Use Semantic Scholar for additional context and related papers');
+    lines.push('3. Use Semantic Scholar or OpenAlex for additional context and related papers');
     lines.push('4. Focus on papers with highest mention counts (cited by multiple papers)');
+    lines.push('5. Not useful? Right-click the collection → **Dismissed Recommendations...** to dismiss a paper (not relevant, already read, not accessible) for this collection or everywhere; later runs leave it out');
     
     lines.push('\n---\n');
     lines.push('### 💖“ Support This Project\n');
@@ -493,31 +1839,73 @@ var Reporter = {
    * Generate "About This Report" section (HTML)
    * 
    * @private
+   * @param {Object} [profile] - Scoring profile of the run
+   * @param {Object} [learning] - Learned ranking of the run (options.learning)
+   * @param {Object} [watch] - { months, since } of a "What's New" run
    */
-  _generateAboutSectionHTML: function() {
+  _generateAboutSectionHTML: function(profile, learning, watch) {
     const html = [];
     
     html.push('      <div class="about-content">');
-    html.push('        <h3>What are "knowledge gaps"?</h3>');
-    html.push('        <p>Papers frequently cited by your library but not in your collection. These represent important works you may have overlooked.</p>');
+    if (watch) {
+      html.push('        <h3>What is "new work"?</h3>');
+      html.push(`        <p>Papers published in the last ${watch.months} months (since ${watch.since}) that cite papers in your collection, ranked by how many of your papers each one cites; citations per year only break ties. They are found like knowledge gaps — same sources, cache and filters — but in the citing direction only. Papers already in your library or dismissed are left out.</p>`);
+    } else {
+      html.push('        <h3>What are "knowledge gaps"?</h3>');
+      html.push('        <p>Papers frequently cited by your library but not in your collection. These represent important works you may have overlooked.</p>');
+      html.push('        <p>Each recommendation is labelled with how it was found:</p>');
+      html.push('        <ul>');
+      html.push(`          <li>${this.GAP_EMOJI.foundational} <strong>Foundational work you are missing</strong>: cited by papers in your library (references)</li>`);
+      html.push(`          <li>${this.GAP_EMOJI.building} <strong>Newer work building on your library</strong>: cites papers in your library (citations)</li>`);
+      html.push(`          <li>${this.GAP_EMOJI.connected} <strong>Cited by and citing your library</strong>: found in both directions</li>`);
+      html.push(`          <li>${this.GAP_EMOJI['second-hop']} <strong>One step removed</strong>: cited by the top recommendations rather than by your library (second hop, when enabled); the score is reduced by the profile's second-hop factor</li>`);
+      html.push('        </ul>');
+    }
     
     html.push('        <h3>How is scoring calculated?</h3>');
     html.push('        <ul>');
     html.push('          <li><strong>Mention frequency</strong>: How many of your papers cite it (highest weight)</li>');
-    html.push('          <li><strong>Academic impact</strong>: Total citation count</li>');
+    html.push('          <li><strong>Academic impact</strong>: Citations per year, ranked against the other candidates of this run (or total citations, depending on the profile)</li>');
     html.push('          <li><strong>Recency</strong>: Publication year (recent papers get bonus)</li>');
     html.push('        </ul>');
+    html.push('        <p>"Top X%" and "newest X%" compare a paper with the other candidates found in this run.</p>');
+    html.push('        <p><strong>Diversity</strong> (when turned on) picks the list one paper at a time, trading a little score for papers unlike those already listed: similarity counts shared citing items in your collection, shared authors and shared title words. Each paper shows how far it moved.</p>');
+    html.push('        <p><strong>Learned ranking</strong> (when turned on) learns from your own feedback: papers of a report that you later add to Zotero count as accepted, papers you dismiss as not wanted. A logistic regression over mentions, impact, recency, co-citation and venue (share of your collection from the same venue) estimates how likely you are to want each paper and multiplies its score by ×0.5 (unlikely) to ×1.5 (likely). Each paper lists the features that moved it most, in log-odds. The model is trained and stored on this computer only.</p>');
+    if (learning && learning.model) {
+      html.push('        <p><strong>Learned weights</strong> (log-odds per standard deviation of the feature; positive = you want such papers more often):</p>');
+      html.push('        <ul>');
+      LearnedRanker.describe(learning.model).forEach(line => {
+        html.push(`          <li>${this._escapeHTML(line)}</li>`);
+      });
+      html.push('        </ul>');
+    }
+    html.push(`        <p><strong>Themes</strong> (${this.THEME_EMOJI}) group the best-scored candidates by the papers of your collection they are linked to (bibliographic coupling), optionally together with shared title words. Each theme is labelled with the title words that set it apart and lists its top papers, so every sub-topic of your collection gets its own recommendations.</p>`);
+    html.push('        <p><strong>PageRank</strong> ranks candidates by a random walk over the citation graph of this run that keeps returning to your papers: a paper linked to well-connected papers of your collection scores higher than one linked to the same number of isolated ones. Each paper shows its rank under both methods; the one used for the list is named above it. <strong>Co-cited with</strong> counts the other candidates cited by the same papers of your collection.</p>');
+    
+    if (profile) {
+      html.push(`        <p><strong>Scoring profile:</strong> ${this._escapeHTML(profile.name)}</p>`);
+      html.push('        <ul>');
+      ScoringProfiles.describe(profile).forEach(line => {
+        html.push(`          <li>${this._escapeHTML(line)}</li>`);
+      });
+      html.push('        </ul>');
+      html.push('        <details class="profile-json">');
+      html.push('          <summary>Profile JSON (save as a .json file and import it under "Find Hidden Papers Settings..." to reproduce these results)</summary>');
+      html.push(`          <pre>${this._escapeHTML(ScoringProfiles.exportJSON(profile))}</pre>`);
+      html.push('        </details>');
+    }
     
     html.push('        <h3>About 📚 "Early influential work"</h3>');
-    html.push('        <p>Papers marked with 📚 are among the <strong>earliest in your recommendations</strong> with significant citations. This label is based on <strong>relative analysis</strong> within your library, not absolute field history.</p>');
+    html.push('        <p>Papers marked with 📚 are among the <strong>oldest quarter</strong> of the candidates in this run and in the <strong>top quarter by citations</strong>. This label is based on <strong>relative analysis</strong> within your library, not absolute field history.</p>');
     html.push('        <p><strong>Important</strong>: We identify papers that appear important in YOUR research context, but cannot guarantee they are definitively "pioneering" works in the broader field.</p>');
     
     html.push('        <h3>Reading suggestions</h3>');
     html.push('        <ol>');
     html.push('          <li>Start with <strong>Priority Reading</strong> (Top 3 + Early influential)</li>');
     html.push('          <li>Click on DOI links to access papers directly (works with Zotero extensions)</li>');
-    html.push('          <li>Use Semantic Scholar for additional context and related papers</li>');
+    html.push('          <li>Use Semantic Scholar or OpenAlex for additional context and related papers</li>');
     html.push('          <li>Focus on papers with highest mention counts</li>');
+    html.push('          <li>Not useful? Right-click the collection → <strong>Dismissed Recommendations...</strong> to dismiss a paper (not relevant, already read, not accessible) for this collection or everywhere; later runs leave it out</li>');
     html.push('        </ol>');
     html.push('      </div>');
     
@@ -628,6 +2016,58 @@ section {
   margin-bottom: 20px;
 }
 
+.theme-section {
+  margin-top: 30px;
+}
+
+.theme-more {
+  color: #586069;
+  font-size: 0.9em;
+}
+
+.author-card {
+  border-left: 4px solid #e1e4e8;
+  padding: 5px 15px;
+  margin: 20px 0;
+}
+
+.author-card ul {
+  padding-left: 20px;
+}
+
+.author-card .relation,
+.author-counts {
+  color: #586069;
+  font-size: 0.9em;
+}
+
+.distributions h4 {
+  margin-top: 20px;
+}
+
+.distributions .findings li {
+  padding: 4px 0;
+}
+
+.chart-note {
+  color: #586069;
+  font-size: 0.85em;
+  font-weight: normal;
+}
+
+.distribution-chart {
+  display: block;
+  max-width: 100%;
+  height: auto;
+  font-size: 12px;
+  fill: #24292e;
+}
+
+.distribution-chart .chart-value {
+  fill: #586069;
+  font-size: 11px;
+}
+
 .paper-card {
   background: #f6f8fa;
   border-left: 4px solid #e1e4e8;
@@ -647,6 +2087,14 @@ section {
   border-left-color: #fdb71a;
 }
 
+.low-confidence {
+  background: #fff8e1;
+  border-left: 4px solid #f0ad4e;
+  padding: 10px 20px;
+  margin: 15px 0;
+  border-radius: 4px;
+}
+
 .badge {
   display: inline-block;
   padding: 4px 12px;
@@ -658,6 +2106,36 @@ section {
   color: #856404;
 }
 
+.badge.gap-foundational {
+  background: #e6f0ff;
+  color: #1f4e8c;
+}
+
+.badge.gap-building {
+  background: #e6f7ea;
+  color: #1e6b34;
+}
+
+.badge.gap-second-hop {
+  background: #fff1e6;
+  color: #8a4b08;
+}
+
+.badge.gap-connected {
+  background: #f3e8ff;
+  color: #5b2d8c;
+}
+
+.badge.owned {
+  background: #e6f4ea;
+  color: #1e6b34;
+}
+
+.owned-link {
+  font-size: 0.85em;
+  margin-left: 4px;
+}
+
 .score {
   font-size: 1.2em;
   font-weight: bold;
@@ -665,6 +2143,12 @@ section {
   margin: 10px 0;
 }
 
+.score .pagerank {
+  font-size: 0.85em;
+  color: #6a737d;
+  margin-left: 12px;
+}
+
 .metadata {
   list-style: none;
   padding: 0;
@@ -719,6 +2203,76 @@ section {
   background: #c82333;
 }
 
+.link-btn.oa {
+  background: #f66a0a;
+}
+
+.link-btn.oa:hover {
+  background: #d15704;
+}
+
+.link-btn.ids {
+  background: #586069;
+}
+
+.link-btn.ids:hover {
+  background: #444d56;
+}
+
+.authors {
+  color: #586069;
+  font-size: 0.95em;
+  margin: 5px 0 10px;
+}
+
+.tldr {
+  background: #f1f8ff;
+  border-left: 4px solid #0366d6;
+  padding: 8px 15px;
+  margin: 10px 0;
+  border-radius: 4px;
+}
+
+.linked-items {
+  margin: 10px 0;
+}
+
+.linked-items summary {
+  cursor: pointer;
+  color: #0366d6;
+  font-weight: 600;
+}
+
+.linked-items ul {
+  margin: 8px 0 0;
+  padding-left: 20px;
+}
+
+.linked-items li {
+  padding: 2px 0;
+}
+
+.linked-items .relation {
+  color: #586069;
+  font-size: 0.9em;
+}
+
+.abstract {
+  margin: 10px 0;
+  color: #24292e;
+}
+
+.abstract summary {
+  cursor: pointer;
+  color: #0366d6;
+  font-weight: 600;
+}
+
+.abstract p {
+  margin: 8px 0 0;
+  line-height: 1.5;
+}
+
 .reasons {
   margin-top: 15px;
   padding-top: 15px;
@@ -751,6 +2305,20 @@ section {
   margin: 5px 0;
 }
 
+.profile-json summary {
+  cursor: pointer;
+  color: #0366d6;
+}
+
+.profile-json pre {
+  background: white;
+  border: 1px solid #e1e4e8;
+  border-radius: 4px;
+  padding: 10px;
+  overflow-x: auto;
+  font-size: 0.85em;
+}
+
 .support-section {
   background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
   color: white;
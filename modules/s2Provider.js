@@ -0,0 +1,763 @@
+/**
+ * LitGap - Semantic Scholar Provider
+ * Citation-source provider backed by the Semantic Scholar Graph API
+ *
+ * @module s2Provider
+ * @version 1.8.0
+ *
+ * CHANGELOG:
+ * v1.8.0 - Linked papers carry their publicationVenue; getVenueIssns()
+ * v1.7.0 - Library and linked papers carry their authors ({ authorId, name },
+ *          author-level gaps)
+ * v1.6.0 - Linked papers carry their publication date (watch mode)
+ * v1.5.0 - Linked papers carry their venue (LearnedRanker's venue feature)
+ * v1.4.0 - fetchMetadata(): authors, venue, abstract, TLDR, fields of study
+ *          and open-access PDF of recommended papers
+ * v1.3.0 - Pass each paper's result to reportDone(); let cancellation
+ *          errors from API.request() through
+ * v1.2.0 - Requests go through API.request() (shared rate limiter) instead
+ *          of a fixed 3 s sleep; optional API key sent as x-api-key; single
+ *          lookups and list paging run concurrently when the key allows it
+ * v1.1.0 - Linked papers carry externalIds; getExternalIds() for Merger
+ * v1.0.0 - Split out of api.js (v1.9.0) behind the provider interface:
+ *          batch lookup, single-ID fallback, title match and pagination
+ *          are unchanged
+ *
+ * Provider interface (see API.PROVIDERS):
+ *   id, name, cacheNamespace
+ *   lookupPapers(papers, listKeys, reportDone) → Promise<Array>
+ *   completeLists(papers, lookups, listKeys)   → Promise<number[]>
+ *   paperURL(paperId)                          → string
+ *   getExternalIds(linked)                     → { doi, arxiv, ... }
+ *   getVenueIssns(linked)                      → ['0899-7667', ...]
+ *   fetchMetadata(paperIds)                    → Promise<Object>
+ *   getRateLimit(), getHeaders()
+ *
+ * Preference Keys (namespace: extensions.zotero.litgap.*)
+ *   s2ApiKey → optional Semantic Scholar API key (higher rate limit)
+ *
+ * Paper data already comes in the shape API expects:
+ *   { paperId, title, year, citationCount, referenceCount, authors,
+ *     references: [{ paperId, title, year, citationCount, authors }], citations: [...] }
+ */
+
+var S2Provider = {
+  
+  id: 'semanticscholar',
+  name: 'Semantic Scholar',
+  cacheNamespace: '', // Un-namespaced keys keep caches from before providers valid
+  
+  /**
+   * API Configuration
+   */
+  baseURL: "https://api.semanticscholar.org/graph/v1",
+  maxRetries: 3, // Maximum retry attempts for rate limiting
+  retryDelay: 6000, // Backoff unit when a 429 carries no Retry-After
+  
+  /**
+   * Rate limits (see RateLimiter): the shared unauthenticated pool is
+   * throttled hard, so without a key stay at one request every 3 seconds
+   */
+  RATE_LIMIT: { requestsPerSecond: 1 / 3, burst: 1, maxConcurrent: 1 },
+  KEYED_RATE_LIMIT: { requestsPerSecond: 1, burst: 1, maxConcurrent: 2 },
+  BATCH_LIMIT: 500, // Hard limit of the /paper/batch endpoint
+  NESTED_LIST_CAP: 1000, // Nested citations/references are truncated at this length
+  PAGE_SIZE: 1000, // Max limit per /paper/{id}/citations|references page
+  
+  /**
+   * Semantic Scholar ID prefix per identifier type (see API.ID_TYPES).
+   * ISBN is not an S2 identifier — books with only an ISBN go through the
+   * title match like papers without any identifier.
+   */
+  ID_PREFIXES: {
+    doi: 'DOI',
+    arxiv: 'ARXIV',
+    pmid: 'PMID',
+    pmcid: 'PMCID',
+    corpusId: 'CorpusId'
+  },
+  
+  /**
+   * Fields requested for each library paper; the nested list fields are
+   * appended per direction by _getPaperFields()
+   */
+  PAPER_FIELDS: "paperId,title,year,citationCount,referenceCount,authors",
+  LINKED_PAPER_FIELDS: ['paperId', 'title', 'year', 'citationCount', 'externalIds', 'venue', 'publicationVenue', 'publicationDate', 'authors'],
+  METADATA_FIELDS: "paperId,authors,venue,journal,externalIds,abstract,tldr,fieldsOfStudy,s2FieldsOfStudy,openAccessPdf",
+  
+  /**
+   * Semantic Scholar externalIds key per identifier type, for
+   * getExternalIds()
+   */
+  EXTERNAL_ID_KEYS: {
+    doi: 'DOI',
+    arxiv: 'ArXiv',
+    pmid: 'PubMed',
+    pmcid: 'PubMedCentral',
+    mag: 'MAG',
+    corpusId: 'CorpusId'
+  },
+  
+  /**
+   * Resolve paper data for papers the cache could not answer, in two passes:
+   *   1. POST /paper/batch for all papers with an identifier
+   *      (chunks of API.getBatchSize(), first identifier of each paper)
+   *   2. Single requests for anything the batch call rejected: remaining
+   *      identifiers in API.ID_TYPES order, then the title+year match
+   *
+   * @param {Array} papers - Array of paper objects from Parser
+   * @param {string[]} listKeys - Nested lists needed ('references', 'citations')
+   * @param {Function} reportDone - Called with (index, result) of each finished paper
+   * @returns {Promise<Array>} Aligned with papers: paper data (with
+   *          resolvedBy), 'NOT_FOUND', or null if a request failed
+   */
+  lookupPapers: async function(papers, listKeys, reportDone) {
+    const fields = this._getPaperFields(listKeys);
+    const results = new Array(papers.length).fill(null);
+    let pending = papers.map((paper, i) => i);
+    
+    // Index into getLookupIds() where the single pass starts for each paper
+    const skipIds = {};
+    
+    // Pass 1: batch (only worth it for more than one ID)
+    const batchable = pending.filter(i => this.getLookupIds(papers[i]).length > 0);
+    if (API.isBatchEnabled() && batchable.length > 1) {
+      const batchSize = API.getBatchSize();
+      const rejected = [];
+      
+      for (let start = 0; start < batchable.length; start += batchSize) {
+        const chunk = batchable.slice(start, start + batchSize);
+        const ids = chunk.map(i => this.getLookupIds(papers[i])[0].id);
+        
+        Zotero.debug(`S2Provider: Batch request for ${chunk.length} IDs (${start + 1}-${start + chunk.length} of ${batchable.length})`);
+        const batch = await this._fetchBatchWithRetry(ids, fields);
+        
+        if (!batch) {
+          // Whole batch failed — every paper goes through the single path
+          rejected.push(...chunk);
+          continue;
+        }
+        
+        chunk.forEach((i, k) => {
+          if (batch[k]) {
+            batch[k].resolvedBy = this.getLookupIds(papers[i])[0].type;
+            results[i] = batch[k];
+            reportDone(i, results[i]);
+          } else {
+            // Unknown first ID — no point asking for it again
+            skipIds[i] = 1;
+            rejected.push(i);
+          }
+        });
+      }
+      
+      Zotero.debug(`S2Provider: Batch lookup resolved ${batchable.length - rejected.length}/${batchable.length}, ${rejected.length} falling back to single requests`);
+      const batched = new Set(batchable);
+      pending = pending.filter(i => !batched.has(i)).concat(rejected);
+    }
+    
+    // Pass 2: single requests (other identifiers, then title match)
+    await API.forEachConcurrent(this, pending, async (i) => {
+      Zotero.debug(`S2Provider: Single lookup: ${papers[i].title.substring(0, 50)}...`);
+      results[i] = await this._resolveSingle(papers[i], fields, skipIds[i] || 0);
+      reportDone(i, results[i]);
+    });
+    
+    return results;
+  },
+  
+  /**
+   * Replace truncated nested lists with the full paginated list.
+   *
+   * A nested list counts as truncated when it reached NESTED_LIST_CAP while
+   * the paper's citationCount/referenceCount says there are more entries.
+   * Completed lists are marked in pagedLists so a list stopped by the
+   * per-paper cap is not paged again when it comes back from the cache.
+   *
+   * @param {Array} papers - Array of paper objects from Parser
+   * @param {Array} lookups - Paper data aligned with papers (modified in place)
+   * @param {string[]} listKeys - 'references' and/or 'citations'
+   * @returns {Promise<number[]>} Indices of papers whose data changed
+   */
+  completeLists: async function(papers, lookups, listKeys) {
+    const maxLinks = API.getMaxLinksPerPaper();
+    const changed = [];
+    
+    await API.forEachConcurrent(this, papers.map((paper, i) => i), async (i) => {
+      const result = lookups[i];
+      if (!result || !result.paperId) return;
+      
+      for (const key of listKeys) {
+        const linked = result[key] || [];
+        const expected = key === 'citations' ? result.citationCount : result.referenceCount;
+        const alreadyPaged = (result.pagedLists || []).includes(key);
+        
+        if (alreadyPaged || linked.length < this.NESTED_LIST_CAP || !(expected > linked.length)) {
+          continue;
+        }
+        
+        Zotero.debug(`S2Provider: ${key} list capped at ${linked.length}/${expected} - paging: ${papers[i].title.substring(0, 50)}`);
+        const full = await this._fetchAllLinks(result.paperId, key, Math.min(expected, maxLinks));
+        
+        if (full && full.length > linked.length) {
+          result[key] = full;
+          result.pagedLists = (result.pagedLists || []).concat(key);
+          API.stats.pagedLists++;
+          if (expected > maxLinks) {
+            API.stats.cappedLists++;
+          }
+          if (!changed.includes(i)) changed.push(i);
+          Zotero.debug(`S2Provider:   ✓ ${key}: ${linked.length} → ${full.length}`);
+        }
+      }
+    });
+    
+    return changed;
+  },
+  
+  /**
+   * Saved Semantic Scholar API key ('' if none)
+   *
+   * @returns {string}
+   */
+  getApiKey: function() {
+    const key = Zotero.Prefs.get(API.PREF_PREFIX + 's2ApiKey', true);
+    return typeof key === 'string' ? key.trim() : '';
+  },
+  
+  /**
+   * Save the Semantic Scholar API key ('' removes it)
+   *
+   * @param {string} key
+   */
+  setApiKey: function(key) {
+    Zotero.Prefs.set(API.PREF_PREFIX + 's2ApiKey', String(key || '').trim());
+  },
+  
+  /**
+   * Rate limit for RateLimiter, depending on whether a key is set
+   *
+   * @returns {Object} { requestsPerSecond, burst, maxConcurrent }
+   */
+  getRateLimit: function() {
+    return this.getApiKey() ? this.KEYED_RATE_LIMIT : this.RATE_LIMIT;
+  },
+  
+  /**
+   * Headers added to every request (the API key, if set)
+   *
+   * @returns {Object}
+   */
+  getHeaders: function() {
+    const key = this.getApiKey();
+    return key ? { 'x-api-key': key } : {};
+  },
+  
+  /**
+   * Semantic Scholar IDs for a paper, in API.ID_TYPES order
+   *
+   * @param {Object} paper - Paper object from Parser
+   * @returns {Array<{type: string, id: string}>} e.g. [{ type: 'doi', id: 'DOI:10.1/x' }]
+   */
+  getLookupIds: function(paper) {
+    return API.getIdentifiers(paper)
+      .filter(ref => this.ID_PREFIXES[ref.type])
+      .map(ref => ({ type: ref.type, id: `${this.ID_PREFIXES[ref.type]}:${ref.value}` }));
+  },
+  
+  /**
+   * Link to a paper on semanticscholar.org
+   *
+   * @param {string} paperId - S2 paper ID
+   * @returns {string} URL
+   */
+  paperURL: function(paperId) {
+    return `https://www.semanticscholar.org/paper/${paperId}`;
+  },
+  
+  /**
+   * Identifiers of a linked paper, from its externalIds field. Entries
+   * cached before v1.1.0 have no externalIds and only get the S2 ID.
+   *
+   * @param {Object} linked - Entry of a references/citations list
+   * @returns {Object} { doi, arxiv, pmid, pmcid, mag, corpusId, s2 }
+   */
+  getExternalIds: function(linked) {
+    const external = linked.externalIds || {};
+    const ids = { s2: linked.paperId || '' };
+    Object.keys(this.EXTERNAL_ID_KEYS).forEach(type => {
+      const value = external[this.EXTERNAL_ID_KEYS[type]];
+      ids[type] = value ? String(value) : '';
+    });
+    ids.pmcid = ids.pmcid.replace(/^PMC/i, '');
+    return ids;
+  },
+  
+  /**
+   * ISSNs of a linked paper's venue, from its publicationVenue field
+   *
+   * @param {Object} linked - Entry of a references/citations list
+   * @returns {string[]} Print and electronic ISSNs ([] if unknown)
+   */
+  getVenueIssns: function(linked) {
+    const venue = linked.publicationVenue || {};
+    return [venue.issn].concat(venue.alternate_issns || []).filter(Boolean).map(String);
+  },
+  
+  /**
+   * Descriptive metadata of recommended papers, via POST /paper/batch
+   * (BATCH_LIMIT IDs per request)
+   *
+   * @param {string[]} paperIds - S2 paper IDs
+   * @returns {Promise<Object>} paperId → metadata (see API.enrichRecommendations),
+   *          or null for IDs S2 does not know. IDs of failed requests are left out.
+   */
+  fetchMetadata: async function(paperIds) {
+    const metadata = {};
+    
+    for (let start = 0; start < paperIds.length; start += this.BATCH_LIMIT) {
+      const chunk = paperIds.slice(start, start + this.BATCH_LIMIT);
+      const batch = await this._fetchBatchWithRetry(chunk, this.METADATA_FIELDS);
+      if (!batch) continue;
+      
+      chunk.forEach((id, k) => {
+        metadata[id] = batch[k] ? this._normalizeMetadata(batch[k]) : null;
+      });
+    }
+    
+    return metadata;
+  },
+  
+  /**
+   * Page through /paper/{id}/citations or /paper/{id}/references
+   * 
+   * @private
+   * @param {string} paperId - Semantic Scholar paper ID
+   * @param {string} key - 'citations' | 'references'
+   * @param {number} limit - Stop after this many entries
+   * @returns {Promise<Array|null>} Linked papers in nested-list shape, or null
+   *          if the first page failed
+   */
+  _fetchAllLinks: async function(paperId, key, limit) {
+    // Each page entry wraps the linked paper in citingPaper / citedPaper
+    const wrapper = key === 'citations' ? 'citingPaper' : 'citedPaper';
+    const fields = this.LINKED_PAPER_FIELDS.join(',');
+    const links = [];
+    let offset = 0;
+    
+    while (links.length < limit) {
+      const pageSize = Math.min(this.PAGE_SIZE, limit - links.length);
+      const url = `${this.baseURL}/paper/${paperId}/${key}?fields=${fields}&offset=${offset}&limit=${pageSize}`;
+      const page = await this._fetchPageWithRetry(url);
+      
+      if (!page || !Array.isArray(page.data)) {
+        // Keep what we have — a partial list still beats the truncated one
+        return links.length > 0 ? links : null;
+      }
+      
+      page.data.forEach(entry => {
+        if (entry && entry[wrapper]) links.push(entry[wrapper]);
+      });
+      
+      if (page.next === undefined || page.next === null || page.data.length === 0) {
+        break;
+      }
+      offset = page.next;
+    }
+    
+    return links.slice(0, limit);
+  },
+  
+  /**
+   * Fetch one page of a paginated endpoint with retry logic
+   * 
+   * @private
+   * @param {string} url - Full request URL
+   * @param {number} attempt - Current attempt number
+   * @returns {Promise<Object|null>} Page ({ offset, next, data }) or null
+   */
+  _fetchPageWithRetry: async function(url, attempt = 1) {
+    const result = await this._fetchPage(url);
+    
+    if (result === 'RATE_LIMITED' && attempt < this.maxRetries) {
+      await API.backoff(this, attempt);
+      return this._fetchPageWithRetry(url, attempt + 1);
+    }
+    
+    return result === 'RATE_LIMITED' ? null : result;
+  },
+  
+  /**
+   * Fetch one page of a paginated endpoint
+   * 
+   * @private
+   * @param {string} url - Full request URL
+   * @returns {Promise<Object|string|null>} Page, 'RATE_LIMITED', or null
+   */
+  _fetchPage: async function(url) {
+    API.stats.totalRequests++;
+    API.stats.pagesFetched++;
+    
+    try {
+      const response = await API.request(this, 'GET', url, {
+        responseType: 'json',
+        timeout: 30000,
+        successCodes: false
+      });
+      
+      if (response.status === 200) {
+        API.stats.successful++;
+        return typeof response.response === 'string'
+          ? JSON.parse(response.response)
+          : response.response;
+      } else if (response.status === 429) {
+        API.stats.rateLimited++;
+        Zotero.debug(`S2Provider: Rate limit hit (page)`);
+        return 'RATE_LIMITED';
+      } else {
+        API.stats.failed++;
+        Zotero.debug(`S2Provider: Page HTTP Error ${response.status}`);
+        return null;
+      }
+      
+    } catch (error) {
+      if (API.isCancelError(error)) throw error; // Run cancelled — stop, do not count as failed
+      API.stats.failed++;
+      Zotero.debug(`S2Provider: Page request failed: ${error.message}`);
+      return null;
+    }
+  },
+  
+  /**
+   * Fetch a batch of papers by ID with retry logic
+   *
+   * @private
+   * @param {string[]} ids - Prefixed S2 IDs, e.g. 'DOI:10.1/x' (at most BATCH_LIMIT)
+   * @param {string} fields - Fields query parameter
+   * @param {number} attempt - Current attempt number
+   * @returns {Promise<Array|null>} Results aligned with ids (null entries for
+   *          unknown IDs), or null if the whole batch failed
+   */
+  _fetchBatchWithRetry: async function(ids, fields, attempt = 1) {
+    const result = await this._fetchBatch(ids, fields);
+    
+    if (result === 'RATE_LIMITED' && attempt < this.maxRetries) {
+      await API.backoff(this, attempt);
+      return this._fetchBatchWithRetry(ids, fields, attempt + 1);
+    }
+    
+    return result === 'RATE_LIMITED' ? null : result;
+  },
+  
+  /**
+   * Fetch a batch of papers via POST /paper/batch
+   *
+   * @private
+   * @param {string[]} ids - Prefixed S2 IDs
+   * @param {string} fields - Fields query parameter
+   * @returns {Promise<Array|string|null>} Results aligned with ids,
+   *          'RATE_LIMITED', or null on failure
+   */
+  _fetchBatch: async function(ids, fields) {
+    API.stats.totalRequests++;
+    API.stats.batchRequests++;
+    
+    const url = `${this.baseURL}/paper/batch?fields=${fields}`;
+    const body = JSON.stringify({ ids: ids });
+    
+    try {
+      const response = await API.request(this, 'POST', url, {
+        body: body,
+        headers: { 'Content-Type': 'application/json' },
+        responseType: 'json',
+        timeout: 60000,
+        successCodes: false
+      });
+      
+      if (response.status === 200) {
+        const data = typeof response.response === 'string'
+          ? JSON.parse(response.response)
+          : response.response;
+        
+        if (!Array.isArray(data) || data.length !== ids.length) {
+          Zotero.debug(`S2Provider: Unexpected batch response shape`);
+          API.stats.failed++;
+          return null;
+        }
+        
+        API.stats.successful++;
+        return data;
+      } else if (response.status === 429) {
+        API.stats.rateLimited++;
+        Zotero.debug(`S2Provider: Rate limit hit (batch)`);
+        return 'RATE_LIMITED';
+      } else {
+        // 400 = no valid IDs in the batch; anything else is a server problem.
+        // Either way the single-ID path gets a chance at each paper.
+        API.stats.failed++;
+        Zotero.debug(`S2Provider: Batch HTTP Error ${response.status}`);
+        return null;
+      }
+      
+    } catch (error) {
+      if (API.isCancelError(error)) throw error;
+      API.stats.failed++;
+      Zotero.debug(`S2Provider: Batch request failed: ${error.message}`);
+      return null;
+    }
+  },
+  
+  /**
+   * Resolve one paper with single requests: each identifier in turn, then
+   * the title+year match.
+   *
+   * @private
+   * @param {Object} paper - Paper object from Parser
+   * @param {string} fields - Fields query parameter
+   * @param {number} skip - Number of leading identifiers already known to fail
+   * @returns {Promise<Object|string|null>} Paper data (with resolvedBy),
+   *          'NOT_FOUND' if every method came back empty, or null if a
+   *          request failed (so the result is not cached)
+   */
+  _resolveSingle: async function(paper, fields, skip = 0) {
+    let failed = false;
+    
+    for (const ref of this.getLookupIds(paper).slice(skip)) {
+      const data = await this._fetchPaperByIdWithRetry(ref.id, fields);
+      if (data && data !== 'NOT_FOUND') {
+        data.resolvedBy = ref.type;
+        return data;
+      }
+      if (!data) failed = true;
+    }
+    
+    if (!paper.title) {
+      return failed ? null : 'NOT_FOUND';
+    }
+    
+    const match = await this._matchTitleWithRetry(paper.title);
+    if (!match) {
+      return null;
+    }
+    if (match === 'NOT_FOUND') {
+      return failed ? null : 'NOT_FOUND';
+    }
+    
+    const confidence = API.titleMatchConfidence(paper, match);
+    if (confidence < API.MIN_MATCH_CONFIDENCE) {
+      API.stats.rejectedMatches++;
+      Zotero.debug(`S2Provider:   ✗ Title match rejected (${Math.round(confidence * 100)}%): "${(match.title || '').substring(0, 50)}"`);
+      return failed ? null : 'NOT_FOUND';
+    }
+    
+    // The search endpoint cannot return nested lists — fetch the match by ID
+    const data = await this._fetchPaperByIdWithRetry(match.paperId, fields);
+    if (data && data !== 'NOT_FOUND') {
+      API.stats.titleMatches++;
+      data.resolvedBy = 'title';
+      Zotero.debug(`S2Provider:   ✓ Title match (${Math.round(confidence * 100)}%): "${(data.title || '').substring(0, 50)}"`);
+      return data;
+    }
+    return data;
+  },
+  
+  /**
+   * Fetch single paper by ID with retry logic
+   *
+   * @private
+   * @param {string} id - Prefixed S2 ID ('DOI:10.1/x', 'ARXIV:2101.00001')
+   *        or a bare S2 paperId
+   * @param {string} fields - Fields query parameter
+   * @param {number} attempt - Current attempt number
+   * @returns {Promise<Object|string|null>} Paper data, 'NOT_FOUND', or null
+   */
+  _fetchPaperByIdWithRetry: async function(id, fields, attempt = 1) {
+    const result = await this._fetchPaperById(id, fields);
+    
+    // If rate limited and we have retries left
+    if (result === 'RATE_LIMITED' && attempt < this.maxRetries) {
+      await API.backoff(this, attempt);
+      return this._fetchPaperByIdWithRetry(id, fields, attempt + 1);
+    }
+    
+    return result === 'RATE_LIMITED' ? null : result;
+  },
+  
+  /**
+   * Fetch single paper by ID
+   *
+   * @private
+   * @param {string} id - Prefixed S2 ID or bare S2 paperId
+   * @param {string} fields - Fields query parameter
+   * @returns {Promise<Object|string|null>} Paper data, 'NOT_FOUND',
+   *          'RATE_LIMITED', or null on failure
+   */
+  _fetchPaperById: async function(id, fields) {
+    API.stats.totalRequests++;
+    
+    // URL encode the ID value but keep the 'DOI:' style prefix readable
+    const match = id.match(/^([A-Za-z]+:)?(.*)$/);
+    const url = `${this.baseURL}/paper/${match[1] || ''}${encodeURIComponent(match[2])}`;
+    
+    try {
+      // Make HTTP request through the shared rate limiter
+      const response = await API.request(
+        this,
+        'GET',
+        `${url}?fields=${fields}`,
+        {
+          responseType: 'json',
+          timeout: 10000,
+          successCodes: false // Handle 404/429 below instead of throwing
+        }
+      );
+      
+      // Handle response
+      if (response.status === 200) {
+        API.stats.successful++;
+        try {
+          // Zotero.HTTP.request with responseType:'json' returns parsed object
+          // Check if response is already an object or needs parsing
+          return typeof response.response === 'string'
+            ? JSON.parse(response.response)
+            : response.response;
+        } catch (e) {
+          Zotero.debug(`S2Provider: Error parsing JSON: ${e.message}`);
+          API.stats.failed++;
+          return null;
+        }
+      } else if (response.status === 404) {
+        return 'NOT_FOUND';
+      } else if (response.status === 429) {
+        API.stats.rateLimited++;
+        Zotero.debug(`S2Provider: Rate limit hit`);
+        return 'RATE_LIMITED';
+      } else {
+        API.stats.failed++;
+        Zotero.debug(`S2Provider: HTTP Error ${response.status} for ${id.substring(0, 40)}...`);
+        return null;
+      }
+      
+    } catch (error) {
+      if (API.isCancelError(error)) throw error;
+      // Check if error is rate limit (429)
+      if (error.message && error.message.includes('429')) {
+        API.stats.rateLimited++;
+        return 'RATE_LIMITED';
+      }
+      
+      API.stats.failed++;
+      Zotero.debug(`S2Provider: Request failed: ${error.message}`);
+      Zotero.logError(error);
+      return null;
+    }
+  },
+  
+  /**
+   * Title match with retry logic
+   *
+   * @private
+   * @param {string} title - Paper title
+   * @param {number} attempt - Current attempt number
+   * @returns {Promise<Object|string|null>} Best match ({ paperId, title, year }),
+   *          'NOT_FOUND', or null on failure
+   */
+  _matchTitleWithRetry: async function(title, attempt = 1) {
+    const result = await this._matchTitle(title);
+    
+    if (result === 'RATE_LIMITED' && attempt < this.maxRetries) {
+      await API.backoff(this, attempt);
+      return this._matchTitleWithRetry(title, attempt + 1);
+    }
+    
+    return result === 'RATE_LIMITED' ? null : result;
+  },
+  
+  /**
+   * Best title match via GET /paper/search/match
+   *
+   * @private
+   * @param {string} title - Paper title
+   * @returns {Promise<Object|string|null>} Match, 'NOT_FOUND', 'RATE_LIMITED',
+   *          or null on failure
+   */
+  _matchTitle: async function(title) {
+    API.stats.totalRequests++;
+    
+    const url = `${this.baseURL}/paper/search/match?query=${encodeURIComponent(title)}&fields=paperId,title,year`;
+    
+    try {
+      const response = await API.request(this, 'GET', url, {
+        responseType: 'json',
+        timeout: 10000,
+        successCodes: false
+      });
+      
+      if (response.status === 200) {
+        API.stats.successful++;
+        const data = typeof response.response === 'string'
+          ? JSON.parse(response.response)
+          : response.response;
+        const best = data && Array.isArray(data.data) ? data.data[0] : null;
+        return best && best.paperId ? best : 'NOT_FOUND';
+      } else if (response.status === 404) {
+        // "Title match not found"
+        return 'NOT_FOUND';
+      } else if (response.status === 429) {
+        API.stats.rateLimited++;
+        Zotero.debug(`S2Provider: Rate limit hit (title match)`);
+        return 'RATE_LIMITED';
+      } else {
+        API.stats.failed++;
+        Zotero.debug(`S2Provider: Title match HTTP Error ${response.status}`);
+        return null;
+      }
+      
+    } catch (error) {
+      if (API.isCancelError(error)) throw error;
+      API.stats.failed++;
+      Zotero.debug(`S2Provider: Title match failed: ${error.message}`);
+      return null;
+    }
+  },
+  
+  /**
+   * S2 paper → metadata shape of API.enrichRecommendations()
+   *
+   * @private
+   * @param {Object} paper - Paper with METADATA_FIELDS
+   * @returns {Object}
+   */
+  _normalizeMetadata: function(paper) {
+    const ids = this.getExternalIds(paper);
+    const fields = (paper.fieldsOfStudy || [])
+      .concat((paper.s2FieldsOfStudy || []).map(f => f && f.category));
+    
+    return {
+      authors: (paper.authors || []).map(a => a && a.name).filter(Boolean),
+      venue: paper.venue || (paper.journal && paper.journal.name) || '',
+      doi: ids.doi,
+      externalIds: ids,
+      abstract: paper.abstract || '',
+      tldr: paper.tldr && paper.tldr.text ? paper.tldr.text : '',
+      fieldsOfStudy: fields.filter((f, i) => f && fields.indexOf(f) === i),
+      openAccessPdf: paper.openAccessPdf && paper.openAccessPdf.url ? paper.openAccessPdf.url : ''
+    };
+  },
+  
+  /**
+   * Build the fields query parameter for the given nested lists
+   * 
+   * @private
+   * @param {string[]} listKeys - 'references' and/or 'citations'
+   * @returns {string} Comma-separated field list
+   */
+  _getPaperFields: function(listKeys) {
+    const fields = [this.PAPER_FIELDS];
+    listKeys.forEach(key => {
+      fields.push(key);
+      this.LINKED_PAPER_FIELDS.forEach(f => fields.push(`${key}.${f}`));
+    });
+    return fields.join(',');
+  }
+};
@@ -0,0 +1,378 @@
+/**
+ * LitGap - Scoring Profiles Module
+ * Named weight sets for Analyzer scoring and candidate filtering
+ *
+ * @module scoringProfiles
+ * @version 1.3.0
+ *
+ * CHANGELOG:
+ * v1.3.0 - WATCH_PROFILE / getWatchProfile(): ranking of "What's New"
+ *          runs (papers citing the collection, by how many items they cite)
+ * v1.2.0 - secondHopDecay: factor applied to the whole score of papers
+ *          found through the second hop (default 0.5)
+ * v1.1.0 - impact.method: 'velocity' scores citations per year as a
+ *          percentile of the run's candidates; 'citations' is the old
+ *          absolute count (and what profiles without a method get).
+ *          Classic and Recent-first use velocity. File format version 2.
+ *
+ * A profile decides how Analyzer scores and filters candidates:
+ *   totalScore = mentions × weights.mentions
+ *              + impact points × weights.impact
+ *              + recency step score × weights.recency
+ * Impact points are, per impact.method:
+ *   velocity  → percentile of citations per year among the candidates of
+ *               the run (0-1) × impact.cap
+ *   citations → min(citations / impact.per, impact.cap)
+ * The recency curve is a list of steps, youngest first: a paper gets the
+ * score of the first step whose maxAge (years) it does not exceed.
+ * Candidates outside the year window (minYear and/or maxAge) or with fewer
+ * than minMentions mentions are dropped; the best topN are recommended.
+ *
+ * "What's New" runs always use WATCH_PROFILE (getWatchProfile()): it is not
+ * listed with the others and ranks by mentions, with citation velocity only
+ * breaking ties.
+ *
+ * Built-in profiles: classic (the weights of LitGap up to 3.0), recent,
+ * foundational (absolute citation counts, so landmark papers rank high).
+ * The custom profile is stored as JSON in prefs and can be edited,
+ * exported to a file and imported from one (exportJSON/importJSON), so a
+ * team can share settings and reproduce each other's reports.
+ *
+ * Profile shape:
+ *   {
+ *     name: 'Classic',
+ *     weights: { mentions: 10, impact: 1, recency: 1 },
+ *     impact:  { method: 'velocity', cap: 5 },
+ *              or { method: 'citations', per: 100, cap: 5 }
+ *     recency: [{ maxAge: 3, score: 3 }, { maxAge: 5, score: 2 }, ...],
+ *     minYear: 2010,        earliest year (null = none)
+ *     maxAge: null,         latest age in years (null = none)
+ *     minMentions: 2,
+ *     topN: 10,
+ *     secondHopDecay: 0.5   score factor for second-hop papers (0-1)
+ *   }
+ *
+ * Preference Keys (namespace: extensions.zotero.litgap.*)
+ *   scoringProfile       → 'classic' (default) | 'recent' | 'foundational' | 'custom'
+ *   customScoringProfile → JSON of the custom profile
+ *
+ * Public API:
+ *   getProfileIds()        → string[]
+ *   getProfile(id)         → Object   normalized copy
+ *   getActiveId()          → string
+ *   getActive()            → Object   profile (with id) used for the next run
+ *   getWatchProfile()      → Object   profile (with id) of "What's New" runs
+ *   setActive(id)
+ *   setCustom(profile)                validates, then saves
+ *   validate(profile)      → Object   normalized profile; throws on bad input
+ *   exportJSON(profile)    → string
+ *   importJSON(text)       → Object   validated profile
+ *   describe(profile)      → string[] human-readable formula and thresholds
+ */
+
+var ScoringProfiles = {
+
+  // ─── Configuration ─────────────────────────────────────────────────────────
+
+  PREF_PREFIX:    'extensions.zotero.litgap.',
+  DEFAULT_ID:     'classic',
+  CUSTOM_ID:      'custom',
+  FILE_FORMAT:    'litgap-scoring-profile',
+  FILE_VERSION:   2,
+  MAX_TOP_N:      100,
+  DEFAULT_SECOND_HOP_DECAY: 0.5,
+  IMPACT_METHODS: ['velocity', 'citations'],
+
+  PROFILES: {
+    classic: {
+      name: 'Classic',
+      weights: { mentions: 10, impact: 1, recency: 1 },
+      impact: { method: 'velocity', cap: 5 },
+      recency: [
+        { maxAge: 3, score: 3 },
+        { maxAge: 5, score: 2 },
+        { maxAge: 10, score: 1 }
+      ],
+      minYear: 2010,
+      maxAge: null,
+      minMentions: 2,
+      topN: 10,
+      secondHopDecay: 0.5
+    },
+    recent: {
+      name: 'Recent-first',
+      weights: { mentions: 10, impact: 1, recency: 4 },
+      impact: { method: 'velocity', cap: 5 },
+      recency: [
+        { maxAge: 2, score: 3 },
+        { maxAge: 4, score: 2 },
+        { maxAge: 6, score: 1 }
+      ],
+      minYear: null,
+      maxAge: 8,
+      minMentions: 2,
+      topN: 10,
+      secondHopDecay: 0.5
+    },
+    foundational: {
+      name: 'Foundational',
+      weights: { mentions: 10, impact: 3, recency: 0 },
+      impact: { method: 'citations', per: 200, cap: 10 },
+      recency: [],
+      minYear: null,
+      maxAge: null,
+      minMentions: 3,
+      topN: 10,
+      secondHopDecay: 0.6
+    }
+  },
+
+  // One mention (10 points) outweighs the whole impact range (5 points)
+  WATCH_PROFILE: {
+    name: 'New work',
+    weights: { mentions: 10, impact: 1, recency: 0 },
+    impact: { method: 'velocity', cap: 5 },
+    recency: [],
+    minYear: null,
+    maxAge: null,
+    minMentions: 1,
+    topN: 20,
+    secondHopDecay: 0.5
+  },
+
+  // ─── Public API ────────────────────────────────────────────────────────────
+
+  /**
+   * Profile IDs in display order (built-ins, then custom)
+   *
+   * @returns {string[]}
+   */
+  getProfileIds: function() {
+    return Object.keys(this.PROFILES).concat(this.CUSTOM_ID);
+  },
+
+  /**
+   * A profile by ID. The custom profile falls back to a copy of Classic
+   * until one is saved (or when the saved one no longer validates).
+   *
+   * @param {string} id
+   * @returns {Object} Normalized profile with id
+   */
+  getProfile: function(id) {
+    if (id === this.CUSTOM_ID) {
+      const stored = Zotero.Prefs.get(this.PREF_PREFIX + 'customScoringProfile', true);
+      if (stored) {
+        try {
+          return Object.assign(this.validate(JSON.parse(stored)), { id: id });
+        } catch (e) {
+          Zotero.debug(`ScoringProfiles: Ignoring invalid custom profile - ${e.message}`);
+        }
+      }
+      return Object.assign(this.validate(this.PROFILES[this.DEFAULT_ID]), { id: id, name: 'Custom' });
+    }
+
+    const builtIn = this.PROFILES[id] ? id : this.DEFAULT_ID;
+    return Object.assign(this.validate(this.PROFILES[builtIn]), { id: builtIn });
+  },
+
+  /**
+   * ID of the profile the next run uses
+   *
+   * @returns {string}
+   */
+  getActiveId: function() {
+    const id = Zotero.Prefs.get(this.PREF_PREFIX + 'scoringProfile', true);
+    return this.getProfileIds().includes(id) ? id : this.DEFAULT_ID;
+  },
+
+  /**
+   * Profile the next run uses
+   *
+   * @returns {Object}
+   */
+  getActive: function() {
+    return this.getProfile(this.getActiveId());
+  },
+
+  /**
+   * Profile of "What's New" runs
+   *
+   * @returns {Object}
+   */
+  getWatchProfile: function() {
+    return Object.assign(this.validate(this.WATCH_PROFILE), { id: 'watch' });
+  },
+
+  /**
+   * Save the scoring profile preference
+   *
+   * @param {string} id
+   */
+  setActive: function(id) {
+    if (!this.getProfileIds().includes(id)) {
+      throw new Error(`Invalid scoring profile: ${id}`);
+    }
+    Zotero.Prefs.set(this.PREF_PREFIX + 'scoringProfile', id);
+  },
+
+  /**
+   * Save the custom profile
+   *
+   * @param {Object} profile
+   * @throws {Error} If the profile is invalid
+   */
+  setCustom: function(profile) {
+    const valid = this.validate(profile);
+    Zotero.Prefs.set(this.PREF_PREFIX + 'customScoringProfile', JSON.stringify(valid));
+  },
+
+  /**
+   * Check a profile and return a clean copy (unknown keys dropped, recency
+   * steps sorted youngest first)
+   *
+   * @param {Object} profile
+   * @returns {Object} Normalized profile (without id)
+   * @throws {Error} Naming the first invalid field
+   */
+  validate: function(profile) {
+    if (!profile || typeof profile !== 'object') {
+      throw new Error('Profile must be an object');
+    }
+
+    const number = (value, field, min) => {
+      const n = Number(value);
+      if (value === null || value === '' || !isFinite(n) || n < min) {
+        throw new Error(`${field} must be a number of at least ${min}`);
+      }
+      return n;
+    };
+    const integer = (value, field, min) => {
+      const n = number(value, field, min);
+      if (!Number.isInteger(n)) throw new Error(`${field} must be a whole number`);
+      return n;
+    };
+    const optionalInteger = (value, field, min) =>
+      value === null || value === undefined ? null : integer(value, field, min);
+
+    const weights = profile.weights || {};
+    const impact = profile.impact || {};
+    const method = impact.method || 'citations';
+    if (!this.IMPACT_METHODS.includes(method)) {
+      throw new Error(`impact.method must be one of: ${this.IMPACT_METHODS.join(', ')}`);
+    }
+    if (!Array.isArray(profile.recency || [])) {
+      throw new Error('recency must be a list of { maxAge, score } steps');
+    }
+
+    const recency = (profile.recency || []).map((step, i) => ({
+      maxAge: number(step && step.maxAge, `recency[${i}].maxAge`, 0),
+      score: number(step && step.score, `recency[${i}].score`, 0)
+    }));
+    recency.sort((a, b) => a.maxAge - b.maxAge);
+
+    const name = String(profile.name || '').trim();
+    if (!name) throw new Error('name must not be empty');
+
+    const topN = integer(profile.topN, 'topN', 1);
+    if (topN > this.MAX_TOP_N) throw new Error(`topN must be at most ${this.MAX_TOP_N}`);
+
+    const decay = profile.secondHopDecay === undefined || profile.secondHopDecay === null
+      ? this.DEFAULT_SECOND_HOP_DECAY
+      : number(profile.secondHopDecay, 'secondHopDecay', 0);
+    if (decay > 1) throw new Error('secondHopDecay must be at most 1');
+
+    return {
+      name: name,
+      weights: {
+        mentions: number(weights.mentions, 'weights.mentions', 0),
+        impact: number(weights.impact, 'weights.impact', 0),
+        recency: number(weights.recency, 'weights.recency', 0)
+      },
+      impact: method === 'velocity'
+        ? { method: method, cap: number(impact.cap, 'impact.cap', 0) }
+        : { method: method, per: number(impact.per, 'impact.per', 1), cap: number(impact.cap, 'impact.cap', 0) },
+      recency: recency,
+      minYear: optionalInteger(profile.minYear, 'minYear', 0),
+      maxAge: optionalInteger(profile.maxAge, 'maxAge', 0),
+      minMentions: integer(profile.minMentions, 'minMentions', 1),
+      topN: topN,
+      secondHopDecay: decay
+    };
+  },
+
+  /**
+   * Profile as a shareable JSON document
+   *
+   * @param {Object} profile
+   * @returns {string}
+   */
+  exportJSON: function(profile) {
+    return JSON.stringify({
+      format: this.FILE_FORMAT,
+      version: this.FILE_VERSION,
+      profile: this.validate(profile)
+    }, null, 2);
+  },
+
+  /**
+   * Read a profile exported by exportJSON() (a bare profile object is
+   * accepted too). Version 1 files have no impact.method and keep their
+   * absolute citation scoring.
+   *
+   * @param {string} text - File contents
+   * @returns {Object} Validated profile
+   * @throws {Error} If the text is not a valid profile
+   */
+  importJSON: function(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Not a JSON file (${e.message})`);
+    }
+
+    if (data && data.format === this.FILE_FORMAT) {
+      if (data.version > this.FILE_VERSION) {
+        throw new Error('The profile was exported by a newer version of LitGap');
+      }
+      data = data.profile;
+    }
+    return this.validate(data);
+  },
+
+  /**
+   * Formula and thresholds of a profile, one line each
+   *
+   * @param {Object} profile
+   * @returns {string[]}
+   */
+  describe: function(profile) {
+    const w = profile.weights;
+    const lines = [];
+
+    const impact = profile.impact.method === 'velocity'
+      ? `citations-per-year percentile × ${profile.impact.cap}`
+      : `min(citations / ${profile.impact.per}, ${profile.impact.cap})`;
+    lines.push(`Score = mentions × ${w.mentions} + ${impact} × ${w.impact} + recency × ${w.recency}`);
+    if (profile.impact.method === 'velocity') {
+      lines.push('Citations per year are ranked against the other candidates of the run (0 = slowest, 1 = fastest)');
+    }
+
+    if (profile.recency.length > 0 && w.recency > 0) {
+      const steps = profile.recency.map(s => `≤${s.maxAge} years: ${s.score}`);
+      lines.push(`Recency: ${steps.join(', ')}, older: 0`);
+    } else {
+      lines.push('Recency: not scored');
+    }
+
+    const window = [];
+    if (profile.minYear !== null) window.push(`${profile.minYear} or later`);
+    if (profile.maxAge !== null) window.push(`at most ${profile.maxAge} years old`);
+    lines.push(`Years: ${window.length > 0 ? window.join(', ') : 'any'}`);
+
+    lines.push(`At least ${profile.minMentions} mention${profile.minMentions !== 1 ? 's' : ''}; top ${profile.topN} recommended`);
+    lines.push(`Second-hop papers: score × ${profile.secondHopDecay}`);
+
+    return lines;
+  }
+};
@@ -0,0 +1,303 @@
+/**
+ * LitGap - Provider normalization tests
+ * Runs S2Provider and OpenAlexProvider against recorded API responses
+ *
+ * Run with: node --test test/
+ *
+ * The modules are loaded into one shared scope like bootstrap.js does; a
+ * stand-in Zotero answers Zotero.HTTP.request from test/fixtures/<provider>/
+ * (responses in the shape the live APIs return, trimmed to a few works), so no
+ * request leaves the machine. Each test checks that the provider turns its
+ * source's response into the paper data API, Merger and Analyzer read.
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Same order as LitGap.loadModules()
+const MODULE_FILES = ['citationCache.js', 'rateLimiter.js', 's2Provider.js', 'openAlexProvider.js', 'api.js'];
+
+/**
+ * Fixture per request: first route whose method and URL pattern match.
+ * Anything else gets a 404 and is recorded in scope.unrouted.
+ */
+const ROUTES = [
+  { method: 'POST', url: /semanticscholar\.org\/graph\/v1\/paper\/batch\?fields=.*tldr/, fixture: 'semanticscholar/metadata-batch.json' },
+  { method: 'POST', url: /semanticscholar\.org\/graph\/v1\/paper\/batch\?/, fixture: 'semanticscholar/paper-batch.json' },
+  { method: 'GET', url: /api\.openalex\.org\/works\?filter=doi:/, fixture: 'openalex/works-by-doi.json' },
+  { method: 'GET', url: /api\.openalex\.org\/works\?filter=openalex:.*abstract_inverted_index/, fixture: 'openalex/metadata.json' },
+  { method: 'GET', url: /api\.openalex\.org\/works\?filter=openalex:/, fixture: 'openalex/referenced-works.json' },
+  { method: 'GET', url: /api\.openalex\.org\/works\?filter=cites:W2064675550&/, fixture: 'openalex/citing-works.json' },
+  { method: 'GET', url: /api\.openalex\.org\/works\?search=/, fixture: 'openalex/title-search-empty.json' }
+];
+
+/**
+ * Library papers as Parser hands them over: one each provider knows, one
+ * it does not (two, so the batch path is taken)
+ */
+const S2_PAPERS = [
+  { title: 'Attention is All you Need', year: 2017, doi: '10.48550/arXiv.1706.03762' },
+  { title: 'A paper Semantic Scholar does not know', year: 2020, doi: '10.9999/unknown' }
+];
+const OPENALEX_PAPERS = [
+  { title: 'Long Short-Term Memory', year: 1997, doi: '10.1162/NECO.1997.9.8.1735' },
+  { title: 'A paper OpenAlex does not know', year: 2020, doi: '10.9999/unknown' }
+];
+
+let scope;
+
+/**
+ * Load the modules into a fresh scope with a Zotero stand-in
+ *
+ * @returns {Object} Module scope (S2Provider, OpenAlexProvider, API, ...)
+ */
+function loadModules() {
+  const context = {
+    requests: [],
+    unrouted: [],
+    Zotero: {
+      debug: () => {},
+      logError: () => {},
+      Prefs: { get: () => undefined, set: () => {} },
+      HTTP: {
+        request: async (method, url, options) => {
+          context.requests.push({ method: method, url: url, body: options.body });
+          const route = ROUTES.find(r => r.method === method && r.url.test(url));
+          if (!route) context.unrouted.push(`${method} ${url}`);
+          return {
+            status: route ? 200 : 404,
+            response: route ? JSON.parse(fs.readFileSync(path.join(FIXTURES, route.fixture), 'utf8')) : null,
+            getResponseHeader: () => null
+          };
+        }
+      }
+    }
+  };
+  vm.createContext(context);
+
+  MODULE_FILES.forEach(file => {
+    const source = fs.readFileSync(path.join(ROOT, 'modules', file), 'utf8');
+    vm.runInContext(source, context, { filename: file });
+  });
+
+  // The recorded responses need no pacing
+  ['semanticscholar', 'openalex'].forEach(id => {
+    context.RateLimiter.configure(id, { requestsPerSecond: 1000, burst: 100, maxConcurrent: 1 });
+  });
+  return context;
+}
+
+/**
+ * Copy a value out of the module scope, so deepEqual compares plain objects
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+beforeEach(() => {
+  scope = loadModules();
+});
+
+// ─── Semantic Scholar ────────────────────────────────────────────────────────
+
+test('S2Provider: batch lookup keeps paper data in the API shape', async () => {
+  const done = [];
+  const results = await scope.S2Provider.lookupPapers(S2_PAPERS, ['references'], (i) => done.push(i));
+
+  assert.deepEqual(scope.unrouted, ['GET https://api.semanticscholar.org/graph/v1/paper/search/match?query=A%20paper%20Semantic%20Scholar%20does%20not%20know&fields=paperId,title,year']);
+  assert.deepEqual(JSON.parse(scope.requests[0].body), { ids: ['DOI:10.48550/arXiv.1706.03762', 'DOI:10.9999/unknown'] });
+  assert.deepEqual(done.sort(), [0, 1]);
+
+  const paper = results[0];
+  assert.equal(paper.paperId, '204e3073870fae3d05bcbc2f6a8e263d9b72e776');
+  assert.equal(paper.resolvedBy, 'doi');
+  assert.equal(paper.citationCount, 118000);
+  assert.equal(paper.referenceCount, 41);
+  assert.equal(paper.references.length, 2);
+  assert.deepEqual(plain(paper.authors[0]), { authorId: '40348417', name: 'Ashish Vaswani' });
+
+  // Unknown to the batch endpoint and to the title match
+  assert.equal(results[1], 'NOT_FOUND');
+});
+
+test('S2Provider: linked papers carry venue, date, authors and external IDs', async () => {
+  const [paper] = await scope.S2Provider.lookupPapers(S2_PAPERS, ['references'], () => {});
+  const [bahdanau, lstm] = paper.references;
+
+  assert.equal(bahdanau.venue, 'International Conference on Learning Representations');
+  assert.equal(bahdanau.publicationDate, '2014-09-01');
+  assert.deepEqual(plain(bahdanau.authors[1]), { authorId: null, name: 'Kyunghyun Cho' });
+
+  assert.deepEqual(plain(scope.S2Provider.getExternalIds(bahdanau)), {
+    s2: 'fa72afa9b2cbc8f0d7b05d52548906610ffbb9c5',
+    doi: '',
+    arxiv: '1409.0473',
+    pmid: '',
+    pmcid: '',
+    mag: '2964308564',
+    corpusId: '11212020'
+  });
+  assert.equal(scope.S2Provider.getExternalIds(lstm).doi, '10.1162/neco.1997.9.8.1735');
+  assert.equal(scope.S2Provider.getExternalIds(lstm).pmid, '9377276');
+  assert.deepEqual(plain(scope.S2Provider.getVenueIssns(lstm)), ['0899-7667', '1530-888X']);
+  assert.deepEqual(plain(scope.S2Provider.getVenueIssns(bahdanau)), []);
+});
+
+test('S2Provider: fetchMetadata() normalizes recommended papers', async () => {
+  const metadata = await scope.S2Provider.fetchMetadata([
+    '2e9d221c206e9503ceb452302d68d10e293f2a10',
+    '0000000000000000000000000000000000000000'
+  ]);
+
+  assert.deepEqual(plain(metadata['2e9d221c206e9503ceb452302d68d10e293f2a10']), {
+    authors: ['Sepp Hochreiter', 'J. Schmidhuber'],
+    venue: 'Neural Computation',
+    doi: '10.1162/neco.1997.9.8.1735',
+    externalIds: {
+      s2: '2e9d221c206e9503ceb452302d68d10e293f2a10',
+      doi: '10.1162/neco.1997.9.8.1735',
+      arxiv: '',
+      pmid: '9377276',
+      pmcid: '1234567',
+      mag: '2064675550',
+      corpusId: '1915014'
+    },
+    abstract: 'Learning to store information over extended time intervals by recurrent backpropagation takes a very long time.',
+    tldr: 'A novel, efficient, gradient based method called long short-term memory (LSTM) is introduced.',
+    fieldsOfStudy: ['Computer Science', 'Medicine'],
+    openAccessPdf: ''
+  });
+  assert.equal(metadata['0000000000000000000000000000000000000000'], null);
+});
+
+// ─── OpenAlex ────────────────────────────────────────────────────────────────
+
+test('OpenAlexProvider: DOI batch lookup builds paper data in the API shape', async () => {
+  const done = [];
+  const results = await scope.OpenAlexProvider.lookupPapers(OPENALEX_PAPERS, ['references', 'citations'], (i) => done.push(i));
+
+  assert.deepEqual(scope.unrouted, []);
+  assert.ok(scope.requests[0].url.includes('filter=doi:10.1162%2FNECO.1997.9.8.1735|10.9999%2Funknown&per-page=2&'));
+  assert.deepEqual(done.sort(), [0, 1]);
+
+  const paper = results[0];
+  assert.equal(paper.paperId, 'W2064675550');
+  assert.equal(paper.title, 'Long Short-Term Memory');
+  assert.equal(paper.year, 1997);
+  assert.equal(paper.citationCount, 71234);
+  assert.equal(paper.referenceCount, 2);
+  assert.equal(paper.resolvedBy, 'doi');
+  assert.equal(paper.doi, '10.1162/neco.1997.9.8.1735');
+  assert.deepEqual(plain(paper.authors), [
+    { authorId: 'A5055672574', name: 'Sepp Hochreiter' },
+    { authorId: 'A5008917466', name: 'Jürgen Schmidhuber' }
+  ]);
+  assert.equal(paper.references.length, 2);
+  assert.equal(paper.citations.length, 1);
+
+  // Rejected by the batch, and the title search finds nothing
+  assert.equal(results[1], 'NOT_FOUND');
+});
+
+test('OpenAlexProvider: linked papers carry venue, date, authors and external IDs', async () => {
+  const [paper] = await scope.OpenAlexProvider.lookupPapers(OPENALEX_PAPERS, ['references', 'citations'], () => {});
+  const [bengio, pascanu] = paper.references;
+
+  assert.deepEqual(plain(bengio), {
+    paperId: 'W1983364832',
+    title: 'Learning long-term dependencies with gradient descent is difficult',
+    year: 1994,
+    publicationDate: '1994-03-01',
+    citationCount: 8120,
+    venue: 'IEEE Transactions on Neural Networks',
+    venueIssns: ['1045-9227', '1941-0093'],
+    authors: [
+      { authorId: 'A5086198262', name: 'Yoshua Bengio' },
+      { authorId: 'A5028311640', name: 'Patrice Simard' }
+    ],
+    doi: '10.1109/72.279181',
+    externalIds: { pmid: '18267787', pmcid: '', mag: '1983364832' }
+  });
+
+  // No source, no authorships, arXiv DOI, PMC URL
+  assert.equal(pascanu.venue, '');
+  assert.deepEqual(plain(scope.OpenAlexProvider.getVenueIssns(pascanu)), []);
+  assert.deepEqual(plain(pascanu.authors), []);
+  assert.deepEqual(plain(scope.OpenAlexProvider.getExternalIds(pascanu)), {
+    doi: '10.48550/arxiv.1211.5063',
+    arxiv: '1211.5063',
+    pmid: '',
+    pmcid: '3070001',
+    mag: '',
+    corpusId: '',
+    openalex: 'W2107878631'
+  });
+
+  const [citing] = paper.citations;
+  assert.equal(citing.paperId, 'W2963403868');
+  assert.equal(citing.doi, '');
+  assert.equal(citing.venue, 'arXiv (Cornell University)');
+  assert.equal(citing.publicationDate, '2017-06-12');
+});
+
+test('OpenAlexProvider: fetchMetadata() normalizes recommended papers', async () => {
+  const metadata = await scope.OpenAlexProvider.fetchMetadata([
+    'https://openalex.org/W1983364832',
+    'W9999999999'
+  ]);
+
+  assert.deepEqual(plain(metadata.W1983364832), {
+    authors: ['Yoshua Bengio', 'Patrice Simard', 'Paolo Frasconi'],
+    venue: 'IEEE Transactions on Neural Networks',
+    doi: '10.1109/72.279181',
+    externalIds: {
+      doi: '10.1109/72.279181',
+      arxiv: '',
+      pmid: '18267787',
+      pmcid: '',
+      mag: '1983364832',
+      corpusId: '',
+      openalex: 'W1983364832'
+    },
+    abstract: 'Recurrent neural networks can be used',
+    tldr: '',
+    fieldsOfStudy: ['Computer Science', 'Mathematics'],
+    openAccessPdf: ''
+  });
+  assert.equal(metadata.W9999999999, null);
+});
+
+// ─── Both providers ──────────────────────────────────────────────────────────
+
+test('Both providers give linked papers the fields the rest of the pipeline reads', async () => {
+  const s2 = await scope.S2Provider.lookupPapers(S2_PAPERS, ['references'], () => {});
+  const openAlex = await scope.OpenAlexProvider.lookupPapers(OPENALEX_PAPERS, ['references', 'citations'], () => {});
+
+  const linked = [
+    ...s2[0].references.map(entry => ({ provider: scope.S2Provider, entry: entry })),
+    ...openAlex[0].references.concat(openAlex[0].citations).map(entry => ({ provider: scope.OpenAlexProvider, entry: entry }))
+  ];
+
+  linked.forEach(({ provider, entry }) => {
+    const label = `${provider.id} ${entry.paperId}`;
+    assert.equal(typeof entry.paperId, 'string', label);
+    assert.equal(typeof entry.title, 'string', label);
+    assert.equal(typeof entry.year, 'number', label);
+    assert.equal(typeof entry.citationCount, 'number', label);
+    assert.equal(typeof entry.venue, 'string', label);
+    assert.match(entry.publicationDate, /^\d{4}-\d{2}-\d{2}$/, label);
+    entry.authors.forEach(author => assert.deepEqual(Object.keys(author).sort(), ['authorId', 'name'], label));
+    provider.getVenueIssns(entry).forEach(issn => assert.match(issn, /^\d{4}-\d{3}[\dX]$/, label));
+
+    const ids = provider.getExternalIds(entry);
+    ['doi', 'arxiv', 'pmid', 'pmcid', 'mag', 'corpusId'].forEach(type => {
+      assert.equal(typeof ids[type], 'string', `${label} ${type}`);
+    });
+  });
+});